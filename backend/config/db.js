@@ -2,6 +2,7 @@
 
 // Importation du module mysql2
 const mysql = require('mysql2');
+const { instrumentPool } = require('../services/auditService');
 
 // Créer une connexion au pool de la base de données
 const pool = mysql.createPool({
@@ -14,5 +15,6 @@ const pool = mysql.createPool({
     queueLimit: 0
 });
 
-// Exporter la connexion au pool pour qu'elle puisse être utilisée par d'autres fichiers
-module.exports = pool.promise();
\ No newline at end of file
+// Exporter la connexion au pool pour qu'elle puisse être utilisée par d'autres fichiers.
+// Les modifications (INSERT / UPDATE / DELETE) sont journalisées dans audit_logs (voir services/auditService.js).
+module.exports = instrumentPool(pool.promise());
\ No newline at end of file
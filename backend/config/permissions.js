@@ -0,0 +1,84 @@
+// Fichier: backend/config/permissions.js
+
+// Rôles signés dans le JWT par authRoutes (/login), colonne `users.role`
+const ROLES = {
+    ADMIN: 'Admin',
+    RH: 'RH',
+    CHEF_SITE: 'Chef de site',
+    MANAGER: 'Manager',
+    CHEF_EQUIPE: 'Chef d\'équipe',
+    EMPLOYE: 'Employé'
+};
+
+const ALL_ROLES = Object.values(ROLES);
+
+// Périmètre de données de chaque rôle :
+// - 'global'     : toute l'entreprise
+// - 'site'       : les employés du même site_id que l'utilisateur
+// - 'department' : les employés du même department_id
+// - 'team'       : les employés du même team_id
+// - 'self'       : uniquement sa propre fiche employé
+const ROLE_SCOPES = {
+    [ROLES.ADMIN]: 'global',
+    [ROLES.RH]: 'global',
+    [ROLES.CHEF_SITE]: 'site',
+    [ROLES.MANAGER]: 'department',
+    [ROLES.CHEF_EQUIPE]: 'team',
+    [ROLES.EMPLOYE]: 'self'
+};
+
+// Matrice déclarative des permissions : permission => rôles autorisés
+// Chaque route protégée déclare la permission qu'elle exige (voir permissionMiddleware).
+const PERMISSIONS = {
+    // Structure organisationnelle (sites, départements, services, équipes)
+    'structure:read': ALL_ROLES,
+    'structure:write': [ROLES.ADMIN],
+
+    // Dossier employé
+    'employee:read': ALL_ROLES,
+    'employee:create': [ROLES.ADMIN, ROLES.RH],
+    'employee:update': [ROLES.ADMIN, ROLES.RH],
+    'employee:offboard': [ROLES.ADMIN, ROLES.RH], // Procédure de sortie et check-list
+    'employee:export': [ROLES.ADMIN, ROLES.RH, ROLES.CHEF_SITE, ROLES.MANAGER],
+    'registre:export': [ROLES.ADMIN, ROLES.RH],
+    // Parcours : sanctions, santé (visites, AT/MS), salaires et motifs de sortie dans la chronologie de carrière
+    'career:confidential': [ROLES.ADMIN, ROLES.RH],
+    // Numéros d'identification, coordonnées bancaires et actes d'état civil en clair (masqués sinon, sauf pour l'employé lui-même)
+    'employee-sensitive:read': [ROLES.ADMIN, ROLES.RH],
+
+    // Temps de travail
+    'holiday:read': ALL_ROLES,
+    'holiday:write': [ROLES.ADMIN, ROLES.RH],
+    'attendance:write': [ROLES.ADMIN, ROLES.RH, ROLES.CHEF_SITE, ROLES.MANAGER, ROLES.CHEF_EQUIPE],
+    'leave:submit': ALL_ROLES,
+
+    // Gestion RH (contrats, salaires, sanctions, santé)
+    'contract:read': [ROLES.ADMIN, ROLES.RH, ROLES.CHEF_SITE, ROLES.MANAGER], // Salaires réservés à 'career:confidential'
+    'contract:write': [ROLES.ADMIN, ROLES.RH],
+    'trial:decide': [ROLES.ADMIN, ROLES.RH, ROLES.CHEF_SITE, ROLES.MANAGER], // Confirmation ou rupture de la période d'essai
+    'sanction:read': [ROLES.ADMIN, ROLES.RH],
+    'sanction:write': [ROLES.ADMIN, ROLES.RH],
+    'payroll:read': [ROLES.ADMIN, ROLES.RH], // Retenues sur salaire à reporter en paie (mises à pied)
+    'medical:read': [ROLES.ADMIN, ROLES.RH, ROLES.CHEF_SITE, ROLES.MANAGER], // Échéancier des visites et affectations incompatibles
+    'medical:write': [ROLES.ADMIN, ROLES.RH],
+    'accident:write': [ROLES.ADMIN, ROLES.RH, ROLES.CHEF_SITE],
+    'contact-change:review': [ROLES.ADMIN, ROLES.RH],
+
+    // Budget des départements (masse salariale)
+    'budget:read': [ROLES.ADMIN, ROLES.RH, ROLES.CHEF_SITE, ROLES.MANAGER],
+    'budget:manage': [ROLES.ADMIN, ROLES.RH],
+
+    // Comptes utilisateurs
+    'user:manage': [ROLES.ADMIN],
+    'user:create-from-employee': [ROLES.ADMIN, ROLES.RH],
+    'auth-event:read': [ROLES.ADMIN],
+
+    // Administration
+    'document:read': [ROLES.ADMIN, ROLES.RH], // L'employé concerné accède toujours à ses propres documents
+    'document:write': [ROLES.ADMIN, ROLES.RH],
+    'alert:write': [ROLES.ADMIN, ROLES.RH, ROLES.CHEF_SITE],
+    'assignment-report:read': [ROLES.ADMIN, ROLES.RH],
+    'audit-log:read': [ROLES.ADMIN, ROLES.RH] // Journal d'audit des modifications (inspection du travail)
+};
+
+module.exports = { ROLES, ALL_ROLES, ROLE_SCOPES, PERMISSIONS };
@@ -0,0 +1,26 @@
+-- Fichier: backend/database/migrations/001_user_sessions.sql
+-- Sessions utilisateur (refresh tokens rotatifs) et révocation des jetons d'accès
+
+-- Date du dernier changement de mot de passe : tout jeton émis avant est rejeté
+ALTER TABLE users
+    ADD COLUMN password_changed_at DATETIME NULL DEFAULT NULL;
+
+-- Une ligne par session ouverte (un appareil / navigateur)
+-- Le refresh token n'est jamais stocké en clair : seule son empreinte SHA-256 est conservée.
+CREATE TABLE IF NOT EXISTS user_sessions (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    user_id INT NOT NULL,
+    refresh_token_hash CHAR(64) NOT NULL,
+    refresh_token_hash_precedent CHAR(64) NULL, -- Détection de la réutilisation d'un jeton déjà consommé
+    expires_at DATETIME NOT NULL,
+    revoked_at DATETIME NULL,
+    motif_revocation VARCHAR(100) NULL,
+    ip_address VARCHAR(45) NULL,
+    user_agent VARCHAR(255) NULL,
+    created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    last_used_at DATETIME NULL,
+    UNIQUE KEY uq_user_sessions_refresh (refresh_token_hash),
+    KEY idx_user_sessions_precedent (refresh_token_hash_precedent),
+    KEY idx_user_sessions_user (user_id),
+    CONSTRAINT fk_user_sessions_user FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
@@ -0,0 +1,24 @@
+-- Fichier: backend/database/migrations/002_user_accounts.sql
+-- Gestion des comptes utilisateurs : statut, invitations et réinitialisation du mot de passe
+
+-- Statut du compte : un compte 'Invité' n'a pas encore choisi son mot de passe,
+-- un compte 'Désactivé' ne peut plus se connecter.
+ALTER TABLE users
+    ADD COLUMN statut ENUM('Actif', 'Invité', 'Désactivé') NOT NULL DEFAULT 'Actif',
+    ADD COLUMN created_by_user_id INT NULL,
+    ADD COLUMN created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP;
+
+-- Jetons à usage unique envoyés par email (seule l'empreinte SHA-256 est stockée)
+CREATE TABLE IF NOT EXISTS user_tokens (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    user_id INT NOT NULL,
+    type ENUM('Invitation', 'Réinitialisation') NOT NULL,
+    token_hash CHAR(64) NOT NULL,
+    expires_at DATETIME NOT NULL,
+    used_at DATETIME NULL,
+    created_by_user_id INT NULL,
+    created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE KEY uq_user_tokens_hash (token_hash),
+    KEY idx_user_tokens_user (user_id, type),
+    CONSTRAINT fk_user_tokens_user FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
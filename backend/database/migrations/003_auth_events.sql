@@ -0,0 +1,26 @@
+-- Fichier: backend/database/migrations/003_auth_events.sql
+-- Journal des événements d'authentification (connexions, verrouillages, mots de passe)
+-- Sert aussi de base au calcul du verrouillage progressif par compte et par adresse IP.
+
+CREATE TABLE IF NOT EXISTS auth_events (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    type_evenement ENUM(
+        'Connexion réussie',
+        'Échec de connexion',
+        'Verrouillage',
+        'Déverrouillage',
+        'Changement de mot de passe',
+        'Réinitialisation du mot de passe',
+        'Activation du compte'
+    ) NOT NULL,
+    user_id INT NULL,            -- NULL si l'email ne correspond à aucun compte
+    email VARCHAR(255) NULL,     -- Email saisi (permet le verrouillage même pour un email inconnu)
+    ip_address VARCHAR(45) NULL,
+    user_agent VARCHAR(255) NULL,
+    details VARCHAR(255) NULL,
+    created_by_user_id INT NULL, -- Admin à l'origine d'un déverrouillage
+    created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    KEY idx_auth_events_email (email, type_evenement, created_at),
+    KEY idx_auth_events_ip (ip_address, type_evenement, created_at),
+    KEY idx_auth_events_user (user_id, created_at)
+);
@@ -0,0 +1,43 @@
+-- Fichier: backend/database/migrations/004_two_factor.sql
+-- Double authentification TOTP (RFC 6238), codes de secours et politique par rôle
+
+ALTER TABLE users
+    ADD COLUMN totp_secret VARCHAR(255) NULL,       -- Secret chiffré (AES-256-GCM), jamais en clair
+    ADD COLUMN totp_enabled BOOLEAN NOT NULL DEFAULT FALSE,
+    ADD COLUMN totp_enabled_at DATETIME NULL,
+    ADD COLUMN totp_last_step BIGINT NULL;          -- Dernier pas de temps accepté (anti-rejeu)
+
+-- Codes de secours à usage unique (empreinte SHA-256)
+CREATE TABLE IF NOT EXISTS user_backup_codes (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    user_id INT NOT NULL,
+    code_hash CHAR(64) NOT NULL,
+    used_at DATETIME NULL,
+    created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    KEY idx_user_backup_codes_user (user_id),
+    CONSTRAINT fk_user_backup_codes_user FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+-- Rôles pour lesquels la double authentification est obligatoire
+CREATE TABLE IF NOT EXISTS mfa_role_policies (
+    role VARCHAR(50) PRIMARY KEY,
+    obligatoire BOOLEAN NOT NULL DEFAULT FALSE,
+    updated_by_user_id INT NULL,
+    updated_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+);
+
+-- Nouveaux types d'événements d'authentification
+ALTER TABLE auth_events
+    MODIFY COLUMN type_evenement ENUM(
+        'Connexion réussie',
+        'Échec de connexion',
+        'Verrouillage',
+        'Déverrouillage',
+        'Changement de mot de passe',
+        'Réinitialisation du mot de passe',
+        'Activation du compte',
+        'Échec double authentification',
+        'Double authentification activée',
+        'Double authentification désactivée',
+        'Double authentification réinitialisée'
+    ) NOT NULL;
@@ -0,0 +1,19 @@
+-- Fichier: backend/database/migrations/005_employee_change_requests.sql
+-- Demandes de modification des coordonnées soumises par l'employé (espace /api/user/me)
+-- Les changements ne sont appliqués à employee_contact qu'après validation RH.
+
+CREATE TABLE IF NOT EXISTS employee_change_requests (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    employee_id INT NOT NULL,
+    changements JSON NOT NULL,          -- { champ: nouvelle_valeur }
+    valeurs_precedentes JSON NULL,      -- Valeurs au moment de la demande (pour la revue RH)
+    commentaire_employe VARCHAR(255) NULL,
+    statut ENUM('En attente', 'Approuvé', 'Rejeté', 'Annulé') NOT NULL DEFAULT 'En attente',
+    commentaire_rh VARCHAR(255) NULL,
+    created_by_user_id INT NOT NULL,
+    reviewed_by_user_id INT NULL,
+    reviewed_at DATETIME NULL,
+    created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    KEY idx_employee_change_requests_statut (statut),
+    CONSTRAINT fk_employee_change_requests_employee FOREIGN KEY (employee_id) REFERENCES employees(id)
+);
@@ -0,0 +1,8 @@
+-- Fichier: backend/database/migrations/006_structure_soft_delete.sql
+-- Suppression logique des unités de structure : l'historique (employee_affectations)
+-- continue de référencer les sites, départements, services et équipes supprimés.
+
+ALTER TABLE sites ADD COLUMN actif BOOLEAN NOT NULL DEFAULT TRUE;
+ALTER TABLE departments ADD COLUMN actif BOOLEAN NOT NULL DEFAULT TRUE;
+ALTER TABLE services ADD COLUMN actif BOOLEAN NOT NULL DEFAULT TRUE;
+ALTER TABLE teams ADD COLUMN actif BOOLEAN NOT NULL DEFAULT TRUE;
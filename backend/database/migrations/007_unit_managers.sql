@@ -0,0 +1,23 @@
+-- Fichier: backend/database/migrations/007_unit_managers.sql
+-- Responsables des unités : chef de service (manquant jusqu'ici) et historique des nominations
+
+-- departments.responsable_id et teams.chef_equipe_id existent déjà ; le service n'avait pas de responsable
+ALTER TABLE services
+    ADD COLUMN responsable_id INT NULL,
+    ADD CONSTRAINT fk_services_responsable FOREIGN KEY (responsable_id) REFERENCES employees(id);
+
+-- Historique : qui a dirigé quelle unité, et quand
+CREATE TABLE IF NOT EXISTS unit_managers (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    unit_type ENUM('department', 'service', 'team') NOT NULL,
+    unit_id INT NOT NULL,
+    employee_id INT NOT NULL,
+    date_debut DATE NOT NULL,
+    date_fin DATE NULL,               -- NULL = responsable actuel
+    motif VARCHAR(255) NULL,
+    created_by_user_id INT NULL,
+    created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    KEY idx_unit_managers_unit (unit_type, unit_id, date_debut),
+    KEY idx_unit_managers_employee (employee_id),
+    CONSTRAINT fk_unit_managers_employee FOREIGN KEY (employee_id) REFERENCES employees(id)
+);
@@ -0,0 +1,23 @@
+-- Fichier: backend/database/migrations/008_reorganisations.sql
+-- Réorganisations en masse : déplacement d'une unité sous un nouveau parent, fusion de deux unités
+
+CREATE TABLE IF NOT EXISTS reorganisations (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    type_operation ENUM('Déplacement', 'Fusion') NOT NULL,
+    unit_type ENUM('department', 'service', 'team') NOT NULL,
+    unit_id INT NOT NULL,                 -- Unité déplacée, ou unité absorbée (fusion)
+    ancien_parent_id INT NULL,            -- Déplacement : parent avant l'opération
+    cible_id INT NOT NULL,                -- Déplacement : nouveau parent ; Fusion : unité absorbante
+    date_effet DATE NOT NULL,
+    motif VARCHAR(255) NOT NULL,
+    commentaire TEXT NULL,
+    nombre_employes INT NOT NULL DEFAULT 0,
+    created_by_user_id INT NULL,
+    created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    KEY idx_reorganisations_unit (unit_type, unit_id)
+);
+
+-- Lien entre une ligne d'historique et la réorganisation qui l'a produite
+ALTER TABLE employee_affectations
+    ADD COLUMN reorganisation_id INT NULL,
+    ADD CONSTRAINT fk_affectations_reorganisation FOREIGN KEY (reorganisation_id) REFERENCES reorganisations(id);
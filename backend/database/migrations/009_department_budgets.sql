@@ -0,0 +1,11 @@
+-- Fichier: backend/database/migrations/009_department_budgets.sql
+-- Suivi budgétaire des départements : seuil d'alerte et rattachement des alertes à un département
+
+-- Seuil d'alerte en % du budget annuel consommé (NULL = valeur par défaut BUDGET_ALERT_THRESHOLD)
+ALTER TABLE departments
+    ADD COLUMN seuil_alerte_budget DECIMAL(5,2) NULL;
+
+-- Les alertes budgétaires concernent un département et non un employé
+ALTER TABLE alerts
+    ADD COLUMN department_id INT NULL,
+    ADD CONSTRAINT fk_alerts_department FOREIGN KEY (department_id) REFERENCES departments(id);
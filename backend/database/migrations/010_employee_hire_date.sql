@@ -0,0 +1,11 @@
+-- Fichier: backend/database/migrations/010_employee_hire_date.sql
+-- Date d'embauche explicite (filtres de l'annuaire, registre du personnel)
+
+ALTER TABLE employees
+    ADD COLUMN date_embauche DATE NULL,
+    ADD KEY idx_employees_date_embauche (date_embauche);
+
+-- Reprise : la première affectation de l'historique correspond à l'embauche
+UPDATE employees e
+SET e.date_embauche = (SELECT MIN(a.date_debut) FROM employee_affectations a WHERE a.employee_id = e.id)
+WHERE e.date_embauche IS NULL;
@@ -0,0 +1,10 @@
+-- Fichier: backend/database/migrations/011_employee_exit_date.sql
+-- Date de sortie des effectifs (registre du personnel)
+
+ALTER TABLE employees
+    ADD COLUMN date_sortie DATE NULL;
+
+-- Reprise : pour les employés archivés, fin de la dernière affectation (renseignée par DELETE /api/employee/:id)
+UPDATE employees e
+SET e.date_sortie = (SELECT MAX(a.date_fin) FROM employee_affectations a WHERE a.employee_id = e.id)
+WHERE e.statut = 'Licencié' AND e.date_sortie IS NULL;
@@ -0,0 +1,43 @@
+-- Fichier: backend/database/migrations/012_employee_exits.sql
+-- Procédure de sortie : motif réel du départ, préavis, dernier jour travaillé et check-list de sortie
+
+-- 'Sorti' : employé archivé pour un autre motif qu'un licenciement (démission, fin de CDD, retraite...)
+ALTER TABLE employees
+    MODIFY COLUMN statut ENUM('Actif', 'Congé', 'Maladie', 'Suspendu', 'Licencié', 'Sorti') NOT NULL DEFAULT 'Actif';
+
+-- Fin effective d'un contrat (date_fin_prevue conserve l'échéance initiale d'un CDD)
+ALTER TABLE contracts
+    ADD COLUMN date_fin_reelle DATE NULL;
+
+CREATE TABLE IF NOT EXISTS employee_exits (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    employee_id INT NOT NULL,
+    type_sortie ENUM('Démission', 'Fin de CDD', 'Retraite', 'Licenciement', 'Décès', 'Rupture conventionnelle') NOT NULL,
+    date_notification DATE NOT NULL,        -- Remise de la démission, notification du licenciement...
+    preavis_jours INT NULL,                 -- Durée du préavis (NULL ou 0 : sans préavis / dispense)
+    dernier_jour_travaille DATE NOT NULL,   -- Reporté dans employees.date_sortie
+    date_embauche DATE NULL,                -- Début de la période d'emploi close (conservé en cas de réembauche)
+    contract_id INT NULL,                   -- Contrat principal clôturé
+    motif TEXT NULL,
+    statut ENUM('En préavis', 'Sorti') NOT NULL DEFAULT 'En préavis',
+    created_by_user_id INT NULL,
+    created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    finalized_at DATETIME NULL,
+    KEY idx_employee_exits_employee (employee_id),
+    KEY idx_employee_exits_statut (statut, dernier_jour_travaille),
+    CONSTRAINT fk_employee_exits_employee FOREIGN KEY (employee_id) REFERENCES employees(id),
+    CONSTRAINT fk_employee_exits_contract FOREIGN KEY (contract_id) REFERENCES contracts(id)
+);
+
+CREATE TABLE IF NOT EXISTS employee_exit_tasks (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    exit_id INT NOT NULL,
+    code ENUM('restitution_materiel', 'solde_tout_compte', 'certificat_travail', 'desactivation_compte') NOT NULL,
+    libelle VARCHAR(255) NOT NULL,
+    statut ENUM('À faire', 'Fait', 'Non applicable') NOT NULL DEFAULT 'À faire',
+    commentaire VARCHAR(255) NULL,
+    done_by_user_id INT NULL,
+    done_at DATETIME NULL,
+    UNIQUE KEY uq_employee_exit_tasks (exit_id, code),
+    CONSTRAINT fk_employee_exit_tasks_exit FOREIGN KEY (exit_id) REFERENCES employee_exits(id)
+);
@@ -0,0 +1,16 @@
+-- Fichier: backend/database/migrations/013_document_storage.sql
+-- Téléversement des documents RH : fichier stocké (empreinte, type MIME, taille) et versions successives
+
+ALTER TABLE documents
+    ADD COLUMN stockage VARCHAR(20) NULL,          -- Backend de stockage ('local'...) ; NULL = ancien lien saisi à la main
+    ADD COLUMN checksum CHAR(64) NULL,             -- SHA-256 du contenu (déduplication)
+    ADD COLUMN mime_type VARCHAR(100) NULL,
+    ADD COLUMN taille_octets INT NULL,
+    ADD COLUMN version INT NOT NULL DEFAULT 1,
+    ADD COLUMN remplace_document_id INT NULL,      -- Version précédente du même document
+    ADD COLUMN document_origine_id INT NULL,       -- Première version (NULL pour la première version elle-même)
+    ADD COLUMN est_version_courante BOOLEAN NOT NULL DEFAULT TRUE,
+    ADD KEY idx_documents_checksum (checksum),
+    ADD KEY idx_documents_employee_courant (employee_id, est_version_courante),
+    ADD KEY idx_documents_origine (document_origine_id),
+    ADD CONSTRAINT fk_documents_remplace FOREIGN KEY (remplace_document_id) REFERENCES documents(id);
@@ -0,0 +1,21 @@
+-- Fichier: backend/database/migrations/014_audit_logs.sql
+-- Journal d'audit des modifications de données (inspection du travail, audits internes)
+-- Alimenté automatiquement par services/auditService.js pour chaque INSERT / UPDATE / DELETE.
+
+CREATE TABLE IF NOT EXISTS audit_logs (
+    id BIGINT AUTO_INCREMENT PRIMARY KEY,
+    table_name VARCHAR(64) NOT NULL,
+    entity_id INT NULL,                   -- id de la ligne modifiée (NULL pour une table sans colonne id)
+    employee_id INT NULL,                 -- Employé concerné, pour la recherche par dossier
+    action ENUM('Création', 'Modification', 'Suppression') NOT NULL,
+    changements JSON NOT NULL,            -- { champ: { avant, apres } } ; mots de passe et secrets masqués
+    user_id INT NULL,                     -- NULL : action système (planificateur) ou non authentifiée
+    ip_address VARCHAR(45) NULL,
+    methode VARCHAR(10) NULL,             -- Méthode HTTP (POST, PUT, DELETE...)
+    route VARCHAR(255) NULL,              -- Route appelée, ou source hors requête (ex : 'Planificateur')
+    created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    KEY idx_audit_logs_entity (table_name, entity_id, created_at),
+    KEY idx_audit_logs_employee (employee_id, created_at),
+    KEY idx_audit_logs_user (user_id, created_at),
+    KEY idx_audit_logs_created (created_at)
+);
@@ -0,0 +1,78 @@
+-- Fichier: backend/database/migrations/015_employee_dependents_payment_identity.sql
+-- Dossier employé : ayants droit, moyens de paiement du salaire, numéros d'identification et pièces d'identité
+
+-- Conjoint(s) et enfants (allocations familiales, parts fiscales)
+CREATE TABLE IF NOT EXISTS employee_dependents (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    employee_id INT NOT NULL,
+    lien ENUM('Conjoint', 'Enfant') NOT NULL,
+    nom VARCHAR(100) NOT NULL,
+    prenom VARCHAR(100) NOT NULL,
+    genre ENUM('M', 'F') NULL,
+    date_naissance DATE NULL,
+    date_mariage DATE NULL,               -- Conjoint uniquement
+    numero_acte VARCHAR(50) NULL,         -- Acte de naissance ou de mariage
+    a_charge BOOLEAN NOT NULL DEFAULT TRUE,
+    scolarise BOOLEAN NOT NULL DEFAULT FALSE,
+    actif BOOLEAN NOT NULL DEFAULT TRUE,  -- FALSE : fin de droit (divorce, décès, majorité...), la ligne est conservée
+    date_fin DATE NULL,
+    motif_fin VARCHAR(255) NULL,
+    created_by_user_id INT NULL,
+    created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    KEY idx_employee_dependents_employee (employee_id, actif),
+    CONSTRAINT fk_employee_dependents_employee FOREIGN KEY (employee_id) REFERENCES employees(id)
+);
+
+-- Coordonnées de paiement du salaire : virement (RIB UEMOA) ou mobile money
+CREATE TABLE IF NOT EXISTS employee_payment_methods (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    employee_id INT NOT NULL,
+    type_paiement ENUM('Virement bancaire', 'Wave', 'Orange Money', 'Free Money') NOT NULL,
+    titulaire VARCHAR(150) NOT NULL,
+    banque VARCHAR(100) NULL,
+    code_banque CHAR(5) NULL,
+    code_guichet CHAR(5) NULL,
+    numero_compte CHAR(12) NULL,
+    cle_rib CHAR(2) NULL,
+    iban VARCHAR(34) NULL,
+    telephone VARCHAR(20) NULL,           -- Mobile money
+    est_principal BOOLEAN NOT NULL DEFAULT FALSE,
+    actif BOOLEAN NOT NULL DEFAULT TRUE,
+    created_by_user_id INT NULL,
+    created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    KEY idx_employee_payment_methods_employee (employee_id, actif),
+    CONSTRAINT fk_employee_payment_methods_employee FOREIGN KEY (employee_id) REFERENCES employees(id)
+);
+
+-- Numéros d'identification nationale et sociale (une ligne par employé)
+CREATE TABLE IF NOT EXISTS employee_identity (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    employee_id INT NOT NULL,
+    nin VARCHAR(20) NULL,                 -- Numéro d'identification nationale
+    numero_ipres VARCHAR(30) NULL,        -- Institution de prévoyance retraite du Sénégal
+    numero_css VARCHAR(30) NULL,          -- Caisse de sécurité sociale
+    updated_by_user_id INT NULL,
+    updated_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    UNIQUE KEY uq_employee_identity_employee (employee_id),
+    CONSTRAINT fk_employee_identity_employee FOREIGN KEY (employee_id) REFERENCES employees(id)
+);
+
+-- Pièces d'identité (une pièce renouvelée est une nouvelle ligne, l'ancienne est désactivée)
+CREATE TABLE IF NOT EXISTS employee_id_documents (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    employee_id INT NOT NULL,
+    type_piece ENUM('CNI', 'Passeport', 'Carte de séjour', 'Permis de conduire') NOT NULL,
+    numero VARCHAR(50) NOT NULL,
+    date_delivrance DATE NOT NULL,
+    date_expiration DATE NULL,
+    lieu_delivrance VARCHAR(100) NULL,
+    pays_delivrance VARCHAR(100) NULL,
+    document_id INT NULL,                 -- Copie numérisée téléversée (documents)
+    actif BOOLEAN NOT NULL DEFAULT TRUE,
+    created_by_user_id INT NULL,
+    created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    KEY idx_employee_id_documents_employee (employee_id, actif),
+    KEY idx_employee_id_documents_expiration (date_expiration),
+    CONSTRAINT fk_employee_id_documents_employee FOREIGN KEY (employee_id) REFERENCES employees(id),
+    CONSTRAINT fk_employee_id_documents_document FOREIGN KEY (document_id) REFERENCES documents(id)
+);
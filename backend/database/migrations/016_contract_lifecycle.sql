@@ -0,0 +1,22 @@
+-- Fichier: backend/database/migrations/016_contract_lifecycle.sql
+-- Cycle de vie des contrats : fin de contrat motivée, renouvellement de CDD et conversion en CDI
+
+ALTER TABLE contracts
+    ADD COLUMN motif_fin ENUM(
+        'Fin de CDD', 'Démission', 'Licenciement', 'Rupture conventionnelle', 'Retraite', 'Décès',
+        'Renouvellement', 'Conversion en CDI', 'Remplacement'
+    ) NULL,
+    ADD COLUMN commentaire_fin TEXT NULL,
+    -- Contrat précédent d'une chaîne de CDD (renouvellement) ou CDD converti en CDI
+    ADD COLUMN contrat_precedent_id INT NULL,
+    ADD COLUMN numero_renouvellement INT NOT NULL DEFAULT 0,
+    ADD COLUMN terminated_by_user_id INT NULL,
+    ADD COLUMN terminated_at DATETIME NULL,
+    ADD KEY idx_contracts_employee_statut (employee_id, statut),
+    ADD CONSTRAINT fk_contracts_precedent FOREIGN KEY (contrat_precedent_id) REFERENCES contracts(id);
+
+-- Reprise : échéance du contrat principal actif reportée sur la fiche employé
+UPDATE employees e
+JOIN contracts c ON c.employee_id = e.id AND c.statut = 'Actif' AND c.is_avenant = FALSE
+SET e.date_fin_contrat = c.date_fin_prevue
+WHERE e.date_fin_contrat IS NULL;
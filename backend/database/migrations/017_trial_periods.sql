@@ -0,0 +1,52 @@
+-- Fichier: backend/database/migrations/017_trial_periods.sql
+-- Période d'essai des contrats : durée par défaut selon la catégorie professionnelle du poste, renouvellement, décision
+
+-- Catégorie professionnelle du poste (détermine la durée d'essai par défaut)
+ALTER TABLE positions
+    ADD COLUMN categorie_professionnelle ENUM('Ouvrier', 'Employé', 'Agent de maîtrise', 'Cadre') NULL;
+
+-- Durées d'essai par catégorie et type de contrat (type_contrat NULL : tous les types non listés)
+CREATE TABLE IF NOT EXISTS trial_period_rules (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    categorie_professionnelle ENUM('Ouvrier', 'Employé', 'Agent de maîtrise', 'Cadre') NOT NULL,
+    type_contrat ENUM('CDI', 'CDD', 'Stage', 'Consultant', 'Saisonnier', 'Apprentissage') NULL,
+    duree INT NOT NULL,
+    unite ENUM('Jour', 'Mois') NOT NULL,
+    renouvelable BOOLEAN NOT NULL DEFAULT TRUE,  -- Une seule fois, pour une durée au plus égale
+    UNIQUE KEY uq_trial_period_rules (categorie_professionnelle, type_contrat)
+);
+
+-- Valeurs par défaut (convention collective nationale interprofessionnelle), ajustables par les RH
+INSERT INTO trial_period_rules (categorie_professionnelle, type_contrat, duree, unite, renouvelable) VALUES
+    ('Ouvrier', NULL, 8, 'Jour', TRUE),
+    ('Employé', NULL, 1, 'Mois', TRUE),
+    ('Agent de maîtrise', NULL, 2, 'Mois', TRUE),
+    ('Cadre', NULL, 3, 'Mois', TRUE),
+    ('Ouvrier', 'CDD', 8, 'Jour', FALSE),
+    ('Employé', 'CDD', 15, 'Jour', FALSE),
+    ('Agent de maîtrise', 'CDD', 1, 'Mois', FALSE),
+    ('Cadre', 'CDD', 1, 'Mois', FALSE);
+
+ALTER TABLE contracts
+    ADD COLUMN essai_date_debut DATE NULL,
+    ADD COLUMN essai_date_fin DATE NULL,               -- Échéance en cours (renouvellement inclus)
+    ADD COLUMN essai_date_fin_initiale DATE NULL,
+    ADD COLUMN essai_renouvele BOOLEAN NOT NULL DEFAULT FALSE,
+    ADD COLUMN essai_statut ENUM('En cours', 'Confirmé', 'Rompu') NULL,  -- NULL : contrat sans période d'essai
+    ADD COLUMN essai_decision_par_user_id INT NULL,    -- NULL avec 'Confirmé' : confirmation tacite à l'échéance
+    ADD COLUMN essai_decision_at DATETIME NULL,
+    ADD COLUMN essai_commentaire TEXT NULL,
+    ADD KEY idx_contracts_essai (essai_statut, essai_date_fin);
+
+-- Rupture de la période d'essai : fin de contrat et motif de sortie
+ALTER TABLE contracts
+    MODIFY COLUMN motif_fin ENUM(
+        'Fin de CDD', 'Démission', 'Licenciement', 'Rupture conventionnelle', 'Retraite', 'Décès',
+        'Rupture de la période d''essai', 'Renouvellement', 'Conversion en CDI', 'Remplacement'
+    ) NULL;
+
+ALTER TABLE employee_exits
+    MODIFY COLUMN type_sortie ENUM(
+        'Démission', 'Fin de CDD', 'Retraite', 'Licenciement', 'Décès', 'Rupture conventionnelle',
+        'Rupture de la période d''essai'
+    ) NOT NULL;
@@ -0,0 +1,44 @@
+-- Fichier: backend/database/migrations/018_sanction_effects.sql
+-- Effets des sanctions disciplinaires : mise à pied (suspension et retenue sur salaire), rétrogradation,
+-- retrait ou annulation d'une sanction
+
+ALTER TABLE sanctions
+    -- 'Retirée' : retirée avant d'avoir pris effet ; 'Annulée' : annulée après coup (effets annulés)
+    ADD COLUMN statut ENUM('Active', 'Retirée', 'Annulée') NOT NULL DEFAULT 'Active',
+    -- Exécution des effets : mise à pied et rétrogradation s'appliquent à date_effet (planificateur)
+    ADD COLUMN effet_statut ENUM('À appliquer', 'En cours', 'Appliqué') NOT NULL DEFAULT 'Appliqué',
+    ADD COLUMN date_fin_mise_a_pied DATE NULL,
+    -- Statut de l'employé avant la mise à pied, rétabli à sa fin ou à son annulation
+    ADD COLUMN statut_avant_mise_a_pied ENUM('Actif', 'Congé', 'Maladie') NULL,
+    -- Rétrogradation : nouveau poste, et poste quitté (pour une éventuelle annulation)
+    ADD COLUMN retro_position VARCHAR(255) NULL,
+    ADD COLUMN retro_fonction VARCHAR(255) NULL,
+    ADD COLUMN retro_position_id INT NULL,
+    ADD COLUMN retro_salaire_de_base DECIMAL(12,2) NULL,
+    ADD COLUMN ancien_position VARCHAR(255) NULL,
+    ADD COLUMN ancien_fonction VARCHAR(255) NULL,
+    ADD COLUMN ancien_position_id INT NULL,
+    ADD COLUMN avenant_contract_id INT NULL,
+    ADD COLUMN motif_annulation TEXT NULL,
+    ADD COLUMN annulee_par_user_id INT NULL,
+    ADD COLUMN annulee_at DATETIME NULL,
+    ADD KEY idx_sanctions_employee (employee_id, statut, date_effet),
+    ADD KEY idx_sanctions_effet (effet_statut, date_effet),
+    ADD CONSTRAINT fk_sanctions_avenant FOREIGN KEY (avenant_contract_id) REFERENCES contracts(id);
+
+-- Retenues sur salaire à reporter en paie (une ligne par mois concerné)
+CREATE TABLE IF NOT EXISTS payroll_deductions (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    employee_id INT NOT NULL,
+    sanction_id INT NULL,
+    periode CHAR(7) NOT NULL,                 -- Mois de paie 'YYYY-MM'
+    type_retenue ENUM('Mise à pied') NOT NULL,
+    jours INT NOT NULL,
+    montant DECIMAL(12,2) NOT NULL,
+    statut ENUM('À retenir', 'Annulée') NOT NULL DEFAULT 'À retenir',
+    created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    KEY idx_payroll_deductions_periode (periode, statut),
+    KEY idx_payroll_deductions_employee (employee_id),
+    CONSTRAINT fk_payroll_deductions_employee FOREIGN KEY (employee_id) REFERENCES employees(id),
+    CONSTRAINT fk_payroll_deductions_sanction FOREIGN KEY (sanction_id) REFERENCES sanctions(id)
+);
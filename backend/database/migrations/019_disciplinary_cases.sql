@@ -0,0 +1,57 @@
+-- Fichier: backend/database/migrations/019_disciplinary_cases.sql
+-- Procédure disciplinaire : rapport d'incident, convocation, entretien, explication écrite, décision et notification
+-- (la notification enregistre la sanction)
+
+CREATE TABLE IF NOT EXISTS disciplinary_cases (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    employee_id INT NOT NULL,
+    statut ENUM('En cours', 'Sanctionné', 'Classé sans suite') NOT NULL DEFAULT 'En cours',
+    etape_courante ENUM(
+        'Rapport d''incident', 'Convocation', 'Entretien', 'Explication écrite', 'Décision', 'Notification'
+    ) NOT NULL DEFAULT 'Rapport d''incident',
+    date_faits DATE NOT NULL,
+    date_connaissance DATE NOT NULL,      -- Connaissance des faits par l'employeur (point de départ de la prescription)
+    description TEXT NOT NULL,
+    -- Sanction décidée : { type_sanction, date_effet, jours_mise_a_pied, retrogradation, motif_detaille }
+    sanction_decidee JSON NULL,
+    sanction_id INT NULL,                 -- Sanction enregistrée à la notification
+    motif_classement TEXT NULL,
+    created_by_user_id INT NULL,
+    created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    closed_at DATETIME NULL,
+    KEY idx_disciplinary_cases_employee (employee_id, statut),
+    CONSTRAINT fk_disciplinary_cases_employee FOREIGN KEY (employee_id) REFERENCES employees(id),
+    CONSTRAINT fk_disciplinary_cases_sanction FOREIGN KEY (sanction_id) REFERENCES sanctions(id)
+);
+
+CREATE TABLE IF NOT EXISTS disciplinary_case_steps (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    case_id INT NOT NULL,
+    etape ENUM(
+        'Rapport d''incident', 'Convocation', 'Entretien', 'Explication écrite', 'Décision', 'Notification'
+    ) NOT NULL,
+    date_etape DATE NOT NULL,
+    date_entretien_prevue DATE NULL,      -- Convocation
+    compte_rendu TEXT NULL,               -- Entretien : procès-verbal
+    employe_present BOOLEAN NULL,         -- Entretien
+    assiste_par VARCHAR(255) NULL,        -- Entretien : personne assistant l'employé
+    explication_fournie BOOLEAN NULL,     -- Explication écrite : FALSE si le délai de réponse a expiré sans réponse
+    commentaire TEXT NULL,
+    created_by_user_id INT NULL,
+    created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE KEY uq_disciplinary_case_steps (case_id, etape),
+    CONSTRAINT fk_disciplinary_case_steps_case FOREIGN KEY (case_id) REFERENCES disciplinary_cases(id)
+);
+
+-- Pièces jointes d'une étape (documents téléversés dans le dossier de l'employé)
+CREATE TABLE IF NOT EXISTS disciplinary_step_documents (
+    step_id INT NOT NULL,
+    document_id INT NOT NULL,
+    PRIMARY KEY (step_id, document_id),
+    CONSTRAINT fk_disciplinary_step_documents_step FOREIGN KEY (step_id) REFERENCES disciplinary_case_steps(id),
+    CONSTRAINT fk_disciplinary_step_documents_document FOREIGN KEY (document_id) REFERENCES documents(id)
+);
+
+ALTER TABLE sanctions
+    ADD COLUMN disciplinary_case_id INT NULL,
+    ADD CONSTRAINT fk_sanctions_disciplinary_case FOREIGN KEY (disciplinary_case_id) REFERENCES disciplinary_cases(id);
@@ -0,0 +1,88 @@
+-- Fichier: backend/database/migrations/020_occupational_health.sql
+-- Médecine du travail : périodicité des visites par poste ou catégorie de risque, échéancier des visites
+-- (périodiques et de reprise), restrictions d'aptitude structurées et contraintes des postes
+
+-- Catégorie de risque du poste (détermine la périodicité des visites par défaut)
+ALTER TABLE positions
+    ADD COLUMN categorie_risque ENUM('Standard', 'Poste à risque', 'Surveillance renforcée') NULL;
+
+-- Périodicité des visites : règle propre à un poste, sinon règle de la catégorie de risque du poste
+CREATE TABLE IF NOT EXISTS medical_visit_rules (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    position_id INT NULL,
+    categorie_risque ENUM('Standard', 'Poste à risque', 'Surveillance renforcée') NULL,
+    periodicite_mois INT NOT NULL,
+    UNIQUE KEY uq_medical_visit_rules_position (position_id),
+    UNIQUE KEY uq_medical_visit_rules_categorie (categorie_risque),
+    CONSTRAINT fk_medical_visit_rules_position FOREIGN KEY (position_id) REFERENCES positions(id)
+);
+
+-- Valeurs par défaut, ajustables par les RH
+INSERT INTO medical_visit_rules (categorie_risque, periodicite_mois) VALUES
+    ('Standard', 12),
+    ('Poste à risque', 6),
+    ('Surveillance renforcée', 3);
+
+-- Échéancier : visites à réaliser (prochaine visite périodique, visite de reprise après un arrêt)
+CREATE TABLE IF NOT EXISTS medical_visit_schedule (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    employee_id INT NOT NULL,
+    type_visite ENUM('Embauche', 'Périodique', 'Reprise', 'A la demande') NOT NULL,
+    date_echeance DATE NOT NULL,
+    origine ENUM('Périodicité', 'Arrêt de travail') NOT NULL,
+    medical_visit_origine_id INT NULL,    -- Visite ayant fixé la prochaine échéance
+    work_accident_id INT NULL,            -- Arrêt (AT/MS/MP) imposant la visite de reprise
+    statut ENUM('À réaliser', 'Réalisée', 'Annulée') NOT NULL DEFAULT 'À réaliser',
+    medical_visit_id INT NULL,            -- Visite réalisée
+    created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    KEY idx_medical_visit_schedule_statut (statut, date_echeance),
+    KEY idx_medical_visit_schedule_employee (employee_id, statut),
+    CONSTRAINT fk_medical_visit_schedule_employee FOREIGN KEY (employee_id) REFERENCES employees(id),
+    CONSTRAINT fk_medical_visit_schedule_origine FOREIGN KEY (medical_visit_origine_id) REFERENCES medical_visits(id),
+    CONSTRAINT fk_medical_visit_schedule_accident FOREIGN KEY (work_accident_id) REFERENCES work_accidents(id),
+    CONSTRAINT fk_medical_visit_schedule_visit FOREIGN KEY (medical_visit_id) REFERENCES medical_visits(id)
+);
+
+-- Prochaines visites déjà saisies : dernière visite de chaque employé en poste
+INSERT INTO medical_visit_schedule (employee_id, type_visite, date_echeance, origine, medical_visit_origine_id)
+SELECT v.employee_id, 'Périodique', v.date_prochaine_visite, 'Périodicité', v.id
+FROM medical_visits v
+JOIN employees e ON v.employee_id = e.id
+WHERE v.date_prochaine_visite IS NOT NULL
+  AND e.statut NOT IN ('Licencié', 'Sorti')
+  AND NOT EXISTS (
+      SELECT 1 FROM medical_visits v2
+      WHERE v2.employee_id = v.employee_id
+        AND (v2.date_visite > v.date_visite OR (v2.date_visite = v.date_visite AND v2.id > v.id))
+  );
+
+-- Restrictions d'aptitude (une nouvelle visite remplace les restrictions précédentes)
+CREATE TABLE IF NOT EXISTS medical_restrictions (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    employee_id INT NOT NULL,
+    medical_visit_id INT NOT NULL,
+    code ENUM(
+        'Port de charges lourdes', 'Travail en hauteur', 'Travail de nuit', 'Station debout prolongée',
+        'Conduite d''engins ou de véhicules', 'Exposition au bruit', 'Exposition aux produits chimiques',
+        'Exposition à la chaleur', 'Travail sur écran', 'Gestes répétitifs'
+    ) NOT NULL,
+    commentaire VARCHAR(255) NULL,
+    date_fin DATE NULL,                   -- NULL : restriction sans limite de durée
+    actif BOOLEAN NOT NULL DEFAULT TRUE,
+    created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    KEY idx_medical_restrictions_employee (employee_id, actif),
+    CONSTRAINT fk_medical_restrictions_employee FOREIGN KEY (employee_id) REFERENCES employees(id),
+    CONSTRAINT fk_medical_restrictions_visit FOREIGN KEY (medical_visit_id) REFERENCES medical_visits(id)
+);
+
+-- Contraintes des postes, confrontées aux restrictions d'aptitude pour signaler les affectations incompatibles
+CREATE TABLE IF NOT EXISTS position_work_constraints (
+    position_id INT NOT NULL,
+    code ENUM(
+        'Port de charges lourdes', 'Travail en hauteur', 'Travail de nuit', 'Station debout prolongée',
+        'Conduite d''engins ou de véhicules', 'Exposition au bruit', 'Exposition aux produits chimiques',
+        'Exposition à la chaleur', 'Travail sur écran', 'Gestes répétitifs'
+    ) NOT NULL,
+    PRIMARY KEY (position_id, code),
+    CONSTRAINT fk_position_work_constraints_position FOREIGN KEY (position_id) REFERENCES positions(id)
+);
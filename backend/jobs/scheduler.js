@@ -0,0 +1,46 @@
+// Fichier: backend/jobs/scheduler.js
+
+const auditService = require('../services/auditService');
+const budgetService = require('../services/budgetService');
+const employeeExitService = require('../services/employeeExitService');
+const trialPeriodService = require('../services/trialPeriodService');
+const sanctionService = require('../services/sanctionService');
+
+// Tâches quotidiennes exécutées par le serveur
+const DAILY_TASKS = [
+    { name: 'Alertes budgétaires', run: () => budgetService.checkBudgetAlerts(new Date().getFullYear()) },
+    { name: 'Sorties arrivées à échéance', run: () => employeeExitService.finalizeDueExits() },
+    { name: 'Périodes d\'essai échues (confirmation tacite)', run: () => trialPeriodService.confirmLapsedTrials() },
+    { name: 'Alertes de fin de période d\'essai', run: () => trialPeriodService.createTrialEndAlerts() },
+    { name: 'Effets des sanctions (mises à pied, rétrogradations)', run: () => sanctionService.applyDueSanctionEffects() }
+];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const STARTUP_DELAY_MS = 60 * 1000; // Première exécution une minute après le démarrage
+
+// Exécute les tâches l'une après l'autre : l'échec d'une tâche n'empêche pas les suivantes
+const runDailyTasks = async () => {
+    for (const task of DAILY_TASKS) {
+        try {
+            const result = await auditService.runWithSource(`Planificateur : ${task.name}`, task.run);
+            console.log(`[Planificateur] ${task.name} : terminé${Array.isArray(result) ? ` (${result.length} élément(s))` : ''}.`);
+        } catch (err) {
+            console.error(`[Planificateur] ${task.name} : échec.`, err);
+        }
+    }
+};
+
+/**
+ * Démarre le planificateur (désactivable avec SCHEDULER_ENABLED=false, ex : plusieurs instances du serveur).
+ * Les minuteries n'empêchent pas l'arrêt du processus.
+ */
+const startScheduler = () => {
+    if (process.env.SCHEDULER_ENABLED === 'false') return;
+
+    setTimeout(() => {
+        runDailyTasks();
+        setInterval(runDailyTasks, DAY_MS).unref();
+    }, STARTUP_DELAY_MS).unref();
+};
+
+module.exports = { startScheduler, runDailyTasks };
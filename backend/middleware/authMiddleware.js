@@ -1,30 +1,47 @@
 // Fichier: backend/middleware/authMiddleware.js
 
 const jwt = require('jsonwebtoken');
+const { ACCESS_COOKIE, isAccessTokenRevoked } = require('../services/tokenService');
 
-const authMiddleware = (req, res, next) => {
-    // Tenter de récupérer le jeton du header 'Authorization'
+const authMiddleware = async (req, res, next) => {
+    // Tenter de récupérer le jeton du header 'Authorization', sinon du cookie httpOnly
     const authHeader = req.headers['authorization'];
-    const token = authHeader && authHeader.split(' ')[1]; // "Bearer TOKEN"
+    const token = (authHeader && authHeader.split(' ')[1]) || (req.cookies && req.cookies[ACCESS_COOKIE]); // "Bearer TOKEN"
 
     // Si aucun jeton n'est présent, renvoyer une erreur 401 Unauthorized
     if (token == null) {
         return res.status(401).json({ message: 'Accès non autorisé. Jeton manquant.' });
     }
 
+    let decodedToken;
     try {
         // Vérifier le jeton avec la clé secrète
-        const decodedToken = jwt.verify(token, process.env.JWT_SECRET);
+        decodedToken = jwt.verify(token, process.env.JWT_SECRET);
 
-        // Attacher les informations de l'utilisateur à l'objet de la requête
-        req.user = decodedToken;
-
-        // Passer au prochain middleware ou à la route finale
-        next();
+        // Un jeton de challenge (double authentification en cours) n'est pas un jeton d'accès
+        if (decodedToken.purpose) {
+            throw new Error('Jeton de challenge utilisé comme jeton d\'accès.');
+        }
     } catch (err) {
         // Si la vérification du jeton échoue (jeton invalide ou expiré), renvoyer une erreur 403 Forbidden
         return res.status(403).json({ message: 'Jeton invalide ou expiré.' });
     }
+
+    try {
+        // Rejeter les jetons dont la session a été révoquée (déconnexion) ou émis avant un changement de mot de passe
+        if (await isAccessTokenRevoked(decodedToken)) {
+            return res.status(401).json({ message: 'Session révoquée. Veuillez vous reconnecter.' });
+        }
+    } catch (err) {
+        console.error(err);
+        return res.status(500).json({ message: 'Une erreur serveur est survenue.' });
+    }
+
+    // Attacher les informations de l'utilisateur à l'objet de la requête
+    req.user = decodedToken;
+
+    // Passer au prochain middleware ou à la route finale
+    next();
 };
 
 module.exports = authMiddleware;
\ No newline at end of file
@@ -0,0 +1,167 @@
+// Fichier: backend/middleware/permissionMiddleware.js
+
+const db = require('../config/db');
+const { ROLE_SCOPES, PERMISSIONS } = require('../config/permissions');
+
+// Colonne de `employees` comparée pour chaque périmètre restreint
+const SCOPE_COLUMNS = {
+    site: 'site_id',
+    department: 'department_id',
+    team: 'team_id'
+};
+
+/**
+ * Charge (une seule fois par requête) la fiche employé liée à l'utilisateur connecté
+ * via `employees.user_id`. Le résultat est mis en cache dans req.userEmployee.
+ */
+const loadUserEmployee = async (req) => {
+    if (req.userEmployee === undefined) {
+        const [rows] = await db.query(
+            'SELECT id, site_id, department_id, service_id, team_id FROM employees WHERE user_id = ?',
+            [req.user.id]
+        );
+        req.userEmployee = rows[0] || null;
+    }
+    return req.userEmployee;
+};
+
+/**
+ * Indique si l'utilisateur connecté peut agir sur l'employé donné, selon son périmètre.
+ * Renvoie { allowed, status, message } pour permettre une réponse claire.
+ */
+const checkEmployeeScope = async (req, employeeId) => {
+    const scope = ROLE_SCOPES[req.user.role];
+
+    if (scope === 'global') {
+        return { allowed: true };
+    }
+
+    const userEmployee = await loadUserEmployee(req);
+    if (!userEmployee) {
+        return { allowed: false, status: 403, message: 'Aucune fiche employé n\'est liée à votre compte. Périmètre de données indéterminé.' };
+    }
+
+    // Rôle inconnu ou unité non renseignée sur la fiche de l'utilisateur : périmètre indéterminé (comme buildScopeClause)
+    const column = SCOPE_COLUMNS[scope];
+    if (scope !== 'self' && (!column || userEmployee[column] === null || userEmployee[column] === undefined)) {
+        return { allowed: false, status: 403, message: 'Votre fiche employé n\'est rattachée à aucune unité de votre périmètre. Périmètre de données indéterminé.' };
+    }
+
+    if (scope === 'self') {
+        return Number(employeeId) === userEmployee.id
+            ? { allowed: true }
+            : { allowed: false, status: 403, message: 'Accès refusé. Vous ne pouvez accéder qu\'à votre propre dossier.' };
+    }
+
+    const [rows] = await db.query('SELECT id, site_id, department_id, team_id FROM employees WHERE id = ?', [employeeId]);
+    if (rows.length === 0) {
+        return { allowed: false, status: 404, message: 'Employé non trouvé.' };
+    }
+
+    if (rows[0][column] !== userEmployee[column]) {
+        return { allowed: false, status: 403, message: `Accès refusé. Cet employé est hors de votre périmètre (${scope}).` };
+    }
+
+    return { allowed: true };
+};
+
+/**
+ * Indique si l'utilisateur connecté peut agir sur un département (et non sur un employé), selon son périmètre :
+ * global = tous, site = départements de son site, department = le sien ; équipe et soi-même : aucun.
+ * Renvoie { allowed, status, message } comme checkEmployeeScope.
+ */
+const checkDepartmentScope = async (req, departmentId) => {
+    const scope = ROLE_SCOPES[req.user.role];
+
+    const [rows] = await db.query('SELECT id, site_id FROM departments WHERE id = ?', [departmentId]);
+    if (rows.length === 0) {
+        return { allowed: false, status: 404, message: 'Département non trouvé.' };
+    }
+
+    if (scope === 'global') {
+        return { allowed: true };
+    }
+
+    const userEmployee = await loadUserEmployee(req);
+    const allowed = userEmployee && (
+        (scope === 'site' && userEmployee.site_id !== null && rows[0].site_id === userEmployee.site_id)
+        || (scope === 'department' && rows[0].id === userEmployee.department_id)
+    );
+    return allowed
+        ? { allowed: true }
+        : { allowed: false, status: 403, message: `Accès refusé. Ce département est hors de votre périmètre (${scope}).` };
+};
+
+/**
+ * Construit une clause SQL restreignant une liste d'employés au périmètre de l'utilisateur.
+ * Exemple : const { clause, params } = await buildScopeClause(req, 'e');
+ * Renvoie clause = '1 = 1' pour un périmètre global et '1 = 0' si le périmètre est indéterminé
+ * (rôle inconnu, pas de fiche employé, ou unité du périmètre non renseignée sur cette fiche).
+ */
+const buildScopeClause = async (req, alias = 'e') => {
+    const scope = ROLE_SCOPES[req.user.role];
+    if (scope === 'global') {
+        return { clause: '1 = 1', params: [] };
+    }
+
+    const userEmployee = await loadUserEmployee(req);
+    if (!scope || !userEmployee) {
+        return { clause: '1 = 0', params: [] };
+    }
+
+    if (scope === 'self') {
+        return { clause: `${alias}.id = ?`, params: [userEmployee.id] };
+    }
+
+    const column = SCOPE_COLUMNS[scope];
+    if (!column || userEmployee[column] === null || userEmployee[column] === undefined) {
+        return { clause: '1 = 0', params: [] };
+    }
+    return { clause: `${alias}.${column} = ?`, params: [userEmployee[column]] };
+};
+
+/**
+ * Middleware d'autorisation. À placer APRÈS authMiddleware.
+ * - Vérifie que le rôle de l'utilisateur possède la permission demandée (matrice config/permissions.js).
+ * - Si options.employeeId est fourni (fonction req => id), vérifie aussi que l'employé ciblé
+ *   appartient au périmètre de l'utilisateur (site, département, équipe ou lui-même).
+ *
+ * Exemple : router.get('/:id', authMiddleware, authorize('employee:read', { employeeId: req => req.params.id }), ...)
+ */
+const authorize = (permission, options = {}) => async (req, res, next) => {
+    const allowedRoles = PERMISSIONS[permission];
+    if (!allowedRoles) {
+        // Erreur de configuration : une route référence une permission inconnue
+        console.error(`Permission inconnue dans la matrice : ${permission}`);
+        return res.status(500).json({ message: 'Une erreur serveur est survenue.' });
+    }
+
+    if (!req.user || !allowedRoles.includes(req.user.role)) {
+        return res.status(403).json({
+            message: 'Accès refusé. Votre rôle ne permet pas cette action.',
+            permission: permission,
+            role: req.user ? req.user.role : null
+        });
+    }
+
+    try {
+        if (options.employeeId) {
+            const employeeId = options.employeeId(req);
+
+            // Sans employé ciblé, la validation Joi de la route renverra l'erreur 400 appropriée
+            if (employeeId !== undefined && employeeId !== null) {
+                const result = await checkEmployeeScope(req, employeeId);
+                if (!result.allowed) {
+                    return res.status(result.status).json({ message: result.message, permission: permission });
+                }
+            }
+        }
+
+        next();
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ message: 'Une erreur serveur est survenue.' });
+    }
+};
+
+module.exports = { authorize, checkEmployeeScope, checkDepartmentScope, buildScopeClause, loadUserEmployee };
@@ -0,0 +1,41 @@
+// Fichier: backend/middleware/uploadMiddleware.js
+
+const path = require('path');
+const multer = require('multer');
+
+/**
+ * Middleware de téléversement d'un fichier unique (multipart/form-data), conservé en mémoire (req.file.buffer).
+ * Les erreurs (taille, extension) sont renvoyées en 400 au format JSON habituel.
+ * @param {string} fieldName - Nom du champ du formulaire
+ * @param {{ extensions: string[], maxSizeMb: number }} options - Extensions acceptées (ex : ['.csv', '.xlsx'])
+ *
+ * Exemple : router.post('/import', authMiddleware, authorize(...), singleFileUpload('file', { extensions: ['.csv'], maxSizeMb: 5 }), ...)
+ */
+const singleFileUpload = (fieldName, { extensions, maxSizeMb }) => {
+    const upload = multer({
+        storage: multer.memoryStorage(),
+        limits: { fileSize: maxSizeMb * 1024 * 1024, files: 1 },
+        fileFilter: (req, file, callback) => {
+            const extension = path.extname(file.originalname).toLowerCase();
+            if (!extensions.includes(extension)) {
+                return callback(new Error(`Extension non autorisée (${extension || 'aucune'}). Formats acceptés : ${extensions.join(', ')}.`));
+            }
+            callback(null, true);
+        }
+    }).single(fieldName);
+
+    return (req, res, next) => upload(req, res, (err) => {
+        if (err) {
+            const message = err.code === 'LIMIT_FILE_SIZE'
+                ? `Fichier trop volumineux (maximum ${maxSizeMb} Mo).`
+                : err.message;
+            return res.status(400).json({ message: message });
+        }
+        if (!req.file) {
+            return res.status(400).json({ message: `Aucun fichier reçu (champ "${fieldName}").` });
+        }
+        next();
+    });
+};
+
+module.exports = { singleFileUpload };
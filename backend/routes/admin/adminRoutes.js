@@ -4,78 +4,22 @@ const express = require('express');
 const Joi = require('joi');
 const db = require('../../config/db');
 const authMiddleware = require('../../middleware/authMiddleware');
+const { authorize, checkDepartmentScope } = require('../../middleware/permissionMiddleware');
+const { ALL_ROLES, ROLE_SCOPES } = require('../../config/permissions');
+const structureService = require('../../services/structureService');
+const auditService = require('../../services/auditService');
+const tokenService = require('../../services/tokenService');
 
 const router = express.Router();
 
-// Schéma de validation pour l'ajout d'un document RH
-const documentSchema = Joi.object({
-    employee_id: Joi.number().integer().min(1).required(),
-    type_document: Joi.string().max(100).required(),
-    nom_fichier: Joi.string().max(255).required(),
-    chemin_stockage: Joi.string().max(255).required(), // Chemin ou URL du document
-    date_enregistrement: Joi.date().iso().default(new Date().toISOString().split('T')[0]),
-    date_expiration: Joi.date().iso().allow(null).optional(),
-    statut_alerte: Joi.string().valid('OK', 'Expiration 30j', 'Expiré').default('OK')
-});
-
-/**
- * Route pour ajouter un document à la bibliothèque RH.
- * POST /api/admin/documents
- */
-router.post('/documents', authMiddleware, async (req, res) => {
-    const connection = await db.getConnection();
-    await connection.beginTransaction();
-    
-    try {
-        const { error, value } = documentSchema.validate(req.body);
-        if (error) {
-            await connection.rollback();
-            return res.status(400).json({ message: error.details[0].message });
-        }
-        
-        // 1. Vérification : l'employé doit exister
-        const [empRows] = await connection.query('SELECT id FROM employees WHERE id = ?', [value.employee_id]);
-        if (empRows.length === 0) {
-            await connection.rollback();
-            return res.status(404).json({ message: 'Employé non trouvé.' });
-        }
-
-        // 2. Insertion du document
-        const [result] = await connection.query(`
-            INSERT INTO documents (
-                employee_id, type_document, nom_fichier, chemin_stockage, 
-                date_enregistrement, date_expiration, statut_alerte, created_by_user_id
-            )
-            VALUES (?, ?, ?, ?, ?, ?, ?, ?)
-        `, [
-            value.employee_id, value.type_document, value.nom_fichier, value.chemin_stockage,
-            value.date_enregistrement, value.date_expiration || null, value.statut_alerte, req.user.id
-        ]);
-        
-        const documentId = result.insertId;
-
-        await connection.commit();
-
-        res.status(201).json({
-            message: `Document "${value.type_document}" enregistré avec succès.`,
-            documentId: documentId
-        });
-
-    } catch (err) {
-        await connection.rollback();
-        console.error(err);
-        res.status(500).json({ message: 'Erreur serveur lors de l\'enregistrement du document.' });
-    } finally {
-        connection.release();
-    }
-});
-
+// Les documents RH sont téléversés via POST /api/employee/documents (fichier stocké, versionné et téléchargeable).
 
 // Schéma de validation pour l'ajout d'une alerte
 const alertSchema = Joi.object({
     type_alerte: Joi.string().max(50).required(),
     message_detaille: Joi.string().required(),
     employee_id: Joi.number().integer().min(1).allow(null).optional(),
+    department_id: Joi.number().integer().min(1).allow(null).optional(), // Alerte portant sur un département (sans employé)
     date_echeance: Joi.date().iso().allow(null).optional(),
     gravite: Joi.string().valid('Basse', 'Moyenne', 'Haute', 'Critique').default('Moyenne'),
     statut: Joi.string().valid('Ouvert', 'En cours', 'Fermé').default('Ouvert')
@@ -83,9 +27,11 @@ const alertSchema = Joi.object({
 
 /**
  * Route pour créer une alerte manuelle ou automatique.
+ * L'employé ou le département visé doit être dans le périmètre de l'utilisateur ; hors périmètre global,
+ * une alerte doit viser l'un ou l'autre.
  * POST /api/admin/alerts
  */
-router.post('/alerts', authMiddleware, async (req, res) => {
+router.post('/alerts', authMiddleware, authorize('alert:write', { employeeId: req => req.body.employee_id }), async (req, res) => {
     const connection = await db.getConnection();
     await connection.beginTransaction();
     
@@ -105,14 +51,26 @@ router.post('/alerts', authMiddleware, async (req, res) => {
             }
         }
 
-        // 2. Insertion de l'alerte
+        // 2. Périmètre : département visé, ou alerte générale réservée au périmètre global
+        if (value.department_id) {
+            const departmentScope = await checkDepartmentScope(req, value.department_id);
+            if (!departmentScope.allowed) {
+                await connection.rollback();
+                return res.status(departmentScope.status).json({ message: departmentScope.message, permission: 'alert:write' });
+            }
+        } else if (!value.employee_id && ROLE_SCOPES[req.user.role] !== 'global') {
+            await connection.rollback();
+            return res.status(403).json({ message: 'Accès refusé. Une alerte hors périmètre global doit viser un employé ou un département.', permission: 'alert:write' });
+        }
+
+        // 3. Insertion de l'alerte
         const [result] = await connection.query(`
             INSERT INTO alerts (
-                type_alerte, message_detaille, employee_id, date_echeance, gravite, statut, assignee_user_id
+                type_alerte, message_detaille, employee_id, department_id, date_echeance, gravite, statut, assignee_user_id
             )
-            VALUES (?, ?, ?, ?, ?, ?, ?)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?)
         `, [
-            value.type_alerte, value.message_detaille, value.employee_id, value.date_echeance || null,
+            value.type_alerte, value.message_detaille, value.employee_id, value.department_id || null, value.date_echeance || null,
             value.gravite, value.statut, req.user.id // L'utilisateur connecté est l'assigné par défaut
         ]);
         
@@ -134,5 +92,222 @@ router.post('/alerts', authMiddleware, async (req, res) => {
     }
 });
 
+// Schéma de validation des filtres du journal d'authentification
+const authEventsQuerySchema = Joi.object({
+    user_id: Joi.number().integer().min(1).optional(),
+    email: Joi.string().max(255).optional(),
+    ip_address: Joi.string().max(45).optional(),
+    type_evenement: Joi.string().max(50).optional(),
+    date_debut: Joi.date().iso().optional(),
+    date_fin: Joi.date().iso().min(Joi.ref('date_debut')).optional(),
+    limit: Joi.number().integer().min(1).max(500).default(100),
+    offset: Joi.number().integer().min(0).default(0)
+});
+
+/**
+ * Route pour consulter le journal des événements d'authentification.
+ * GET /api/admin/auth-events?user_id=&email=&ip_address=&type_evenement=&date_debut=&date_fin=&limit=&offset=
+ */
+router.get('/auth-events', authMiddleware, authorize('auth-event:read'), async (req, res) => {
+    try {
+        const { error, value } = authEventsQuerySchema.validate(req.query);
+        if (error) {
+            return res.status(400).json({ message: error.details[0].message });
+        }
+
+        // Construction dynamique des filtres
+        const conditions = [];
+        const params = [];
+        if (value.user_id) { conditions.push('ae.user_id = ?'); params.push(value.user_id); }
+        if (value.email) { conditions.push('ae.email = ?'); params.push(value.email.toLowerCase()); }
+        if (value.ip_address) { conditions.push('ae.ip_address = ?'); params.push(value.ip_address); }
+        if (value.type_evenement) { conditions.push('ae.type_evenement = ?'); params.push(value.type_evenement); }
+        if (value.date_debut) { conditions.push('ae.created_at >= ?'); params.push(value.date_debut); }
+        if (value.date_fin) { conditions.push('ae.created_at < ? + INTERVAL 1 DAY'); params.push(value.date_fin.toISOString().split('T')[0]); } // Journée de fin incluse
+
+        const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+        const [events] = await db.query(`
+            SELECT ae.*, u.role
+            FROM auth_events ae
+            LEFT JOIN users u ON ae.user_id = u.id
+            ${whereClause}
+            ORDER BY ae.created_at DESC, ae.id DESC
+            LIMIT ? OFFSET ?
+        `, [...params, value.limit, value.offset]);
+
+        const [countRows] = await db.query(`SELECT COUNT(*) AS total FROM auth_events ae ${whereClause}`, params);
+
+        res.status(200).json({
+            total: Number(countRows[0].total),
+            limit: value.limit,
+            offset: value.offset,
+            events: events
+        });
+
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ message: 'Erreur serveur lors de la récupération du journal d\'authentification.' });
+    }
+});
+
+// Schéma de validation des filtres du journal d'audit des modifications
+const auditLogsQuerySchema = Joi.object({
+    table_name: Joi.string().max(64).optional(), // Entité : employees, contracts, sites...
+    entity_id: Joi.number().integer().min(1).optional(),
+    employee_id: Joi.number().integer().min(1).optional(),
+    user_id: Joi.number().integer().min(1).optional(),
+    action: Joi.string().valid(...auditService.AUDIT_ACTIONS).optional(),
+    date_debut: Joi.date().iso().optional(),
+    date_fin: Joi.date().iso().min(Joi.ref('date_debut')).optional(),
+    limit: Joi.number().integer().min(1).max(500).default(100),
+    offset: Joi.number().integer().min(0).default(0)
+});
+
+/**
+ * Route pour consulter le journal d'audit des modifications (qui, quoi, avant/après, quand, depuis quelle IP).
+ * GET /api/admin/audit-logs?table_name=&entity_id=&employee_id=&user_id=&action=&date_debut=&date_fin=&limit=&offset=
+ */
+router.get('/audit-logs', authMiddleware, authorize('audit-log:read'), async (req, res) => {
+    try {
+        const { error, value } = auditLogsQuerySchema.validate(req.query);
+        if (error) {
+            return res.status(400).json({ message: error.details[0].message });
+        }
+
+        // Construction dynamique des filtres
+        const conditions = [];
+        const params = [];
+        if (value.table_name) { conditions.push('al.table_name = ?'); params.push(value.table_name); }
+        if (value.entity_id) { conditions.push('al.entity_id = ?'); params.push(value.entity_id); }
+        if (value.employee_id) { conditions.push('al.employee_id = ?'); params.push(value.employee_id); }
+        if (value.user_id) { conditions.push('al.user_id = ?'); params.push(value.user_id); }
+        if (value.action) { conditions.push('al.action = ?'); params.push(value.action); }
+        if (value.date_debut) { conditions.push('al.created_at >= ?'); params.push(value.date_debut); }
+        if (value.date_fin) { conditions.push('al.created_at < ? + INTERVAL 1 DAY'); params.push(value.date_fin.toISOString().split('T')[0]); } // Journée de fin incluse
+
+        const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+        const [logs] = await db.query(`
+            SELECT al.*, u.email AS user_email, u.role AS user_role
+            FROM audit_logs al
+            LEFT JOIN users u ON al.user_id = u.id
+            ${whereClause}
+            ORDER BY al.created_at DESC, al.id DESC
+            LIMIT ? OFFSET ?
+        `, [...params, value.limit, value.offset]);
+
+        const [countRows] = await db.query(`SELECT COUNT(*) AS total FROM audit_logs al ${whereClause}`, params);
+
+        res.status(200).json({
+            total: Number(countRows[0].total),
+            limit: value.limit,
+            offset: value.offset,
+            logs: logs
+        });
+
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ message: 'Erreur serveur lors de la récupération du journal d\'audit.' });
+    }
+});
+
+// Schéma de validation des options du rapport d'incohérences d'affectation
+const assignmentReportQuerySchema = Joi.object({
+    include_archived: Joi.boolean().default(false) // Inclure les employés licenciés/archivés
+});
+
+/**
+ * Rapport des affectations incohérentes avec la structure (employés et historique).
+ * Ex : équipe rattachée à un autre service que celui de l'employé, département d'un autre site.
+ * GET /api/admin/assignment-inconsistencies?include_archived=true
+ */
+router.get('/assignment-inconsistencies', authMiddleware, authorize('assignment-report:read'), async (req, res) => {
+    try {
+        const { error, value } = assignmentReportQuerySchema.validate(req.query);
+        if (error) {
+            return res.status(400).json({ message: error.details[0].message });
+        }
+
+        const report = await structureService.findInconsistentAssignments({ includeArchived: value.include_archived });
+
+        res.status(200).json({
+            total_employees: report.employees.length,
+            total_affectations: report.affectations.length,
+            employees: report.employees,
+            affectations: report.affectations
+        });
+
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ message: 'Erreur serveur lors de la génération du rapport d\'affectations.' });
+    }
+});
+
+// Schéma de validation de la politique de double authentification d'un rôle
+const mfaPolicySchema = Joi.object({
+    obligatoire: Joi.boolean().required()
+});
+
+/**
+ * Route pour lister la politique de double authentification de chaque rôle.
+ * GET /api/admin/mfa-policies
+ */
+router.get('/mfa-policies', authMiddleware, authorize('user:manage'), async (req, res) => {
+    try {
+        const [rows] = await db.query('SELECT role, obligatoire, updated_at FROM mfa_role_policies');
+
+        // Tous les rôles sont renvoyés, y compris ceux sans ligne (2FA facultative par défaut)
+        const policies = ALL_ROLES.map(role => {
+            const policy = rows.find(row => row.role === role);
+            return {
+                role: role,
+                obligatoire: policy ? !!policy.obligatoire : false,
+                updated_at: policy ? policy.updated_at : null
+            };
+        });
+
+        res.status(200).json(policies);
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ message: 'Erreur serveur lors de la récupération des politiques de double authentification.' });
+    }
+});
+
+/**
+ * Route pour rendre la double authentification obligatoire (ou facultative) pour un rôle.
+ * À l'activation, les sessions ouvertes des utilisateurs de ce rôle sans 2FA sont révoquées :
+ * ils devront se reconnecter et configurer la double authentification.
+ * PUT /api/admin/mfa-policies/:role
+ */
+router.put('/mfa-policies/:role', authMiddleware, authorize('user:manage'), async (req, res) => {
+    try {
+        if (!ALL_ROLES.includes(req.params.role)) {
+            return res.status(404).json({ message: 'Rôle inconnu.' });
+        }
+
+        const { error, value } = mfaPolicySchema.validate(req.body);
+        if (error) {
+            return res.status(400).json({ message: error.details[0].message });
+        }
+
+        await db.query(`
+            INSERT INTO mfa_role_policies (role, obligatoire, updated_by_user_id)
+            VALUES (?, ?, ?)
+            ON DUPLICATE KEY UPDATE obligatoire = VALUES(obligatoire), updated_by_user_id = VALUES(updated_by_user_id)
+        `, [req.params.role, value.obligatoire, req.user.id]);
+
+        const revokedSessions = value.obligatoire ? await tokenService.revokeRoleSessionsWithoutMfa(req.params.role) : 0;
+
+        res.status(200).json({
+            message: `Double authentification ${value.obligatoire ? 'obligatoire' : 'facultative'} pour le rôle "${req.params.role}".`,
+            sessionsRevoquees: revokedSessions
+        });
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ message: 'Erreur serveur lors de la mise à jour de la politique de double authentification.' });
+    }
+});
+
 
 module.exports = router;
\ No newline at end of file
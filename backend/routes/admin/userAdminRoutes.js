@@ -0,0 +1,434 @@
+// Fichier: backend/routes/admin/userAdminRoutes.js
+
+const express = require('express');
+const Joi = require('joi');
+const db = require('../../config/db');
+const authMiddleware = require('../../middleware/authMiddleware');
+const { authorize, checkEmployeeScope } = require('../../middleware/permissionMiddleware');
+const { ROLES, ALL_ROLES } = require('../../config/permissions');
+const tokenService = require('../../services/tokenService');
+const userAccountService = require('../../services/userAccountService');
+const authAuditService = require('../../services/authAuditService');
+
+const router = express.Router();
+
+// Rôles que seul un Admin peut attribuer
+const PRIVILEGED_ROLES = [ROLES.ADMIN, ROLES.RH];
+
+// Schéma de validation pour la création directe d'un compte (mot de passe fixé par l'Admin)
+const userCreationSchema = Joi.object({
+    email: Joi.string().email().max(255).required(),
+    password: userAccountService.passwordRule.required(),
+    role: Joi.string().valid(...ALL_ROLES).required(),
+    employee_id: Joi.number().integer().min(1).optional().allow(null) // Lien optionnel vers une fiche employé
+});
+
+// Schéma de validation pour une invitation (l'utilisateur choisira son mot de passe)
+const invitationSchema = Joi.object({
+    email: Joi.string().email().max(255).required(),
+    role: Joi.string().valid(...ALL_ROLES).required()
+});
+
+// Schéma de validation pour la création d'un compte depuis une fiche employé
+const fromEmployeeSchema = Joi.object({
+    email: Joi.string().email().max(255).optional(), // Par défaut : employee_contact.email_personnel
+    role: Joi.string().valid(...ALL_ROLES).default(ROLES.EMPLOYE)
+});
+
+// Schéma de validation pour le changement de rôle
+const roleSchema = Joi.object({
+    role: Joi.string().valid(...ALL_ROLES).required()
+});
+
+// Colonnes renvoyées pour un utilisateur (jamais le mot de passe)
+const USER_COLUMNS = `
+    u.id, u.email, u.role, u.statut, u.created_at,
+    e.id AS employee_id, e.matricule, e.nom, e.prenom
+`;
+
+/**
+ * Route pour lister les comptes utilisateurs.
+ * GET /api/admin/users
+ */
+router.get('/', authMiddleware, authorize('user:manage'), async (req, res) => {
+    try {
+        const [users] = await db.query(`
+            SELECT ${USER_COLUMNS}
+            FROM users u
+            LEFT JOIN employees e ON e.user_id = u.id
+            ORDER BY u.id DESC
+        `);
+        res.status(200).json(users);
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ message: 'Erreur serveur lors de la récupération des utilisateurs.' });
+    }
+});
+
+/**
+ * Route pour lire un compte utilisateur.
+ * GET /api/admin/users/:id
+ */
+router.get('/:id', authMiddleware, authorize('user:manage'), async (req, res) => {
+    try {
+        const [rows] = await db.query(`
+            SELECT ${USER_COLUMNS}
+            FROM users u
+            LEFT JOIN employees e ON e.user_id = u.id
+            WHERE u.id = ?
+        `, [req.params.id]);
+
+        if (rows.length === 0) {
+            return res.status(404).json({ message: 'Utilisateur non trouvé.' });
+        }
+        res.status(200).json(rows[0]);
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ message: 'Erreur serveur lors de la récupération de l\'utilisateur.' });
+    }
+});
+
+/**
+ * Route pour créer un compte utilisateur actif avec un mot de passe initial.
+ * POST /api/admin/users
+ */
+router.post('/', authMiddleware, authorize('user:manage'), async (req, res) => {
+    const connection = await db.getConnection();
+    await connection.beginTransaction();
+
+    try {
+        const { error, value } = userCreationSchema.validate(req.body);
+        if (error) {
+            await connection.rollback();
+            return res.status(400).json({ message: error.details[0].message });
+        }
+
+        // 1. Unicité de l'email
+        const [existing] = await connection.query('SELECT id FROM users WHERE email = ?', [value.email]);
+        if (existing.length > 0) {
+            await connection.rollback();
+            return res.status(409).json({ message: 'Un compte utilisateur existe déjà avec cet email.' });
+        }
+
+        // 2. Si un employé est indiqué, il doit exister et ne pas être déjà lié
+        if (value.employee_id) {
+            const [empRows] = await connection.query('SELECT user_id FROM employees WHERE id = ?', [value.employee_id]);
+            if (empRows.length === 0) {
+                await connection.rollback();
+                return res.status(404).json({ message: 'Employé non trouvé.' });
+            }
+            if (empRows[0].user_id) {
+                await connection.rollback();
+                return res.status(409).json({ message: 'Cet employé est déjà lié à un compte utilisateur.' });
+            }
+        }
+
+        // 3. Insertion du compte (mot de passe haché)
+        const [result] = await connection.query(`
+            INSERT INTO users (email, password, role, statut, created_by_user_id)
+            VALUES (?, ?, ?, 'Actif', ?)
+        `, [value.email, await userAccountService.hashPassword(value.password), value.role, req.user.id]);
+
+        const userId = result.insertId;
+
+        // 4. Lien avec la fiche employé
+        if (value.employee_id) {
+            await connection.query('UPDATE employees SET user_id = ? WHERE id = ?', [userId, value.employee_id]);
+        }
+
+        await connection.commit();
+
+        res.status(201).json({
+            message: 'Compte utilisateur créé avec succès.',
+            userId: userId
+        });
+
+    } catch (err) {
+        await connection.rollback();
+        console.error(err);
+        res.status(500).json({ message: 'Erreur serveur lors de la création du compte utilisateur.' });
+    } finally {
+        connection.release();
+    }
+});
+
+/**
+ * Route pour inviter un utilisateur par email (il choisira son mot de passe).
+ * POST /api/admin/users/invite
+ */
+router.post('/invite', authMiddleware, authorize('user:manage'), async (req, res) => {
+    const connection = await db.getConnection();
+    await connection.beginTransaction();
+
+    try {
+        const { error, value } = invitationSchema.validate(req.body);
+        if (error) {
+            await connection.rollback();
+            return res.status(400).json({ message: error.details[0].message });
+        }
+
+        const [existing] = await connection.query('SELECT id FROM users WHERE email = ?', [value.email]);
+        if (existing.length > 0) {
+            await connection.rollback();
+            return res.status(409).json({ message: 'Un compte utilisateur existe déjà avec cet email.' });
+        }
+
+        const { userId, token } = await userAccountService.createInvitedUser(connection, value, req.user.id);
+
+        await connection.commit();
+
+        // L'email n'est envoyé qu'une fois le compte réellement enregistré
+        const invitationSent = await userAccountService.deliverInvitationMail(value.email, token);
+
+        res.status(201).json({
+            message: invitationSent
+                ? `Invitation envoyée à ${value.email}.`
+                : `Compte créé, mais l'invitation n'a pas pu être envoyée à ${value.email}. Renvoyez-la (POST /api/admin/users/${userId}/resend-invitation).`,
+            userId: userId,
+            invitation_envoyee: invitationSent
+        });
+
+    } catch (err) {
+        await connection.rollback();
+        console.error(err);
+        res.status(500).json({ message: 'Erreur serveur lors de l\'invitation de l\'utilisateur.' });
+    } finally {
+        connection.release();
+    }
+});
+
+/**
+ * Route pour créer un compte à partir d'une fiche employé existante (lien employees.user_id).
+ * POST /api/admin/users/from-employee/:employeeId
+ */
+router.post('/from-employee/:employeeId', authMiddleware, authorize('user:create-from-employee', { employeeId: req => req.params.employeeId }), async (req, res) => {
+    const connection = await db.getConnection();
+    await connection.beginTransaction();
+
+    try {
+        const { error, value } = fromEmployeeSchema.validate(req.body || {});
+        if (error) {
+            await connection.rollback();
+            return res.status(400).json({ message: error.details[0].message });
+        }
+
+        if (PRIVILEGED_ROLES.includes(value.role) && req.user.role !== ROLES.ADMIN) {
+            await connection.rollback();
+            return res.status(403).json({ message: `Seul un Admin peut attribuer le rôle "${value.role}".` });
+        }
+
+        const result = await userAccountService.createUserFromEmployee(connection, req.params.employeeId, value, req.user.id);
+        if (result.status) {
+            await connection.rollback();
+            return res.status(result.status).json({ message: result.message });
+        }
+
+        await connection.commit();
+
+        const invitationSent = await userAccountService.deliverInvitationMail(result.email, result.token);
+
+        res.status(201).json({
+            message: invitationSent
+                ? `Compte créé pour l'employé et invitation envoyée à ${result.email}.`
+                : `Compte créé pour l'employé, mais l'invitation n'a pas pu être envoyée à ${result.email}. Renvoyez-la (POST /api/admin/users/${result.userId}/resend-invitation).`,
+            userId: result.userId,
+            invitation_envoyee: invitationSent
+        });
+
+    } catch (err) {
+        await connection.rollback();
+        console.error(err);
+        res.status(500).json({ message: 'Erreur serveur lors de la création du compte depuis la fiche employé.' });
+    } finally {
+        connection.release();
+    }
+});
+
+/**
+ * Route pour renvoyer l'invitation d'un compte pas encore activé (email non parti, lien expiré...).
+ * Un nouveau lien est émis et le précédent devient invalide. Les RH ne renvoient que les invitations
+ * des comptes liés à une fiche employé de leur périmètre.
+ * POST /api/admin/users/:id/resend-invitation
+ */
+router.post('/:id/resend-invitation', authMiddleware, authorize('user:create-from-employee'), async (req, res) => {
+    const connection = await db.getConnection();
+    await connection.beginTransaction();
+
+    try {
+        const [rows] = await connection.query(`
+            SELECT u.id, u.email, u.statut, e.id AS employee_id
+            FROM users u
+            LEFT JOIN employees e ON e.user_id = u.id
+            WHERE u.id = ?
+        `, [req.params.id]);
+        if (rows.length === 0) {
+            await connection.rollback();
+            return res.status(404).json({ message: 'Utilisateur non trouvé.' });
+        }
+        const user = rows[0];
+        if (user.statut !== 'Invité') {
+            await connection.rollback();
+            return res.status(409).json({ message: 'Ce compte est déjà activé. L\'utilisateur peut réinitialiser son mot de passe.' });
+        }
+
+        if (req.user.role !== ROLES.ADMIN) {
+            const scopeCheck = user.employee_id
+                ? await checkEmployeeScope(req, user.employee_id)
+                : { allowed: false, status: 403, message: 'Accès refusé. Ce compte n\'est lié à aucune fiche employé.' };
+            if (!scopeCheck.allowed) {
+                await connection.rollback();
+                return res.status(scopeCheck.status).json({ message: scopeCheck.message });
+            }
+        }
+
+        const token = await userAccountService.createOneTimeToken(connection, user.id, 'Invitation', req.user.id);
+        await connection.commit();
+
+        const invitationSent = await userAccountService.deliverInvitationMail(user.email, token);
+        if (!invitationSent) {
+            return res.status(502).json({ message: `L'invitation n'a pas pu être envoyée à ${user.email}. Réessayez plus tard.`, invitation_envoyee: false });
+        }
+
+        res.status(200).json({ message: `Invitation renvoyée à ${user.email}.`, invitation_envoyee: true });
+
+    } catch (err) {
+        await connection.rollback();
+        console.error(err);
+        res.status(500).json({ message: 'Erreur serveur lors du renvoi de l\'invitation.' });
+    } finally {
+        connection.release();
+    }
+});
+
+/**
+ * Route pour changer le rôle d'un utilisateur.
+ * PUT /api/admin/users/:id/role
+ */
+router.put('/:id/role', authMiddleware, authorize('user:manage'), async (req, res) => {
+    try {
+        const { error, value } = roleSchema.validate(req.body);
+        if (error) {
+            return res.status(400).json({ message: error.details[0].message });
+        }
+
+        if (Number(req.params.id) === req.user.id) {
+            return res.status(400).json({ message: 'Vous ne pouvez pas modifier votre propre rôle.' });
+        }
+
+        const [result] = await db.query('UPDATE users SET role = ? WHERE id = ?', [value.role, req.params.id]);
+        if (result.affectedRows === 0) {
+            return res.status(404).json({ message: 'Utilisateur non trouvé.' });
+        }
+
+        // Le rôle est signé dans les jetons : on ferme les sessions pour appliquer le nouveau rôle
+        await tokenService.revokeAllSessions(req.params.id, 'Changement de rôle');
+
+        res.status(200).json({ message: `Rôle mis à jour : ${value.role}. Les sessions de l'utilisateur ont été fermées.` });
+
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ message: 'Erreur serveur lors du changement de rôle.' });
+    }
+});
+
+/**
+ * Route pour désactiver un compte (connexion impossible, sessions fermées).
+ * PUT /api/admin/users/:id/disable
+ */
+router.put('/:id/disable', authMiddleware, authorize('user:manage'), async (req, res) => {
+    try {
+        if (Number(req.params.id) === req.user.id) {
+            return res.status(400).json({ message: 'Vous ne pouvez pas désactiver votre propre compte.' });
+        }
+
+        const [result] = await db.query('UPDATE users SET statut = "Désactivé" WHERE id = ?', [req.params.id]);
+        if (result.affectedRows === 0) {
+            return res.status(404).json({ message: 'Utilisateur non trouvé.' });
+        }
+
+        await tokenService.revokeAllSessions(req.params.id, 'Compte désactivé');
+
+        res.status(200).json({ message: 'Compte désactivé. Toutes les sessions ont été fermées.' });
+
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ message: 'Erreur serveur lors de la désactivation du compte.' });
+    }
+});
+
+/**
+ * Route pour réactiver un compte désactivé.
+ * PUT /api/admin/users/:id/enable
+ */
+router.put('/:id/enable', authMiddleware, authorize('user:manage'), async (req, res) => {
+    try {
+        const [result] = await db.query(
+            'UPDATE users SET statut = "Actif" WHERE id = ? AND statut = "Désactivé"',
+            [req.params.id]
+        );
+        if (result.affectedRows === 0) {
+            return res.status(404).json({ message: 'Compte désactivé non trouvé.' });
+        }
+
+        res.status(200).json({ message: 'Compte réactivé.' });
+
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ message: 'Erreur serveur lors de la réactivation du compte.' });
+    }
+});
+
+/**
+ * Route pour réinitialiser la double authentification d'un utilisateur (téléphone perdu...).
+ * L'utilisateur devra la reconfigurer ; ses sessions sont fermées.
+ * POST /api/admin/users/:id/reset-2fa
+ */
+router.post('/:id/reset-2fa', authMiddleware, authorize('user:manage'), async (req, res) => {
+    try {
+        const [rows] = await db.query('SELECT id, email FROM users WHERE id = ?', [req.params.id]);
+        if (rows.length === 0) {
+            return res.status(404).json({ message: 'Utilisateur non trouvé.' });
+        }
+
+        await db.query('UPDATE users SET totp_enabled = FALSE, totp_secret = NULL, totp_enabled_at = NULL, totp_last_step = NULL WHERE id = ?', [rows[0].id]);
+        await db.query('DELETE FROM user_backup_codes WHERE user_id = ?', [rows[0].id]);
+        await tokenService.revokeAllSessions(rows[0].id, 'Réinitialisation de la double authentification');
+
+        await authAuditService.recordEvent('Double authentification réinitialisée', {
+            userId: rows[0].id, email: rows[0].email, req, createdByUserId: req.user.id
+        });
+
+        res.status(200).json({ message: 'Double authentification réinitialisée. L\'utilisateur devra la reconfigurer.' });
+
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ message: 'Erreur serveur lors de la réinitialisation de la double authentification.' });
+    }
+});
+
+/**
+ * Route pour déverrouiller un compte bloqué après trop d'échecs de connexion.
+ * POST /api/admin/users/:id/unlock
+ */
+router.post('/:id/unlock', authMiddleware, authorize('user:manage'), async (req, res) => {
+    try {
+        const [rows] = await db.query('SELECT id, email FROM users WHERE id = ?', [req.params.id]);
+        if (rows.length === 0) {
+            return res.status(404).json({ message: 'Utilisateur non trouvé.' });
+        }
+
+        // Le déverrouillage remet à zéro le compteur d'échecs consécutifs et retire ces échecs du plafond par adresse IP
+        await authAuditService.recordEvent('Déverrouillage', {
+            userId: rows[0].id, email: rows[0].email, req,
+            details: 'Déverrouillage manuel par un administrateur', createdByUserId: req.user.id
+        });
+
+        res.status(200).json({ message: 'Compte déverrouillé.' });
+
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ message: 'Erreur serveur lors du déverrouillage du compte.' });
+    }
+});
+
+module.exports = router;
@@ -4,18 +4,70 @@
     const Joi = require('joi');
     const bcrypt = require('bcrypt');
     const db = require('../../config/db');
-    const jwt = require('jsonwebtoken'); // AJOUT: Importation de jsonwebtoken
+    const authMiddleware = require('../../middleware/authMiddleware');
+    const tokenService = require('../../services/tokenService');
+    const userAccountService = require('../../services/userAccountService');
+    const authAuditService = require('../../services/authAuditService');
+    const totpService = require('../../services/totpService');
 
     const router = express.Router();
 
-    // ... (Schéma de validation et route d'inscription existants)
+    // Pas d'inscription publique : les comptes sont créés ou invités par un Admin (routes/admin/userAdminRoutes.js)
 
     // Schéma de validation pour la connexion de l'utilisateur
     const loginSchema = Joi.object({
         email: Joi.string().email().required(),
-        password: Joi.string().required()
+        password: Joi.string().required(),
+        use_cookies: Joi.boolean().default(false) // Jetons déposés en cookies httpOnly plutôt que dans le corps
     });
 
+    // Schéma de validation pour le rafraîchissement / la déconnexion (le jeton peut aussi venir du cookie)
+    const refreshSchema = Joi.object({
+        refresh_token: Joi.string().optional(),
+        use_cookies: Joi.boolean().default(false)
+    });
+
+    // Schéma de validation pour la seconde étape de connexion (code TOTP ou code de secours)
+    const secondFactorSchema = Joi.object({
+        challenge_token: Joi.string().required(),
+        code: Joi.string().pattern(/^[0-9]{6}$/).optional(),
+        backup_code: Joi.string().pattern(/^[0-9a-fA-F]{4}-?[0-9a-fA-F]{4}$/).optional()
+    }).xor('code', 'backup_code');
+
+    // Schéma de validation pour l'activation d'une invitation ou la réinitialisation du mot de passe
+    const tokenPasswordSchema = Joi.object({
+        token: Joi.string().hex().length(64).required(),
+        password: userAccountService.passwordRule.required()
+    });
+
+    // Schéma de validation pour la demande de réinitialisation
+    const forgotPasswordSchema = Joi.object({
+        email: Joi.string().email().required()
+    });
+
+    // Schéma de validation pour le changement de mot de passe par l'utilisateur connecté
+    const changePasswordSchema = Joi.object({
+        current_password: Joi.string().required(),
+        new_password: userAccountService.passwordRule.invalid(Joi.ref('current_password')).required(),
+        use_cookies: Joi.boolean().default(false)
+    });
+
+    // Enregistre un nouveau mot de passe : les jetons émis auparavant deviennent invalides (password_changed_at)
+    const updatePassword = async (connection, userId, password, extraSet = '') => {
+        await connection.query(
+            `UPDATE users SET password = ?, password_changed_at = NOW()${extraSet} WHERE id = ?`,
+            [await userAccountService.hashPassword(password), userId]
+        );
+    };
+
+    // Message unique pour tout échec d'identification (ne révèle pas si l'email existe)
+    const LOGIN_FAILURE_MESSAGE = 'Email ou mot de passe incorrect.';
+
+    // Empreinte factice comparée quand l'email est inconnu, pour un temps de réponse identique
+    const DUMMY_PASSWORD_HASH = bcrypt.hashSync('sogas-mot-de-passe-factice', 10);
+
+    const { sendTokens } = tokenService;
+
     // Route de connexion de l'utilisateur
     router.post('/login', async (req, res) => {
         try {
@@ -25,32 +77,187 @@
                 return res.status(400).json({ message: error.details[0].message });
             }
 
-            // Chercher l'utilisateur dans la base de données
+            // 1. Protection anti-force brute : trop d'échecs récents depuis cette IP ou sur cet email
+            if (await authAuditService.isIpBlocked(req.ip)) {
+                return res.status(429).json({ message: 'Trop de tentatives de connexion. Réessayez plus tard.' });
+            }
+
+            const lockState = await authAuditService.getAccountLockState(value.email);
+            if (lockState.lockedUntil) {
+                return res.status(429).json({ message: 'Trop de tentatives de connexion. Réessayez plus tard.' });
+            }
+
+            // 2. Chercher l'utilisateur dans la base de données
             const [rows] = await db.query('SELECT * FROM users WHERE email = ?', [value.email]);
             const user = rows[0];
 
+            // 3. Comparer le mot de passe fourni avec le mot de passe haché
+            // (comparaison factice si l'email est inconnu : même réponse, même temps de traitement)
+            const passwordMatch = await bcrypt.compare(value.password, user ? user.password : DUMMY_PASSWORD_HASH);
+            if (!user || !passwordMatch) {
+                await authAuditService.recordLoginFailure(value.email, user ? user.id : null, req, user ? 'Mot de passe incorrect' : 'Email inconnu');
+                return res.status(401).json({ message: LOGIN_FAILURE_MESSAGE });
+            }
+
+            // Un compte invité (non activé) ou désactivé ne peut pas se connecter
+            if (user.statut !== 'Actif') {
+                await authAuditService.recordEvent('Échec de connexion', { userId: user.id, email: value.email, req, details: `Compte ${user.statut}` });
+                return res.status(403).json({ message: 'Ce compte n\'est pas actif. Contactez votre administrateur.' });
+            }
+
+            // 4. Double authentification : la session n'est ouverte qu'après vérification du second facteur
+            if (user.totp_enabled) {
+                return res.status(200).json({
+                    message: 'Code de double authentification requis.',
+                    mfa_required: true,
+                    challenge_token: tokenService.signChallengeToken(user, 'mfa', value.use_cookies)
+                });
+            }
+
+            if (await totpService.isMfaRequiredForRole(user.role)) {
+                // 2FA obligatoire pour ce rôle mais pas encore configurée : enrôlement via /api/auth/2fa/setup
+                return res.status(200).json({
+                    message: 'La double authentification est obligatoire pour votre rôle. Veuillez la configurer.',
+                    mfa_enrollment_required: true,
+                    challenge_token: tokenService.signChallengeToken(user, 'mfa-enrollment', value.use_cookies)
+                });
+            }
+
+            await authAuditService.recordEvent('Connexion réussie', { userId: user.id, email: value.email, req });
+
+            // Ouvrir une session : jeton d'accès court + refresh token rotatif stocké côté serveur
+            const tokens = await tokenService.createSession(user, req);
+
+            // Renvoie les jetons au client
+            sendTokens(res, 200, 'Connexion réussie !', tokens, { id: user.id, email: user.email, role: user.role }, value.use_cookies);
+
+        } catch (err) {
+            console.error(err);
+            res.status(500).json({ message: 'Une erreur serveur est survenue.' });
+        }
+    });
+
+    /**
+     * Seconde étape de connexion : vérification du code TOTP (ou d'un code de secours).
+     * POST /api/auth/login/2fa
+     */
+    router.post('/login/2fa', async (req, res) => {
+        try {
+            const { error, value } = secondFactorSchema.validate(req.body);
+            if (error) {
+                return res.status(400).json({ message: error.details[0].message });
+            }
+
+            const challenge = tokenService.verifyChallengeToken(value.challenge_token, 'mfa');
+            if (!challenge) {
+                return res.status(401).json({ message: 'Challenge invalide ou expiré. Veuillez vous reconnecter.' });
+            }
+
+            const [rows] = await db.query('SELECT * FROM users WHERE id = ? AND statut = "Actif" AND totp_enabled = TRUE', [challenge.id]);
+            const user = rows[0];
             if (!user) {
-                return res.status(404).json({ message: 'Utilisateur non trouvé.' });
+                return res.status(401).json({ message: 'Challenge invalide ou expiré. Veuillez vous reconnecter.' });
             }
 
-            // Comparer le mot de passe fourni avec le mot de passe haché
-            const passwordMatch = await bcrypt.compare(value.password, user.password);
-            if (!passwordMatch) {
-                return res.status(401).json({ message: 'Email ou mot de passe incorrect.' });
+            // Limite des essais de code pour ce compte (fenêtre glissante)
+            if (await authAuditService.isSecondFactorBlocked(user.id)) {
+                return res.status(429).json({ message: 'Trop de codes invalides. Réessayez plus tard.' });
+            }
+
+            if (!(await totpService.verifySecondFactor(user, value))) {
+                await authAuditService.recordEvent('Échec double authentification', { userId: user.id, email: user.email, req });
+                return res.status(401).json({ message: 'Code de double authentification invalide.' });
+            }
+
+            await authAuditService.recordEvent('Connexion réussie', {
+                userId: user.id, email: user.email, req,
+                details: value.backup_code ? 'Code de secours utilisé' : 'Double authentification TOTP'
+            });
+
+            const tokens = await tokenService.createSession(user, req);
+            sendTokens(res, 200, 'Connexion réussie !', tokens, { id: user.id, email: user.email, role: user.role }, challenge.use_cookies);
+
+        } catch (err) {
+            console.error(err);
+            res.status(500).json({ message: 'Une erreur serveur est survenue.' });
+        }
+    });
+
+    /**
+     * Route pour obtenir un nouveau jeton d'accès à partir d'un refresh token (rotation).
+     * POST /api/auth/refresh
+     */
+    router.post('/refresh', async (req, res) => {
+        try {
+            const { error, value } = refreshSchema.validate(req.body || {});
+            if (error) {
+                return res.status(400).json({ message: error.details[0].message });
+            }
+
+            const fromCookie = req.cookies && req.cookies[tokenService.REFRESH_COOKIE];
+            const refreshToken = value.refresh_token || fromCookie;
+            if (!refreshToken) {
+                return res.status(401).json({ message: 'Refresh token manquant.' });
             }
 
-            // Générer un JSON Web Token (JWT) pour l'utilisateur
-            const token = jwt.sign(
-                { id: user.id, email: user.email, role: user.role },
-                process.env.JWT_SECRET,
-                { expiresIn: '1h' } // Le jeton expire après 1 heure
-            );
+            const tokens = await tokenService.rotateSession(refreshToken);
+            if (!tokens) {
+                tokenService.clearAuthCookies(res);
+                return res.status(401).json({ message: 'Refresh token invalide, expiré ou révoqué. Veuillez vous reconnecter.' });
+            }
+
+            // On reste sur le mode de livraison choisi : cookie si le jeton venait d'un cookie
+            sendTokens(res, 200, 'Jeton rafraîchi avec succès.', tokens, tokens.user, value.use_cookies || (!value.refresh_token && !!fromCookie));
+
+        } catch (err) {
+            console.error(err);
+            res.status(500).json({ message: 'Une erreur serveur est survenue.' });
+        }
+    });
+
+    /**
+     * Route de déconnexion : révoque la session liée au refresh token (corps ou cookie).
+     * POST /api/auth/logout
+     */
+    router.post('/logout', async (req, res) => {
+        try {
+            const { error, value } = refreshSchema.validate(req.body || {});
+            if (error) {
+                return res.status(400).json({ message: error.details[0].message });
+            }
+
+            const refreshToken = value.refresh_token || (req.cookies && req.cookies[tokenService.REFRESH_COOKIE]);
+            if (!refreshToken) {
+                return res.status(400).json({ message: 'Refresh token manquant.' });
+            }
 
-            // Renvoie le jeton au client
+            const session = await tokenService.findSessionByRefreshToken(refreshToken);
+            if (session) {
+                await tokenService.revokeSession(session.id, 'Déconnexion');
+            }
+
+            // Réponse identique que la session existe ou non (pas d'information divulguée)
+            tokenService.clearAuthCookies(res);
+            res.status(200).json({ message: 'Déconnexion réussie.' });
+
+        } catch (err) {
+            console.error(err);
+            res.status(500).json({ message: 'Une erreur serveur est survenue.' });
+        }
+    });
+
+    /**
+     * Route pour se déconnecter de toutes ses sessions (tous les appareils).
+     * POST /api/auth/logout-all
+     */
+    router.post('/logout-all', authMiddleware, async (req, res) => {
+        try {
+            const revokedCount = await tokenService.revokeAllSessions(req.user.id);
+
+            tokenService.clearAuthCookies(res);
             res.status(200).json({
-                message: 'Connexion réussie !',
-                token: token,
-                user: { id: user.id, email: user.email, role: user.role }
+                message: 'Toutes vos sessions ont été fermées.',
+                sessionsRevoquees: revokedCount
             });
 
         } catch (err) {
@@ -59,4 +266,166 @@
         }
     });
 
+    /**
+     * Route pour activer un compte invité en choisissant son mot de passe.
+     * POST /api/auth/accept-invitation
+     */
+    router.post('/accept-invitation', async (req, res) => {
+        const connection = await db.getConnection();
+        await connection.beginTransaction();
+
+        try {
+            const { error, value } = tokenPasswordSchema.validate(req.body);
+            if (error) {
+                await connection.rollback();
+                return res.status(400).json({ message: error.details[0].message });
+            }
+
+            const userId = await userAccountService.consumeOneTimeToken(connection, value.token, 'Invitation');
+            if (!userId) {
+                await connection.rollback();
+                return res.status(400).json({ message: 'Lien d\'invitation invalide ou expiré.' });
+            }
+
+            await updatePassword(connection, userId, value.password, ', statut = "Actif"');
+            await connection.commit();
+
+            await authAuditService.recordEvent('Activation du compte', { userId, req });
+
+            res.status(200).json({ message: 'Compte activé. Vous pouvez maintenant vous connecter.' });
+
+        } catch (err) {
+            await connection.rollback();
+            console.error(err);
+            res.status(500).json({ message: 'Une erreur serveur est survenue.' });
+        } finally {
+            connection.release();
+        }
+    });
+
+    /**
+     * Route pour demander un email de réinitialisation du mot de passe.
+     * POST /api/auth/forgot-password
+     */
+    router.post('/forgot-password', async (req, res) => {
+        const connection = await db.getConnection();
+        await connection.beginTransaction();
+
+        try {
+            const { error, value } = forgotPasswordSchema.validate(req.body);
+            if (error) {
+                await connection.rollback();
+                return res.status(400).json({ message: error.details[0].message });
+            }
+
+            const [rows] = await connection.query('SELECT id, email FROM users WHERE email = ? AND statut = "Actif"', [value.email]);
+            let token = null;
+            if (rows.length > 0) {
+                token = await userAccountService.createOneTimeToken(connection, rows[0].id, 'Réinitialisation');
+            }
+
+            await connection.commit();
+
+            // Envoi sans attente : un échec est consigné mais la réponse (et son délai) ne dépend pas de l'existence du compte
+            if (token) {
+                userAccountService.sendResetMail(rows[0].email, token)
+                    .catch(err => console.error(`Envoi du lien de réinitialisation à ${rows[0].email} impossible.`, err));
+            }
+
+            // Réponse identique que l'email existe ou non (pas d'énumération des comptes)
+            res.status(200).json({ message: 'Si un compte actif correspond à cet email, un lien de réinitialisation a été envoyé.' });
+
+        } catch (err) {
+            await connection.rollback();
+            console.error(err);
+            res.status(500).json({ message: 'Une erreur serveur est survenue.' });
+        } finally {
+            connection.release();
+        }
+    });
+
+    /**
+     * Route pour définir un nouveau mot de passe à partir du lien de réinitialisation.
+     * POST /api/auth/reset-password
+     */
+    router.post('/reset-password', async (req, res) => {
+        const connection = await db.getConnection();
+        await connection.beginTransaction();
+
+        try {
+            const { error, value } = tokenPasswordSchema.validate(req.body);
+            if (error) {
+                await connection.rollback();
+                return res.status(400).json({ message: error.details[0].message });
+            }
+
+            const userId = await userAccountService.consumeOneTimeToken(connection, value.token, 'Réinitialisation');
+            if (!userId) {
+                await connection.rollback();
+                return res.status(400).json({ message: 'Lien de réinitialisation invalide ou expiré.' });
+            }
+
+            await updatePassword(connection, userId, value.password);
+            await connection.commit();
+
+            await authAuditService.recordEvent('Réinitialisation du mot de passe', { userId, req });
+
+            // Par sécurité, toutes les sessions existantes sont fermées
+            await tokenService.revokeAllSessions(userId, 'Réinitialisation du mot de passe');
+
+            res.status(200).json({ message: 'Mot de passe réinitialisé. Vous pouvez maintenant vous connecter.' });
+
+        } catch (err) {
+            await connection.rollback();
+            console.error(err);
+            res.status(500).json({ message: 'Une erreur serveur est survenue.' });
+        } finally {
+            connection.release();
+        }
+    });
+
+    /**
+     * Route pour changer son mot de passe (utilisateur connecté).
+     * Les autres sessions sont fermées et une nouvelle session est ouverte pour l'appelant.
+     * POST /api/auth/change-password
+     */
+    router.post('/change-password', authMiddleware, async (req, res) => {
+        const connection = await db.getConnection();
+        await connection.beginTransaction();
+
+        try {
+            const { error, value } = changePasswordSchema.validate(req.body);
+            if (error) {
+                await connection.rollback();
+                return res.status(400).json({ message: error.details[0].message });
+            }
+
+            const [rows] = await connection.query('SELECT id, email, role, password FROM users WHERE id = ?', [req.user.id]);
+            const user = rows[0];
+
+            const passwordMatch = user && await bcrypt.compare(value.current_password, user.password);
+            if (!passwordMatch) {
+                await connection.rollback();
+                return res.status(401).json({ message: 'Mot de passe actuel incorrect.' });
+            }
+
+            await updatePassword(connection, user.id, value.new_password);
+            await connection.commit();
+
+            await authAuditService.recordEvent('Changement de mot de passe', { userId: user.id, email: user.email, req });
+
+            await tokenService.revokeAllSessions(user.id, 'Changement de mot de passe');
+            const tokens = await tokenService.createSession(user, req);
+
+            sendTokens(res, 200, 'Mot de passe modifié. Vos autres sessions ont été fermées.', tokens, { id: user.id, email: user.email, role: user.role }, value.use_cookies);
+
+        } catch (err) {
+            await connection.rollback();
+            console.error(err);
+            res.status(500).json({ message: 'Une erreur serveur est survenue.' });
+        } finally {
+            connection.release();
+        }
+    });
+
     module.exports = router;
\ No newline at end of file
@@ -0,0 +1,267 @@
+// Fichier: backend/routes/auth/twoFactorRoutes.js
+
+const express = require('express');
+const Joi = require('joi');
+const db = require('../../config/db');
+const authMiddleware = require('../../middleware/authMiddleware');
+const tokenService = require('../../services/tokenService');
+const totpService = require('../../services/totpService');
+const authAuditService = require('../../services/authAuditService');
+
+const router = express.Router();
+
+// Schéma de validation pour la configuration (jeton de challenge optionnel si enrôlement à la connexion)
+const setupSchema = Joi.object({
+    challenge_token: Joi.string().optional()
+});
+
+// Schéma de validation pour l'activation : premier code généré par l'application
+const enableSchema = Joi.object({
+    challenge_token: Joi.string().optional(),
+    code: Joi.string().pattern(/^[0-9]{6}$/).required()
+});
+
+// Schéma de validation d'un second facteur (code TOTP ou code de secours)
+const secondFactorSchema = Joi.object({
+    code: Joi.string().pattern(/^[0-9]{6}$/).optional(),
+    backup_code: Joi.string().pattern(/^[0-9a-fA-F]{4}-?[0-9a-fA-F]{4}$/).optional()
+}).xor('code', 'backup_code');
+
+/**
+ * Authentifie soit un utilisateur connecté (authMiddleware), soit un utilisateur en cours de
+ * connexion dont le rôle impose la 2FA (jeton de challenge 'mfa-enrollment' dans le corps).
+ * Renseigne req.user.id et req.mfaEnrollment.
+ */
+const enrollmentAuth = (req, res, next) => {
+    const challengeToken = req.body && req.body.challenge_token;
+    if (!challengeToken) {
+        req.mfaEnrollment = null;
+        return authMiddleware(req, res, next);
+    }
+
+    const challenge = tokenService.verifyChallengeToken(challengeToken, 'mfa-enrollment');
+    if (!challenge) {
+        return res.status(401).json({ message: 'Challenge invalide ou expiré. Veuillez vous reconnecter.' });
+    }
+
+    req.user = { id: challenge.id };
+    req.mfaEnrollment = challenge;
+    next();
+};
+
+// Charge l'utilisateur complet (secret TOTP compris) ; uniquement les comptes actifs
+const loadUser = async (userId) => {
+    const [rows] = await db.query('SELECT * FROM users WHERE id = ? AND statut = "Actif"', [userId]);
+    return rows[0] || null;
+};
+
+/**
+ * Route pour connaître l'état de la double authentification de l'utilisateur connecté.
+ * GET /api/auth/2fa/status
+ */
+router.get('/status', authMiddleware, async (req, res) => {
+    try {
+        const user = await loadUser(req.user.id);
+        if (!user) {
+            return res.status(404).json({ message: 'Utilisateur non trouvé.' });
+        }
+
+        const [codes] = await db.query(
+            'SELECT COUNT(*) AS restants FROM user_backup_codes WHERE user_id = ? AND used_at IS NULL',
+            [user.id]
+        );
+
+        res.status(200).json({
+            totp_enabled: !!user.totp_enabled,
+            totp_enabled_at: user.totp_enabled_at,
+            obligatoire: await totpService.isMfaRequiredForRole(user.role),
+            codes_secours_restants: Number(codes[0].restants)
+        });
+
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ message: 'Une erreur serveur est survenue.' });
+    }
+});
+
+/**
+ * Route pour générer un nouveau secret TOTP (non actif tant qu'il n'est pas confirmé par /enable).
+ * Renvoie le secret et l'URI otpauth:// à afficher sous forme de QR code.
+ * POST /api/auth/2fa/setup
+ */
+router.post('/setup', enrollmentAuth, async (req, res) => {
+    try {
+        const { error } = setupSchema.validate(req.body || {});
+        if (error) {
+            return res.status(400).json({ message: error.details[0].message });
+        }
+
+        const user = await loadUser(req.user.id);
+        if (!user) {
+            return res.status(404).json({ message: 'Utilisateur non trouvé.' });
+        }
+        if (user.totp_enabled) {
+            return res.status(409).json({ message: 'La double authentification est déjà activée. Désactivez-la avant de la reconfigurer.' });
+        }
+
+        const secret = totpService.generateSecret();
+        await db.query('UPDATE users SET totp_secret = ?, totp_last_step = NULL WHERE id = ?', [totpService.encryptSecret(secret), user.id]);
+
+        res.status(200).json({
+            message: 'Scannez le QR code avec votre application d\'authentification puis confirmez avec un code.',
+            secret: secret,
+            provisioning_uri: totpService.buildProvisioningUri(user.email, secret)
+        });
+
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ message: 'Une erreur serveur est survenue.' });
+    }
+});
+
+/**
+ * Route pour activer la double authentification en confirmant un premier code.
+ * Renvoie les codes de secours (affichés une seule fois). En cas d'enrôlement à la connexion,
+ * la session est ouverte dans la foulée.
+ * POST /api/auth/2fa/enable
+ */
+router.post('/enable', enrollmentAuth, async (req, res) => {
+    const connection = await db.getConnection();
+    await connection.beginTransaction();
+
+    try {
+        const { error, value } = enableSchema.validate(req.body);
+        if (error) {
+            await connection.rollback();
+            return res.status(400).json({ message: error.details[0].message });
+        }
+
+        const user = await loadUser(req.user.id);
+        if (!user || !user.totp_secret) {
+            await connection.rollback();
+            return res.status(400).json({ message: 'Aucune configuration en attente. Appelez d\'abord /api/auth/2fa/setup.' });
+        }
+        if (user.totp_enabled) {
+            await connection.rollback();
+            return res.status(409).json({ message: 'La double authentification est déjà activée.' });
+        }
+
+        const step = totpService.verifyTotp(totpService.decryptSecret(user.totp_secret), value.code);
+        if (step === null) {
+            await connection.rollback();
+            return res.status(400).json({ message: 'Code invalide. Vérifiez l\'heure de votre téléphone et réessayez.' });
+        }
+
+        await connection.query(
+            'UPDATE users SET totp_enabled = TRUE, totp_enabled_at = NOW(), totp_last_step = ? WHERE id = ?',
+            [step, user.id]
+        );
+        const backupCodes = await totpService.regenerateBackupCodes(connection, user.id);
+
+        await connection.commit();
+
+        await authAuditService.recordEvent('Double authentification activée', { userId: user.id, email: user.email, req });
+
+        const message = 'Double authentification activée. Conservez vos codes de secours en lieu sûr.';
+
+        if (req.mfaEnrollment) {
+            await authAuditService.recordEvent('Connexion réussie', { userId: user.id, email: user.email, req, details: 'Enrôlement 2FA' });
+            const tokens = await tokenService.createSession(user, req);
+            return tokenService.sendTokens(res, 200, message, tokens, { id: user.id, email: user.email, role: user.role }, req.mfaEnrollment.use_cookies, { backup_codes: backupCodes });
+        }
+
+        res.status(200).json({ message: message, backup_codes: backupCodes });
+
+    } catch (err) {
+        await connection.rollback();
+        console.error(err);
+        res.status(500).json({ message: 'Une erreur serveur est survenue.' });
+    } finally {
+        connection.release();
+    }
+});
+
+/**
+ * Route pour désactiver sa double authentification (impossible si elle est obligatoire pour son rôle).
+ * POST /api/auth/2fa/disable
+ */
+router.post('/disable', authMiddleware, async (req, res) => {
+    try {
+        const { error, value } = secondFactorSchema.validate(req.body);
+        if (error) {
+            return res.status(400).json({ message: error.details[0].message });
+        }
+
+        const user = await loadUser(req.user.id);
+        if (!user || !user.totp_enabled) {
+            return res.status(400).json({ message: 'La double authentification n\'est pas activée.' });
+        }
+        if (await totpService.isMfaRequiredForRole(user.role)) {
+            return res.status(403).json({ message: 'La double authentification est obligatoire pour votre rôle.' });
+        }
+        if (await authAuditService.isSecondFactorBlocked(user.id)) {
+            return res.status(429).json({ message: 'Trop de codes invalides. Réessayez plus tard.' });
+        }
+        if (!(await totpService.verifySecondFactor(user, value))) {
+            await authAuditService.recordEvent('Échec double authentification', { userId: user.id, email: user.email, req });
+            return res.status(401).json({ message: 'Code de double authentification invalide.' });
+        }
+
+        await db.query('UPDATE users SET totp_enabled = FALSE, totp_secret = NULL, totp_enabled_at = NULL, totp_last_step = NULL WHERE id = ?', [user.id]);
+        await db.query('DELETE FROM user_backup_codes WHERE user_id = ?', [user.id]);
+
+        await authAuditService.recordEvent('Double authentification désactivée', { userId: user.id, email: user.email, req });
+
+        res.status(200).json({ message: 'Double authentification désactivée.' });
+
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ message: 'Une erreur serveur est survenue.' });
+    }
+});
+
+/**
+ * Route pour régénérer ses codes de secours (les anciens deviennent invalides).
+ * POST /api/auth/2fa/backup-codes
+ */
+router.post('/backup-codes', authMiddleware, async (req, res) => {
+    const connection = await db.getConnection();
+    await connection.beginTransaction();
+
+    try {
+        const { error, value } = secondFactorSchema.validate(req.body);
+        if (error) {
+            await connection.rollback();
+            return res.status(400).json({ message: error.details[0].message });
+        }
+
+        const user = await loadUser(req.user.id);
+        if (!user || !user.totp_enabled) {
+            await connection.rollback();
+            return res.status(400).json({ message: 'La double authentification n\'est pas activée.' });
+        }
+        if (await authAuditService.isSecondFactorBlocked(user.id)) {
+            await connection.rollback();
+            return res.status(429).json({ message: 'Trop de codes invalides. Réessayez plus tard.' });
+        }
+        if (!(await totpService.verifySecondFactor(user, value))) {
+            await connection.rollback();
+            await authAuditService.recordEvent('Échec double authentification', { userId: user.id, email: user.email, req });
+            return res.status(401).json({ message: 'Code de double authentification invalide.' });
+        }
+
+        const backupCodes = await totpService.regenerateBackupCodes(connection, user.id);
+        await connection.commit();
+
+        res.status(200).json({ message: 'Nouveaux codes de secours générés.', backup_codes: backupCodes });
+
+    } catch (err) {
+        await connection.rollback();
+        console.error(err);
+        res.status(500).json({ message: 'Une erreur serveur est survenue.' });
+    } finally {
+        connection.release();
+    }
+});
+
+module.exports = router;
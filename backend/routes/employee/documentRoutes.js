@@ -0,0 +1,168 @@
+// Fichier: backend/routes/employee/documentRoutes.js
+
+const express = require('express');
+const Joi = require('joi');
+const db = require('../../config/db');
+const { PERMISSIONS } = require('../../config/permissions');
+const authMiddleware = require('../../middleware/authMiddleware');
+const { authorize, checkEmployeeScope, loadUserEmployee } = require('../../middleware/permissionMiddleware');
+const { singleFileUpload } = require('../../middleware/uploadMiddleware');
+const documentService = require('../../services/documentService');
+
+const router = express.Router();
+
+const DOCUMENT_MAX_SIZE_MB = parseInt(process.env.DOCUMENT_MAX_SIZE_MB, 10) || 10;
+
+// Champs du formulaire multipart accompagnant le fichier (champ "file")
+const documentUploadSchema = Joi.object({
+    employee_id: Joi.number().integer().min(1).required(),
+    type_document: Joi.string().max(100).optional(), // Repris de la version précédente en cas de remplacement
+    date_expiration: Joi.date().iso().allow(null, '').optional(),
+    remplace_document_id: Joi.number().integer().min(1).optional() // Nouvelle version d'un document existant
+});
+
+const documentListQuerySchema = Joi.object({
+    employee_id: Joi.number().integer().min(1).required(),
+    include_history: Joi.boolean().default(false) // Inclure les versions remplacées
+});
+
+/**
+ * Un document est accessible à l'employé concerné, ou aux rôles 'document:read' dans leur périmètre.
+ * Renvoie { allowed, status, message } comme checkEmployeeScope.
+ */
+const checkDocumentAccess = async (req, document) => {
+    const userEmployee = await loadUserEmployee(req);
+    if (userEmployee && userEmployee.id === document.employee_id) {
+        return { allowed: true };
+    }
+    if (!PERMISSIONS['document:read'].includes(req.user.role)) {
+        return { allowed: false, status: 403, message: 'Accès refusé. Votre rôle ne permet pas de consulter ce document.' };
+    }
+    return checkEmployeeScope(req, document.employee_id);
+};
+
+/**
+ * Route pour téléverser un document RH (PDF, PNG ou JPEG), éventuellement en remplacement d'une version précédente.
+ * POST /api/employee/documents (multipart : file, employee_id, type_document, date_expiration, remplace_document_id)
+ * Le rôle est contrôlé avant la réception du fichier ; le périmètre, une fois employee_id lu dans le formulaire.
+ */
+router.post('/', authMiddleware, authorize('document:write'),
+    singleFileUpload('file', { extensions: ['.pdf', '.png', '.jpg', '.jpeg'], maxSizeMb: DOCUMENT_MAX_SIZE_MB }),
+    async (req, res) => {
+        const { error, value } = documentUploadSchema.validate(req.body);
+        if (error) {
+            return res.status(400).json({ message: error.details[0].message });
+        }
+
+        const connection = await db.getConnection();
+        await connection.beginTransaction();
+
+        try {
+            const scope = await checkEmployeeScope(req, value.employee_id);
+            if (!scope.allowed) {
+                await connection.rollback();
+                return res.status(scope.status).json({ message: scope.message, permission: 'document:write' });
+            }
+
+            const upload = await documentService.uploadDocument(connection, req.file, value, req.user.id);
+            if (upload.status) {
+                await connection.rollback();
+                return res.status(upload.status).json({ message: upload.message, documentId: upload.documentId });
+            }
+
+            await connection.commit();
+            res.status(201).json({
+                message: upload.version > 1
+                    ? `Nouvelle version (v${upload.version}) enregistrée. La version précédente est conservée dans l'historique.`
+                    : 'Document enregistré avec succès.',
+                documentId: upload.documentId,
+                version: upload.version,
+                url: documentService.downloadUrl(upload.documentId)
+            });
+
+        } catch (err) {
+            await connection.rollback();
+            console.error(err);
+            res.status(500).json({ message: 'Erreur serveur lors du téléversement du document.' });
+        } finally {
+            connection.release();
+        }
+    }
+);
+
+/**
+ * Route pour lister les documents d'un employé (versions courantes, ou tout l'historique).
+ * GET /api/employee/documents?employee_id=&include_history=
+ */
+router.get('/', authMiddleware, authorize('document:read', { employeeId: req => req.query.employee_id }), async (req, res) => {
+    try {
+        const { error, value } = documentListQuerySchema.validate(req.query);
+        if (error) {
+            return res.status(400).json({ message: error.details[0].message });
+        }
+
+        const documents = await documentService.listEmployeeDocuments(value.employee_id, { includeHistory: value.include_history });
+        res.status(200).json(documents);
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ message: 'Erreur serveur lors de la récupération des documents.' });
+    }
+});
+
+/**
+ * Route pour consulter toutes les versions d'un document.
+ * GET /api/employee/documents/:id/versions
+ */
+router.get('/:id/versions', authMiddleware, async (req, res) => {
+    try {
+        const document = await documentService.findDocumentById(req.params.id);
+        if (!document) {
+            return res.status(404).json({ message: 'Document non trouvé.' });
+        }
+
+        const access = await checkDocumentAccess(req, document);
+        if (!access.allowed) {
+            return res.status(access.status).json({ message: access.message });
+        }
+
+        const versions = await documentService.getDocumentVersions(document);
+        res.status(200).json(versions);
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ message: 'Erreur serveur lors de la récupération des versions du document.' });
+    }
+});
+
+/**
+ * Route pour télécharger un document (employé concerné ou rôles 'document:read' dans leur périmètre).
+ * GET /api/employee/documents/:id/download
+ */
+router.get('/:id/download', authMiddleware, async (req, res) => {
+    try {
+        const document = await documentService.findDocumentById(req.params.id);
+        if (!document) {
+            return res.status(404).json({ message: 'Document non trouvé.' });
+        }
+
+        const access = await checkDocumentAccess(req, document);
+        if (!access.allowed) {
+            return res.status(access.status).json({ message: access.message });
+        }
+
+        // Documents enregistrés avant le téléversement : simple lien saisi à la main
+        if (!document.stockage) {
+            return res.status(404).json({ message: 'Ce document n\'a pas été téléversé : seul son lien est connu.', lien: document.chemin_stockage });
+        }
+
+        const sent = await documentService.streamDocument(res, document);
+        if (!sent) {
+            return res.status(404).json({ message: 'Fichier introuvable sur le stockage.' });
+        }
+    } catch (err) {
+        console.error(err);
+        if (res.headersSent) return res.destroy();
+        res.status(500).json({ message: 'Erreur serveur lors du téléchargement du document.' });
+    }
+});
+
+module.exports = router;
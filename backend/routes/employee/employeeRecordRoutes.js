@@ -0,0 +1,466 @@
+// Fichier: backend/routes/employee/employeeRecordRoutes.js
+
+const express = require('express');
+const Joi = require('joi');
+const db = require('../../config/db');
+const { PERMISSIONS } = require('../../config/permissions');
+const authMiddleware = require('../../middleware/authMiddleware');
+const { authorize, loadUserEmployee } = require('../../middleware/permissionMiddleware');
+const employeeRecordService = require('../../services/employeeRecordService');
+
+// Sous-ressources du dossier employé : ayants droit, moyens de paiement, numéros d'identification, pièces d'identité
+const router = express.Router();
+
+// --- Schémas de validation ---
+
+const dependentFields = {
+    nom: Joi.string().max(100),
+    prenom: Joi.string().max(100),
+    genre: Joi.string().valid('M', 'F').allow(null),
+    date_naissance: Joi.date().iso().max('now').allow(null),
+    date_mariage: Joi.date().iso().max('now').allow(null),
+    numero_acte: Joi.string().max(50).allow(null, ''),
+    a_charge: Joi.boolean(),
+    scolarise: Joi.boolean()
+};
+
+const dependentSchema = Joi.object({
+    ...dependentFields,
+    lien: Joi.string().valid(...employeeRecordService.DEPENDENT_LINKS).required(),
+    nom: dependentFields.nom.required(),
+    prenom: dependentFields.prenom.required(),
+    // Date de naissance obligatoire pour un enfant (limite d'âge des allocations familiales)
+    date_naissance: dependentFields.date_naissance.when('lien', { is: 'Enfant', then: Joi.required() }),
+    date_mariage: dependentFields.date_mariage.when('lien', { is: 'Enfant', then: Joi.forbidden() }),
+    a_charge: dependentFields.a_charge.default(true),
+    scolarise: dependentFields.scolarise.default(false)
+});
+
+const dependentUpdateSchema = Joi.object(dependentFields).min(1);
+
+// Fin de droit : l'ayant droit est conservé mais n'est plus pris en compte
+const dependentEndSchema = Joi.object({
+    date_fin: Joi.date().iso().default(() => new Date()),
+    motif_fin: Joi.string().max(255).required()
+});
+
+// Contrôle de la clé RIB sur l'ensemble des composants du relevé
+const checkRib = (value, helpers) => {
+    if (value.type_paiement === 'Virement bancaire' && !employeeRecordService.isValidRibKey(value)) {
+        return helpers.message('La clé RIB ne correspond pas aux codes banque, guichet et numéro de compte.');
+    }
+    return value;
+};
+
+const paymentMethodSchema = Joi.object({
+    type_paiement: Joi.string().valid(...employeeRecordService.PAYMENT_TYPES).required(),
+    titulaire: Joi.string().max(150).required(),
+    banque: Joi.string().max(100).when('type_paiement', { is: 'Virement bancaire', then: Joi.required(), otherwise: Joi.forbidden() }),
+    code_banque: Joi.string().uppercase().pattern(/^[A-Z0-9]{5}$/)
+        .when('type_paiement', { is: 'Virement bancaire', then: Joi.required(), otherwise: Joi.forbidden() }),
+    code_guichet: Joi.string().pattern(/^\d{5}$/)
+        .when('type_paiement', { is: 'Virement bancaire', then: Joi.required(), otherwise: Joi.forbidden() }),
+    numero_compte: Joi.string().uppercase().pattern(/^[A-Z0-9]{12}$/)
+        .when('type_paiement', { is: 'Virement bancaire', then: Joi.required(), otherwise: Joi.forbidden() }),
+    cle_rib: Joi.string().pattern(/^\d{2}$/)
+        .when('type_paiement', { is: 'Virement bancaire', then: Joi.required(), otherwise: Joi.forbidden() }),
+    iban: Joi.string().max(42)
+        .custom((iban, helpers) => (employeeRecordService.isValidIban(iban)
+            ? iban.replace(/\s+/g, '').toUpperCase()
+            : helpers.message('IBAN invalide (format ou clé de contrôle).')))
+        .when('type_paiement', { is: 'Virement bancaire', otherwise: Joi.forbidden() }),
+    telephone: Joi.string().max(20)
+        .custom((phone, helpers) => employeeRecordService.normalizeSenegalMobile(phone)
+            || helpers.message('Numéro mobile money invalide (ex : +221 77 123 45 67).'))
+        .when('type_paiement', { is: 'Virement bancaire', then: Joi.forbidden(), otherwise: Joi.required() }),
+    est_principal: Joi.boolean().default(false)
+}).custom(checkRib);
+
+// Seule la désignation comme moyen principal est modifiable : un changement de coordonnées est un nouveau moyen
+const paymentMethodUpdateSchema = Joi.object({
+    est_principal: Joi.boolean().valid(true).required()
+});
+
+const identitySchema = Joi.object({
+    nin: Joi.string().pattern(/^\d{13,14}$/).allow(null)
+        .messages({ 'string.pattern.base': '"nin" doit comporter 13 ou 14 chiffres.' }),
+    numero_ipres: Joi.string().max(30).allow(null),
+    numero_css: Joi.string().max(30).allow(null)
+}).min(1);
+
+const idDocumentSchema = Joi.object({
+    type_piece: Joi.string().valid(...employeeRecordService.ID_DOCUMENT_TYPES).required(),
+    numero: Joi.string().max(50).required(),
+    date_delivrance: Joi.date().iso().max('now').required(),
+    // Une pièce enregistrée comme pièce en cours doit être valide ; le permis de conduire peut être sans échéance
+    date_expiration: Joi.date().iso().greater(Joi.ref('date_delivrance')).min('now')
+        .when('type_piece', { is: 'Permis de conduire', then: Joi.allow(null), otherwise: Joi.required() })
+        .messages({
+            'date.greater': 'La date d\'expiration doit être postérieure à la date de délivrance.',
+            'date.min': 'Cette pièce d\'identité est déjà expirée.'
+        }),
+    lieu_delivrance: Joi.string().max(100).allow(null, ''),
+    pays_delivrance: Joi.string().max(100).default('Sénégal'),
+    document_id: Joi.number().integer().min(1).allow(null) // Copie numérisée (POST /api/employee/documents)
+});
+
+const idDocumentUpdateSchema = Joi.object({
+    date_expiration: Joi.date().iso().allow(null),
+    lieu_delivrance: Joi.string().max(100).allow(null, ''),
+    pays_delivrance: Joi.string().max(100),
+    document_id: Joi.number().integer().min(1).allow(null),
+    actif: Joi.boolean().valid(false) // Désactivation (pièce perdue ou restituée) ; un renouvellement passe par POST
+}).min(1);
+
+const includeInactiveSchema = Joi.object({
+    include_inactive: Joi.boolean().default(false)
+});
+
+// --- Utilitaires ---
+
+/**
+ * Les champs sensibles sont en clair pour 'employee-sensitive:read' et pour l'employé consultant son propre dossier.
+ */
+const canSeeSensitive = async (req, employeeId) => {
+    if (PERMISSIONS['employee-sensitive:read'].includes(req.user.role)) return true;
+    const userEmployee = await loadUserEmployee(req);
+    return Boolean(userEmployee && userEmployee.id === Number(employeeId));
+};
+
+const readAccess = authorize('employee:read', { employeeId: req => req.params.id });
+const writeAccess = authorize('employee:update', { employeeId: req => req.params.id });
+
+// Vérifie l'existence de l'employé (le périmètre global ne la contrôle pas)
+const requireEmployee = async (req, res, next) => {
+    try {
+        if (!(await employeeRecordService.employeeExists(req.params.id))) {
+            return res.status(404).json({ message: 'Employé non trouvé.' });
+        }
+        next();
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ message: 'Une erreur serveur est survenue.' });
+    }
+};
+
+// --- Ayants droit ---
+
+/**
+ * Route pour lister les ayants droit (conjoints, enfants) et le décompte utilisé pour la paie.
+ * GET /api/employee/:id/dependents?include_inactive=
+ */
+router.get('/:id/dependents', authMiddleware, readAccess, requireEmployee, async (req, res) => {
+    try {
+        const { error, value } = includeInactiveSchema.validate(req.query);
+        if (error) {
+            return res.status(400).json({ message: error.details[0].message });
+        }
+
+        const result = await employeeRecordService.listDependents(req.params.id, { includeInactive: value.include_inactive });
+        const showSensitive = await canSeeSensitive(req, req.params.id);
+        res.status(200).json({
+            ...result,
+            ayants_droit: employeeRecordService.applyMasking(result.ayants_droit, 'dependent', showSensitive)
+        });
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ message: 'Erreur serveur lors de la récupération des ayants droit.' });
+    }
+});
+
+/**
+ * Route pour déclarer un ayant droit.
+ * POST /api/employee/:id/dependents
+ */
+router.post('/:id/dependents', authMiddleware, writeAccess, requireEmployee, async (req, res) => {
+    try {
+        const { error, value } = dependentSchema.validate(req.body);
+        if (error) {
+            return res.status(400).json({ message: error.details[0].message });
+        }
+
+        const dependentId = await employeeRecordService.createDependent(req.params.id, value, req.user.id);
+        res.status(201).json({ message: 'Ayant droit enregistré avec succès.', dependentId: dependentId });
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ message: 'Erreur serveur lors de l\'enregistrement de l\'ayant droit.' });
+    }
+});
+
+/**
+ * Route pour modifier un ayant droit (scolarité, prise en charge, état civil...).
+ * PUT /api/employee/:id/dependents/:dependentId
+ */
+router.put('/:id/dependents/:dependentId', authMiddleware, writeAccess, async (req, res) => {
+    try {
+        const { error, value } = dependentUpdateSchema.validate(req.body);
+        if (error) {
+            return res.status(400).json({ message: error.details[0].message });
+        }
+
+        const updated = await employeeRecordService.updateDependent(req.params.id, req.params.dependentId, value);
+        if (!updated) {
+            return res.status(404).json({ message: 'Ayant droit non trouvé pour cet employé.' });
+        }
+        res.status(200).json({ message: 'Ayant droit mis à jour avec succès.' });
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ message: 'Erreur serveur lors de la mise à jour de l\'ayant droit.' });
+    }
+});
+
+/**
+ * Route pour mettre fin aux droits d'un ayant droit (divorce, décès, fin de prise en charge).
+ * L'ayant droit est conservé dans l'historique du dossier.
+ * DELETE /api/employee/:id/dependents/:dependentId (corps : { motif_fin, date_fin? })
+ */
+router.delete('/:id/dependents/:dependentId', authMiddleware, writeAccess, async (req, res) => {
+    try {
+        const { error, value } = dependentEndSchema.validate(req.body || {});
+        if (error) {
+            return res.status(400).json({ message: error.details[0].message });
+        }
+
+        const updated = await employeeRecordService.updateDependent(req.params.id, req.params.dependentId, {
+            actif: false,
+            date_fin: value.date_fin,
+            motif_fin: value.motif_fin
+        });
+        if (!updated) {
+            return res.status(404).json({ message: 'Ayant droit non trouvé pour cet employé.' });
+        }
+        res.status(200).json({ message: 'Fin de droit enregistrée. L\'ayant droit reste visible dans l\'historique.' });
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ message: 'Erreur serveur lors de la fin de droit de l\'ayant droit.' });
+    }
+});
+
+// --- Moyens de paiement ---
+
+/**
+ * Route pour lister les moyens de paiement du salaire (virement ou mobile money).
+ * GET /api/employee/:id/payment-methods?include_inactive=
+ */
+router.get('/:id/payment-methods', authMiddleware, readAccess, requireEmployee, async (req, res) => {
+    try {
+        const { error, value } = includeInactiveSchema.validate(req.query);
+        if (error) {
+            return res.status(400).json({ message: error.details[0].message });
+        }
+
+        const methods = await employeeRecordService.listPaymentMethods(req.params.id, { includeInactive: value.include_inactive });
+        const showSensitive = await canSeeSensitive(req, req.params.id);
+        res.status(200).json(employeeRecordService.applyMasking(methods, 'payment', showSensitive));
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ message: 'Erreur serveur lors de la récupération des moyens de paiement.' });
+    }
+});
+
+/**
+ * Route pour ajouter un moyen de paiement (RIB contrôlé par sa clé, IBAN facultatif, numéro mobile money).
+ * POST /api/employee/:id/payment-methods
+ */
+router.post('/:id/payment-methods', authMiddleware, writeAccess, requireEmployee, async (req, res) => {
+    const { error, value } = paymentMethodSchema.validate(req.body);
+    if (error) {
+        return res.status(400).json({ message: error.details[0].message });
+    }
+
+    const connection = await db.getConnection();
+    await connection.beginTransaction();
+
+    try {
+        const methodId = await employeeRecordService.createPaymentMethod(connection, req.params.id, value, req.user.id);
+        await connection.commit();
+        res.status(201).json({ message: 'Moyen de paiement enregistré avec succès.', methodId: methodId });
+    } catch (err) {
+        await connection.rollback();
+        console.error(err);
+        res.status(500).json({ message: 'Erreur serveur lors de l\'enregistrement du moyen de paiement.' });
+    } finally {
+        connection.release();
+    }
+});
+
+/**
+ * Route pour désigner le moyen de paiement principal (celui utilisé pour le virement du salaire).
+ * PUT /api/employee/:id/payment-methods/:methodId
+ */
+router.put('/:id/payment-methods/:methodId', authMiddleware, writeAccess, async (req, res) => {
+    const { error, value } = paymentMethodUpdateSchema.validate(req.body);
+    if (error) {
+        return res.status(400).json({ message: error.details[0].message });
+    }
+
+    const connection = await db.getConnection();
+    await connection.beginTransaction();
+
+    try {
+        const update = await employeeRecordService.updatePaymentMethodStatus(connection, req.params.id, req.params.methodId, value);
+        if (update.status) {
+            await connection.rollback();
+            return res.status(update.status).json({ message: update.message });
+        }
+        await connection.commit();
+        res.status(200).json({ message: 'Moyen de paiement principal mis à jour.' });
+    } catch (err) {
+        await connection.rollback();
+        console.error(err);
+        res.status(500).json({ message: 'Erreur serveur lors de la mise à jour du moyen de paiement.' });
+    } finally {
+        connection.release();
+    }
+});
+
+/**
+ * Route pour désactiver un moyen de paiement (conservé pour l'historique des virements).
+ * DELETE /api/employee/:id/payment-methods/:methodId
+ */
+router.delete('/:id/payment-methods/:methodId', authMiddleware, writeAccess, async (req, res) => {
+    const connection = await db.getConnection();
+    await connection.beginTransaction();
+
+    try {
+        const update = await employeeRecordService.updatePaymentMethodStatus(connection, req.params.id, req.params.methodId, { actif: false });
+        if (update.status) {
+            await connection.rollback();
+            return res.status(update.status).json({ message: update.message });
+        }
+        await connection.commit();
+        res.status(200).json({ message: 'Moyen de paiement désactivé.' });
+    } catch (err) {
+        await connection.rollback();
+        console.error(err);
+        res.status(500).json({ message: 'Erreur serveur lors de la désactivation du moyen de paiement.' });
+    } finally {
+        connection.release();
+    }
+});
+
+// --- Numéros d'identification (NIN, IPRES, CSS) ---
+
+/**
+ * Route pour consulter les numéros d'identification nationale et sociale.
+ * GET /api/employee/:id/identity
+ */
+router.get('/:id/identity', authMiddleware, readAccess, requireEmployee, async (req, res) => {
+    try {
+        const identity = await employeeRecordService.getIdentity(req.params.id);
+        const showSensitive = await canSeeSensitive(req, req.params.id);
+        res.status(200).json(employeeRecordService.applyMasking([identity], 'identity', showSensitive)[0]);
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ message: 'Erreur serveur lors de la récupération des numéros d\'identification.' });
+    }
+});
+
+/**
+ * Route pour renseigner ou corriger les numéros d'identification (champs fournis uniquement).
+ * PUT /api/employee/:id/identity
+ */
+router.put('/:id/identity', authMiddleware, writeAccess, requireEmployee, async (req, res) => {
+    const { error, value } = identitySchema.validate(req.body);
+    if (error) {
+        return res.status(400).json({ message: error.details[0].message });
+    }
+
+    const connection = await db.getConnection();
+    await connection.beginTransaction();
+
+    try {
+        await employeeRecordService.saveIdentity(connection, req.params.id, value, req.user.id);
+        await connection.commit();
+        res.status(200).json({ message: 'Numéros d\'identification enregistrés avec succès.' });
+    } catch (err) {
+        await connection.rollback();
+        console.error(err);
+        res.status(500).json({ message: 'Erreur serveur lors de l\'enregistrement des numéros d\'identification.' });
+    } finally {
+        connection.release();
+    }
+});
+
+// --- Pièces d'identité ---
+
+/**
+ * Route pour lister les pièces d'identité avec leur état ('Valide', 'Expire bientôt', 'Expirée').
+ * GET /api/employee/:id/id-documents?include_inactive=
+ */
+router.get('/:id/id-documents', authMiddleware, readAccess, requireEmployee, async (req, res) => {
+    try {
+        const { error, value } = includeInactiveSchema.validate(req.query);
+        if (error) {
+            return res.status(400).json({ message: error.details[0].message });
+        }
+
+        const idDocuments = await employeeRecordService.listIdDocuments(req.params.id, { includeInactive: value.include_inactive });
+        const showSensitive = await canSeeSensitive(req, req.params.id);
+        res.status(200).json(employeeRecordService.applyMasking(idDocuments, 'idDocument', showSensitive));
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ message: 'Erreur serveur lors de la récupération des pièces d\'identité.' });
+    }
+});
+
+/**
+ * Route pour enregistrer une pièce d'identité (la pièce active du même type est remplacée).
+ * POST /api/employee/:id/id-documents
+ */
+router.post('/:id/id-documents', authMiddleware, writeAccess, requireEmployee, async (req, res) => {
+    const { error, value } = idDocumentSchema.validate(req.body);
+    if (error) {
+        return res.status(400).json({ message: error.details[0].message });
+    }
+
+    const connection = await db.getConnection();
+    await connection.beginTransaction();
+
+    try {
+        const creation = await employeeRecordService.createIdDocument(connection, req.params.id, value, req.user.id);
+        if (creation.status) {
+            await connection.rollback();
+            return res.status(creation.status).json({ message: creation.message });
+        }
+
+        await connection.commit();
+        res.status(201).json({
+            message: creation.replacedId
+                ? 'Pièce d\'identité enregistrée. La pièce précédente du même type a été désactivée.'
+                : 'Pièce d\'identité enregistrée avec succès.',
+            idDocumentId: creation.idDocumentId,
+            replacedId: creation.replacedId
+        });
+    } catch (err) {
+        await connection.rollback();
+        console.error(err);
+        res.status(500).json({ message: 'Erreur serveur lors de l\'enregistrement de la pièce d\'identité.' });
+    } finally {
+        connection.release();
+    }
+});
+
+/**
+ * Route pour compléter ou désactiver une pièce d'identité.
+ * PUT /api/employee/:id/id-documents/:docId
+ */
+router.put('/:id/id-documents/:docId', authMiddleware, writeAccess, async (req, res) => {
+    try {
+        const { error, value } = idDocumentUpdateSchema.validate(req.body);
+        if (error) {
+            return res.status(400).json({ message: error.details[0].message });
+        }
+
+        const update = await employeeRecordService.updateIdDocument(req.params.id, req.params.docId, value);
+        if (update.status) {
+            return res.status(update.status).json({ message: update.message });
+        }
+        res.status(200).json({ message: 'Pièce d\'identité mise à jour avec succès.' });
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ message: 'Erreur serveur lors de la mise à jour de la pièce d\'identité.' });
+    }
+});
+
+module.exports = router;
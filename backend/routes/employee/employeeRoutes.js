@@ -3,111 +3,44 @@
 const express = require('express');
 const Joi = require('joi');
 const db = require('../../config/db');
+const { PERMISSIONS } = require('../../config/permissions');
 const authMiddleware = require('../../middleware/authMiddleware');
+const { authorize, buildScopeClause } = require('../../middleware/permissionMiddleware');
+const employeeService = require('../../services/employeeService');
+const hierarchyService = require('../../services/hierarchyService');
+const careerService = require('../../services/careerService');
+const employeeExitService = require('../../services/employeeExitService');
+const tokenService = require('../../services/tokenService');
+const structureService = require('../../services/structureService');
+const employeeImportService = require('../../services/employeeImportService');
+const documentService = require('../../services/documentService');
+const occupationalHealthService = require('../../services/occupationalHealthService');
+const { singleFileUpload } = require('../../middleware/uploadMiddleware');
 
 const router = express.Router();
 
-// Schéma de validation pour la création initiale d'un employé (seulement les champs requis)
-const employeeCreationSchema = Joi.object({
-    // Données de base
-    matricule: Joi.string().max(50).required(), // Unique et obligatoire
-    nom: Joi.string().required(),
-    prenom: Joi.string().required(),
-    genre: Joi.string().valid('M', 'F', 'Autre').required(),
-    date_naissance: Joi.date().iso().required(),
-    
-    // Affectation initiale (Doit être valide)
-    site_id: Joi.number().integer().min(1).required(),
-    department_id: Joi.number().integer().min(1).required(),
-    service_id: Joi.number().integer().min(1).required(),
-    team_id: Joi.number().integer().min(1).required(),
-    position: Joi.string().max(255).required(), // Poste actuel
-    fonction: Joi.string().max(255).required(), // Fonction actuelle
-    
-    // Données contact d'urgence minimales
-    telephone_principal: Joi.string().max(50).required(),
-    contact_urgence_nom: Joi.string().max(255).required(),
-    contact_urgence_telephone: Joi.string().max(50).required(),
-
-    // L'ID utilisateur (user_id) est optionnel à la création
-    user_id: Joi.number().integer().optional().allow(null) 
-});
-
 // Route pour créer un nouvel employé (POST /api/employee)
-router.post('/', authMiddleware, async (req, res) => {
+router.post('/', authMiddleware, authorize('employee:create'), async (req, res) => {
     // Utilisation d'une transaction pour garantir l'intégrité des données
     // Si une insertion échoue, toutes les insertions précédentes sont annulées.
     const connection = await db.getConnection();
     await connection.beginTransaction();
 
     try {
-        const { error, value } = employeeCreationSchema.validate(req.body);
+        const { error, value } = employeeService.employeeCreationSchema.validate(req.body);
         if (error) {
             return res.status(400).json({ message: error.details[0].message });
         }
 
-        const {
-            matricule, nom, prenom, genre, date_naissance,
-            site_id, department_id, service_id, team_id, position, fonction,
-            telephone_principal, contact_urgence_nom, contact_urgence_telephone, user_id
-        } = value;
-
-        // 1. Validation : Vérification de l'unicité du matricule
-        const [existing] = await connection.query('SELECT matricule FROM employees WHERE matricule = ?', [matricule]);
-        if (existing.length > 0) {
+        // 1. Contrôles (matricule unique, chaîne hiérarchique) et insertions dans les tables de l'employé
+        const creation = await employeeService.createEmployee(connection, value, req.user.id);
+        if (creation.status) {
             await connection.rollback();
-            return res.status(409).json({ message: 'Ce matricule existe déjà. Unicité requise.' });
+            return res.status(creation.status).json({ message: creation.message });
         }
-        
-        // 2. Validation de l'existence des IDs de la structure
-        // On vérifie que le Site, Dept, Service, Team existent avant d'insérer
-        const [structureCheck] = await connection.query(`
-            SELECT 
-                (SELECT COUNT(*) FROM sites WHERE id = ?) AS site_exists,
-                (SELECT COUNT(*) FROM departments WHERE id = ?) AS dept_exists,
-                (SELECT COUNT(*) FROM services WHERE id = ?) AS service_exists,
-                (SELECT COUNT(*) FROM teams WHERE id = ?) AS team_exists
-        `, [site_id, department_id, service_id, team_id]);
-        
-        if (structureCheck[0].site_exists === 0 || structureCheck[0].dept_exists === 0 || structureCheck[0].service_exists === 0 || structureCheck[0].team_exists === 0) {
-            await connection.rollback();
-            return res.status(400).json({ message: 'Erreur: L\'une des affectations (Site, Département, Service, Équipe) n\'existe pas.' });
-        }
-
-        // 3. Insertion dans la table `employees`
-        const [empResult] = await connection.query(`
-            INSERT INTO employees (matricule, nom, prenom, site_id, department_id, service_id, team_id, position, fonction, user_id)
-            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-        `, [matricule, nom, prenom, site_id, department_id, service_id, team_id, position, fonction, user_id]);
-
-        const employeeId = empResult.insertId;
+        const employeeId = creation.employeeId;
 
-        // 4. Insertion dans la table `employee_personal`
-        await connection.query(`
-            INSERT INTO employee_personal (employee_id, date_naissance, genre)
-            VALUES (?, ?, ?)
-        `, [employeeId, date_naissance, genre]);
-        
-        // 5. Insertion dans la table `employee_contact`
-        await connection.query(`
-            INSERT INTO employee_contact (employee_id, telephone_principal, contact_urgence_nom, contact_urgence_telephone)
-            VALUES (?, ?, ?, ?)
-        `, [employeeId, telephone_principal, contact_urgence_nom, contact_urgence_telephone]);
-
-        // 6. Insertion dans la table `employee_affectations` (Historique initial)
-        // L'affectation initiale sert de première ligne dans l'historique
-        await connection.query(`
-            INSERT INTO employee_affectations (
-                employee_id, date_debut, motif, created_by_user_id,
-                site_id_nouveau, department_id_nouveau, service_id_nouveau, team_id_nouveau, position_nouvelle, fonction_nouvelle
-            )
-            VALUES (?, CURDATE(), ?, ?, ?, ?, ?, ?, ?, ?)
-        `, [
-            employeeId, 'Embauche initiale', req.user.id, // req.user.id vient de authMiddleware (l'utilisateur connecté)
-            site_id, department_id, service_id, team_id, position, fonction
-        ]);
-
-        // 7. Validation et Commit de la transaction
+        // 2. Validation et Commit de la transaction
         await connection.commit();
         res.status(201).json({
             message: 'Employé créé avec succès et historique d\'affectation initialisé !',
@@ -126,30 +59,108 @@ router.post('/', authMiddleware, async (req, res) => {
     
 });
 
+// Options de l'import en masse (champs du formulaire multipart, à côté du fichier)
+const importOptionsSchema = Joi.object({
+    dry_run: Joi.boolean().default(true), // Par défaut : simple rapport de validation, aucune création
+    // Mapping JSON { "En-tête du fichier": "champ" } pour les en-têtes non reconnus automatiquement
+    mapping: Joi.string().optional()
+});
+
+// Contenu du mapping une fois décodé : en-têtes du fichier vers noms de champs (contrôlés par le service d'import)
+const importMappingSchema = Joi.object().pattern(Joi.string(), Joi.string().required()).required().label('mapping');
+
+/**
+ * Route pour importer des employés depuis un fichier CSV ou XLSX (champ "file").
+ * 1. dry_run=true (défaut) : rapport ligne par ligne, rien n'est créé.
+ * 2. dry_run=false : les lignes valides sont créées dans une seule transaction, les lignes en erreur ignorées.
+ * Les codes de structure (code_site, code_interne, code_metier, nom d'équipe) sont convertis en IDs.
+ * POST /api/employee/import
+ */
+router.post('/import', authMiddleware, authorize('employee:create'), singleFileUpload('file', { extensions: ['.csv', '.xlsx'], maxSizeMb: 5 }), async (req, res) => {
+    try {
+        const { error, value } = importOptionsSchema.validate(req.body);
+        if (error) {
+            return res.status(400).json({ message: error.details[0].message });
+        }
+
+        let mapping = {};
+        if (value.mapping) {
+            const mappingMessage = 'Le mapping doit être un objet JSON { "En-tête du fichier": "champ" }.';
+            try {
+                mapping = JSON.parse(value.mapping);
+            } catch (parseError) {
+                return res.status(400).json({ message: mappingMessage });
+            }
+            const mappingCheck = importMappingSchema.validate(mapping);
+            if (mappingCheck.error) {
+                return res.status(400).json({ message: `${mappingMessage} ${mappingCheck.error.details[0].message}` });
+            }
+        }
+
+        const result = await employeeImportService.importEmployees(req.file, { dryRun: value.dry_run, mapping: mapping }, req.user.id);
+        if (result.status) {
+            return res.status(result.status).json({ message: result.message, champs_acceptes: employeeImportService.IMPORT_FIELDS });
+        }
+
+        res.status(value.dry_run ? 200 : 201).json({
+            message: value.dry_run
+                ? `Validation terminée : ${result.lignes_valides} ligne(s) valide(s), ${result.lignes_en_erreur} en erreur. Aucun employé créé.`
+                : `Import terminé : ${result.employes_crees} employé(s) créé(s), ${result.lignes_en_erreur} ligne(s) ignorée(s).`,
+            ...result
+        });
+
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ message: 'Erreur serveur lors de l\'import des employés. Aucun employé n\'a été créé.' });
+    }
+});
+
+// Schéma de validation des paramètres de l'annuaire (GET /api/employee) : filtres communs + pagination
+const directoryQuerySchema = employeeService.directoryFilterSchema.keys({
+    limit: Joi.number().integer().min(1).max(200).default(50),
+    offset: Joi.number().integer().min(0).default(0)
+});
+
+// Route pour lister les employés (annuaire), limitée au périmètre de l'utilisateur
+// GET /api/employee?search=&site_id=&department_id=&service_id=&team_id=&statut=&position=&type_contrat=&genre=
+//                  &date_embauche_debut=&date_embauche_fin=&sort_by=&sort_order=&limit=&offset=
+router.get('/', authMiddleware, authorize('employee:read'), async (req, res) => {
+    try {
+        const { error, value } = directoryQuerySchema.validate(req.query);
+        if (error) {
+            return res.status(400).json({ message: error.details[0].message });
+        }
+
+        const scope = await buildScopeClause(req, 'e');
+        const result = await employeeService.searchEmployees(value, scope);
+
+        res.status(200).json({
+            total: result.total,
+            limit: value.limit,
+            offset: value.offset,
+            employees: result.employees
+        });
+
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ message: 'Erreur serveur lors de la récupération de la liste des employés.' });
+    }
+});
+
 // Route pour lire les informations complètes d'un employé par ID
-router.get('/:id', authMiddleware, async (req, res) => {
+router.get('/:id', authMiddleware, authorize('employee:read', { employeeId: req => req.params.id }), async (req, res) => {
     try {
         const employeeId = req.params.id;
 
-        // Requête complexe joignant les trois tables de données de l'employé
-        const sql = `
-            SELECT 
-                e.*, 
-                ep.date_naissance, ep.genre, ep.nationalite, ep.situation_familiale,
-                ec.adresse_complete, ec.telephone_principal, ec.contact_urgence_nom, ec.contact_urgence_telephone
-            FROM employees e
-            LEFT JOIN employee_personal ep ON e.id = ep.employee_id
-            LEFT JOIN employee_contact ec ON e.id = ec.employee_id
-            WHERE e.id = ?
-        `;
-        const [rows] = await db.query(sql, [employeeId]);
-
-        if (rows.length === 0) {
+        // Fiche jointe (employees + employee_personal + employee_contact)
+        const employee = await employeeService.findEmployeeById(employeeId);
+
+        if (!employee) {
             return res.status(404).json({ message: 'Employé non trouvé.' });
         }
 
         // Renvoie l'objet employé complet (le premier et unique résultat)
-        res.status(200).json(rows[0]);
+        res.status(200).json(employee);
 
     } catch (err) {
         console.error(err);
@@ -157,6 +168,146 @@ router.get('/:id', authMiddleware, async (req, res) => {
     }
 });
 
+// Route pour connaître la chaîne d'approbation d'un employé (congés, pointages)
+// GET /api/employee/:id/approvers
+router.get('/:id/approvers', authMiddleware, authorize('employee:read', { employeeId: req => req.params.id }), async (req, res) => {
+    try {
+        const approvers = await hierarchyService.findApprovers(req.params.id);
+        if (approvers === null) {
+            return res.status(404).json({ message: 'Employé non trouvé.' });
+        }
+
+        res.status(200).json({
+            approbateur: approvers[0] || null, // Supérieur hiérarchique direct
+            chaine: approvers
+        });
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ message: 'Erreur serveur lors de la recherche des approbateurs.' });
+    }
+});
+
+// Route pour consulter l'historique des affectations d'un employé (noms d'unités résolus)
+// GET /api/employee/:id/affectations
+router.get('/:id/affectations', authMiddleware, authorize('employee:read', { employeeId: req => req.params.id }), async (req, res) => {
+    try {
+        const employee = await employeeService.findEmployeeById(req.params.id);
+        if (!employee) {
+            return res.status(404).json({ message: 'Employé non trouvé.' });
+        }
+
+        const affectations = await careerService.getAffectationHistory(req.params.id);
+        res.status(200).json(affectations);
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ message: 'Erreur serveur lors de la récupération de l\'historique des affectations.' });
+    }
+});
+
+// Filtres de la chronologie de carrière
+const timelineQuerySchema = Joi.object({
+    // Liste séparée par des virgules, ex : categories=affectation,contrat
+    categories: Joi.string().optional(),
+    from: Joi.date().iso().optional(),
+    to: Joi.date().iso().min(Joi.ref('from')).optional()
+});
+
+/**
+ * Route pour consulter la chronologie de carrière d'un employé : affectations, contrats et avenants,
+ * sanctions, visites médicales, accidents/arrêts, congés et sorties, en un seul flux trié par date.
+ * Sanctions, santé et salaires ne sont renvoyés qu'aux rôles ayant 'career:confidential'.
+ * GET /api/employee/:id/timeline?categories=&from=&to=
+ */
+router.get('/:id/timeline', authMiddleware, authorize('employee:read', { employeeId: req => req.params.id }), async (req, res) => {
+    try {
+        const { error, value } = timelineQuerySchema.validate(req.query);
+        if (error) {
+            return res.status(400).json({ message: error.details[0].message });
+        }
+
+        const categories = value.categories
+            ? [...new Set(value.categories.split(',').map(category => category.trim()).filter(Boolean))]
+            : careerService.TIMELINE_CATEGORIES;
+        const unknown = categories.filter(category => !careerService.TIMELINE_CATEGORIES.includes(category));
+        if (unknown.length > 0) {
+            return res.status(400).json({ message: `Catégories inconnues : ${unknown.join(', ')}. Catégories acceptées : ${careerService.TIMELINE_CATEGORIES.join(', ')}.` });
+        }
+
+        const employee = await employeeService.findEmployeeById(req.params.id);
+        if (!employee) {
+            return res.status(404).json({ message: 'Employé non trouvé.' });
+        }
+
+        const includeConfidential = PERMISSIONS['career:confidential'].includes(req.user.role);
+        const events = await careerService.getCareerTimeline(req.params.id, {
+            categories: categories,
+            from: value.from ? value.from.toISOString().split('T')[0] : null,
+            to: value.to ? value.to.toISOString().split('T')[0] : null,
+            includeConfidential: includeConfidential
+        });
+
+        res.status(200).json({
+            employee_id: Number(req.params.id),
+            categories_masquees: includeConfidential ? [] : careerService.CONFIDENTIAL_CATEGORIES.filter(category => categories.includes(category)),
+            evenements: events
+        });
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ message: 'Erreur serveur lors de la récupération du parcours de l\'employé.' });
+    }
+});
+
+/**
+ * Route pour téléverser la photo d'identité d'un employé (PNG ou JPEG, 2 Mo maximum).
+ * La photo précédente est conservée comme ancienne version du document.
+ * POST /api/employee/:id/photo (multipart : file)
+ */
+router.post('/:id/photo', authMiddleware, authorize('employee:update', { employeeId: req => req.params.id }),
+    singleFileUpload('file', { extensions: ['.png', '.jpg', '.jpeg'], maxSizeMb: 2 }),
+    async (req, res) => {
+        const connection = await db.getConnection();
+        await connection.beginTransaction();
+
+        try {
+            const upload = await documentService.uploadEmployeePhoto(connection, req.params.id, req.file, req.user.id);
+            if (upload.status) {
+                await connection.rollback();
+                return res.status(upload.status).json({ message: upload.message });
+            }
+
+            await connection.commit();
+            res.status(201).json({
+                message: 'Photo d\'identité enregistrée.',
+                documentId: upload.documentId,
+                photo_url: `/api/employee/${req.params.id}/photo`
+            });
+
+        } catch (err) {
+            await connection.rollback();
+            console.error(err);
+            res.status(500).json({ message: 'Erreur serveur lors de l\'enregistrement de la photo.' });
+        } finally {
+            connection.release();
+        }
+    }
+);
+
+// Route pour afficher la photo d'identité courante d'un employé
+// GET /api/employee/:id/photo
+router.get('/:id/photo', authMiddleware, authorize('employee:read', { employeeId: req => req.params.id }), async (req, res) => {
+    try {
+        const photo = await documentService.findEmployeePhoto(req.params.id);
+        const sent = photo && await documentService.streamDocument(res, photo, { inline: true });
+        if (!sent) {
+            return res.status(404).json({ message: 'Aucune photo d\'identité pour cet employé.' });
+        }
+    } catch (err) {
+        console.error(err);
+        if (res.headersSent) return res.destroy();
+        res.status(500).json({ message: 'Erreur serveur lors de la récupération de la photo.' });
+    }
+});
+
 // Fichier: backend/routes/employee/employeeRoutes.js (Ajouts)
 
 // Schéma de validation complet pour la modification de l'employé
@@ -167,6 +318,7 @@ const employeeUpdateSchema = Joi.object({
     matricule: Joi.string().max(50).optional(),
     nom: Joi.string().optional(),
     prenom: Joi.string().optional(),
+    date_embauche: Joi.date().iso().optional(),
     
     // Affectation (champs déclencheurs de traçabilité)
     site_id: Joi.number().integer().min(1).optional(),
@@ -175,7 +327,9 @@ const employeeUpdateSchema = Joi.object({
     team_id: Joi.number().integer().min(1).optional(),
     position: Joi.string().max(255).optional(),
     fonction: Joi.string().max(255).optional(),
-    statut: Joi.string().valid('Actif', 'Congé', 'Maladie', 'Suspendu', 'Licencié').optional(),
+    position_id: Joi.number().integer().min(1).optional(), // Poste du référentiel (contraintes, visites médicales)
+    // Sortie/réembauche (/exit, /rehire) et mise à pied (sanctions) ont leurs propres procédures
+    statut: Joi.string().valid('Actif', 'Congé', 'Maladie').optional(),
 
     // Données personnelles
     date_naissance: Joi.date().iso().optional(),
@@ -202,7 +356,7 @@ const employeeUpdateSchema = Joi.object({
 }).min(1); // Exige au moins un champ à modifier
 
 // Route pour modifier un employé (PUT /api/employee/:id)
-router.put('/:id', authMiddleware, async (req, res) => {
+router.put('/:id', authMiddleware, authorize('employee:update', { employeeId: req => req.params.id }), async (req, res) => {
     const employeeId = req.params.id;
     const connection = await db.getConnection();
     await connection.beginTransaction();
@@ -224,7 +378,7 @@ router.put('/:id', authMiddleware, async (req, res) => {
 
         // 1. Récupérer les données actuelles de l'employé
         const [currentEmpRows] = await connection.query(`
-            SELECT site_id, department_id, service_id, team_id, position, fonction
+            SELECT site_id, department_id, service_id, team_id, position, fonction, position_id, statut
             FROM employees WHERE id = ?
         `, [employeeId]);
         
@@ -234,6 +388,33 @@ router.put('/:id', authMiddleware, async (req, res) => {
         }
         const currentEmployee = currentEmpRows[0];
 
+        // Un employé sorti ou mis à pied ne change de statut que par sa procédure
+        if (fieldsToUpdate.statut !== undefined && fieldsToUpdate.statut !== currentEmployee.statut
+            && [...employeeExitService.ARCHIVED_STATUSES, 'Suspendu'].includes(currentEmployee.statut)) {
+            await connection.rollback();
+            return res.status(409).json({
+                message: currentEmployee.statut === 'Suspendu'
+                    ? 'Employé mis à pied : son statut est géré par la sanction (POST /api/hr/sanctions/:id/annul pour lever la mise à pied).'
+                    : 'Employé sorti des effectifs : la réintégration passe par POST /api/employee/:id/rehire.'
+            });
+        }
+
+        // Validation de la chaîne hiérarchique si l'affectation est modifiée.
+        // Sans nouvelle équipe, l'équipe actuelle est conservée : les niveaux fournis doivent donc lui correspondre.
+        if (['site_id', 'department_id', 'service_id', 'team_id'].some(field => fieldsToUpdate[field] !== undefined)) {
+            const resolution = await structureService.resolveAssignment(connection, {
+                site_id: fieldsToUpdate.site_id,
+                department_id: fieldsToUpdate.department_id,
+                service_id: fieldsToUpdate.service_id,
+                team_id: fieldsToUpdate.team_id || currentEmployee.team_id
+            });
+            if (resolution.status) {
+                await connection.rollback();
+                return res.status(resolution.status).json({ message: resolution.message });
+            }
+            Object.assign(fieldsToUpdate, resolution.assignment);
+        }
+
         // Détecter si un changement d'affectation a eu lieu
         const isAffectationChange = 
             (fieldsToUpdate.site_id && fieldsToUpdate.site_id !== currentEmployee.site_id) ||
@@ -241,7 +422,8 @@ router.put('/:id', authMiddleware, async (req, res) => {
             (fieldsToUpdate.service_id && fieldsToUpdate.service_id !== currentEmployee.service_id) ||
             (fieldsToUpdate.team_id && fieldsToUpdate.team_id !== currentEmployee.team_id) ||
             (fieldsToUpdate.position && fieldsToUpdate.position !== currentEmployee.position) ||
-            (fieldsToUpdate.fonction && fieldsToUpdate.fonction !== currentEmployee.fonction);
+            (fieldsToUpdate.fonction && fieldsToUpdate.fonction !== currentEmployee.fonction) ||
+            (fieldsToUpdate.position_id && fieldsToUpdate.position_id !== currentEmployee.position_id);
 
         // Si changement d'affectation, le motif est OBLIGATOIRE
         if (isAffectationChange && !fieldsToUpdate.motif_changement) {
@@ -249,6 +431,14 @@ router.put('/:id', authMiddleware, async (req, res) => {
             return res.status(400).json({ message: 'Motif de changement obligatoire pour les modifications d\'affectation/poste.' });
         }
 
+        if (fieldsToUpdate.position_id && fieldsToUpdate.position_id !== currentEmployee.position_id) {
+            const [positionRows] = await connection.query('SELECT id FROM positions WHERE id = ?', [fieldsToUpdate.position_id]);
+            if (positionRows.length === 0) {
+                await connection.rollback();
+                return res.status(404).json({ message: 'Poste (position_id) non trouvé.' });
+            }
+        }
+
         // --- Début Traitement Traçabilité ---
         if (isAffectationChange) {
             
@@ -299,7 +489,7 @@ router.put('/:id', authMiddleware, async (req, res) => {
         // 4. Mise à jour des tables principales (employees, personal, contact)
         
         // Liste des champs pour chaque table
-        const employeeFields = ['matricule', 'nom', 'prenom', 'site_id', 'department_id', 'service_id', 'team_id', 'position', 'fonction', 'statut', 'user_id'];
+        const employeeFields = ['matricule', 'nom', 'prenom', 'date_embauche', 'site_id', 'department_id', 'service_id', 'team_id', 'position', 'fonction', 'position_id', 'statut', 'user_id'];
         const personalFields = ['date_naissance', 'lieu_naissance', 'nationalite', 'genre', 'nom_jeune_fille', 'situation_familiale', 'photo_url'];
         const contactFields = ['adresse_complete', 'telephone_principal', 'telephone_whatsapp', 'email_personnel', 'contact_urgence_nom', 'contact_urgence_telephone'];
 
@@ -331,12 +521,18 @@ router.put('/:id', authMiddleware, async (req, res) => {
         const contactUpdate = buildUpdateQuery(contactFields, 'employee_contact', employeeId, 'employee_id');
         if (contactUpdate) await connection.query(contactUpdate.sql, contactUpdate.params);
         
+        // Restrictions d'aptitude incompatibles avec le poste après le changement d'affectation
+        const incompatibilites = isAffectationChange
+            ? await occupationalHealthService.checkAssignment(employeeId, null, connection)
+            : [];
+
         // 5. Validation et Commit de la transaction
         await connection.commit();
         res.status(200).json({
             message: 'Employé modifié avec succès. Historique mis à jour !',
             employeeId: employeeId,
-            affectationChanged: isAffectationChange
+            affectationChanged: isAffectationChange,
+            restrictions_incompatibles: incompatibilites
         });
 
     } catch (err) {
@@ -348,69 +544,169 @@ router.put('/:id', authMiddleware, async (req, res) => {
     }
 });
 
-// Fichier: backend/routes/employee/employeeRoutes.js (Ajouts)
+// --- PROCÉDURE DE SORTIE ET RÉEMBAUCHE ---
 
-// ... (Routes POST, GET, PUT existantes)
+// Schéma de validation d'une sortie des effectifs
+const exitSchema = Joi.object({
+    type_sortie: Joi.string().valid(...employeeExitService.EXIT_TYPES).required(),
+    date_notification: Joi.date().iso().required(),
+    preavis_jours: Joi.number().integer().min(0).allow(null).optional(), // 0 : dispense de préavis
+    dernier_jour_travaille: Joi.date().iso().min(Joi.ref('date_notification')).required(),
+    motif: Joi.string().max(2000).allow(null, '').optional()
+});
 
-// Route pour "supprimer" (archiver/licencier) un employé
-// DELETE /api/employee/:id
-router.delete('/:id', authMiddleware, async (req, res) => {
-    const employeeId = req.params.id;
+// Schéma de mise à jour d'une tâche de la check-list de sortie
+const exitTaskSchema = Joi.object({
+    statut: Joi.string().valid(...employeeExitService.EXIT_TASK_STATUSES).required(),
+    commentaire: Joi.string().max(255).allow(null, '').optional()
+});
+
+// Schéma de validation d'une réembauche : nouvelle affectation + nouveau contrat principal
+const rehireSchema = Joi.object({
+    date_embauche: Joi.date().iso().required(),
+    site_id: Joi.number().integer().min(1).optional(),
+    department_id: Joi.number().integer().min(1).optional(),
+    service_id: Joi.number().integer().min(1).optional(),
+    team_id: Joi.number().integer().min(1).required(),
+    position: Joi.string().max(255).required(),
+    fonction: Joi.string().max(255).required(),
+    commentaire: Joi.string().max(255).allow(null, '').optional(),
+    contrat: Joi.object({
+        type_contrat: Joi.string().valid('CDI', 'CDD', 'Stage', 'Consultant', 'Saisonnier', 'Apprentissage').required(),
+        date_fin_prevue: Joi.date().iso().min(Joi.ref('...date_embauche')).allow(null).when('type_contrat', {
+            is: 'CDI',
+            then: Joi.valid(null) // CDI n'a pas de date de fin
+        }),
+        position_id: Joi.number().integer().min(1).required(),
+        salaire_de_base: Joi.number().min(0).required(),
+        notes_rh: Joi.string().allow(null, '').optional(),
+        document_id: Joi.number().integer().min(1).allow(null).optional() // Document du dossier de l'employé (POST /api/employee/documents)
+    }).required()
+});
+
+/**
+ * Route pour enregistrer la sortie d'un employé (remplace l'ancien DELETE /api/employee/:id).
+ * Clôture le contrat et l'affectation au dernier jour travaillé et génère la check-list de sortie
+ * (matériel, solde de tout compte, certificat de travail, compte utilisateur).
+ * L'employé reste actif jusqu'à son dernier jour travaillé (préavis), puis passe en 'Sorti'
+ * ('Licencié' pour un licenciement) et son compte est désactivé.
+ * POST /api/employee/:id/exit
+ */
+router.post('/:id/exit', authMiddleware, authorize('employee:offboard', { employeeId: req => req.params.id }), async (req, res) => {
+    const { error, value } = exitSchema.validate(req.body);
+    if (error) {
+        return res.status(400).json({ message: error.details[0].message });
+    }
 
-    // Utilisation d'une transaction pour garantir l'intégrité
     const connection = await db.getConnection();
     await connection.beginTransaction();
 
     try {
-        // 1. Mise à jour du statut dans la table `employees` (Archivage / Soft Delete)
-        // Ceci répond à l'exigence d'Archivage intelligent
-        const [result] = await connection.query(
-            'UPDATE employees SET statut = ? WHERE id = ?',
-            ['Licencié', employeeId]
-        );
-
-        if (result.affectedRows === 0) {
+        const exit = await employeeExitService.startExit(connection, req.params.id, value, req.user.id);
+        if (exit.status) {
             await connection.rollback();
-            return res.status(404).json({ message: 'Employé non trouvé.' });
+            return res.status(exit.status).json({ message: exit.message });
         }
-        
-        // 2. Terminer son affectation actuelle dans l'historique
-        // Enregistrement de la date de fin de l'affectation actuelle
-        await connection.query(`
-            UPDATE employee_affectations
-            SET date_fin = CURDATE(), motif = CONCAT('Licenciement/Archivage par ', ?), created_by_user_id = ?
-            WHERE employee_id = ? AND date_fin IS NULL
-        `, ['Procédure de départ', req.user.id, employeeId]);
-        
-        // 3. Suppression du lien vers le compte utilisateur (si présent) pour libérer l'email.
-        // Optionnel, mais bonne pratique de sécurité/gestion des accès.
-        await connection.query(
-            'UPDATE employees SET user_id = NULL WHERE id = ?',
-            [employeeId]
-        );
-
-        // Validation et Commit de la transaction
+
         await connection.commit();
 
-        res.status(200).json({
-            message: 'Employé archivé (licencié) avec succès. Historique finalisé.',
-            employeeId: employeeId
+        // Sortie immédiate : fermeture des sessions du compte désactivé
+        if (exit.userId) {
+            await tokenService.revokeAllSessions(exit.userId, 'Sortie des effectifs');
+        }
+
+        res.status(201).json({
+            message: exit.finalized
+                ? `Sortie (${value.type_sortie}) enregistrée et effective. Contrat et affectation clôturés.`
+                : `Sortie (${value.type_sortie}) enregistrée. L'employé reste en poste jusqu'à son dernier jour travaillé.`,
+            exitId: exit.exitId,
+            effective: exit.finalized
         });
 
     } catch (err) {
         await connection.rollback();
         console.error(err);
-        res.status(500).json({ message: 'Erreur serveur lors de l\'archivage de l\'employé.' });
+        res.status(500).json({ message: 'Erreur serveur lors de l\'enregistrement de la sortie.' });
     } finally {
         connection.release();
     }
 });
 
+// Route pour consulter les procédures de sortie d'un employé et leur check-list
+// GET /api/employee/:id/exits
+router.get('/:id/exits', authMiddleware, authorize('employee:offboard', { employeeId: req => req.params.id }), async (req, res) => {
+    try {
+        const exits = await employeeExitService.findEmployeeExits(req.params.id);
+        res.status(200).json(exits);
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ message: 'Erreur serveur lors de la récupération des sorties.' });
+    }
+});
 
-module.exports = router;
+// Route pour cocher une tâche de la check-list de sortie
+// PUT /api/employee/:id/exit-tasks/:taskId
+router.put('/:id/exit-tasks/:taskId', authMiddleware, authorize('employee:offboard', { employeeId: req => req.params.id }), async (req, res) => {
+    try {
+        const { error, value } = exitTaskSchema.validate(req.body);
+        if (error) {
+            return res.status(400).json({ message: error.details[0].message });
+        }
+
+        const result = await employeeExitService.updateExitTask(req.params.id, req.params.taskId, value, req.user.id);
+        if (result.status) {
+            return res.status(result.status).json({ message: result.message });
+        }
+
+        res.status(200).json({ message: 'Tâche de sortie mise à jour.', task: result.task });
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ message: 'Erreur serveur lors de la mise à jour de la tâche de sortie.' });
+    }
+});
 
+/**
+ * Route pour réembaucher un employé sorti : le dossier (matricule, historique, contrats et sorties
+ * précédents) est conservé et réactivé avec une nouvelle affectation et un nouveau contrat.
+ * POST /api/employee/:id/rehire
+ */
+router.post('/:id/rehire', authMiddleware, authorize('employee:create', { employeeId: req => req.params.id }), async (req, res) => {
+    const { error, value } = rehireSchema.validate(req.body);
+    if (error) {
+        return res.status(400).json({ message: error.details[0].message });
+    }
 
+    const connection = await db.getConnection();
+    await connection.beginTransaction();
 
+    try {
+        const documentRef = await documentService.resolveDocumentReference(value.contrat.document_id, req.params.id, connection);
+        if (documentRef.status) {
+            await connection.rollback();
+            return res.status(documentRef.status).json({ message: documentRef.message });
+        }
+        value.contrat.document_url = documentRef.url;
 
+        const rehire = await employeeExitService.rehireEmployee(connection, req.params.id, value, req.user.id);
+        if (rehire.status) {
+            await connection.rollback();
+            return res.status(rehire.status).json({ message: rehire.message });
+        }
 
+        await connection.commit();
+        res.status(201).json({
+            message: 'Employé réembauché : dossier réactivé avec un nouveau contrat. Le compte utilisateur éventuel reste à réactiver.',
+            employeeId: Number(req.params.id),
+            contractId: rehire.contractId
+        });
+
+    } catch (err) {
+        await connection.rollback();
+        console.error(err);
+        res.status(500).json({ message: 'Erreur serveur lors de la réembauche.' });
+    } finally {
+        connection.release();
+    }
+});
 
+module.exports = router;
@@ -0,0 +1,114 @@
+// Fichier: backend/routes/employee/exportRoutes.js
+
+const express = require('express');
+const Joi = require('joi');
+const authMiddleware = require('../../middleware/authMiddleware');
+const { authorize, buildScopeClause } = require('../../middleware/permissionMiddleware');
+const employeeService = require('../../services/employeeService');
+const exportService = require('../../services/exportService');
+
+const router = express.Router();
+
+// Schéma de validation de l'export du registre du personnel
+const registreQuerySchema = Joi.object({
+    format: Joi.string().valid(...exportService.EXPORT_FORMATS).default('pdf'),
+    site_id: Joi.number().integer().min(1).optional()
+});
+
+// Schéma de validation d'un export personnalisé : mêmes filtres que l'annuaire + colonnes choisies
+const customExportQuerySchema = employeeService.directoryFilterSchema.keys({
+    format: Joi.string().valid(...exportService.EXPORT_FORMATS).default('xlsx'),
+    // Liste séparée par des virgules, ex : columns=matricule,nom,prenom,site,type_contrat
+    columns: Joi.string().default('matricule,nom,prenom,position,site,departement,service,equipe,statut')
+});
+
+// Date du jour pour les noms de fichiers (AAAA-MM-JJ)
+const today = () => new Date().toISOString().split('T')[0];
+
+/**
+ * Liste des colonnes disponibles pour un export personnalisé (selon le rôle de l'utilisateur).
+ * GET /api/employee/exports/columns
+ */
+router.get('/columns', authMiddleware, authorize('employee:export'), (req, res) => {
+    const columns = Object.entries(employeeService.EXPORT_COLUMNS)
+        .filter(([, column]) => !column.restrictedTo || column.restrictedTo.includes(req.user.role))
+        .map(([key, column]) => ({ key: key, label: column.label }));
+
+    res.status(200).json(columns);
+});
+
+/**
+ * Registre du personnel (obligation légale) : tous les employés, présents et sortis, par ordre d'embauche.
+ * GET /api/employee/exports/registre?format=csv|xlsx|pdf&site_id=
+ */
+router.get('/registre', authMiddleware, authorize('registre:export'), async (req, res) => {
+    try {
+        const { error, value } = registreQuerySchema.validate(req.query);
+        if (error) {
+            return res.status(400).json({ message: error.details[0].message });
+        }
+
+        const scope = await buildScopeClause(req, 'e');
+        const registre = await employeeService.findRegistreEntries(scope, { siteId: value.site_id });
+
+        await exportService.sendExport(res, value.format, {
+            fileName: `registre_du_personnel_${today()}`,
+            title: 'Registre du personnel',
+            columns: registre.columns,
+            rows: registre.rows
+        });
+
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ message: 'Erreur serveur lors de l\'export du registre du personnel.' });
+    }
+});
+
+/**
+ * Export personnalisé des employés (colonnes au choix, filtres de l'annuaire), limité au périmètre de l'utilisateur.
+ * GET /api/employee/exports?format=csv|xlsx|pdf&columns=matricule,nom,...&site_id=&statut=&search=...
+ */
+router.get('/', authMiddleware, authorize('employee:export'), async (req, res) => {
+    try {
+        const { error, value } = customExportQuerySchema.validate(req.query);
+        if (error) {
+            return res.status(400).json({ message: error.details[0].message });
+        }
+
+        // Contrôle des colonnes demandées (inconnues, ou sensibles pour ce rôle)
+        const columnKeys = [...new Set(value.columns.split(',').map(key => key.trim()).filter(Boolean))];
+        const unknown = columnKeys.filter(key => !employeeService.EXPORT_COLUMNS[key]);
+        if (unknown.length > 0) {
+            return res.status(400).json({ message: `Colonnes inconnues : ${unknown.join(', ')}. Voir GET /api/employee/exports/columns.` });
+        }
+        const forbidden = columnKeys.filter(key => {
+            const column = employeeService.EXPORT_COLUMNS[key];
+            return column.restrictedTo && !column.restrictedTo.includes(req.user.role);
+        });
+        if (forbidden.length > 0) {
+            return res.status(403).json({ message: `Accès refusé. Votre rôle ne permet pas d'exporter : ${forbidden.join(', ')}.` });
+        }
+        if (columnKeys.length === 0) {
+            return res.status(400).json({ message: 'Aucune colonne demandée.' });
+        }
+
+        const scope = await buildScopeClause(req, 'e');
+        const data = await employeeService.exportEmployees(value, scope, columnKeys);
+        if (data.status) {
+            return res.status(data.status).json({ message: data.message });
+        }
+
+        await exportService.sendExport(res, value.format, {
+            fileName: `export_employes_${today()}`,
+            title: 'Liste des employés',
+            columns: data.columns,
+            rows: data.rows
+        });
+
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ message: 'Erreur serveur lors de l\'export des employés.' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,131 @@
+// Fichier: backend/routes/hr/budgetRoutes.js
+
+const express = require('express');
+const Joi = require('joi');
+const authMiddleware = require('../../middleware/authMiddleware');
+const { authorize, loadUserEmployee } = require('../../middleware/permissionMiddleware');
+const { ROLE_SCOPES } = require('../../config/permissions');
+const budgetService = require('../../services/budgetService');
+
+const router = express.Router();
+
+// Schéma de validation des paramètres de consultation du budget
+const budgetQuerySchema = Joi.object({
+    year: Joi.number().integer().min(2000).max(2100).default(() => new Date().getFullYear()),
+    site_id: Joi.number().integer().min(1).optional()
+});
+
+/**
+ * Restreint les départements consultables au périmètre de l'utilisateur :
+ * global = tous, site = départements de son site, department = son département.
+ * Renvoie { siteId, departmentIds } à passer à budgetService (null = pas de restriction) ;
+ * un utilisateur dont l'unité n'est pas renseignée n'a accès à aucun département.
+ */
+const buildDepartmentScope = async (req) => {
+    const scope = ROLE_SCOPES[req.user.role];
+    if (scope === 'global') return { siteId: null, departmentIds: null };
+
+    const userEmployee = await loadUserEmployee(req);
+    if (!userEmployee) return { siteId: null, departmentIds: [] };
+
+    if (scope === 'site') {
+        return userEmployee.site_id ? { siteId: userEmployee.site_id, departmentIds: null } : { siteId: null, departmentIds: [] };
+    }
+    return { siteId: null, departmentIds: userEmployee.department_id ? [userEmployee.department_id] : [] };
+};
+
+/**
+ * Consommation budgétaire de chaque département : réalisé mois par mois, cumul et projection fin d'année.
+ * GET /api/hr/budgets?year=2025&site_id=
+ */
+router.get('/', authMiddleware, authorize('budget:read'), async (req, res) => {
+    try {
+        const { error, value } = budgetQuerySchema.validate(req.query);
+        if (error) {
+            return res.status(400).json({ message: error.details[0].message });
+        }
+
+        const scope = await buildDepartmentScope(req);
+        if (scope.siteId && value.site_id && scope.siteId !== value.site_id) {
+            return res.status(403).json({ message: 'Accès refusé. Ce site est hors de votre périmètre.' });
+        }
+
+        const budgets = await budgetService.computeDepartmentBudgets({
+            year: value.year,
+            siteId: value.site_id || scope.siteId,
+            departmentIds: scope.departmentIds
+        });
+
+        res.status(200).json({
+            annee: value.year,
+            budget_total: budgets.reduce((total, budget) => total + budget.budget_alloue, 0),
+            consomme_total: Math.round(budgets.reduce((total, budget) => total + budget.consomme, 0) * 100) / 100,
+            departements: budgets
+        });
+
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ message: 'Erreur serveur lors du calcul des budgets.' });
+    }
+});
+
+/**
+ * Consommation budgétaire d'un département.
+ * GET /api/hr/budgets/departments/:id?year=2025
+ */
+router.get('/departments/:id', authMiddleware, authorize('budget:read'), async (req, res) => {
+    try {
+        const { error, value } = budgetQuerySchema.validate(req.query);
+        if (error) {
+            return res.status(400).json({ message: error.details[0].message });
+        }
+
+        const scope = await buildDepartmentScope(req);
+        const departmentId = Number(req.params.id);
+        if (scope.departmentIds && !scope.departmentIds.includes(departmentId)) {
+            return res.status(403).json({ message: 'Accès refusé. Ce département est hors de votre périmètre.' });
+        }
+
+        const budgets = await budgetService.computeDepartmentBudgets({
+            year: value.year,
+            siteId: scope.siteId,
+            departmentIds: [departmentId]
+        });
+        if (budgets.length === 0) {
+            return res.status(404).json({ message: 'Département non trouvé (ou hors de votre périmètre).' });
+        }
+
+        res.status(200).json(budgets[0]);
+
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ message: 'Erreur serveur lors du calcul du budget du département.' });
+    }
+});
+
+/**
+ * Vérifie immédiatement les seuils budgétaires et crée les alertes nécessaires
+ * (la vérification est aussi exécutée chaque jour par le planificateur).
+ * POST /api/hr/budgets/check-alerts?year=2025
+ */
+router.post('/check-alerts', authMiddleware, authorize('budget:manage'), async (req, res) => {
+    try {
+        const { error, value } = budgetQuerySchema.validate(req.query);
+        if (error) {
+            return res.status(400).json({ message: error.details[0].message });
+        }
+
+        const alerts = await budgetService.checkBudgetAlerts(value.year);
+
+        res.status(200).json({
+            message: `${alerts.length} alerte(s) budgétaire(s) créée(s).`,
+            alerts: alerts
+        });
+
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ message: 'Erreur serveur lors de la vérification des seuils budgétaires.' });
+    }
+});
+
+module.exports = router;
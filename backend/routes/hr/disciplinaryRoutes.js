@@ -0,0 +1,251 @@
+// Fichier: backend/routes/hr/disciplinaryRoutes.js
+
+const express = require('express');
+const Joi = require('joi');
+const db = require('../../config/db');
+const authMiddleware = require('../../middleware/authMiddleware');
+const { authorize, checkEmployeeScope, buildScopeClause } = require('../../middleware/permissionMiddleware');
+const disciplinaryService = require('../../services/disciplinaryService');
+const sanctionService = require('../../services/sanctionService');
+const tokenService = require('../../services/tokenService');
+
+const router = express.Router();
+
+const documentIdsSchema = Joi.array().items(Joi.number().integer().min(1)).unique().max(20).default([]);
+
+// Ouverture d'un dossier : rapport d'incident
+const caseSchema = Joi.object({
+    employee_id: Joi.number().integer().min(1).required(),
+    date_faits: Joi.date().iso().required(),
+    date_connaissance: Joi.date().iso().min(Joi.ref('date_faits')).required(),
+    description: Joi.string().min(10).required(),
+    date_etape: Joi.date().iso().min(Joi.ref('date_faits')).required(), // Date du rapport d'incident
+    commentaire: Joi.string().max(2000).allow(null, '').optional(),
+    document_ids: documentIdsSchema
+});
+
+// Sanction retenue à l'étape de décision (enregistrée à la notification)
+const decidedSanctionSchema = Joi.object({
+    type_sanction: Joi.string().valid(...sanctionService.SANCTION_TYPES).required(),
+    date_effet: Joi.date().iso().required(),
+    jours_mise_a_pied: Joi.number().integer().min(0).max(30).default(0).when('type_sanction', {
+        is: 'Mise à pied',
+        then: Joi.number().integer().min(1).required()
+    }),
+    retrogradation: Joi.object({
+        position: Joi.string().max(255).required(),
+        fonction: Joi.string().max(255).required(),
+        position_id: Joi.number().integer().min(1).required(),
+        salaire_de_base: Joi.number().min(0).optional()
+    }).when('type_sanction', {
+        is: 'Rétrogradation',
+        then: Joi.required(),
+        otherwise: Joi.forbidden()
+    }),
+    motif_detaille: Joi.string().min(10).required()
+});
+
+// Étapes suivantes : champs propres à chaque étape
+const stepSchema = Joi.object({
+    etape: Joi.string().valid(...disciplinaryService.STEPS.slice(1)).required(),
+    date_etape: Joi.date().iso().required(),
+    commentaire: Joi.string().max(2000).allow(null, '').optional(),
+    document_ids: documentIdsSchema,
+    date_entretien_prevue: Joi.date().iso().when('etape', { is: 'Convocation', then: Joi.required(), otherwise: Joi.forbidden() }),
+    compte_rendu: Joi.string().min(10).when('etape', { is: 'Entretien', then: Joi.required(), otherwise: Joi.forbidden() }),
+    employe_present: Joi.boolean().when('etape', { is: 'Entretien', then: Joi.required(), otherwise: Joi.forbidden() }),
+    assiste_par: Joi.string().max(255).allow(null, '').when('etape', { is: 'Entretien', otherwise: Joi.forbidden() }),
+    explication_fournie: Joi.boolean().when('etape', { is: 'Explication écrite', then: Joi.required(), otherwise: Joi.forbidden() }),
+    decision: Joi.string().valid('Sanction', 'Classement sans suite').when('etape', { is: 'Décision', then: Joi.required(), otherwise: Joi.forbidden() }),
+    sanction: decidedSanctionSchema.when('decision', { is: 'Sanction', then: Joi.required(), otherwise: Joi.forbidden() })
+});
+
+const caseListQuerySchema = Joi.object({
+    employee_id: Joi.number().integer().min(1).optional(),
+    statut: Joi.string().valid('En cours', 'Sanctionné', 'Classé sans suite').optional()
+});
+
+const caseClosingSchema = Joi.object({
+    motif: Joi.string().min(5).max(2000).required()
+});
+
+// Vérifie que le dossier :id existe et concerne un employé du périmètre de l'utilisateur
+const checkCaseScope = async (req, res) => {
+    const employeeId = await disciplinaryService.findCaseEmployeeId(req.params.id);
+    if (!employeeId) {
+        res.status(404).json({ message: 'Dossier disciplinaire non trouvé.' });
+        return false;
+    }
+    const scopeCheck = await checkEmployeeScope(req, employeeId);
+    if (!scopeCheck.allowed) {
+        res.status(scopeCheck.status).json({ message: scopeCheck.message });
+        return false;
+    }
+    return true;
+};
+
+/**
+ * Route pour lister les dossiers disciplinaires (dans le périmètre de l'utilisateur).
+ * GET /api/hr/disciplinary-cases?employee_id=&statut=
+ */
+router.get('/', authMiddleware, authorize('sanction:read', { employeeId: req => req.query.employee_id }), async (req, res) => {
+    try {
+        const { error, value } = caseListQuerySchema.validate(req.query);
+        if (error) {
+            return res.status(400).json({ message: error.details[0].message });
+        }
+
+        const scope = await buildScopeClause(req, 'e');
+        const cases = await disciplinaryService.listCases(scope, value);
+        res.status(200).json(cases);
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ message: 'Erreur serveur lors de la récupération des dossiers disciplinaires.' });
+    }
+});
+
+/**
+ * Route pour consulter un dossier : étapes, pièces jointes et délais de l'étape suivante.
+ * GET /api/hr/disciplinary-cases/:id
+ */
+router.get('/:id', authMiddleware, authorize('sanction:read'), async (req, res) => {
+    try {
+        if (!(await checkCaseScope(req, res))) return;
+
+        const disciplinaryCase = await disciplinaryService.getCase(req.params.id);
+        res.status(200).json(disciplinaryCase);
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ message: 'Erreur serveur lors de la récupération du dossier disciplinaire.' });
+    }
+});
+
+/**
+ * Route pour ouvrir un dossier disciplinaire (rapport d'incident).
+ * POST /api/hr/disciplinary-cases
+ */
+router.post('/', authMiddleware, authorize('sanction:write', { employeeId: req => req.body.employee_id }), async (req, res) => {
+    const { error, value } = caseSchema.validate(req.body);
+    if (error) {
+        return res.status(400).json({ message: error.details[0].message });
+    }
+
+    const connection = await db.getConnection();
+    await connection.beginTransaction();
+
+    try {
+        const opening = await disciplinaryService.openCase(connection, value, req.user.id);
+        if (opening.status) {
+            await connection.rollback();
+            return res.status(opening.status).json({ message: opening.message });
+        }
+
+        await connection.commit();
+        res.status(201).json({
+            message: 'Dossier disciplinaire ouvert.',
+            caseId: opening.caseId,
+            prochaine_etape: opening.prochaine_etape
+        });
+
+    } catch (err) {
+        await connection.rollback();
+        console.error(err);
+        res.status(500).json({ message: 'Erreur serveur lors de l\'ouverture du dossier disciplinaire.' });
+    } finally {
+        connection.release();
+    }
+});
+
+/**
+ * Route pour enregistrer l'étape suivante d'un dossier (ordre et délais légaux contrôlés).
+ * La notification de la décision enregistre la sanction.
+ * POST /api/hr/disciplinary-cases/:id/steps
+ */
+router.post('/:id/steps', authMiddleware, authorize('sanction:write'), async (req, res) => {
+    const { error, value } = stepSchema.validate(req.body);
+    if (error) {
+        return res.status(400).json({ message: error.details[0].message });
+    }
+
+    const connection = await db.getConnection();
+    await connection.beginTransaction();
+
+    try {
+        if (!(await checkCaseScope(req, res))) {
+            await connection.rollback();
+            return;
+        }
+
+        const step = await disciplinaryService.recordStep(connection, req.params.id, value, req.user.id);
+        if (step.status) {
+            await connection.rollback();
+            return res.status(step.status).json({ message: step.message });
+        }
+
+        await connection.commit();
+
+        // Licenciement avec date d'effet passée : fermeture des sessions du compte désactivé
+        if (step.sanction && step.sanction.userId) {
+            await tokenService.revokeAllSessions(step.sanction.userId, 'Sortie des effectifs');
+        }
+
+        res.status(201).json({
+            message: step.sanction
+                ? `Décision notifiée : sanction n°${step.sanction.sanctionId} enregistrée.`
+                : `Étape "${value.etape}" enregistrée.`,
+            stepId: step.stepId,
+            statut: step.statut,
+            sanctionId: step.sanction ? step.sanction.sanctionId : null,
+            exitId: step.sanction ? step.sanction.exitId : null,
+            // Rétrogradation : restrictions d'aptitude incompatibles avec le nouveau poste
+            restrictions_incompatibles: step.sanction ? step.sanction.incompatibilites : [],
+            prochaine_etape: step.prochaine_etape
+        });
+
+    } catch (err) {
+        await connection.rollback();
+        console.error(err);
+        res.status(500).json({ message: 'Erreur serveur lors de l\'enregistrement de l\'étape.' });
+    } finally {
+        connection.release();
+    }
+});
+
+/**
+ * Route pour classer sans suite un dossier en cours.
+ * POST /api/hr/disciplinary-cases/:id/close
+ */
+router.post('/:id/close', authMiddleware, authorize('sanction:write'), async (req, res) => {
+    const { error, value } = caseClosingSchema.validate(req.body);
+    if (error) {
+        return res.status(400).json({ message: error.details[0].message });
+    }
+
+    const connection = await db.getConnection();
+    await connection.beginTransaction();
+
+    try {
+        if (!(await checkCaseScope(req, res))) {
+            await connection.rollback();
+            return;
+        }
+
+        const closing = await disciplinaryService.closeCase(connection, req.params.id, value);
+        if (closing.status) {
+            await connection.rollback();
+            return res.status(closing.status).json({ message: closing.message });
+        }
+
+        await connection.commit();
+        res.status(200).json({ message: 'Dossier disciplinaire classé sans suite.', caseId: Number(req.params.id) });
+
+    } catch (err) {
+        await connection.rollback();
+        console.error(err);
+        res.status(500).json({ message: 'Erreur serveur lors du classement du dossier disciplinaire.' });
+    } finally {
+        connection.release();
+    }
+});
+
+module.exports = router;
@@ -4,6 +4,16 @@ const express = require('express');
 const Joi = require('joi');
 const db = require('../../config/db');
 const authMiddleware = require('../../middleware/authMiddleware');
+const { authorize, checkEmployeeScope, buildScopeClause } = require('../../middleware/permissionMiddleware');
+const { PERMISSIONS } = require('../../config/permissions');
+const employeeService = require('../../services/employeeService');
+const contractService = require('../../services/contractService');
+const trialPeriodService = require('../../services/trialPeriodService');
+const sanctionService = require('../../services/sanctionService');
+const disciplinaryService = require('../../services/disciplinaryService');
+const occupationalHealthService = require('../../services/occupationalHealthService');
+const documentService = require('../../services/documentService');
+const tokenService = require('../../services/tokenService');
 
 const router = express.Router();
 
@@ -19,19 +29,22 @@ const contractSchema = Joi.object({
     position_id: Joi.number().integer().min(1).required(),
     salaire_de_base: Joi.number().min(0).required(),
     notes_rh: Joi.string().allow(null, '').optional(),
-    document_url: Joi.string().uri().allow(null, '').optional(),
+    document_id: Joi.number().integer().min(1).allow(null).optional(), // Document du dossier de l'employé (POST /api/employee/documents)
     is_avenant: Joi.boolean().default(false),
     parent_contract_id: Joi.number().integer().min(1).allow(null).when('is_avenant', {
         is: true,
         then: Joi.required() // Si avenant, l'ID du contrat parent est obligatoire
-    })
+    }),
+    // Période d'essai : par défaut selon la catégorie du poste (trial_period_rules)
+    essai_date_fin: Joi.date().iso().min(Joi.ref('date_debut')).optional().when('is_avenant', { is: true, then: Joi.forbidden() }),
+    sans_periode_essai: Joi.boolean().default(false)
 });
 
 /**
  * Route pour ajouter un nouveau contrat ou un avenant.
  * POST /api/hr/contracts
  */
-router.post('/contracts', authMiddleware, async (req, res) => {
+router.post('/contracts', authMiddleware, authorize('contract:write', { employeeId: req => req.body.employee_id }), async (req, res) => {
     const connection = await db.getConnection();
     await connection.beginTransaction();
     
@@ -49,6 +62,13 @@ router.post('/contracts', authMiddleware, async (req, res) => {
             return res.status(404).json({ message: 'Employé actif non trouvé.' });
         }
 
+        const documentRef = await documentService.resolveDocumentReference(value.document_id, value.employee_id, connection);
+        if (documentRef.status) {
+            await connection.rollback();
+            return res.status(documentRef.status).json({ message: documentRef.message });
+        }
+        value.document_url = documentRef.url;
+
         // 2. Si ce n'est PAS un avenant, vérifier s'il existe déjà un contrat actif
         if (!value.is_avenant) {
             const [activeContracts] = await connection.query(
@@ -59,7 +79,16 @@ router.post('/contracts', authMiddleware, async (req, res) => {
             // Si un contrat principal actif existe, il faut d'abord le terminer
             if (activeContracts.length > 0) {
                 await connection.rollback();
-                return res.status(409).json({ message: 'Un contrat principal est déjà ACTIF pour cet employé. Veuillez le terminer avant d\'en ajouter un nouveau.' });
+                return res.status(409).json({ message: 'Un contrat principal est déjà ACTIF pour cet employé. Veuillez le terminer (POST /api/hr/contracts/:id/terminate) avant d\'en ajouter un nouveau.' });
+            }
+
+            // Limites légales des CDD (durée, nombre de CDD) ; un renouvellement passe par /contracts/:id/renew
+            if (value.type_contrat === 'CDD') {
+                const cddCheck = await contractService.checkNewCdd(connection, value.employee_id, value);
+                if (cddCheck.status) {
+                    await connection.rollback();
+                    return res.status(cddCheck.status).json({ message: cddCheck.message });
+                }
             }
         }
 
@@ -77,16 +106,33 @@ router.post('/contracts', authMiddleware, async (req, res) => {
         
         const contractId = result.insertId;
 
-        // 4. Si ce n'est PAS un avenant, mettre à jour la classification dans la table employees (simplifié)
+        // 4. Si ce n'est PAS un avenant, mettre à jour la classification et l'échéance dans la table employees (simplifié)
+        //    et ouvrir la période d'essai
+        let essaiDateFin = null;
         if (!value.is_avenant) {
-            await connection.query('UPDATE employees SET position_id = ? WHERE id = ?', [value.position_id, value.employee_id]);
+            await connection.query(
+                'UPDATE employees SET position_id = ?, date_fin_contrat = ? WHERE id = ?',
+                [value.position_id, value.date_fin_prevue || null, value.employee_id]
+            );
+
+            const trial = await trialPeriodService.openTrialPeriod(connection, { id: contractId, ...value }, value);
+            if (trial.status) {
+                await connection.rollback();
+                return res.status(trial.status).json({ message: trial.message });
+            }
+            essaiDateFin = trial.essaiDateFin;
         }
 
+        // 5. Restrictions d'aptitude de l'employé incompatibles avec le poste du contrat (signalées, non bloquantes)
+        const incompatibilites = await occupationalHealthService.checkAssignment(value.employee_id, value.position_id, connection);
+
         await connection.commit();
 
         res.status(201).json({
             message: `Contrat de type ${value.type_contrat} enregistré avec succès.`,
-            contractId: contractId
+            contractId: contractId,
+            essai_date_fin: essaiDateFin,
+            restrictions_incompatibles: incompatibilites
         });
 
     } catch (err) {
@@ -98,82 +144,417 @@ router.post('/contracts', authMiddleware, async (req, res) => {
     }
 });
 
-// Fichier: backend/routes/hr/hrRoutes.js (AJOUTER LE CODE SUIVANT)
+// --- CYCLE DE VIE DES CONTRATS (fin, renouvellement de CDD, conversion en CDI) ---
+
+const contractListQuerySchema = Joi.object({
+    employee_id: Joi.number().integer().min(1).required()
+});
+
+const contractTerminationSchema = Joi.object({
+    date_fin: Joi.date().iso().required(),
+    motif_fin: Joi.string().valid(...contractService.TERMINATION_REASONS).required(),
+    commentaire: Joi.string().allow(null, '').optional(),
+    // Procédure de sortie ouverte pour un motif de départ (voir POST /api/employee/:id/exit)
+    date_notification: Joi.date().iso().max(Joi.ref('date_fin')).optional(),
+    preavis_jours: Joi.number().integer().min(0).max(365).allow(null).optional()
+});
+
+const contractRenewalSchema = Joi.object({
+    date_fin_prevue: Joi.date().iso().required(),
+    position_id: Joi.number().integer().min(1).optional(), // Par défaut : repris du CDD renouvelé
+    salaire_de_base: Joi.number().min(0).optional(),
+    notes_rh: Joi.string().allow(null, '').optional(),
+    document_id: Joi.number().integer().min(1).allow(null).optional() // Document du dossier de l'employé (POST /api/employee/documents)
+});
+
+const contractConversionSchema = Joi.object({
+    date_effet: Joi.date().iso().required(),
+    position_id: Joi.number().integer().min(1).optional(),
+    salaire_de_base: Joi.number().min(0).optional(),
+    notes_rh: Joi.string().allow(null, '').optional(),
+    document_id: Joi.number().integer().min(1).allow(null).optional() // Document du dossier de l'employé (POST /api/employee/documents)
+});
+
+// Charge le contrat ciblé par :id et vérifie le périmètre de l'utilisateur sur l'employé concerné
+const loadContractInScope = async (req, res) => {
+    const contract = await contractService.findContractById(req.params.id);
+    if (!contract) {
+        res.status(404).json({ message: 'Contrat non trouvé.' });
+        return null;
+    }
+    const scopeCheck = await checkEmployeeScope(req, contract.employee_id);
+    if (!scopeCheck.allowed) {
+        res.status(scopeCheck.status).json({ message: scopeCheck.message });
+        return null;
+    }
+    return contract;
+};
+
+/**
+ * Route pour lister les contrats d'un employé avec l'arbre de leurs avenants (parent_contract_id).
+ * Un CDD actif indique sa situation au regard des limites légales (renouvellements, durée maximale).
+ * GET /api/hr/contracts?employee_id=
+ */
+router.get('/contracts', authMiddleware, authorize('contract:read', { employeeId: req => req.query.employee_id }), async (req, res) => {
+    try {
+        const { error, value } = contractListQuerySchema.validate(req.query);
+        if (error) {
+            return res.status(400).json({ message: error.details[0].message });
+        }
+
+        const contracts = await contractService.listEmployeeContracts(value.employee_id, {
+            includeSalary: PERMISSIONS['career:confidential'].includes(req.user.role)
+        });
+        res.status(200).json(contracts);
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ message: 'Erreur serveur lors de la récupération des contrats.' });
+    }
+});
+
+/**
+ * Route pour mettre fin à un contrat principal (et à ses avenants).
+ * Un motif de départ ouvre la procédure de sortie de l'employé ; 'Remplacement' clôt le contrat
+ * sans sortie, avant l'enregistrement d'un nouveau contrat.
+ * POST /api/hr/contracts/:id/terminate
+ */
+router.post('/contracts/:id/terminate', authMiddleware, authorize('contract:write'), async (req, res) => {
+    const { error, value } = contractTerminationSchema.validate(req.body);
+    if (error) {
+        return res.status(400).json({ message: error.details[0].message });
+    }
+
+    const connection = await db.getConnection();
+    await connection.beginTransaction();
+
+    try {
+        const contract = await loadContractInScope(req, res);
+        if (!contract) {
+            await connection.rollback();
+            return;
+        }
+
+        const termination = await contractService.terminateContract(connection, contract.id, value, req.user.id);
+        if (termination.status) {
+            await connection.rollback();
+            return res.status(termination.status).json({ message: termination.message });
+        }
+
+        await connection.commit();
+
+        // Sortie immédiate : fermeture des sessions du compte désactivé
+        if (termination.userId) {
+            await tokenService.revokeAllSessions(termination.userId, 'Sortie des effectifs');
+        }
+
+        res.status(200).json({
+            message: termination.exitId && !termination.finalized
+                ? `Fin de contrat (${value.motif_fin}) enregistrée : le contrat reste actif jusqu'au dernier jour travaillé (procédure de sortie ouverte).`
+                : `Contrat terminé (${value.motif_fin}).${termination.exitId ? ' Sortie effective.' : ''}`,
+            contractId: contract.id,
+            exitId: termination.exitId
+        });
+
+    } catch (err) {
+        await connection.rollback();
+        console.error(err);
+        res.status(500).json({ message: 'Erreur serveur lors de la fin du contrat.' });
+    } finally {
+        connection.release();
+    }
+});
+
+/**
+ * Route pour renouveler un CDD (nouveau CDD à compter du lendemain de l'échéance).
+ * Refusé au-delà du nombre de renouvellements ou de la durée totale autorisés : le contrat doit alors être converti en CDI.
+ * POST /api/hr/contracts/:id/renew
+ */
+router.post('/contracts/:id/renew', authMiddleware, authorize('contract:write'), async (req, res) => {
+    const { error, value } = contractRenewalSchema.validate(req.body);
+    if (error) {
+        return res.status(400).json({ message: error.details[0].message });
+    }
+
+    const connection = await db.getConnection();
+    await connection.beginTransaction();
+
+    try {
+        const contract = await loadContractInScope(req, res);
+        if (!contract) {
+            await connection.rollback();
+            return;
+        }
+
+        const documentRef = await documentService.resolveDocumentReference(value.document_id, contract.employee_id, connection);
+        if (documentRef.status) {
+            await connection.rollback();
+            return res.status(documentRef.status).json({ message: documentRef.message });
+        }
+        value.document_url = documentRef.url;
+
+        const renewal = await contractService.renewCdd(connection, contract.id, value, req.user.id);
+        if (renewal.status) {
+            await connection.rollback();
+            return res.status(renewal.status).json({ message: renewal.message });
+        }
+
+        await connection.commit();
+        res.status(201).json({
+            message: `CDD renouvelé (renouvellement n°${renewal.numeroRenouvellement}).`,
+            contractId: renewal.contractId
+        });
+
+    } catch (err) {
+        await connection.rollback();
+        console.error(err);
+        res.status(500).json({ message: 'Erreur serveur lors du renouvellement du contrat.' });
+    } finally {
+        connection.release();
+    }
+});
+
+/**
+ * Route pour convertir un CDD en CDI (le CDD est clos la veille de la date d'effet).
+ * POST /api/hr/contracts/:id/convert-cdi
+ */
+router.post('/contracts/:id/convert-cdi', authMiddleware, authorize('contract:write'), async (req, res) => {
+    const { error, value } = contractConversionSchema.validate(req.body);
+    if (error) {
+        return res.status(400).json({ message: error.details[0].message });
+    }
+
+    const connection = await db.getConnection();
+    await connection.beginTransaction();
+
+    try {
+        const contract = await loadContractInScope(req, res);
+        if (!contract) {
+            await connection.rollback();
+            return;
+        }
+
+        const documentRef = await documentService.resolveDocumentReference(value.document_id, contract.employee_id, connection);
+        if (documentRef.status) {
+            await connection.rollback();
+            return res.status(documentRef.status).json({ message: documentRef.message });
+        }
+        value.document_url = documentRef.url;
+
+        const conversion = await contractService.convertCddToCdi(connection, contract.id, value, req.user.id);
+        if (conversion.status) {
+            await connection.rollback();
+            return res.status(conversion.status).json({ message: conversion.message });
+        }
+
+        await connection.commit();
+        res.status(201).json({ message: 'CDD converti en CDI avec succès.', contractId: conversion.contractId });
+
+    } catch (err) {
+        await connection.rollback();
+        console.error(err);
+        res.status(500).json({ message: 'Erreur serveur lors de la conversion du contrat en CDI.' });
+    } finally {
+        connection.release();
+    }
+});
+
+// --- PÉRIODE D'ESSAI ---
+
+const trialListQuerySchema = Joi.object({
+    site_id: Joi.number().integer().min(1).optional(),
+    echeance_avant: Joi.date().iso().optional() // Essais se terminant au plus tard à cette date
+});
+
+const trialDecisionSchema = Joi.object({
+    commentaire: Joi.string().allow(null, '').optional()
+});
+
+const trialRenewalSchema = Joi.object({
+    essai_date_fin: Joi.date().iso().optional(), // Par défaut : prolongation de la durée initiale
+    commentaire: Joi.string().allow(null, '').optional()
+});
+
+const trialEndSchema = Joi.object({
+    date_fin: Joi.date().iso().optional(), // Dernier jour travaillé (par défaut : aujourd'hui, sans effet rétroactif)
+    commentaire: Joi.string().allow(null, '').optional()
+});
+
+// Exécute une décision sur la période d'essai du contrat :id dans une transaction
+const runTrialDecision = async (req, res, decide, successMessage) => {
+    const connection = await db.getConnection();
+    await connection.beginTransaction();
+
+    try {
+        const contract = await loadContractInScope(req, res);
+        if (!contract) {
+            await connection.rollback();
+            return;
+        }
 
-// ... (Les imports express, Joi, db, authMiddleware et la route /contracts sont au-dessus)
+        const decision = await decide(connection, contract);
+        if (decision.status) {
+            await connection.rollback();
+            return res.status(decision.status).json({ message: decision.message });
+        }
+
+        await connection.commit();
+
+        // Rupture effective immédiatement : fermeture des sessions du compte désactivé
+        if (decision.userId) {
+            await tokenService.revokeAllSessions(decision.userId, 'Sortie des effectifs');
+        }
+
+        res.status(200).json({
+            message: successMessage(decision),
+            contractId: contract.id,
+            essai_date_fin: decision.essaiDateFin,
+            exitId: decision.exitId
+        });
+
+    } catch (err) {
+        await connection.rollback();
+        console.error(err);
+        res.status(500).json({ message: 'Erreur serveur lors de la décision sur la période d\'essai.' });
+    } finally {
+        connection.release();
+    }
+};
+
+/**
+ * Route pour lister les périodes d'essai en cours, par site (dans le périmètre de l'utilisateur).
+ * GET /api/hr/trial-periods?site_id=&echeance_avant=
+ */
+router.get('/trial-periods', authMiddleware, authorize('contract:read'), async (req, res) => {
+    try {
+        const { error, value } = trialListQuerySchema.validate(req.query);
+        if (error) {
+            return res.status(400).json({ message: error.details[0].message });
+        }
+
+        const scope = await buildScopeClause(req, 'e');
+        const sites = await trialPeriodService.listTrialsInProgress(scope, {
+            siteId: value.site_id,
+            echeanceAvant: value.echeance_avant ? value.echeance_avant.toISOString().split('T')[0] : null
+        });
+        res.status(200).json(sites);
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ message: 'Erreur serveur lors de la récupération des périodes d\'essai.' });
+    }
+});
+
+/**
+ * Route pour confirmer l'embauche à l'issue de la période d'essai.
+ * POST /api/hr/contracts/:id/trial/confirm
+ */
+router.post('/contracts/:id/trial/confirm', authMiddleware, authorize('trial:decide'), async (req, res) => {
+    const { error, value } = trialDecisionSchema.validate(req.body || {});
+    if (error) {
+        return res.status(400).json({ message: error.details[0].message });
+    }
+
+    await runTrialDecision(req, res,
+        (connection, contract) => trialPeriodService.confirmTrial(connection, contract.id, value, req.user.id),
+        () => 'Période d\'essai confirmée : l\'embauche est définitive.');
+});
+
+/**
+ * Route pour renouveler la période d'essai (une seule fois, avant son échéance).
+ * POST /api/hr/contracts/:id/trial/renew
+ */
+router.post('/contracts/:id/trial/renew', authMiddleware, authorize('contract:write'), async (req, res) => {
+    const { error, value } = trialRenewalSchema.validate(req.body || {});
+    if (error) {
+        return res.status(400).json({ message: error.details[0].message });
+    }
+
+    await runTrialDecision(req, res,
+        (connection, contract) => trialPeriodService.renewTrial(connection, contract.id, value, req.user.id),
+        decision => `Période d'essai renouvelée jusqu'au ${decision.essaiDateFin}.`);
+});
+
+/**
+ * Route pour mettre fin au contrat pendant la période d'essai (sans préavis).
+ * Ouvre la procédure de sortie de l'employé (check-list, désactivation du compte).
+ * POST /api/hr/contracts/:id/trial/end
+ */
+router.post('/contracts/:id/trial/end', authMiddleware, authorize('trial:decide'), async (req, res) => {
+    const { error, value } = trialEndSchema.validate(req.body || {});
+    if (error) {
+        return res.status(400).json({ message: error.details[0].message });
+    }
+
+    await runTrialDecision(req, res,
+        (connection, contract) => trialPeriodService.endTrial(connection, contract.id, value, req.user.id),
+        decision => `Période d'essai rompue. Procédure de sortie ${decision.finalized ? 'effective' : 'ouverte jusqu\'au dernier jour travaillé'}.`);
+});
 
 // Schéma de validation pour l'ajout d'une sanction disciplinaire
 const sanctionSchema = Joi.object({
     employee_id: Joi.number().integer().min(1).required(),
     // Types SOGAS: Avertissement oral/écrit, Blâme, Mise à pied, Rétrogradation, Licenciement
-    type_sanction: Joi.string().valid(
-        'Avertissement oral', 
-        'Avertissement écrit', 
-        'Blâme', 
-        'Mise à pied', 
-        'Rétrogradation', 
-        'Licenciement'
-    ).required(),
+    type_sanction: Joi.string().valid(...sanctionService.SANCTION_TYPES).required(),
     date_constatation: Joi.date().iso().required(),
     date_effet: Joi.date().iso().min(Joi.ref('date_constatation')).required(),
-    jours_mise_a_pied: Joi.number().integer().min(0).max(30).default(0).when('type_sanction', {
-        is: 'Mise à pied',
-        then: Joi.number().integer().min(1).required() // Doit spécifier les jours si c'est une mise à pied
-    }),
     motif_detaille: Joi.string().min(10).required(),
-    procedure_suivie: Joi.string().max(255).optional().allow(null, ''),
-    document_url: Joi.string().uri().max(255).optional().allow(null, ''),
-    // created_by_user_id est injecté par req.user.id
+    document_id: Joi.number().integer().min(1).allow(null).optional(), // Document du dossier de l'employé (POST /api/employee/documents)
+    // created_by_user_id est injecté par req.user.id ; procedure_suivie est renseignée par le dossier disciplinaire
+});
+
+const sanctionListQuerySchema = Joi.object({
+    employee_id: Joi.number().integer().min(1).optional(),
+    type_sanction: Joi.string().valid(...sanctionService.SANCTION_TYPES).optional(),
+    statut: Joi.string().valid(...sanctionService.SANCTION_STATUSES).optional(),
+    pris_en_compte: Joi.boolean().optional() // Sanctions prises en compte pour le cumul (non amnistiées)
+});
+
+const sanctionCancellationSchema = Joi.object({
+    motif: Joi.string().min(5).max(2000).required()
+});
+
+const payrollDeductionQuerySchema = Joi.object({
+    periode: Joi.string().pattern(/^\d{4}-(0[1-9]|1[0-2])$/).required() // 'YYYY-MM'
 });
 
 /**
- * Route pour enregistrer une sanction disciplinaire.
+ * Route pour enregistrer directement un avertissement.
+ * Les autres sanctions (mise à pied, rétrogradation, licenciement...) sont enregistrées à la notification
+ * d'un dossier disciplinaire (/api/hr/disciplinary-cases).
  * POST /api/hr/sanctions
  */
-router.post('/sanctions', authMiddleware, async (req, res) => {
+router.post('/sanctions', authMiddleware, authorize('sanction:write', { employeeId: req => req.body.employee_id }), async (req, res) => {
+    const { error, value } = sanctionSchema.validate(req.body);
+    if (error) {
+        return res.status(400).json({ message: error.details[0].message });
+    }
+    if (disciplinaryService.PROCEDURE_REQUIRED_TYPES.includes(value.type_sanction)) {
+        return res.status(409).json({
+            message: `Une sanction de type "${value.type_sanction}" suppose une procédure disciplinaire : ouvrez un dossier (POST /api/hr/disciplinary-cases).`
+        });
+    }
+
     const connection = await db.getConnection();
     await connection.beginTransaction();
-    
+
     try {
-        const { error, value } = sanctionSchema.validate(req.body);
-        if (error) {
-            await connection.rollback();
-            return res.status(400).json({ message: error.details[0].message });
-        }
-        
-        // 1. Vérification : l'employé doit exister
-        const [empRows] = await connection.query('SELECT id FROM employees WHERE id = ?', [value.employee_id]);
-        if (empRows.length === 0) {
+        const documentRef = await documentService.resolveDocumentReference(value.document_id, value.employee_id, connection);
+        if (documentRef.status) {
             await connection.rollback();
-            return res.status(404).json({ message: 'Employé non trouvé.' });
+            return res.status(documentRef.status).json({ message: documentRef.message });
         }
+        value.document_url = documentRef.url;
 
-        // 2. Insertion de la sanction
-        const [result] = await connection.query(`
-            INSERT INTO sanctions (
-                employee_id, type_sanction, date_constatation, date_effet, 
-                jours_mise_a_pied, motif_detaille, procedure_suivie, document_url, created_by_user_id
-            )
-            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
-        `, [
-            value.employee_id, value.type_sanction, value.date_constatation, value.date_effet,
-            value.jours_mise_a_pied, value.motif_detaille, value.procedure_suivie, value.document_url, req.user.id // Injecté par authMiddleware
-        ]);
-        
-        const sanctionId = result.insertId;
-
-        // 3. Logique spéciale pour le Licenciement (Mettre l'employé à statut 'Licencié')
-        if (value.type_sanction === 'Licenciement') {
-            await connection.query('UPDATE employees SET statut = "Licencié", date_fin_contrat = ? WHERE id = ?', [value.date_effet, value.employee_id]);
+        const creation = await sanctionService.createSanction(connection, { ...value, jours_mise_a_pied: 0, procedure_suivie: null }, req.user.id);
+        if (creation.status) {
+            await connection.rollback();
+            return res.status(creation.status).json({ message: creation.message });
         }
-        
-        // (A VENIR : Logique pour Mise à pied, Rétrogradation...)
 
         await connection.commit();
 
         res.status(201).json({
             message: `Sanction de type "${value.type_sanction}" enregistrée avec succès.`,
-            sanctionId: sanctionId
+            sanctionId: creation.sanctionId
         });
 
     } catch (err) {
@@ -185,63 +566,170 @@ router.post('/sanctions', authMiddleware, async (req, res) => {
     }
 });
 
-// Fichier: backend/routes/hr/hrRoutes.js (AJOUTER LE CODE SUIVANT)
+/**
+ * Route pour lister les sanctions (dans le périmètre de l'utilisateur), avec leur prise en compte
+ * pour le cumul : une sanction est amnistiée SANCTION_AMNESTY_MONTHS mois après sa date d'effet.
+ * GET /api/hr/sanctions?employee_id=&type_sanction=&statut=&pris_en_compte=
+ */
+router.get('/sanctions', authMiddleware, authorize('sanction:read', { employeeId: req => req.query.employee_id }), async (req, res) => {
+    try {
+        const { error, value } = sanctionListQuerySchema.validate(req.query);
+        if (error) {
+            return res.status(400).json({ message: error.details[0].message });
+        }
+
+        const scope = await buildScopeClause(req, 'e');
+        const sanctions = await sanctionService.listSanctions(scope, value);
+        res.status(200).json({ amnistie_mois: sanctionService.SANCTION_AMNESTY_MONTHS, sanctions });
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ message: 'Erreur serveur lors de la récupération des sanctions.' });
+    }
+});
+
+// Retrait ou annulation d'une sanction de l'employé dans le périmètre de l'utilisateur
+const runSanctionCancellation = async (req, res, cancel, successMessage) => {
+    const { error, value } = sanctionCancellationSchema.validate(req.body || {});
+    if (error) {
+        return res.status(400).json({ message: error.details[0].message });
+    }
+
+    const connection = await db.getConnection();
+    await connection.beginTransaction();
+
+    try {
+        const [rows] = await connection.query('SELECT employee_id FROM sanctions WHERE id = ?', [req.params.id]);
+        if (rows.length === 0) {
+            await connection.rollback();
+            return res.status(404).json({ message: 'Sanction non trouvée.' });
+        }
+        const scopeCheck = await checkEmployeeScope(req, rows[0].employee_id);
+        if (!scopeCheck.allowed) {
+            await connection.rollback();
+            return res.status(scopeCheck.status).json({ message: scopeCheck.message });
+        }
 
-// ... (Les schémas et routes /contracts et /sanctions sont au-dessus)
+        const result = await cancel(connection, req.params.id, value, req.user.id);
+        if (result.status) {
+            await connection.rollback();
+            return res.status(result.status).json({ message: result.message });
+        }
+
+        await connection.commit();
+        res.status(200).json({
+            message: successMessage,
+            sanctionId: Number(req.params.id),
+            restrictions_incompatibles: result.incompatibilites || []
+        });
+
+    } catch (err) {
+        await connection.rollback();
+        console.error(err);
+        res.status(500).json({ message: 'Erreur serveur lors de l\'annulation de la sanction.' });
+    } finally {
+        connection.release();
+    }
+};
+
+/**
+ * Route pour retirer une sanction qui n'a pas encore pris effet.
+ * POST /api/hr/sanctions/:id/withdraw
+ */
+router.post('/sanctions/:id/withdraw', authMiddleware, authorize('sanction:write'), (req, res) =>
+    runSanctionCancellation(req, res, sanctionService.withdrawSanction, 'Sanction retirée.'));
+
+/**
+ * Route pour annuler une sanction ayant pris effet : ses effets sont annulés
+ * (fin de la suspension et des retenues, retour au poste précédent).
+ * POST /api/hr/sanctions/:id/annul
+ */
+router.post('/sanctions/:id/annul', authMiddleware, authorize('sanction:write'), (req, res) =>
+    runSanctionCancellation(req, res, sanctionService.annulSanction, 'Sanction annulée et ses effets levés.'));
+
+/**
+ * Route pour lister les retenues sur salaire d'un mois de paie (mises à pied).
+ * GET /api/hr/payroll-deductions?periode=YYYY-MM
+ */
+router.get('/payroll-deductions', authMiddleware, authorize('payroll:read'), async (req, res) => {
+    try {
+        const { error, value } = payrollDeductionQuerySchema.validate(req.query);
+        if (error) {
+            return res.status(400).json({ message: error.details[0].message });
+        }
+
+        const scope = await buildScopeClause(req, 'e');
+        const deductions = await sanctionService.listPayrollDeductions(scope, value.periode);
+        res.status(200).json(deductions);
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ message: 'Erreur serveur lors de la récupération des retenues sur salaire.' });
+    }
+});
 
 // Schéma de validation pour l'enregistrement d'une visite médicale
 const medicalVisitSchema = Joi.object({
     employee_id: Joi.number().integer().min(1).required(),
-    type_visite: Joi.string().valid('Embauche', 'Périodique', 'Reprise', 'A la demande').required(),
-    date_visite: Joi.date().iso().required(),
+    type_visite: Joi.string().valid(...occupationalHealthService.VISIT_TYPES).required(),
+    date_visite: Joi.date().iso().max('now').required(),
+    // Par défaut : périodicité du poste de l'employé (medical_visit_rules)
     date_prochaine_visite: Joi.date().iso().min(Joi.ref('date_visite')).allow(null).optional(),
     apte: Joi.boolean().required(),
-    restrictions: Joi.string().allow(null, '').optional(),
-    document_url: Joi.string().uri().allow(null, '').optional(),
+    // Restrictions d'aptitude, obligatoires en cas d'inaptitude (confrontées aux contraintes des postes)
+    restrictions: Joi.array().items(Joi.object({
+        code: Joi.string().valid(...occupationalHealthService.RESTRICTION_CODES).required(),
+        commentaire: Joi.string().max(255).allow(null, '').optional(),
+        date_fin: Joi.date().iso().allow(null).optional()
+    })).unique('code').default([]).when('apte', { is: false, then: Joi.array().min(1).required() }),
+    document_id: Joi.number().integer().min(1).allow(null).optional(), // Document du dossier de l'employé (POST /api/employee/documents)
     // created_by_user_id est injecté par req.user.id
 });
 
+const dueVisitQuerySchema = Joi.object({
+    site_id: Joi.number().integer().min(1).optional(),
+    horizon_jours: Joi.number().integer().min(0).max(365).default(occupationalHealthService.UPCOMING_VISIT_DAYS)
+});
+
+const restrictionConflictQuerySchema = Joi.object({
+    site_id: Joi.number().integer().min(1).optional()
+});
+
 /**
  * Route pour enregistrer une visite médicale.
+ * La prochaine visite périodique est calculée et inscrite à l'échéancier ; la réponse signale les restrictions
+ * incompatibles avec le poste actuel de l'employé.
  * POST /api/hr/medical-visits
  */
-router.post('/medical-visits', authMiddleware, async (req, res) => {
+router.post('/medical-visits', authMiddleware, authorize('medical:write', { employeeId: req => req.body.employee_id }), async (req, res) => {
+    const { error, value } = medicalVisitSchema.validate(req.body);
+    if (error) {
+        return res.status(400).json({ message: error.details[0].message });
+    }
+
     const connection = await db.getConnection();
     await connection.beginTransaction();
-    
+
     try {
-        const { error, value } = medicalVisitSchema.validate(req.body);
-        if (error) {
+        const documentRef = await documentService.resolveDocumentReference(value.document_id, value.employee_id, connection);
+        if (documentRef.status) {
             await connection.rollback();
-            return res.status(400).json({ message: error.details[0].message });
+            return res.status(documentRef.status).json({ message: documentRef.message });
         }
-        
-        // 1. Vérification : l'employé doit exister
-        const [empRows] = await connection.query('SELECT id FROM employees WHERE id = ?', [value.employee_id]);
-        if (empRows.length === 0) {
+        value.document_url = documentRef.url;
+
+        const visit = await occupationalHealthService.recordVisit(connection, value, req.user.id);
+        if (visit.status) {
             await connection.rollback();
-            return res.status(404).json({ message: 'Employé non trouvé.' });
+            return res.status(visit.status).json({ message: visit.message });
         }
 
-        // 2. Insertion de la visite médicale
-        const [result] = await connection.query(`
-            INSERT INTO medical_visits (
-                employee_id, type_visite, date_visite, date_prochaine_visite, apte, 
-                restrictions, document_url, created_by_user_id
-            )
-            VALUES (?, ?, ?, ?, ?, ?, ?, ?)
-        `, [
-            value.employee_id, value.type_visite, value.date_visite, value.date_prochaine_visite || null, value.apte,
-            value.restrictions, value.document_url, req.user.id
-        ]);
-        
-        const visitId = result.insertId;
-
         await connection.commit();
 
         res.status(201).json({
             message: `Visite médicale de type "${value.type_visite}" enregistrée avec succès.`,
-            visitId: visitId
+            visitId: visit.visitId,
+            date_prochaine_visite: visit.dateProchaineVisite,
+            visite_la_plus_recente: visit.isLatest, // false : visite antérieure historisée, restrictions et échéancier inchangés
+            restrictions_incompatibles: visit.incompatibilites
         });
 
     } catch (err) {
@@ -253,6 +741,49 @@ router.post('/medical-visits', authMiddleware, async (req, res) => {
     }
 });
 
+/**
+ * Route pour lister les visites médicales en retard et à venir, par site (dans le périmètre de l'utilisateur).
+ * GET /api/hr/medical-visits/due?site_id=&horizon_jours=
+ */
+router.get('/medical-visits/due', authMiddleware, authorize('medical:read'), async (req, res) => {
+    try {
+        const { error, value } = dueVisitQuerySchema.validate(req.query);
+        if (error) {
+            return res.status(400).json({ message: error.details[0].message });
+        }
+
+        const scope = await buildScopeClause(req, 'e');
+        const sites = await occupationalHealthService.listDueVisits(scope, {
+            siteId: value.site_id,
+            horizonJours: value.horizon_jours
+        });
+        res.status(200).json(sites);
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ message: 'Erreur serveur lors de la récupération des visites médicales à réaliser.' });
+    }
+});
+
+/**
+ * Route pour lister les employés affectés à un poste incompatible avec leurs restrictions d'aptitude.
+ * GET /api/hr/medical-restrictions/conflicts?site_id=
+ */
+router.get('/medical-restrictions/conflicts', authMiddleware, authorize('medical:read'), async (req, res) => {
+    try {
+        const { error, value } = restrictionConflictQuerySchema.validate(req.query);
+        if (error) {
+            return res.status(400).json({ message: error.details[0].message });
+        }
+
+        const scope = await buildScopeClause(req, 'e');
+        const conflicts = await occupationalHealthService.listRestrictionConflicts(scope, { siteId: value.site_id });
+        res.status(200).json(conflicts);
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ message: 'Erreur serveur lors de la recherche des affectations incompatibles.' });
+    }
+});
+
 
 // Schéma de validation pour l'enregistrement d'un AT/MS
 const accidentSchema = Joi.object({
@@ -264,7 +795,7 @@ const accidentSchema = Joi.object({
     duree_jours: Joi.number().min(0.5).required(),
     motif_cause: Joi.string().min(10).required(),
     lieu_constatation: Joi.string().max(255).optional().allow(null, ''),
-    document_certificat_url: Joi.string().uri().allow(null, '').optional(),
+    document_id: Joi.number().integer().min(1).allow(null).optional(), // Certificat médical du dossier de l'employé (POST /api/employee/documents)
     statut_reglement: Joi.string().valid('Soumis', 'En instruction', 'Validé', 'Rejeté').default('Soumis')
 });
 
@@ -272,7 +803,7 @@ const accidentSchema = Joi.object({
  * Route pour enregistrer un Arrêt Maladie ou Accident de Travail.
  * POST /api/hr/accidents
  */
-router.post('/accidents', authMiddleware, async (req, res) => {
+router.post('/accidents', authMiddleware, authorize('accident:write', { employeeId: req => req.body.employee_id }), async (req, res) => {
     const connection = await db.getConnection();
     await connection.beginTransaction();
     
@@ -290,6 +821,13 @@ router.post('/accidents', authMiddleware, async (req, res) => {
             return res.status(404).json({ message: 'Employé non trouvé.' });
         }
 
+        const documentRef = await documentService.resolveDocumentReference(value.document_id, value.employee_id, connection);
+        if (documentRef.status) {
+            await connection.rollback();
+            return res.status(documentRef.status).json({ message: documentRef.message });
+        }
+        value.document_certificat_url = documentRef.url;
+
         // 2. Insertion de l'événement (AT/MS/MP)
         const [result] = await connection.query(`
             INSERT INTO work_accidents (
@@ -306,13 +844,17 @@ router.post('/accidents', authMiddleware, async (req, res) => {
         
         const accidentId = result.insertId;
 
-        // 3. (A VENIR : Logique d'alerte à la direction et au chef de site si AT)
+        // 3. Visite de reprise à l'échéancier (AT/MP, arrêt maladie long)
+        const dateVisiteReprise = await occupationalHealthService.scheduleReturnVisit(connection, { id: accidentId, ...value });
+
+        // 4. (A VENIR : Logique d'alerte à la direction et au chef de site si AT)
 
         await connection.commit();
 
         res.status(201).json({
             message: `${value.type_evenement} déclaré et enregistré avec succès.`,
-            accidentId: accidentId
+            accidentId: accidentId,
+            visite_reprise_avant: dateVisiteReprise
         });
 
     } catch (err) {
@@ -325,6 +867,153 @@ router.post('/accidents', authMiddleware, async (req, res) => {
 });
 
 
+// --- VALIDATION DES DEMANDES DE MODIFICATION DE COORDONNÉES (espace employé) ---
+
+// Schéma de validation pour la décision RH
+const changeReviewSchema = Joi.object({
+    commentaire_rh: Joi.string().max(255).optional().allow(null, '')
+});
+
+/**
+ * Route pour lister les demandes de modification de coordonnées.
+ * GET /api/hr/contact-change-requests?statut=En attente
+ */
+router.get('/contact-change-requests', authMiddleware, authorize('contact-change:review'), async (req, res) => {
+    try {
+        const statut = req.query.statut || 'En attente';
+        const scope = await buildScopeClause(req, 'e');
+
+        const [requests] = await db.query(`
+            SELECT 
+                r.id, r.employee_id, r.changements, r.valeurs_precedentes, r.commentaire_employe,
+                r.statut, r.commentaire_rh, r.reviewed_at, r.created_at,
+                e.matricule, e.nom, e.prenom
+            FROM employee_change_requests r
+            JOIN employees e ON r.employee_id = e.id
+            WHERE r.statut = ? AND ${scope.clause}
+            ORDER BY r.created_at ASC
+        `, [statut, ...scope.params]);
+
+        res.status(200).json(requests);
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ message: 'Erreur serveur lors de la récupération des demandes de modification.' });
+    }
+});
+
+/**
+ * Route pour approuver une demande : les nouvelles coordonnées sont appliquées à employee_contact.
+ * PUT /api/hr/contact-change-requests/:id/approve
+ */
+router.put('/contact-change-requests/:id/approve', authMiddleware, authorize('contact-change:review'), async (req, res) => {
+    const connection = await db.getConnection();
+    await connection.beginTransaction();
+
+    try {
+        const { error, value } = changeReviewSchema.validate(req.body || {});
+        if (error) {
+            await connection.rollback();
+            return res.status(400).json({ message: error.details[0].message });
+        }
+
+        // 1. La demande doit exister et être en attente
+        const [rows] = await connection.query(
+            'SELECT id, employee_id, changements FROM employee_change_requests WHERE id = ? AND statut = "En attente" FOR UPDATE',
+            [req.params.id]
+        );
+        if (rows.length === 0) {
+            await connection.rollback();
+            return res.status(404).json({ message: 'Demande en attente non trouvée.' });
+        }
+        const request = rows[0];
+
+        const scopeCheck = await checkEmployeeScope(req, request.employee_id);
+        if (!scopeCheck.allowed) {
+            await connection.rollback();
+            return res.status(scopeCheck.status).json({ message: scopeCheck.message });
+        }
+
+        // 2. Application des seuls champs autorisés en libre-service
+        const changes = typeof request.changements === 'string' ? JSON.parse(request.changements) : request.changements;
+        const fields = employeeService.SELF_SERVICE_CONTACT_FIELDS.filter(field => changes[field] !== undefined);
+        if (fields.length > 0) {
+            // Fiche de coordonnées absente (dossier repris sans coordonnées) : elle est créée avec les champs approuvés
+            const [contactRows] = await connection.query(
+                'SELECT employee_id FROM employee_contact WHERE employee_id = ? FOR UPDATE',
+                [request.employee_id]
+            );
+            if (contactRows.length > 0) {
+                await connection.query(
+                    `UPDATE employee_contact SET ${fields.map(field => `${field} = ?`).join(', ')} WHERE employee_id = ?`,
+                    [...fields.map(field => changes[field]), request.employee_id]
+                );
+            } else {
+                await connection.query(
+                    `INSERT INTO employee_contact (employee_id, ${fields.join(', ')}) VALUES (?, ${fields.map(() => '?').join(', ')})`,
+                    [request.employee_id, ...fields.map(field => changes[field])]
+                );
+            }
+        }
+
+        // 3. Clôture de la demande
+        await connection.query(`
+            UPDATE employee_change_requests
+            SET statut = 'Approuvé', commentaire_rh = ?, reviewed_by_user_id = ?, reviewed_at = NOW()
+            WHERE id = ?
+        `, [value.commentaire_rh || null, req.user.id, request.id]);
+
+        await connection.commit();
+
+        res.status(200).json({ message: 'Demande approuvée. Les coordonnées de l\'employé ont été mises à jour.' });
+
+    } catch (err) {
+        await connection.rollback();
+        console.error(err);
+        res.status(500).json({ message: 'Erreur serveur lors de la validation de la demande.' });
+    } finally {
+        connection.release();
+    }
+});
+
+/**
+ * Route pour rejeter une demande de modification de coordonnées.
+ * PUT /api/hr/contact-change-requests/:id/reject
+ */
+router.put('/contact-change-requests/:id/reject', authMiddleware, authorize('contact-change:review'), async (req, res) => {
+    try {
+        const { error, value } = changeReviewSchema.validate(req.body || {});
+        if (error) {
+            return res.status(400).json({ message: error.details[0].message });
+        }
+
+        const [rows] = await db.query(
+            'SELECT id, employee_id FROM employee_change_requests WHERE id = ? AND statut = "En attente"',
+            [req.params.id]
+        );
+        if (rows.length === 0) {
+            return res.status(404).json({ message: 'Demande en attente non trouvée.' });
+        }
+
+        const scopeCheck = await checkEmployeeScope(req, rows[0].employee_id);
+        if (!scopeCheck.allowed) {
+            return res.status(scopeCheck.status).json({ message: scopeCheck.message });
+        }
+
+        await db.query(`
+            UPDATE employee_change_requests
+            SET statut = 'Rejeté', commentaire_rh = ?, reviewed_by_user_id = ?, reviewed_at = NOW()
+            WHERE id = ?
+        `, [value.commentaire_rh || null, req.user.id, rows[0].id]);
+
+        res.status(200).json({ message: 'Demande rejetée.' });
+
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ message: 'Erreur serveur lors du rejet de la demande.' });
+    }
+});
+
+
 // module.exports = router;
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,194 @@
+// Fichier: backend/routes/structure/reorganisationRoutes.js
+
+const express = require('express');
+const Joi = require('joi');
+const db = require('../../config/db');
+const authMiddleware = require('../../middleware/authMiddleware');
+const { authorize } = require('../../middleware/permissionMiddleware');
+const reorganisationService = require('../../services/reorganisationService');
+const occupationalHealthService = require('../../services/occupationalHealthService');
+
+const router = express.Router();
+
+// --- SCHÉMAS DE VALIDATION ---
+
+// Champs communs à toutes les réorganisations
+const reorganisationBaseSchema = Joi.object({
+    unit_type: Joi.string().valid(...Object.keys(reorganisationService.UNITS)).required(),
+    date_effet: Joi.date().iso().max('now').default(() => new Date().toISOString().split('T')[0]),
+    motif: Joi.string().max(255).required(), // Motif commun inscrit dans l'historique de chaque employé
+    commentaire: Joi.string().optional().allow(null, ''),
+    dry_run: Joi.boolean().default(false) // Aperçu : liste des employés concernés, sans rien modifier
+});
+
+// Déplacement d'une unité sous un nouveau parent (équipe → service, service → département, département → site)
+const moveSchema = reorganisationBaseSchema.keys({
+    unit_id: Joi.number().integer().min(1).required(),
+    new_parent_id: Joi.number().integer().min(1).required()
+});
+
+// Fusion d'une unité (source) dans une autre unité du même type (cible)
+const mergeSchema = reorganisationBaseSchema.keys({
+    source_id: Joi.number().integer().min(1).required(),
+    target_id: Joi.number().integer().min(1).required()
+});
+
+// Filtres de l'historique des réorganisations
+const listQuerySchema = Joi.object({
+    unit_type: Joi.string().valid(...Object.keys(reorganisationService.UNITS)).optional(),
+    limit: Joi.number().integer().min(1).max(200).default(50),
+    offset: Joi.number().integer().min(0).default(0)
+});
+
+// --- FONCTIONS UTILITAIRES ---
+
+// Prépare puis applique (ou simule en dry_run) une réorganisation dans une transaction unique
+const runReorganisation = async (req, res, value, { operation, unitId, targetId }) => {
+    const connection = await db.getConnection();
+    await connection.beginTransaction();
+
+    try {
+        const preparation = await reorganisationService.planReorganisation(connection, {
+            operation: operation, unitType: value.unit_type, unitId: unitId, targetId: targetId
+        });
+        if (preparation.status) {
+            await connection.rollback();
+            return res.status(preparation.status).json({ message: preparation.message });
+        }
+        const { plan } = preparation;
+
+        // Employés réaffectés dont les restrictions d'aptitude sont incompatibles avec leur poste
+        const incompatibilites = await occupationalHealthService.listRestrictionConflicts(null, {
+            employeeIds: plan.employes.map(employee => employee.employee_id),
+            connection: connection
+        });
+
+        if (value.dry_run) {
+            await connection.rollback();
+            return res.status(200).json({
+                message: `Aperçu (${operation.toLowerCase()}) : ${plan.employes.length} employé(s) concerné(s). Aucune modification effectuée.`,
+                dry_run: true,
+                ...plan,
+                restrictions_incompatibles: incompatibilites
+            });
+        }
+
+        const reorganisationId = await reorganisationService.applyReorganisation(connection, plan, {
+            dateEffet: value.date_effet, motif: value.motif, commentaire: value.commentaire
+        }, req.user.id);
+
+        await connection.commit();
+
+        res.status(201).json({
+            message: `Réorganisation (${operation.toLowerCase()}) effectuée avec succès : ${plan.employes.length} employé(s) réaffecté(s).`,
+            reorganisationId: reorganisationId,
+            ...plan,
+            restrictions_incompatibles: incompatibilites
+        });
+
+    } catch (err) {
+        await connection.rollback();
+        console.error(err);
+        res.status(500).json({ message: 'Erreur serveur lors de la réorganisation.' });
+    } finally {
+        connection.release();
+    }
+};
+
+// --- ROUTES ---
+
+/**
+ * Déplace une unité sous un nouveau parent et réaffecte tous ses employés.
+ * POST /api/structure/reorganisations/move
+ */
+router.post('/move', authMiddleware, authorize('structure:write'), async (req, res) => {
+    const { error, value } = moveSchema.validate(req.body);
+    if (error) {
+        return res.status(400).json({ message: error.details[0].message });
+    }
+
+    await runReorganisation(req, res, value, {
+        operation: 'Déplacement', unitId: value.unit_id, targetId: value.new_parent_id
+    });
+});
+
+/**
+ * Fusionne une unité dans une autre : employés et unités enfants sont rattachés à la cible,
+ * l'unité absorbée est désactivée et son responsable perd son mandat.
+ * POST /api/structure/reorganisations/merge
+ */
+router.post('/merge', authMiddleware, authorize('structure:write'), async (req, res) => {
+    const { error, value } = mergeSchema.validate(req.body);
+    if (error) {
+        return res.status(400).json({ message: error.details[0].message });
+    }
+
+    await runReorganisation(req, res, value, {
+        operation: 'Fusion', unitId: value.source_id, targetId: value.target_id
+    });
+});
+
+/**
+ * Historique des réorganisations, de la plus récente à la plus ancienne.
+ * GET /api/structure/reorganisations?unit_type=&limit=&offset=
+ */
+router.get('/', authMiddleware, authorize('structure:read'), async (req, res) => {
+    try {
+        const { error, value } = listQuerySchema.validate(req.query);
+        if (error) {
+            return res.status(400).json({ message: error.details[0].message });
+        }
+
+        const whereClause = value.unit_type ? 'WHERE unit_type = ?' : '';
+        const params = value.unit_type ? [value.unit_type] : [];
+
+        const [reorganisations] = await db.query(`
+            SELECT * FROM reorganisations
+            ${whereClause}
+            ORDER BY date_effet DESC, id DESC
+            LIMIT ? OFFSET ?
+        `, [...params, value.limit, value.offset]);
+
+        const [countRows] = await db.query(`SELECT COUNT(*) AS total FROM reorganisations ${whereClause}`, params);
+
+        res.status(200).json({
+            total: Number(countRows[0].total),
+            limit: value.limit,
+            offset: value.offset,
+            reorganisations: reorganisations
+        });
+
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ message: 'Erreur serveur lors de la récupération des réorganisations.' });
+    }
+});
+
+/**
+ * Détail d'une réorganisation avec les affectations qu'elle a créées.
+ * GET /api/structure/reorganisations/:id
+ */
+router.get('/:id', authMiddleware, authorize('structure:read'), async (req, res) => {
+    try {
+        const [rows] = await db.query('SELECT * FROM reorganisations WHERE id = ?', [req.params.id]);
+        if (rows.length === 0) {
+            return res.status(404).json({ message: 'Réorganisation introuvable.' });
+        }
+
+        const [affectations] = await db.query(`
+            SELECT a.*, e.matricule, e.nom, e.prenom
+            FROM employee_affectations a
+            JOIN employees e ON a.employee_id = e.id
+            WHERE a.reorganisation_id = ?
+            ORDER BY e.nom, e.prenom
+        `, [req.params.id]);
+
+        res.status(200).json({ ...rows[0], affectations: affectations });
+
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ message: 'Erreur serveur lors de la récupération de la réorganisation.' });
+    }
+});
+
+module.exports = router;
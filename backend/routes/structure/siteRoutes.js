@@ -4,6 +4,10 @@ const express = require('express');
 const Joi = require('joi');
 const db = require('../../config/db');
 const authMiddleware = require('../../middleware/authMiddleware');
+const { authorize, buildScopeClause } = require('../../middleware/permissionMiddleware');
+const organisationService = require('../../services/organisationService');
+const careerService = require('../../services/careerService');
+const hierarchyService = require('../../services/hierarchyService');
 
 const router = express.Router();
 
@@ -22,7 +26,7 @@ const serviceSchema = Joi.object({
     nom: Joi.string().required(),
     code_metier: Joi.string().max(50).required(),
     department_id: Joi.number().integer().min(1).required(), // CLÉ ÉTRANGÈRE : doit exister
-    // Les autres champs (Chef, Missions, etc.) seront ajoutés plus tard pour simplifier le test initial
+    // Le chef de service est nommé via PUT /services/:id/head (responsable_id)
 
 });
 
@@ -31,8 +35,9 @@ const departmentSchema = Joi.object({
     nom: Joi.string().required(),
     code_interne: Joi.string().max(50).required(),
     site_id: Joi.number().integer().min(1).required(), // CLÉ ÉTRANGÈRE : doit exister
-    // responsable_id sera géré plus tard lors de la création d'employés
+    // responsable_id est nommé via PUT /departments/:id/head
     budget_alloue: Joi.number().optional().allow(null, 0), // AJOUT selon cahier des charges [cite: 121]
+    seuil_alerte_budget: Joi.number().min(1).max(200).optional().allow(null), // % du budget annuel déclenchant une alerte
     objectifs: Joi.string().optional().allow(null, '') // AJOUT selon cahier des charges [cite: 122]
 });
 
@@ -41,13 +46,106 @@ const teamSchema = Joi.object({
     nom: Joi.string().required(),
     specialite: Joi.string().optional().allow(null, ''),
     service_id: Joi.number().integer().min(1).required(), // CLÉ ÉTRANGÈRE : doit exister
-    // chef_equipe_id sera géré plus tard
+    // chef_equipe_id est nommé via PUT /teams/:id/leader
 });
 
+// Schéma de validation pour la nomination d'un responsable (département, service, équipe)
+const headAssignmentSchema = Joi.object({
+    employee_id: Joi.number().integer().min(1).required(),
+    date_debut: Joi.date().iso().default(() => new Date().toISOString().split('T')[0]),
+    motif: Joi.string().max(255).optional().allow(null, '')
+});
+
+// Schéma de validation pour le retrait d'un responsable (poste vacant)
+const headRemovalSchema = Joi.object({
+    date_fin: Joi.date().iso().default(() => new Date().toISOString().split('T')[0])
+});
+
+// Schéma de validation des paramètres de l'arbre organisationnel
+const treeQuerySchema = Joi.object({
+    site_id: Joi.number().integer().min(1).optional(),
+    as_of: Joi.date().iso().max('now').optional() // Date de reconstitution (structure, affectations et nominations)
+});
+
+// Paramètres de la composition d'une équipe à une date (défaut : aujourd'hui)
+const teamMembersQuerySchema = Joi.object({
+    date: Joi.date().iso().optional()
+});
+
+// Schémas de modification : mêmes règles, tous les champs optionnels (au moins un requis)
+const siteUpdateSchema = siteSchema.fork(['nom', 'code_site'], field => field.optional()).min(1);
+const departmentUpdateSchema = departmentSchema.fork(['nom', 'code_interne', 'site_id'], field => field.optional()).min(1);
+const serviceUpdateSchema = serviceSchema.fork(['nom', 'code_metier', 'department_id'], field => field.optional()).min(1);
+const teamUpdateSchema = teamSchema.fork(['nom', 'service_id'], field => field.optional()).min(1);
+
+// --- FONCTIONS UTILITAIRES ---
+
+// Génère la requête UPDATE partielle d'une unité à partir des champs validés
+const buildUpdateQuery = (tableName, fields, values, id) => {
+    const updates = fields.filter(field => values[field] !== undefined);
+    return {
+        sql: `UPDATE ${tableName} SET ${updates.map(field => `${field} = ?`).join(', ')} WHERE id = ?`,
+        params: [...updates.map(field => values[field]), id]
+    };
+};
+
+// Compte les employés actifs et les unités enfants actives qui référencent une unité
+// (une unité encore référencée ne peut pas être supprimée)
+const countReferences = async (employeeColumn, id, childTable = null, childColumn = null) => {
+    const childCount = childTable
+        ? `(SELECT COUNT(*) FROM ${childTable} WHERE ${childColumn} = ? AND actif = TRUE)`
+        : '0';
+    const [rows] = await db.query(`
+        SELECT 
+            (SELECT COUNT(*) FROM employees WHERE ${employeeColumn} = ? AND statut NOT IN ('Licencié', 'Sorti')) AS employes_actifs,
+            ${childCount} AS unites_enfants_actives
+    `, childTable ? [id, id] : [id]);
+    return {
+        employes_actifs: Number(rows[0].employes_actifs),
+        unites_enfants_actives: Number(rows[0].unites_enfants_actives)
+    };
+};
+
+// Un changement de parent ne peut se faire ici que si l'unité n'a aucun employé actif :
+// sinon leurs affectations deviendraient incohérentes. Il faut passer par une réorganisation.
+// Renvoie true si la réponse 409 a été envoyée.
+const rejectParentChangeWithEmployees = async (res, { tableName, parentColumn, employeeColumn, id, newParentId, label }) => {
+    const [rows] = await db.query(`SELECT ${parentColumn} AS parent_id FROM ${tableName} WHERE id = ?`, [id]);
+    if (rows[0].parent_id === newParentId) return false;
+
+    const references = await countReferences(employeeColumn, id);
+    if (references.employes_actifs === 0) return false;
+
+    res.status(409).json({
+        message: `${label} : ${references.employes_actifs} employé(s) actif(s) rattaché(s). Utilisez POST /api/structure/reorganisations/move pour changer de parent avec l'historique des affectations.`
+    });
+    return true;
+};
+
+// Supprime logiquement une unité si plus rien ne la référence, sinon renvoie 409
+const softDeleteUnit = async (res, { tableName, employeeColumn, childTable, childColumn, id, label }) => {
+    const [rows] = await db.query(`SELECT id FROM ${tableName} WHERE id = ? AND actif = TRUE`, [id]);
+    if (rows.length === 0) {
+        return res.status(404).json({ message: `${label} introuvable.` });
+    }
+
+    const references = await countReferences(employeeColumn, id, childTable, childColumn);
+    if (references.employes_actifs > 0 || references.unites_enfants_actives > 0) {
+        return res.status(409).json({
+            message: `Suppression impossible (${label}) : l'unité est encore référencée. Réaffectez d'abord les employés et les unités rattachées.`,
+            references: references
+        });
+    }
+
+    // Suppression logique : l'historique des affectations continue de référencer l'unité
+    await db.query(`UPDATE ${tableName} SET actif = FALSE WHERE id = ?`, [id]);
+    res.status(200).json({ message: `${label} : suppression effectuée avec succès.` });
+};
+
 // --- ROUTES CRUD SITES (Existant) ---
 
 // Route pour créer un nouveau site (protégée)
-router.post('/sites', authMiddleware, async (req, res) => {
+router.post('/sites', authMiddleware, authorize('structure:write'), async (req, res) => {
     try {
         const { error, value } = siteSchema.validate(req.body);
         if (error) return res.status(400).json({ message: error.details[0].message });
@@ -67,11 +165,90 @@ router.post('/sites', authMiddleware, async (req, res) => {
     }
 });
 
+// Route pour lire tous les sites (protégée)
+// ?include_inactive=true pour inclure les sites supprimés
+router.get('/sites', authMiddleware, authorize('structure:read'), async (req, res) => {
+    try {
+        const includeInactive = req.query.include_inactive === 'true';
+        const [sites] = await db.query(`
+            SELECT id, nom, code_site, adresse, actif
+            FROM sites
+            ${includeInactive ? '' : 'WHERE actif = TRUE'}
+            ORDER BY id DESC
+        `);
+
+        res.status(200).json(sites);
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ message: 'Une erreur serveur est survenue.' });
+    }
+});
+
+// Route pour lire un site par ID (protégée)
+router.get('/sites/:id', authMiddleware, authorize('structure:read'), async (req, res) => {
+    try {
+        const [rows] = await db.query(`
+            SELECT 
+                s.id, s.nom, s.code_site, s.adresse, s.actif,
+                (SELECT COUNT(*) FROM departments d WHERE d.site_id = s.id AND d.actif = TRUE) AS nb_departements
+            FROM sites s
+            WHERE s.id = ?
+        `, [req.params.id]);
+
+        if (rows.length === 0) {
+            return res.status(404).json({ message: 'Site non trouvé.' });
+        }
+        res.status(200).json(rows[0]);
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ message: 'Une erreur serveur est survenue.' });
+    }
+});
+
+// Route pour modifier un site (protégée)
+router.put('/sites/:id', authMiddleware, authorize('structure:write'), async (req, res) => {
+    try {
+        const { error, value } = siteUpdateSchema.validate(req.body);
+        if (error) return res.status(400).json({ message: error.details[0].message });
+
+        const [siteRows] = await db.query('SELECT id FROM sites WHERE id = ? AND actif = TRUE', [req.params.id]);
+        if (siteRows.length === 0) return res.status(404).json({ message: 'Site non trouvé.' });
+
+        // Unicité du code site (hors site modifié)
+        if (value.code_site) {
+            const [existingSite] = await db.query('SELECT id FROM sites WHERE code_site = ? AND id <> ?', [value.code_site, req.params.id]);
+            if (existingSite.length > 0) return res.status(409).json({ message: 'Un site avec ce code existe déjà.' });
+        }
+
+        const update = buildUpdateQuery('sites', ['nom', 'code_site', 'adresse'], value, req.params.id);
+        await db.query(update.sql, update.params);
+
+        res.status(200).json({ message: 'Site modifié avec succès !', siteId: Number(req.params.id) });
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ message: 'Une erreur serveur est survenue.' });
+    }
+});
+
+// Route pour supprimer (logiquement) un site (protégée)
+router.delete('/sites/:id', authMiddleware, authorize('structure:write'), async (req, res) => {
+    try {
+        await softDeleteUnit(res, {
+            tableName: 'sites', employeeColumn: 'site_id',
+            childTable: 'departments', childColumn: 'site_id',
+            id: req.params.id, label: 'Site'
+        });
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ message: 'Une erreur serveur est survenue.' });
+    }
+});
+
 
 // --- ROUTES CRUD DÉPARTEMENTS (NOUVEAU) ---
 
 // Route pour créer un nouveau département (protégée)
-router.post('/departments', authMiddleware, async (req, res) => {
+router.post('/departments', authMiddleware, authorize('structure:write'), async (req, res) => {
     try {
         const { error, value } = departmentSchema.validate(req.body);
         if (error) {
@@ -79,7 +256,7 @@ router.post('/departments', authMiddleware, async (req, res) => {
         }
 
         // 1. Vérification de la clé étrangère : le site_id doit exister
-        const [siteRows] = await db.query('SELECT id FROM sites WHERE id = ?', [value.site_id]);
+        const [siteRows] = await db.query('SELECT id FROM sites WHERE id = ? AND actif = TRUE', [value.site_id]);
         if (siteRows.length === 0) {
             return res.status(404).json({ message: 'Le site d\'affectation spécifié (site_id) n\'existe pas.' });
         }
@@ -91,8 +268,8 @@ router.post('/departments', authMiddleware, async (req, res) => {
         }
 
         // 3. Insertion dans la base de données
-        const sql = 'INSERT INTO departments (nom, code_interne, site_id, budget_alloue, objectifs) VALUES (?, ?, ?, ?, ?)';
-        const params = [value.nom, value.code_interne, value.site_id, value.budget_alloue || 0, value.objectifs || null];
+        const sql = 'INSERT INTO departments (nom, code_interne, site_id, budget_alloue, seuil_alerte_budget, objectifs) VALUES (?, ?, ?, ?, ?, ?)';
+        const params = [value.nom, value.code_interne, value.site_id, value.budget_alloue || 0, value.seuil_alerte_budget || null, value.objectifs || null];
         const [result] = await db.query(sql, params);
 
         res.status(201).json({
@@ -107,15 +284,18 @@ router.post('/departments', authMiddleware, async (req, res) => {
 });
 
 // Route pour lire tous les départements (protégée)
-router.get('/departments', authMiddleware, async (req, res) => {
+router.get('/departments', authMiddleware, authorize('structure:read'), async (req, res) => {
     try {
+        const includeInactive = req.query.include_inactive === 'true';
+
         // Sélectionne les départements et joint le nom du site pour plus de clarté
         const sql = `
             SELECT 
-                d.id, d.nom, d.code_interne, d.budget_alloue, d.objectifs,
+                d.id, d.nom, d.code_interne, d.budget_alloue, d.seuil_alerte_budget, d.objectifs, d.actif,
                 s.nom AS nom_site, s.code_site
             FROM departments d
             JOIN sites s ON d.site_id = s.id
+            ${includeInactive ? '' : 'WHERE d.actif = TRUE'}
             ORDER BY d.id DESC
         `;
         const [departments] = await db.query(sql);
@@ -127,10 +307,91 @@ router.get('/departments', authMiddleware, async (req, res) => {
     }
 });
 
+// Route pour lire un département par ID (protégée)
+router.get('/departments/:id', authMiddleware, authorize('structure:read'), async (req, res) => {
+    try {
+        const [rows] = await db.query(`
+            SELECT 
+                d.id, d.nom, d.code_interne, d.site_id, d.budget_alloue, d.seuil_alerte_budget, d.objectifs, d.actif,
+                s.nom AS nom_site, s.code_site
+            FROM departments d
+            JOIN sites s ON d.site_id = s.id
+            WHERE d.id = ?
+        `, [req.params.id]);
+
+        if (rows.length === 0) {
+            return res.status(404).json({ message: 'Département non trouvé.' });
+        }
+        res.status(200).json(rows[0]);
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ message: 'Une erreur serveur est survenue.' });
+    }
+});
+
+// Route pour modifier un département (protégée)
+router.put('/departments/:id', authMiddleware, authorize('structure:write'), async (req, res) => {
+    try {
+        const { error, value } = departmentUpdateSchema.validate(req.body);
+        if (error) {
+            return res.status(400).json({ message: error.details[0].message });
+        }
+
+        const [deptRows] = await db.query('SELECT id FROM departments WHERE id = ? AND actif = TRUE', [req.params.id]);
+        if (deptRows.length === 0) {
+            return res.status(404).json({ message: 'Département non trouvé.' });
+        }
+
+        // 1. Vérification de la clé étrangère si le site change
+        if (value.site_id) {
+            const [siteRows] = await db.query('SELECT id FROM sites WHERE id = ? AND actif = TRUE', [value.site_id]);
+            if (siteRows.length === 0) {
+                return res.status(404).json({ message: 'Le site d\'affectation spécifié (site_id) n\'existe pas.' });
+            }
+            if (await rejectParentChangeWithEmployees(res, {
+                tableName: 'departments', parentColumn: 'site_id', employeeColumn: 'department_id',
+                id: req.params.id, newParentId: value.site_id, label: 'Département'
+            })) return;
+        }
+
+        // 2. Unicité du code interne (hors département modifié)
+        if (value.code_interne) {
+            const [existingDept] = await db.query('SELECT id FROM departments WHERE code_interne = ? AND id <> ?', [value.code_interne, req.params.id]);
+            if (existingDept.length > 0) {
+                return res.status(409).json({ message: 'Un département avec ce code interne existe déjà.' });
+            }
+        }
+
+        // 3. Mise à jour
+        const update = buildUpdateQuery('departments', ['nom', 'code_interne', 'site_id', 'budget_alloue', 'seuil_alerte_budget', 'objectifs'], value, req.params.id);
+        await db.query(update.sql, update.params);
+
+        res.status(200).json({ message: 'Département modifié avec succès !', departmentId: Number(req.params.id) });
+
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ message: 'Une erreur serveur est survenue.' });
+    }
+});
+
+// Route pour supprimer (logiquement) un département (protégée)
+router.delete('/departments/:id', authMiddleware, authorize('structure:write'), async (req, res) => {
+    try {
+        await softDeleteUnit(res, {
+            tableName: 'departments', employeeColumn: 'department_id',
+            childTable: 'services', childColumn: 'department_id',
+            id: req.params.id, label: 'Département'
+        });
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ message: 'Une erreur serveur est survenue.' });
+    }
+});
+
 // --- ROUTES CRUD SERVICES (NOUVEAU) ---
 
 // Route pour créer un nouveau service (protégée)
-router.post('/services', authMiddleware, async (req, res) => {
+router.post('/services', authMiddleware, authorize('structure:write'), async (req, res) => {
     try {
         const { error, value } = serviceSchema.validate(req.body);
         if (error) {
@@ -138,7 +399,7 @@ router.post('/services', authMiddleware, async (req, res) => {
         }
 
         // 1. Vérification de la clé étrangère : le department_id doit exister
-        const [deptRows] = await db.query('SELECT id FROM departments WHERE id = ?', [value.department_id]);
+        const [deptRows] = await db.query('SELECT id FROM departments WHERE id = ? AND actif = TRUE', [value.department_id]);
         if (deptRows.length === 0) {
             return res.status(404).json({ message: 'Le département parent spécifié (department_id) n\'existe pas.' });
         }
@@ -166,14 +427,16 @@ router.post('/services', authMiddleware, async (req, res) => {
 });
 
 // Route pour lire tous les services (protégée)
-router.get('/services', authMiddleware, async (req, res) => {
+router.get('/services', authMiddleware, authorize('structure:read'), async (req, res) => {
     try {
+        const includeInactive = req.query.include_inactive === 'true';
         const sql = `
             SELECT 
-                s.id, s.nom, s.code_metier,
+                s.id, s.nom, s.code_metier, s.actif,
                 d.nom AS nom_departement, d.code_interne AS code_departement
             FROM services s
             JOIN departments d ON s.department_id = d.id
+            ${includeInactive ? '' : 'WHERE s.actif = TRUE'}
             ORDER BY s.id DESC
         `;
         const [services] = await db.query(sql);
@@ -185,6 +448,87 @@ router.get('/services', authMiddleware, async (req, res) => {
     }
 });
 
+// Route pour lire un service par ID (protégée)
+router.get('/services/:id', authMiddleware, authorize('structure:read'), async (req, res) => {
+    try {
+        const [rows] = await db.query(`
+            SELECT 
+                s.id, s.nom, s.code_metier, s.department_id, s.actif,
+                d.nom AS nom_departement, d.code_interne AS code_departement
+            FROM services s
+            JOIN departments d ON s.department_id = d.id
+            WHERE s.id = ?
+        `, [req.params.id]);
+
+        if (rows.length === 0) {
+            return res.status(404).json({ message: 'Service non trouvé.' });
+        }
+        res.status(200).json(rows[0]);
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ message: 'Une erreur serveur est survenue.' });
+    }
+});
+
+// Route pour modifier un service (protégée)
+router.put('/services/:id', authMiddleware, authorize('structure:write'), async (req, res) => {
+    try {
+        const { error, value } = serviceUpdateSchema.validate(req.body);
+        if (error) {
+            return res.status(400).json({ message: error.details[0].message });
+        }
+
+        const [serviceRows] = await db.query('SELECT id FROM services WHERE id = ? AND actif = TRUE', [req.params.id]);
+        if (serviceRows.length === 0) {
+            return res.status(404).json({ message: 'Service non trouvé.' });
+        }
+
+        // 1. Vérification de la clé étrangère si le département change
+        if (value.department_id) {
+            const [deptRows] = await db.query('SELECT id FROM departments WHERE id = ? AND actif = TRUE', [value.department_id]);
+            if (deptRows.length === 0) {
+                return res.status(404).json({ message: 'Le département parent spécifié (department_id) n\'existe pas.' });
+            }
+            if (await rejectParentChangeWithEmployees(res, {
+                tableName: 'services', parentColumn: 'department_id', employeeColumn: 'service_id',
+                id: req.params.id, newParentId: value.department_id, label: 'Service'
+            })) return;
+        }
+
+        // 2. Unicité du code métier (hors service modifié)
+        if (value.code_metier) {
+            const [existingService] = await db.query('SELECT id FROM services WHERE code_metier = ? AND id <> ?', [value.code_metier, req.params.id]);
+            if (existingService.length > 0) {
+                return res.status(409).json({ message: 'Un service avec ce code métier existe déjà.' });
+            }
+        }
+
+        // 3. Mise à jour
+        const update = buildUpdateQuery('services', ['nom', 'code_metier', 'department_id'], value, req.params.id);
+        await db.query(update.sql, update.params);
+
+        res.status(200).json({ message: 'Service modifié avec succès !', serviceId: Number(req.params.id) });
+
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ message: 'Une erreur serveur est survenue.' });
+    }
+});
+
+// Route pour supprimer (logiquement) un service (protégée)
+router.delete('/services/:id', authMiddleware, authorize('structure:write'), async (req, res) => {
+    try {
+        await softDeleteUnit(res, {
+            tableName: 'services', employeeColumn: 'service_id',
+            childTable: 'teams', childColumn: 'service_id',
+            id: req.params.id, label: 'Service'
+        });
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ message: 'Une erreur serveur est survenue.' });
+    }
+});
+
 // ... (Ajouter ici les routes Teams à l'étape suivante)
 
 // module.exports = router; // Doit rester à la fin du fichier
@@ -192,7 +536,7 @@ router.get('/services', authMiddleware, async (req, res) => {
 // --- ROUTES CRUD ÉQUIPES (NOUVEAU) ---
 
 // Route pour créer une nouvelle équipe (protégée)
-router.post('/teams', authMiddleware, async (req, res) => {
+router.post('/teams', authMiddleware, authorize('structure:write'), async (req, res) => {
     try {
         const { error, value } = teamSchema.validate(req.body);
         if (error) {
@@ -200,7 +544,7 @@ router.post('/teams', authMiddleware, async (req, res) => {
         }
 
         // 1. Vérification de la clé étrangère : le service_id doit exister
-        const [serviceRows] = await db.query('SELECT id FROM services WHERE id = ?', [value.service_id]);
+        const [serviceRows] = await db.query('SELECT id FROM services WHERE id = ? AND actif = TRUE', [value.service_id]);
         if (serviceRows.length === 0) {
             return res.status(404).json({ message: 'Le service parent spécifié (service_id) n\'existe pas.' });
         }
@@ -222,14 +566,16 @@ router.post('/teams', authMiddleware, async (req, res) => {
 });
 
 // Route pour lire toutes les équipes (protégée)
-router.get('/teams', authMiddleware, async (req, res) => {
+router.get('/teams', authMiddleware, authorize('structure:read'), async (req, res) => {
     try {
+        const includeInactive = req.query.include_inactive === 'true';
         const sql = `
             SELECT 
-                t.id, t.nom, t.specialite,
+                t.id, t.nom, t.specialite, t.actif,
                 s.nom AS nom_service, s.code_metier AS code_service
             FROM teams t
             JOIN services s ON t.service_id = s.id
+            ${includeInactive ? '' : 'WHERE t.actif = TRUE'}
             ORDER BY t.id DESC
         `;
         const [teams] = await db.query(sql);
@@ -241,6 +587,228 @@ router.get('/teams', authMiddleware, async (req, res) => {
     }
 });
 
+// Route pour lire une équipe par ID (protégée)
+router.get('/teams/:id', authMiddleware, authorize('structure:read'), async (req, res) => {
+    try {
+        const [rows] = await db.query(`
+            SELECT 
+                t.id, t.nom, t.specialite, t.service_id, t.actif,
+                s.nom AS nom_service, s.code_metier AS code_service
+            FROM teams t
+            JOIN services s ON t.service_id = s.id
+            WHERE t.id = ?
+        `, [req.params.id]);
+
+        if (rows.length === 0) {
+            return res.status(404).json({ message: 'Équipe non trouvée.' });
+        }
+        res.status(200).json(rows[0]);
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ message: 'Une erreur serveur est survenue.' });
+    }
+});
+
+// Route pour lister les membres d'une équipe à une date donnée (historique des affectations)
+// GET /api/structure/teams/:id/members?date=YYYY-MM-DD
+router.get('/teams/:id/members', authMiddleware, authorize('structure:read'), async (req, res) => {
+    try {
+        const { error, value } = teamMembersQuerySchema.validate(req.query);
+        if (error) {
+            return res.status(400).json({ message: error.details[0].message });
+        }
+
+        // Les équipes désactivées restent consultables pour l'historique
+        const [teams] = await db.query('SELECT id, nom, actif FROM teams WHERE id = ?', [req.params.id]);
+        if (teams.length === 0) {
+            return res.status(404).json({ message: 'Équipe non trouvée.' });
+        }
+
+        const date = (value.date || new Date()).toISOString().split('T')[0];
+        const scope = await buildScopeClause(req, 'e');
+        const members = await careerService.findTeamMembersAt(req.params.id, date, scope);
+
+        res.status(200).json({
+            equipe: teams[0],
+            date: date,
+            effectif: members.length,
+            membres: members
+        });
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ message: 'Une erreur serveur est survenue.' });
+    }
+});
+
+// Route pour modifier une équipe (protégée)
+router.put('/teams/:id', authMiddleware, authorize('structure:write'), async (req, res) => {
+    try {
+        const { error, value } = teamUpdateSchema.validate(req.body);
+        if (error) {
+            return res.status(400).json({ message: error.details[0].message });
+        }
+
+        const [teamRows] = await db.query('SELECT id FROM teams WHERE id = ? AND actif = TRUE', [req.params.id]);
+        if (teamRows.length === 0) {
+            return res.status(404).json({ message: 'Équipe non trouvée.' });
+        }
+
+        // Vérification de la clé étrangère si le service change
+        if (value.service_id) {
+            const [serviceRows] = await db.query('SELECT id FROM services WHERE id = ? AND actif = TRUE', [value.service_id]);
+            if (serviceRows.length === 0) {
+                return res.status(404).json({ message: 'Le service parent spécifié (service_id) n\'existe pas.' });
+            }
+            if (await rejectParentChangeWithEmployees(res, {
+                tableName: 'teams', parentColumn: 'service_id', employeeColumn: 'team_id',
+                id: req.params.id, newParentId: value.service_id, label: 'Équipe'
+            })) return;
+        }
+
+        const update = buildUpdateQuery('teams', ['nom', 'specialite', 'service_id'], value, req.params.id);
+        await db.query(update.sql, update.params);
+
+        res.status(200).json({ message: 'Équipe modifiée avec succès !', teamId: Number(req.params.id) });
+
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ message: 'Une erreur serveur est survenue.' });
+    }
+});
+
+// Route pour supprimer (logiquement) une équipe (protégée)
+router.delete('/teams/:id', authMiddleware, authorize('structure:write'), async (req, res) => {
+    try {
+        await softDeleteUnit(res, {
+            tableName: 'teams', employeeColumn: 'team_id',
+            id: req.params.id, label: 'Équipe'
+        });
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ message: 'Une erreur serveur est survenue.' });
+    }
+});
+
+// --- RESPONSABLES DES UNITÉS (chef de département, chef de service, chef d'équipe) ---
+
+/**
+ * Déclare pour une unité les routes de nomination, de retrait et d'historique du responsable :
+ * PUT    /api/structure/{basePath}/:id/{headPath}          (nomination)
+ * DELETE /api/structure/{basePath}/:id/{headPath}          (retrait, poste vacant)
+ * GET    /api/structure/{basePath}/:id/{headPath}/history  (historique des mandats)
+ */
+const registerHeadRoutes = (basePath, headPath, unitType) => {
+    router.put(`/${basePath}/:id/${headPath}`, authMiddleware, authorize('structure:write'), async (req, res) => {
+        const connection = await db.getConnection();
+        await connection.beginTransaction();
+
+        try {
+            const { error, value } = headAssignmentSchema.validate(req.body);
+            if (error) {
+                await connection.rollback();
+                return res.status(400).json({ message: error.details[0].message });
+            }
+
+            const result = await hierarchyService.assignUnitHead(
+                connection, unitType, req.params.id, value.employee_id,
+                { dateDebut: value.date_debut, motif: value.motif }, req.user.id
+            );
+            if (result.status) {
+                await connection.rollback();
+                return res.status(result.status).json({ message: result.message });
+            }
+
+            await connection.commit();
+
+            res.status(200).json({
+                message: `${hierarchyService.UNIT_TYPES[unitType].role} nommé avec succès.`,
+                employeeId: value.employee_id,
+                ancienResponsableId: result.previousHeadId
+            });
+
+        } catch (err) {
+            await connection.rollback();
+            console.error(err);
+            res.status(500).json({ message: 'Une erreur serveur est survenue.' });
+        } finally {
+            connection.release();
+        }
+    });
+
+    router.delete(`/${basePath}/:id/${headPath}`, authMiddleware, authorize('structure:write'), async (req, res) => {
+        const connection = await db.getConnection();
+        await connection.beginTransaction();
+
+        try {
+            const { error, value } = headRemovalSchema.validate(req.body || {});
+            if (error) {
+                await connection.rollback();
+                return res.status(400).json({ message: error.details[0].message });
+            }
+
+            const result = await hierarchyService.removeUnitHead(connection, unitType, req.params.id, { dateFin: value.date_fin });
+            if (result.status) {
+                await connection.rollback();
+                return res.status(result.status).json({ message: result.message });
+            }
+
+            await connection.commit();
+
+            res.status(200).json({ message: `${hierarchyService.UNIT_TYPES[unitType].role} retiré. Le poste est vacant.` });
+
+        } catch (err) {
+            await connection.rollback();
+            console.error(err);
+            res.status(500).json({ message: 'Une erreur serveur est survenue.' });
+        } finally {
+            connection.release();
+        }
+    });
+
+    router.get(`/${basePath}/:id/${headPath}/history`, authMiddleware, authorize('structure:read'), async (req, res) => {
+        try {
+            const history = await hierarchyService.getUnitHeadHistory(unitType, req.params.id);
+            res.status(200).json(history);
+        } catch (err) {
+            console.error(err);
+            res.status(500).json({ message: 'Une erreur serveur est survenue.' });
+        }
+    });
+};
+
+registerHeadRoutes('departments', 'head', 'department');
+registerHeadRoutes('services', 'head', 'service');
+registerHeadRoutes('teams', 'leader', 'team');
+
+// --- ARBRE ORGANISATIONNEL ---
+
+// Route pour lire l'organisation complète site → département → service → équipe (protégée)
+// GET /api/structure/tree?site_id=&as_of=YYYY-MM-DD
+router.get('/tree', authMiddleware, authorize('structure:read'), async (req, res) => {
+    try {
+        const { error, value } = treeQuerySchema.validate(req.query);
+        if (error) {
+            return res.status(400).json({ message: error.details[0].message });
+        }
+
+        const asOf = value.as_of ? value.as_of.toISOString().split('T')[0] : null;
+        const tree = await organisationService.buildOrganisationTree({ siteId: value.site_id, asOf: asOf });
+
+        if (value.site_id && tree.sites.length === 0) {
+            return res.status(404).json({ message: 'Site non trouvé.' });
+        }
+
+        res.status(200).json({
+            as_of: asOf || new Date().toISOString().split('T')[0],
+            avertissement: tree.avertissement,
+            sites: tree.sites
+        });
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ message: 'Une erreur serveur est survenue.' });
+    }
+});
+
 
 
 module.exports = router;
\ No newline at end of file
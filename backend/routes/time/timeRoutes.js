@@ -4,6 +4,9 @@ const express = require('express');
 const Joi = require('joi');
 const db = require('../../config/db');
 const authMiddleware = require('../../middleware/authMiddleware');
+const { authorize } = require('../../middleware/permissionMiddleware');
+const hierarchyService = require('../../services/hierarchyService');
+const sanctionService = require('../../services/sanctionService');
 
 const router = express.Router();
 
@@ -105,7 +108,7 @@ const calculateHours = (heure_entree, heure_sortie, isHoliday, isSunday, majorat
 // --- ROUTES JOURS FÉRIÉS (EXISTANTES) ---
 
 // Route pour ajouter un nouveau jour férié (POST /api/time/feries)
-router.post('/feries', authMiddleware, async (req, res) => {
+router.post('/feries', authMiddleware, authorize('holiday:write'), async (req, res) => {
     try {
         const { error, value } = ferieSchema.validate(req.body);
         if (error) {
@@ -132,7 +135,7 @@ router.post('/feries', authMiddleware, async (req, res) => {
 });
 
 // Route pour lire tous les jours fériés actifs (GET /api/time/feries)
-router.get('/feries', authMiddleware, async (req, res) => {
+router.get('/feries', authMiddleware, authorize('holiday:read'), async (req, res) => {
     try {
         const [feries] = await db.query('SELECT * FROM jours_feries WHERE actif = TRUE ORDER BY date_feriee ASC');
         res.status(200).json(feries);
@@ -146,14 +149,21 @@ router.get('/feries', authMiddleware, async (req, res) => {
 // --- ROUTES POINTAGE (ATTENDANCE) ---
 
 // Route pour le pointage d'ENTRÉE (POST /api/time/checkin)
-router.post('/checkin', authMiddleware, async (req, res) => {
+router.post('/checkin', authMiddleware, authorize('attendance:write', { employeeId: req => req.body.employee_id }), async (req, res) => {
     try {
         const { error, value } = checkinSchema.validate(req.body);
         if (error) {
             return res.status(400).json({ message: error.details[0].message });
         }
         
-        // 1. Vérification : l'employé doit être Actif
+        // 1. Vérification : pas de mise à pied à cette date, et l'employé doit être Actif
+        const suspension = await sanctionService.findActiveSuspension(value.employee_id, value.date_pointage);
+        if (suspension) {
+            return res.status(409).json({
+                message: `Pointage impossible : l'employé est mis à pied du ${suspension.date_effet} au ${suspension.date_fin_mise_a_pied}.`
+            });
+        }
+
         const [empRows] = await db.query('SELECT id FROM employees WHERE id = ? AND statut = "Actif"', [value.employee_id]);
         if (empRows.length === 0) {
             return res.status(404).json({ message: 'Employé actif non trouvé.' });
@@ -183,7 +193,7 @@ router.post('/checkin', authMiddleware, async (req, res) => {
 
 
 // Route pour le pointage de SORTIE (PUT /api/time/checkout/:employeeId)
-router.put('/checkout/:employeeId', authMiddleware, async (req, res) => {
+router.put('/checkout/:employeeId', authMiddleware, authorize('attendance:write', { employeeId: req => req.params.employeeId }), async (req, res) => {
     const employeeId = req.params.employeeId;
     const dateToday = new Date().toISOString().split('T')[0];
     const dayOfWeek = new Date().getDay(); // 0 = Dimanche, 1 = Lundi, etc.
@@ -274,7 +284,7 @@ const leaveRequestSchema = Joi.object({
 });
 
 // Route pour soumettre une nouvelle demande de congés (POST /api/time/leaves)
-router.post('/leaves', authMiddleware, async (req, res) => {
+router.post('/leaves', authMiddleware, authorize('leave:submit', { employeeId: req => req.body.employee_id }), async (req, res) => {
     const connection = await db.getConnection();
     await connection.beginTransaction();
     
@@ -322,11 +332,15 @@ router.post('/leaves', authMiddleware, async (req, res) => {
             VALUES (?, ?, ?, ?, ?)
         `, [requestId, req.user.id, 'Soumission Employé', 'En attente', 'Demande soumise par l\'employé.']);
 
+        // 5. Approbateur attendu : supérieur hiérarchique direct (chef d'équipe, de service ou de département)
+        const approver = await hierarchyService.findApprover(value.employee_id, connection);
+
         await connection.commit();
 
         res.status(201).json({
             message: 'Demande de congés soumise avec succès. Workflow de validation démarré.',
-            requestId: requestId
+            requestId: requestId,
+            approbateur: approver
         });
 
     } catch (err) {
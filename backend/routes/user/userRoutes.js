@@ -1,10 +1,17 @@
 // Fichier: backend/routes/user/userRoutes.js
 
 const express = require('express');
+const Joi = require('joi');
+const db = require('../../config/db');
 const authMiddleware = require('../../middleware/authMiddleware');
+const { loadUserEmployee } = require('../../middleware/permissionMiddleware');
+const employeeService = require('../../services/employeeService');
 
 const router = express.Router();
 
+// Type de document correspondant aux bulletins de paie dans la bibliothèque `documents`
+const PAYSLIP_DOCUMENT_TYPE = 'Bulletin de paie';
+
 // Route d'exemple pour un profil utilisateur
 // Notez l'utilisation de authMiddleware avant la fonction de la route
 router.get('/profile', authMiddleware, (req, res) => {
@@ -15,4 +22,263 @@ router.get('/profile', authMiddleware, (req, res) => {
     });
 });
 
-module.exports = router;
\ No newline at end of file
+// --- ESPACE EMPLOYÉ (/api/user/me) ---
+
+// Schéma de validation pour filtrer une période (pointages)
+const periodSchema = Joi.object({
+    date_debut: Joi.date().iso().optional(),
+    date_fin: Joi.date().iso().min(Joi.ref('date_debut')).optional()
+});
+
+// Schéma de validation d'une demande de modification des coordonnées
+// Seuls les champs de SELF_SERVICE_CONTACT_FIELDS sont acceptés
+const contactChangeSchema = Joi.object({
+    adresse_complete: Joi.string().optional().allow(null, ''),
+    telephone_principal: Joi.string().max(50).optional(),
+    telephone_whatsapp: Joi.string().max(50).optional().allow(null, ''),
+    email_personnel: Joi.string().email().max(255).optional().allow(null, ''),
+    contact_urgence_nom: Joi.string().max(255).optional(),
+    contact_urgence_telephone: Joi.string().max(50).optional(),
+    commentaire: Joi.string().max(255).optional().allow(null, '')
+}).or(...employeeService.SELF_SERVICE_CONTACT_FIELDS);
+
+/**
+ * Middleware : l'utilisateur connecté doit être lié à une fiche employé (employees.user_id).
+ * La fiche est disponible dans req.userEmployee.
+ */
+const requireLinkedEmployee = async (req, res, next) => {
+    try {
+        const employee = await loadUserEmployee(req);
+        if (!employee) {
+            return res.status(404).json({ message: 'Aucune fiche employé n\'est liée à votre compte.' });
+        }
+        next();
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ message: 'Une erreur serveur est survenue.' });
+    }
+};
+
+/**
+ * Route pour lire sa propre fiche employé (même vue que GET /api/employee/:id).
+ * GET /api/user/me
+ */
+router.get('/me', authMiddleware, requireLinkedEmployee, async (req, res) => {
+    try {
+        const employee = await employeeService.findEmployeeById(req.userEmployee.id);
+        res.status(200).json(employee);
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ message: 'Erreur serveur lors de la récupération de votre dossier.' });
+    }
+});
+
+/**
+ * Route pour consulter son historique de pointage et le cumul de ses heures.
+ * GET /api/user/me/attendances?date_debut=&date_fin=
+ */
+router.get('/me/attendances', authMiddleware, requireLinkedEmployee, async (req, res) => {
+    try {
+        const { error, value } = periodSchema.validate(req.query);
+        if (error) {
+            return res.status(400).json({ message: error.details[0].message });
+        }
+
+        const conditions = ['employee_id = ?'];
+        const params = [req.userEmployee.id];
+        if (value.date_debut) { conditions.push('date_pointage >= ?'); params.push(value.date_debut); }
+        if (value.date_fin) { conditions.push('date_pointage <= ?'); params.push(value.date_fin); }
+        const whereClause = conditions.join(' AND ');
+
+        const [attendances] = await db.query(`
+            SELECT id, date_pointage, heure_entree, heure_sortie, heures_normales, heures_sup_15, heures_sup_40,
+                   heures_sup_hors_majoration, majoration_pourcentage, panier_repas_du, source
+            FROM attendances
+            WHERE ${whereClause}
+            ORDER BY date_pointage DESC
+        `, params);
+
+        const [totals] = await db.query(`
+            SELECT 
+                COUNT(*) AS jours_pointes,
+                COALESCE(SUM(heures_normales), 0) AS heures_normales,
+                COALESCE(SUM(heures_sup_15), 0) AS heures_sup_15,
+                COALESCE(SUM(heures_sup_40), 0) AS heures_sup_40,
+                COALESCE(SUM(heures_sup_hors_majoration), 0) AS heures_supplementaires,
+                COALESCE(SUM(panier_repas_du), 0) AS paniers_repas
+            FROM attendances
+            WHERE ${whereClause}
+        `, params);
+
+        res.status(200).json({ totaux: totals[0], pointages: attendances });
+
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ message: 'Erreur serveur lors de la récupération de vos pointages.' });
+    }
+});
+
+/**
+ * Route pour consulter ses demandes de congés et l'état de leur validation.
+ * GET /api/user/me/leaves
+ */
+router.get('/me/leaves', authMiddleware, requireLinkedEmployee, async (req, res) => {
+    try {
+        const [requests] = await db.query(`
+            SELECT id, type_conge, date_debut, date_fin, nb_jours, motif_employe, statut_actuel
+            FROM leave_requests
+            WHERE employee_id = ?
+            ORDER BY date_debut DESC
+        `, [req.userEmployee.id]);
+
+        // Étapes du workflow de validation, rattachées à chaque demande
+        if (requests.length > 0) {
+            const [validations] = await db.query(`
+                SELECT request_id, niveau_validation, decision, commentaire
+                FROM leave_validations
+                WHERE request_id IN (?)
+                ORDER BY id ASC
+            `, [requests.map(request => request.id)]);
+
+            requests.forEach(request => {
+                request.validations = validations.filter(validation => validation.request_id === request.id);
+            });
+        }
+
+        res.status(200).json(requests);
+
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ message: 'Erreur serveur lors de la récupération de vos congés.' });
+    }
+});
+
+/**
+ * Route pour consulter ses documents RH (hors bulletins de paie).
+ * GET /api/user/me/documents
+ */
+router.get('/me/documents', authMiddleware, requireLinkedEmployee, async (req, res) => {
+    try {
+        const [documents] = await db.query(`
+            SELECT id, type_document, nom_fichier, date_enregistrement, date_expiration, statut_alerte
+            FROM documents
+            WHERE employee_id = ? AND type_document <> ? AND est_version_courante = TRUE
+            ORDER BY date_enregistrement DESC
+        `, [req.userEmployee.id, PAYSLIP_DOCUMENT_TYPE]);
+
+        res.status(200).json(documents);
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ message: 'Erreur serveur lors de la récupération de vos documents.' });
+    }
+});
+
+/**
+ * Route pour consulter ses bulletins de paie.
+ * GET /api/user/me/payslips
+ */
+router.get('/me/payslips', authMiddleware, requireLinkedEmployee, async (req, res) => {
+    try {
+        const [payslips] = await db.query(`
+            SELECT id, nom_fichier, date_enregistrement
+            FROM documents
+            WHERE employee_id = ? AND type_document = ? AND est_version_courante = TRUE
+            ORDER BY date_enregistrement DESC
+        `, [req.userEmployee.id, PAYSLIP_DOCUMENT_TYPE]);
+
+        res.status(200).json(payslips);
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ message: 'Erreur serveur lors de la récupération de vos bulletins de paie.' });
+    }
+});
+
+/**
+ * Route pour demander la modification de ses coordonnées (appliquée après validation RH).
+ * POST /api/user/me/contact-change-requests
+ */
+router.post('/me/contact-change-requests', authMiddleware, requireLinkedEmployee, async (req, res) => {
+    try {
+        const { error, value } = contactChangeSchema.validate(req.body);
+        if (error) {
+            return res.status(400).json({ message: error.details[0].message });
+        }
+
+        // Une seule demande en attente à la fois, pour éviter les conflits lors de la validation
+        const [pending] = await db.query(
+            'SELECT id FROM employee_change_requests WHERE employee_id = ? AND statut = "En attente"',
+            [req.userEmployee.id]
+        );
+        if (pending.length > 0) {
+            return res.status(409).json({ message: 'Une demande de modification est déjà en attente de validation.' });
+        }
+
+        const changes = {};
+        employeeService.SELF_SERVICE_CONTACT_FIELDS
+            .filter(field => value[field] !== undefined)
+            .forEach(field => { changes[field] = value[field]; });
+
+        // Valeurs actuelles conservées pour faciliter la revue RH
+        const [current] = await db.query(
+            `SELECT ${employeeService.SELF_SERVICE_CONTACT_FIELDS.join(', ')} FROM employee_contact WHERE employee_id = ?`,
+            [req.userEmployee.id]
+        );
+
+        const [result] = await db.query(`
+            INSERT INTO employee_change_requests (employee_id, changements, valeurs_precedentes, commentaire_employe, created_by_user_id)
+            VALUES (?, ?, ?, ?, ?)
+        `, [req.userEmployee.id, JSON.stringify(changes), JSON.stringify(current[0] || {}), value.commentaire || null, req.user.id]);
+
+        res.status(201).json({
+            message: 'Demande de modification soumise. Elle sera appliquée après validation RH.',
+            requestId: result.insertId
+        });
+
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ message: 'Erreur serveur lors de la soumission de la demande de modification.' });
+    }
+});
+
+/**
+ * Route pour suivre ses demandes de modification des coordonnées.
+ * GET /api/user/me/contact-change-requests
+ */
+router.get('/me/contact-change-requests', authMiddleware, requireLinkedEmployee, async (req, res) => {
+    try {
+        const [requests] = await db.query(`
+            SELECT id, changements, commentaire_employe, statut, commentaire_rh, reviewed_at, created_at
+            FROM employee_change_requests
+            WHERE employee_id = ?
+            ORDER BY created_at DESC
+        `, [req.userEmployee.id]);
+
+        res.status(200).json(requests);
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ message: 'Erreur serveur lors de la récupération de vos demandes.' });
+    }
+});
+
+/**
+ * Route pour annuler une de ses demandes encore en attente.
+ * DELETE /api/user/me/contact-change-requests/:id
+ */
+router.delete('/me/contact-change-requests/:id', authMiddleware, requireLinkedEmployee, async (req, res) => {
+    try {
+        const [result] = await db.query(
+            'UPDATE employee_change_requests SET statut = "Annulé" WHERE id = ? AND employee_id = ? AND statut = "En attente"',
+            [req.params.id, req.userEmployee.id]
+        );
+        if (result.affectedRows === 0) {
+            return res.status(404).json({ message: 'Demande en attente non trouvée.' });
+        }
+
+        res.status(200).json({ message: 'Demande annulée.' });
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ message: 'Erreur serveur lors de l\'annulation de la demande.' });
+    }
+});
+
+module.exports = router;
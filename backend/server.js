@@ -3,17 +3,30 @@
 // Importation des modules nécessaires
 const express = require('express');
 const dotenv = require('dotenv');
+const cookieParser = require('cookie-parser');
+
+// Charger les variables d'environnement du fichier .env
+// (avant les autres imports : le pool MySQL et les services lisent process.env au chargement)
+dotenv.config();
+
 const db = require('./config/db');
 const authRoutes = require('./routes/auth/authRoutes');
+const twoFactorRoutes = require('./routes/auth/twoFactorRoutes');
 const userRoutes = require('./routes/user/userRoutes');
 const siteRoutes = require('./routes/structure/siteRoutes');
+const reorganisationRoutes = require('./routes/structure/reorganisationRoutes');
 const employeeRoutes = require('./routes/employee/employeeRoutes'); // AJOUT: Importation des routes employé
+const exportRoutes = require('./routes/employee/exportRoutes');
+const documentRoutes = require('./routes/employee/documentRoutes');
+const employeeRecordRoutes = require('./routes/employee/employeeRecordRoutes');
 const timeRoutes = require('./routes/time/timeRoutes'); // AJOUT: Importation des routes de temps
 const hrRoutes = require('./routes/hr/hrRoutes');
 const adminRoutes = require('./routes/admin/adminRoutes'); // AJOUT
-
-// Charger les variables d'environnement du fichier .env
-dotenv.config();
+const userAdminRoutes = require('./routes/admin/userAdminRoutes');
+const budgetRoutes = require('./routes/hr/budgetRoutes');
+const disciplinaryRoutes = require('./routes/hr/disciplinaryRoutes');
+const { startScheduler } = require('./jobs/scheduler');
+const { auditContext } = require('./services/auditService');
 
 // Créer une instance de l'application Express
 const app = express();
@@ -21,6 +34,12 @@ const app = express();
 // Middleware pour analyser les requêtes JSON
 app.use(express.json());
 
+// Middleware pour lire les cookies (jetons httpOnly des sessions)
+app.use(cookieParser());
+
+// Contexte d'audit (utilisateur, IP, route) des modifications de données effectuées par la requête
+app.use(auditContext);
+
 // Définir un port, en utilisant la variable d'environnement PORT si elle existe, sinon 3000
 const PORT = process.env.PORT || 3000;
 
@@ -31,25 +50,37 @@ app.get('/', (req, res) => {
 
 // Utiliser les routes d'authentification
 app.use('/api/auth', authRoutes);
+app.use('/api/auth/2fa', twoFactorRoutes);
 
 // Utiliser les routes utilisateur avec un chemin de base /api/user
 app.use('/api/user', userRoutes);
 
 // Utiliser les routes de structure avec un chemin de base /api/structure
 app.use('/api/structure', siteRoutes);
+app.use('/api/structure/reorganisations', reorganisationRoutes);
 
 // AJOUT: Utiliser les routes employé avec un chemin de base /api/employee
+// (exports et documents avant les routes employé : GET /api/employee/:id capturerait /exports et /documents)
+app.use('/api/employee/exports', exportRoutes);
+app.use('/api/employee/documents', documentRoutes);
+app.use('/api/employee', employeeRecordRoutes); // Ayants droit, paiement, identité (/api/employee/:id/...)
 app.use('/api/employee', employeeRoutes);
 
 // AJOUT: Utiliser les routes de temps avec un chemin de base /api/time
 app.use('/api/time', timeRoutes);
 
 app.use('/api/hr', hrRoutes);
+app.use('/api/hr/budgets', budgetRoutes);
+app.use('/api/hr/disciplinary-cases', disciplinaryRoutes);
 app.use('/api/admin', adminRoutes); // AJOUT
+app.use('/api/admin/users', userAdminRoutes);
 
 // Démarrer le serveur et écouter les requêtes sur le port spécifié
 app.listen(PORT, () => {
     console.log(`Le serveur est démarré sur le port ${PORT}`);
+
+    // Tâches planifiées (alertes budgétaires...)
+    startScheduler();
     
     // Test de la connexion à la base de données
     db.query('SELECT 1')
@@ -0,0 +1,302 @@
+// Fichier: backend/services/auditService.js
+
+const { AsyncLocalStorage } = require('async_hooks');
+
+// Journal d'audit des modifications de données (audit_logs).
+// Chaque INSERT / UPDATE / DELETE passant par config/db.js est enregistré avec les valeurs avant/après
+// des champs modifiés, l'utilisateur, son adresse IP et la route appelée (contexte de la requête HTTP).
+// La ligne d'audit est écrite sur la même connexion que la modification : une transaction annulée
+// n'est donc pas journalisée. Un échec de la journalisation est consigné dans les logs du serveur
+// mais n'empêche jamais la modification elle-même.
+
+// Tables non journalisées : le journal lui-même, et les tables techniques d'authentification
+// (sessions, jetons, codes de secours) déjà tracées par auth_events
+const EXCLUDED_TABLES = ['audit_logs', 'auth_events', 'user_sessions', 'user_tokens', 'user_backup_codes'];
+
+// Colonnes dont la valeur n'est jamais recopiée dans le journal (seul le fait qu'elles changent est tracé)
+const MASKED_COLUMNS = /password|secret|token/i;
+// Données personnelles sensibles (mêmes champs que le masquage des fiches employé), par table
+const MASKED_TABLE_COLUMNS = {
+    employee_dependents: ['numero_acte'],
+    employee_payment_methods: ['numero_compte', 'cle_rib', 'iban', 'telephone'],
+    employee_identity: ['nin', 'numero_ipres', 'numero_css'],
+    employee_id_documents: ['numero']
+};
+const MASK = '***';
+
+const AUDIT_ACTIONS = ['Création', 'Modification', 'Suppression'];
+
+const contextStorage = new AsyncLocalStorage();
+
+/**
+ * Middleware plaçant chaque requête HTTP dans un contexte d'audit (à déclarer avant les routes).
+ * L'utilisateur est lu au moment de la modification (req.user est posé ensuite par authMiddleware).
+ */
+const auditContext = (req, res, next) => contextStorage.run({ req: req }, next);
+
+/**
+ * Exécute une fonction hors requête HTTP (ex : planificateur) avec une source identifiée dans le journal.
+ */
+const runWithSource = (source, fn) => contextStorage.run({ source: source }, fn);
+
+const currentContext = () => {
+    const context = contextStorage.getStore() || {};
+    const req = context.req;
+    return {
+        userId: req && req.user ? req.user.id : null,
+        ipAddress: req ? req.ip : null,
+        methode: req ? req.method : null,
+        route: req ? req.originalUrl.split('?')[0].substring(0, 255) : (context.source || null)
+    };
+};
+
+// --- Analyse des requêtes de modification ---
+
+const MUTATION_PATTERN = /^\s*(INSERT|UPDATE|DELETE)\b/i;
+
+const countPlaceholders = (sqlPart) => (sqlPart.match(/\?/g) || []).length;
+
+/**
+ * Décompose une requête de modification en { action, table, ... } exploitable pour les images avant/après.
+ * Renvoie null si la forme de la requête n'est pas reconnue (elle est alors exécutée sans journalisation).
+ */
+const parseMutation = (sql) => {
+    const text = sql.replace(/\s+/g, ' ').trim();
+
+    // INSERT INTO table [(colonnes)] VALUES ... : les colonnes servent à journaliser les tables sans id auto-incrémenté
+    let match = /^INSERT (?:IGNORE )?INTO `?(\w+)`?(?: ?\(([^)]*)\))?(?: VALUES (.+))?/i.exec(text);
+    if (match) {
+        return {
+            action: 'Création',
+            table: match[1],
+            columns: match[2] ? match[2].split(',').map(column => column.trim().replace(/`/g, '')) : null,
+            valuesClause: match[3] || null
+        };
+    }
+
+    match = /^DELETE FROM `?(\w+)`? WHERE (.+)$/i.exec(text);
+    if (match) {
+        return { action: 'Suppression', table: match[1], source: `\`${match[1]}\``, alias: null, where: match[2], whereOffset: 0 };
+    }
+
+    // UPDATE table [alias] [JOIN ...] SET ... WHERE ...
+    match = /^UPDATE (.+?) SET (.+?) WHERE (.+)$/i.exec(text);
+    if (match) {
+        const source = match[1];
+        const tables = /^`?(\w+)`?(?: (?:AS )?(?!JOIN\b)(\w+))?/i.exec(source);
+        if (!tables) return null;
+        let table = tables[1];
+        let alias = tables[2] || null;
+
+        // Mise à jour multi-tables : la table modifiée est celle du premier champ du SET (ex : t.statut = ?)
+        if (/\bJOIN\b/i.test(source)) {
+            const target = /^`?(\w+)`?\.`?\w+`? ?=/.exec(match[2].trim());
+            const targetAlias = target ? target[1] : alias;
+            if (!targetAlias) return null;
+            const declared = new RegExp(`\`?(\\w+)\`? (?:AS )?${targetAlias}\\b`, 'i').exec(source);
+            table = declared ? declared[1] : targetAlias;
+            alias = targetAlias;
+        }
+
+        return { action: 'Modification', table, source, alias, where: match[3], whereOffset: countPlaceholders(match[2]) };
+    }
+
+    return null;
+};
+
+// --- Sérialisation des valeurs ---
+
+const isMasked = (table, column) => MASKED_COLUMNS.test(column)
+    || (MASKED_TABLE_COLUMNS[table] || []).includes(column);
+
+const serializeValue = (table, column, value) => {
+    if (value === null || value === undefined) return null;
+    if (isMasked(table, column)) return MASK;
+    if (value instanceof Date) return value.toISOString();
+    if (Buffer.isBuffer(value)) return `[binaire ${value.length} octets]`;
+    return value;
+};
+
+const sameValue = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+/**
+ * Champs modifiés entre deux images d'une ligne : { champ: { avant, apres } }.
+ * Une création (before = null) ou une suppression (after = null) reprend tous les champs renseignés.
+ */
+const diffRows = (table, before, after) => {
+    const changes = {};
+    const columns = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+    columns.forEach(column => {
+        const avant = before ? serializeValue(table, column, before[column]) : null;
+        const apres = after ? serializeValue(table, column, after[column]) : null;
+        if (!sameValue(avant, apres) || (isMasked(table, column) && before && after && before[column] !== after[column])) {
+            changes[column] = { avant: avant, apres: apres };
+        }
+    });
+    return changes;
+};
+
+// Employé concerné par une ligne (pour la recherche par employé)
+const employeeIdOf = (table, row) => {
+    if (!row) return null;
+    if (table === 'employees') return row.id;
+    return row.employee_id || null;
+};
+
+const writeEntries = async (rawQuery, entries) => {
+    if (entries.length === 0) return;
+    const context = currentContext();
+    await rawQuery(`
+        INSERT INTO audit_logs (table_name, entity_id, employee_id, action, changements, user_id, ip_address, methode, route)
+        VALUES ?
+    `, [entries.map(entry => [
+        entry.table, entry.entityId, entry.employeeId, entry.action, JSON.stringify(entry.changes),
+        context.userId, context.ipAddress, context.methode, context.route
+    ])]);
+};
+
+/**
+ * Lignes insérées reconstituées à partir des paramètres de la requête, pour les tables sans id auto-incrémenté
+ * (clé composite, clé employee_id...) : INSERT INTO t (a, b) VALUES (?, ?) ou VALUES ? (insertion multiple).
+ * Seules les colonnes fournies figurent dans l'image (les valeurs par défaut de la base n'y sont pas).
+ */
+const insertedRowsFromValues = (mutation, values) => {
+    if (!mutation.columns || !mutation.valuesClause) return [];
+    const toRow = (rowValues) => Object.fromEntries(mutation.columns.map((column, index) => [column, rowValues[index]]));
+
+    if (/^\?/.test(mutation.valuesClause.trim()) && Array.isArray(values[0]) && Array.isArray(values[0][0])) {
+        return values[0].map(toRow);
+    }
+    // Une seule ligne entièrement paramétrée : VALUES (?, ?, ...)
+    const tuple = /^\(([^)]*)\)/.exec(mutation.valuesClause.trim());
+    if (tuple && tuple[1].split(',').every(part => part.trim() === '?') && countPlaceholders(tuple[1]) === mutation.columns.length) {
+        return [toRow(values)];
+    }
+    return [];
+};
+
+// Image avant (UPDATE / DELETE), avec les paramètres du WHERE
+const captureBefore = async (rawQuery, mutation, values) => {
+    if (mutation.action === 'Création') return [];
+    const prefix = mutation.alias ? `${mutation.alias}.` : '';
+    const [rows] = await rawQuery(
+        `SELECT ${prefix}* FROM ${mutation.source} WHERE ${mutation.where}`,
+        values.slice(mutation.whereOffset)
+    );
+    return rows;
+};
+
+// Image après et écriture des entrées du journal, une par ligne réellement modifiée
+const recordChanges = async (rawQuery, mutation, sql, values, before, header) => {
+    let after = [];
+    if (mutation.action === 'Création' && header.insertId) {
+        // Insertion multiple (VALUES ?) : identifiants consécutifs ; ON DUPLICATE KEY UPDATE : une seule ligne
+        const insertedRows = /ON DUPLICATE KEY UPDATE/i.test(sql) ? 1 : Math.max(header.affectedRows, 1);
+        [after] = await rawQuery(
+            `SELECT * FROM \`${mutation.table}\` WHERE id BETWEEN ? AND ?`,
+            [header.insertId, header.insertId + insertedRows - 1]
+        );
+    } else if (mutation.action === 'Création' && header.affectedRows > 0) {
+        after = insertedRowsFromValues(mutation, values);
+    } else if (mutation.action === 'Modification' && before.length > 0 && before[0].id !== undefined) {
+        [after] = await rawQuery(`SELECT * FROM \`${mutation.table}\` WHERE id IN (?)`, [before.map(row => row.id)]);
+    } else if (mutation.action === 'Modification' && before.length > 0) {
+        // Table sans colonne id (ex : clé employee_id) : relecture avec le même filtre
+        after = await captureBefore(rawQuery, mutation, values);
+    }
+
+    const entries = [];
+    if (mutation.action === 'Création') {
+        after.forEach(row => entries.push({ row, changes: diffRows(mutation.table, null, row) }));
+    } else if (mutation.action === 'Suppression') {
+        before.forEach(row => entries.push({ row, changes: diffRows(mutation.table, row, null) }));
+    } else {
+        before.forEach((row, index) => {
+            const updated = row.id !== undefined ? after.find(candidate => candidate.id === row.id) : after[index];
+            const changes = diffRows(mutation.table, row, updated || null);
+            if (Object.keys(changes).length > 0) entries.push({ row: updated || row, changes });
+        });
+    }
+
+    await writeEntries(rawQuery, entries.map(({ row, changes }) => ({
+        table: mutation.table,
+        entityId: row.id !== undefined ? row.id : null,
+        employeeId: employeeIdOf(mutation.table, row),
+        action: mutation.action,
+        changes: changes
+    })));
+};
+
+const logAuditFailure = (sql, err) => {
+    console.error(`[Audit] Journalisation impossible pour : ${sql.replace(/\s+/g, ' ').trim().substring(0, 120)}`, err);
+};
+
+/**
+ * Exécute une requête de modification en journalisant les lignes touchées.
+ * La journalisation est non bloquante : en cas d'échec, la modification est exécutée et l'erreur consignée.
+ * @param {Function} rawQuery - query() d'origine de la connexion ou du pool (sans instrumentation)
+ */
+const runAudited = async (rawQuery, sql, values = []) => {
+    let mutation = null;
+    let before = [];
+    try {
+        mutation = parseMutation(sql);
+        if (mutation && EXCLUDED_TABLES.includes(mutation.table)) mutation = null;
+        if (mutation) before = await captureBefore(rawQuery, mutation, values);
+    } catch (err) {
+        logAuditFailure(sql, err);
+        mutation = null;
+    }
+
+    const result = await rawQuery(sql, values);
+
+    if (mutation) {
+        try {
+            await recordChanges(rawQuery, mutation, sql, values, before, result[0]);
+        } catch (err) {
+            logAuditFailure(sql, err);
+        }
+    }
+    return result;
+};
+
+const INSTRUMENTED = Symbol('audit');
+
+// Remplace query() d'une connexion : les modifications sont journalisées sur cette même connexion
+const instrumentConnection = (connection) => {
+    if (connection[INSTRUMENTED]) return connection;
+    const rawQuery = connection.query.bind(connection);
+    connection.query = (sql, values) => (typeof sql === 'string' && MUTATION_PATTERN.test(sql)
+        ? runAudited(rawQuery, sql, values)
+        : rawQuery(sql, values));
+    connection[INSTRUMENTED] = true;
+    return connection;
+};
+
+/**
+ * Instrumente le pool mysql2 (promesses) exporté par config/db.js.
+ * - db.getConnection() : connexions instrumentées (la journalisation suit la transaction de l'appelant)
+ * - db.query() : une modification hors transaction est journalisée par des requêtes distinctes sur le pool
+ *   (pas de transaction implicite : l'image avant et l'entrée du journal ne sont pas atomiques avec la modification)
+ */
+const instrumentPool = (pool) => {
+    const rawPoolQuery = pool.query.bind(pool);
+    const rawGetConnection = pool.getConnection.bind(pool);
+
+    pool.getConnection = async () => instrumentConnection(await rawGetConnection());
+
+    pool.query = (sql, values) => (typeof sql === 'string' && MUTATION_PATTERN.test(sql)
+        ? runAudited(rawPoolQuery, sql, values)
+        : rawPoolQuery(sql, values));
+
+    return pool;
+};
+
+module.exports = {
+    AUDIT_ACTIONS,
+    auditContext,
+    runWithSource,
+    instrumentPool,
+    parseMutation,
+    diffRows
+};
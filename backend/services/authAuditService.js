@@ -0,0 +1,134 @@
+// Fichier: backend/services/authAuditService.js
+
+const db = require('../config/db');
+
+// Paramètres du verrouillage progressif (.env), lus à chaque appel
+const getSettings = () => ({
+    maxAttempts: parseInt(process.env.LOGIN_MAX_ATTEMPTS, 10) || 5,          // Échecs consécutifs avant verrouillage du compte
+    lockMinutes: parseInt(process.env.LOGIN_LOCK_MINUTES, 10) || 15,         // Durée du premier verrouillage (doublée ensuite)
+    maxLockMinutes: parseInt(process.env.LOGIN_MAX_LOCK_MINUTES, 10) || 1440, // Plafond : 24h
+    ipMaxAttempts: parseInt(process.env.LOGIN_IP_MAX_ATTEMPTS, 10) || 20,    // Échecs tolérés par IP sur la fenêtre
+    ipWindowMinutes: parseInt(process.env.LOGIN_IP_WINDOW_MINUTES, 10) || 15,
+    mfaMaxAttempts: parseInt(process.env.MFA_MAX_ATTEMPTS, 10) || 5         // Codes 2FA invalides tolérés sur la même fenêtre
+});
+
+/**
+ * Enregistre un événement d'authentification.
+ * @param {string} type - Valeur de auth_events.type_evenement (ex: 'Connexion réussie')
+ * @param {{ userId?, email?, req?, details?, createdByUserId? }} data
+ */
+const recordEvent = async (type, { userId = null, email = null, req = null, details = null, createdByUserId = null } = {}) => {
+    await db.query(`
+        INSERT INTO auth_events (type_evenement, user_id, email, ip_address, user_agent, details, created_by_user_id)
+        VALUES (?, ?, ?, ?, ?, ?, ?)
+    `, [
+        type, userId, email ? email.toLowerCase() : null,
+        req ? req.ip : null,
+        req ? (req.headers['user-agent'] || '').substring(0, 255) : null,
+        details, createdByUserId
+    ]);
+};
+
+/**
+ * Calcule l'état de verrouillage d'un email depuis la dernière connexion réussie ou le dernier déverrouillage.
+ * Le compteur d'échecs repart de zéro à chaque verrouillage : une fois le verrouillage écoulé, seule une nouvelle
+ * série complète d'échecs verrouille à nouveau le compte (pour une durée doublée : verrouillage progressif).
+ * Le calcul se fait sur l'email saisi (et non sur le compte) pour que la réponse
+ * soit identique qu'un compte existe ou non.
+ * Renvoie { failures, lockedUntil } (failures : échecs de la série en cours ; lockedUntil = null si non verrouillé).
+ */
+const getAccountLockState = async (email) => {
+    const settings = getSettings();
+    const normalizedEmail = email.toLowerCase();
+
+    const [lockRows] = await db.query(`
+        SELECT COUNT(*) AS locks, MAX(created_at) AS last_lock
+        FROM auth_events
+        WHERE email = ? AND type_evenement = 'Verrouillage'
+          AND created_at > COALESCE((
+              SELECT MAX(created_at) FROM auth_events
+              WHERE email = ? AND type_evenement IN ('Connexion réussie', 'Déverrouillage')
+          ), '1970-01-01')
+    `, [normalizedEmail, normalizedEmail]);
+    const locks = Number(lockRows[0].locks);
+
+    // Verrouillage progressif : la durée double à chaque nouvelle série d'échecs
+    const lockDuration = (level) => Math.min(settings.lockMinutes * Math.pow(2, level), settings.maxLockMinutes) * 60 * 1000;
+
+    if (locks > 0) {
+        const lockedUntil = new Date(new Date(lockRows[0].last_lock).getTime() + lockDuration(locks - 1));
+        if (lockedUntil > new Date()) {
+            return { failures: 0, lockedUntil };
+        }
+    }
+
+    const [rows] = await db.query(`
+        SELECT COUNT(*) AS failures, MAX(created_at) AS last_failure
+        FROM auth_events
+        WHERE email = ? AND type_evenement = 'Échec de connexion'
+          AND created_at > COALESCE((
+              SELECT MAX(created_at) FROM auth_events
+              WHERE email = ? AND type_evenement IN ('Connexion réussie', 'Déverrouillage', 'Verrouillage')
+          ), '1970-01-01')
+    `, [normalizedEmail, normalizedEmail]);
+
+    const failures = Number(rows[0].failures);
+    if (failures < settings.maxAttempts) {
+        return { failures, lockedUntil: null };
+    }
+
+    // Série complète pas encore suivie de son événement 'Verrouillage' (enregistré par recordLoginFailure)
+    const lockedUntil = new Date(new Date(rows[0].last_failure).getTime() + lockDuration(locks));
+    return { failures, lockedUntil: lockedUntil > new Date() ? lockedUntil : null };
+};
+
+/**
+ * Indique si l'adresse IP a dépassé le nombre d'échecs autorisés sur la fenêtre glissante.
+ * Les échecs sur un compte déverrouillé depuis par un administrateur ne comptent plus.
+ */
+const isIpBlocked = async (ipAddress) => {
+    if (!ipAddress) return false;
+    const settings = getSettings();
+
+    const [rows] = await db.query(`
+        SELECT COUNT(*) AS failures FROM auth_events f
+        WHERE f.ip_address = ? AND f.type_evenement = 'Échec de connexion'
+          AND f.created_at > NOW() - INTERVAL ? MINUTE
+          AND NOT EXISTS (
+              SELECT 1 FROM auth_events u
+              WHERE u.email = f.email AND u.type_evenement = 'Déverrouillage' AND u.created_at >= f.created_at
+          )
+    `, [ipAddress, settings.ipWindowMinutes]);
+
+    return Number(rows[0].failures) >= settings.ipMaxAttempts;
+};
+
+// Indique si le compte a saisi trop de codes de double authentification invalides récemment
+const isSecondFactorBlocked = async (userId) => {
+    const settings = getSettings();
+
+    const [rows] = await db.query(`
+        SELECT COUNT(*) AS failures FROM auth_events
+        WHERE user_id = ? AND type_evenement = 'Échec double authentification'
+          AND created_at > NOW() - INTERVAL ? MINUTE
+    `, [userId, settings.ipWindowMinutes]);
+
+    return Number(rows[0].failures) >= settings.mfaMaxAttempts;
+};
+
+/**
+ * Enregistre un échec de connexion et, si le seuil est atteint, un événement de verrouillage.
+ */
+const recordLoginFailure = async (email, userId, req, details) => {
+    await recordEvent('Échec de connexion', { userId, email, req, details });
+
+    const { failures, lockedUntil } = await getAccountLockState(email);
+    if (lockedUntil && failures >= getSettings().maxAttempts) {
+        await recordEvent('Verrouillage', {
+            userId, email, req,
+            details: `${failures} échecs consécutifs. Verrouillé jusqu'au ${lockedUntil.toISOString()}`
+        });
+    }
+};
+
+module.exports = { recordEvent, getAccountLockState, isIpBlocked, isSecondFactorBlocked, recordLoginFailure };
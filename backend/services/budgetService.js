@@ -0,0 +1,210 @@
+// Fichier: backend/services/budgetService.js
+
+const db = require('../config/db');
+
+// Lit un paramètre numérique du .env (0 est une valeur valide, ex : charges patronales désactivées)
+const readNumber = (name, defaultValue) => {
+    const value = parseFloat(process.env[name]);
+    return Number.isNaN(value) ? defaultValue : value;
+};
+
+// Paramètres du calcul de la masse salariale (.env), lus à chaque appel
+const getSettings = () => ({
+    monthlyHours: readNumber('BUDGET_MONTHLY_HOURS', 173.33),            // Base horaire mensuelle (taux horaire = salaire / base)
+    employerChargesRate: readNumber('BUDGET_EMPLOYER_CHARGES_RATE', 0.20), // Charges patronales en fraction du brut
+    alertThreshold: readNumber('BUDGET_ALERT_THRESHOLD', 90)             // % du budget annuel, si le département n'en définit pas
+});
+
+// Majorations des heures supplémentaires (voir calculateHours dans timeRoutes)
+const OVERTIME_RATES = { heures_sup_15: 1.15, heures_sup_40: 1.40 };
+
+const ALERT_TYPE = 'Budget';
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// Part d'un mois couverte par un contrat (1 = mois complet, 0 = hors contrat)
+const monthCoverage = (contract, year, monthIndex) => {
+    const monthStart = new Date(Date.UTC(year, monthIndex, 1));
+    const monthEnd = new Date(Date.UTC(year, monthIndex + 1, 0));
+    const start = new Date(contract.date_debut) > monthStart ? new Date(contract.date_debut) : monthStart;
+    const end = contract.date_fin_prevue && new Date(contract.date_fin_prevue) < monthEnd ? new Date(contract.date_fin_prevue) : monthEnd;
+    if (end < start) return 0;
+
+    const dayMs = 24 * 60 * 60 * 1000;
+    return (Math.floor((end - start) / dayMs) + 1) / monthEnd.getUTCDate();
+};
+
+// Nombre de mois écoulés (réalisés) de l'année demandée ; le mois en cours est compté comme réalisé
+const elapsedMonths = (year) => {
+    const now = new Date();
+    if (year < now.getFullYear()) return 12;
+    if (year > now.getFullYear()) return 0;
+    return now.getMonth() + 1;
+};
+
+/**
+ * Compare le budget annuel alloué de chaque département à son coût salarial réel :
+ * - masse salariale : salaire_de_base des contrats principaux actifs, au prorata des jours couverts ;
+ * - heures supplémentaires : pointages (attendances) valorisés au taux horaire du contrat (+15 %, +40 %, majorations) ;
+ * - charges patronales : BUDGET_EMPLOYER_CHARGES_RATE appliqué au brut.
+ * Les mois écoulés sont "Réalisé" ; les suivants sont "Projeté" (contrats en cours + moyenne des heures sup).
+ * Les employés sont rattachés à leur département actuel (employees.department_id).
+ * @param {{ year: number, departmentIds?: number[], siteId?: number }} options
+ */
+const computeDepartmentBudgets = async ({ year, departmentIds = null, siteId = null }) => {
+    const settings = getSettings();
+    const yearStart = `${year}-01-01`;
+    const yearEnd = `${year}-12-31`;
+
+    const conditions = ['d.actif = TRUE'];
+    const params = [];
+    if (departmentIds) { conditions.push('d.id IN (?)'); params.push(departmentIds.length > 0 ? departmentIds : [0]); }
+    if (siteId) { conditions.push('d.site_id = ?'); params.push(siteId); }
+
+    const [departments] = await db.query(`
+        SELECT d.id, d.nom, d.code_interne, d.site_id, d.budget_alloue, d.seuil_alerte_budget
+        FROM departments d
+        WHERE ${conditions.join(' AND ')}
+        ORDER BY d.nom
+    `, params);
+    if (departments.length === 0) return [];
+
+    const ids = departments.map(department => department.id);
+
+    // Contrats principaux (en cours ou terminés par une sortie) couvrant au moins un jour de l'année
+    const [contracts] = await db.query(`
+        SELECT e.department_id, c.employee_id, c.salaire_de_base, c.date_debut,
+               COALESCE(c.date_fin_reelle, c.date_fin_prevue) AS date_fin_prevue
+        FROM contracts c
+        JOIN employees e ON c.employee_id = e.id
+        WHERE c.statut IN ('Actif', 'Terminé') AND c.is_avenant = FALSE
+          AND c.date_debut <= ? AND (COALESCE(c.date_fin_reelle, c.date_fin_prevue) IS NULL OR COALESCE(c.date_fin_reelle, c.date_fin_prevue) >= ?)
+          AND e.department_id IN (?)
+    `, [yearEnd, yearStart, ids]);
+
+    // Heures supplémentaires de l'année, par employé et par mois
+    const [overtime] = await db.query(`
+        SELECT
+            e.department_id, a.employee_id, MONTH(a.date_pointage) AS mois,
+            SUM(a.heures_sup_15) AS heures_sup_15,
+            SUM(a.heures_sup_40) AS heures_sup_40,
+            SUM(CASE WHEN a.majoration_pourcentage > 0
+                THEN a.heures_sup_hors_majoration * (1 + a.majoration_pourcentage / 100) ELSE 0 END) AS heures_majorees
+        FROM attendances a
+        JOIN employees e ON a.employee_id = e.id
+        WHERE a.date_pointage BETWEEN ? AND ? AND e.department_id IN (?)
+        GROUP BY e.department_id, a.employee_id, MONTH(a.date_pointage)
+    `, [yearStart, yearEnd, ids]);
+
+    // Taux horaire de chaque employé (contrat actif le plus récent)
+    const hourlyRates = new Map();
+    contracts
+        .slice()
+        .sort((a, b) => new Date(a.date_debut) - new Date(b.date_debut))
+        .forEach(contract => hourlyRates.set(contract.employee_id, Number(contract.salaire_de_base) / settings.monthlyHours));
+
+    const realisedMonths = elapsedMonths(year);
+
+    return departments.map(department => {
+        const budget = department.budget_alloue !== null ? Number(department.budget_alloue) : 0;
+        const threshold = department.seuil_alerte_budget !== null ? Number(department.seuil_alerte_budget) : settings.alertThreshold;
+        const departmentContracts = contracts.filter(contract => contract.department_id === department.id);
+
+        // Coût des heures supplémentaires réalisées, par mois (index 0 à 11)
+        const overtimeByMonth = Array(12).fill(0);
+        overtime
+            .filter(row => row.department_id === department.id)
+            .forEach(row => {
+                const rate = hourlyRates.get(row.employee_id) || 0;
+                overtimeByMonth[row.mois - 1] += rate * (
+                    Number(row.heures_sup_15) * OVERTIME_RATES.heures_sup_15 +
+                    Number(row.heures_sup_40) * OVERTIME_RATES.heures_sup_40 +
+                    Number(row.heures_majorees)
+                );
+            });
+        const averageOvertime = realisedMonths > 0
+            ? overtimeByMonth.slice(0, realisedMonths).reduce((total, cost) => total + cost, 0) / realisedMonths
+            : 0;
+
+        let cumul = 0;
+        const months = Array.from({ length: 12 }, (_, monthIndex) => {
+            const realised = monthIndex < realisedMonths;
+            const payroll = departmentContracts.reduce(
+                (total, contract) => total + Number(contract.salaire_de_base) * monthCoverage(contract, year, monthIndex), 0
+            );
+            const overtimeCost = realised ? overtimeByMonth[monthIndex] : averageOvertime;
+            const charges = (payroll + overtimeCost) * settings.employerChargesRate;
+            const total = payroll + overtimeCost + charges;
+            cumul += total;
+
+            return {
+                mois: monthIndex + 1,
+                type: realised ? 'Réalisé' : 'Projeté',
+                masse_salariale: round(payroll),
+                heures_supplementaires: round(overtimeCost),
+                charges_patronales: round(charges),
+                total: round(total),
+                budget_mensuel: round(budget / 12),
+                cumul: round(cumul)
+            };
+        });
+
+        const consumed = months.filter(month => month.type === 'Réalisé').reduce((total, month) => total + month.total, 0);
+        const projection = months.reduce((total, month) => total + month.total, 0);
+        const consumptionRate = budget > 0 ? round((consumed / budget) * 100) : null;
+
+        return {
+            department_id: department.id,
+            nom: department.nom,
+            code_interne: department.code_interne,
+            site_id: department.site_id,
+            annee: year,
+            budget_alloue: budget,
+            seuil_alerte_pourcentage: threshold,
+            consomme: round(consumed),
+            taux_consommation: consumptionRate,
+            projection_fin_annee: round(projection),
+            taux_projete: budget > 0 ? round((projection / budget) * 100) : null,
+            seuil_atteint: consumptionRate !== null && consumptionRate >= threshold,
+            depassement_projete: budget > 0 && projection > budget,
+            mois: months
+        };
+    });
+};
+
+/**
+ * Crée une alerte (table alerts) pour chaque département ayant atteint son seuil de consommation.
+ * Gravité 'Haute' au seuil, 'Critique' au-delà de 100 % du budget. L'échéance de l'alerte est la fin de l'exercice :
+ * une alerte encore ouverte de même gravité pour le département et le même exercice n'est pas dupliquée.
+ * Renvoie la liste des alertes créées.
+ */
+const checkBudgetAlerts = async (year) => {
+    const budgets = await computeDepartmentBudgets({ year });
+    const yearEnd = `${year}-12-31`;
+    const created = [];
+
+    for (const budget of budgets.filter(item => item.seuil_atteint)) {
+        const gravite = budget.taux_consommation >= 100 ? 'Critique' : 'Haute';
+
+        const [openAlerts] = await db.query(
+            'SELECT id FROM alerts WHERE type_alerte = ? AND department_id = ? AND gravite = ? AND date_echeance = ? AND statut <> \'Fermé\'',
+            [ALERT_TYPE, budget.department_id, gravite, yearEnd]
+        );
+        if (openAlerts.length > 0) continue;
+
+        const message = `Département ${budget.nom} : ${budget.taux_consommation} % du budget ${year} consommé `
+            + `(${budget.consomme} / ${budget.budget_alloue}, seuil ${budget.seuil_alerte_pourcentage} %). `
+            + `Projection fin d'année : ${budget.projection_fin_annee} (${budget.taux_projete} %).`;
+
+        const [result] = await db.query(`
+            INSERT INTO alerts (type_alerte, message_detaille, department_id, date_echeance, gravite, statut)
+            VALUES (?, ?, ?, ?, ?, 'Ouvert')
+        `, [ALERT_TYPE, message, budget.department_id, yearEnd, gravite]);
+
+        created.push({ alertId: result.insertId, department_id: budget.department_id, gravite: gravite, message_detaille: message });
+    }
+
+    return created;
+};
+
+module.exports = { computeDepartmentBudgets, checkBudgetAlerts };
@@ -0,0 +1,264 @@
+// Fichier: backend/services/careerService.js
+
+const db = require('../config/db');
+
+// Catégories d'événements du parcours, dans l'ordre d'affichage pour une même date
+const TIMELINE_CATEGORIES = ['affectation', 'contrat', 'sanction', 'visite_medicale', 'accident', 'conge', 'sortie'];
+
+// Catégories confidentielles : réservées aux rôles disposant de 'career:confidential'
+const CONFIDENTIAL_CATEGORIES = ['sanction', 'visite_medicale', 'accident'];
+
+// Date SQL (objet Date mysql2 ou chaîne) → 'YYYY-MM-DD' pour le tri et la réponse
+const toIsoDate = (value) => {
+    if (!value) return null;
+    if (value instanceof Date) {
+        return `${value.getFullYear()}-${String(value.getMonth() + 1).padStart(2, '0')}-${String(value.getDate()).padStart(2, '0')}`;
+    }
+    return String(value).substring(0, 10);
+};
+
+// Unité résumée { id, nom } (null si l'employé n'y était pas rattaché)
+const toUnit = (row, level, suffix) => (row[`${level}_id_${suffix}`]
+    ? { id: row[`${level}_id_${suffix}`], nom: row[`${level}_nom_${suffix}`] }
+    : null);
+
+/**
+ * Historique des affectations d'un employé, noms d'unités résolus (y compris unités désactivées depuis).
+ * Chaque ligne contient { ancien, nouveau } avec site, département, service, équipe, poste et fonction.
+ */
+const getAffectationHistory = async (employeeId) => {
+    const [rows] = await db.query(`
+        SELECT
+            a.id, a.date_debut, a.date_fin, a.motif, a.commentaire, a.reorganisation_id,
+            a.site_id_ancien, s1.nom AS site_nom_ancien, a.site_id_nouveau, s2.nom AS site_nom_nouveau,
+            a.department_id_ancien, d1.nom AS department_nom_ancien, a.department_id_nouveau, d2.nom AS department_nom_nouveau,
+            a.service_id_ancien, sv1.nom AS service_nom_ancien, a.service_id_nouveau, sv2.nom AS service_nom_nouveau,
+            a.team_id_ancien, t1.nom AS team_nom_ancien, a.team_id_nouveau, t2.nom AS team_nom_nouveau,
+            a.position_ancienne, a.fonction_ancienne, a.position_nouvelle, a.fonction_nouvelle,
+            u.email AS auteur
+        FROM employee_affectations a
+        LEFT JOIN sites s1 ON a.site_id_ancien = s1.id
+        LEFT JOIN sites s2 ON a.site_id_nouveau = s2.id
+        LEFT JOIN departments d1 ON a.department_id_ancien = d1.id
+        LEFT JOIN departments d2 ON a.department_id_nouveau = d2.id
+        LEFT JOIN services sv1 ON a.service_id_ancien = sv1.id
+        LEFT JOIN services sv2 ON a.service_id_nouveau = sv2.id
+        LEFT JOIN teams t1 ON a.team_id_ancien = t1.id
+        LEFT JOIN teams t2 ON a.team_id_nouveau = t2.id
+        LEFT JOIN users u ON a.created_by_user_id = u.id
+        WHERE a.employee_id = ?
+        ORDER BY a.date_debut ASC, a.id ASC
+    `, [employeeId]);
+
+    return rows.map(row => {
+        const snapshot = (suffix, positionColumn, fonctionColumn) => ({
+            site: toUnit(row, 'site', suffix),
+            departement: toUnit(row, 'department', suffix),
+            service: toUnit(row, 'service', suffix),
+            equipe: toUnit(row, 'team', suffix),
+            position: row[positionColumn],
+            fonction: row[fonctionColumn]
+        });
+        return {
+            id: row.id,
+            date_debut: toIsoDate(row.date_debut),
+            date_fin: toIsoDate(row.date_fin),
+            motif: row.motif,
+            commentaire: row.commentaire,
+            reorganisation_id: row.reorganisation_id,
+            auteur: row.auteur,
+            ancien: snapshot('ancien', 'position_ancienne', 'fonction_ancienne'),
+            nouveau: snapshot('nouveau', 'position_nouvelle', 'fonction_nouvelle')
+        };
+    });
+};
+
+// Libellé court d'une affectation : "Équipe A (Service X, Département Y, Site Z)"
+const describeAssignment = (snapshot) => {
+    const units = [snapshot.equipe, snapshot.service, snapshot.departement, snapshot.site].filter(Boolean).map(unit => unit.nom);
+    if (units.length === 0) return 'Sans affectation';
+    return units.length === 1 ? units[0] : `${units[0]} (${units.slice(1).join(', ')})`;
+};
+
+// --- Lecture de chaque source, convertie en événements { date, date_fin, categorie, type, titre, details, source } ---
+
+const loadAffectationEvents = async (employeeId) => (await getAffectationHistory(employeeId)).map(affectation => ({
+    date: affectation.date_debut,
+    date_fin: affectation.date_fin,
+    categorie: 'affectation',
+    type: affectation.motif,
+    titre: `${affectation.motif} : ${describeAssignment(affectation.nouveau)}`,
+    details: affectation,
+    source: { table: 'employee_affectations', id: affectation.id }
+}));
+
+const loadContractEvents = async (employeeId, { includeSalary }) => {
+    const [rows] = await db.query(`
+        SELECT id, type_contrat, date_debut, date_fin_prevue, date_fin_reelle, position_id, salaire_de_base,
+               is_avenant, parent_contract_id, statut
+        FROM contracts
+        WHERE employee_id = ?
+    `, [employeeId]);
+
+    return rows.map(({ salaire_de_base, ...row }) => ({
+        date: toIsoDate(row.date_debut),
+        date_fin: toIsoDate(row.date_fin_reelle || row.date_fin_prevue),
+        categorie: 'contrat',
+        type: row.is_avenant ? 'Avenant' : row.type_contrat,
+        titre: row.is_avenant ? `Avenant au contrat n°${row.parent_contract_id}` : `Contrat ${row.type_contrat}`,
+        details: includeSalary ? { ...row, salaire_de_base } : row,
+        source: { table: 'contracts', id: row.id }
+    }));
+};
+
+const loadSanctionEvents = async (employeeId) => {
+    const [rows] = await db.query(`
+        SELECT id, type_sanction, date_constatation, date_effet, jours_mise_a_pied, date_fin_mise_a_pied,
+               motif_detaille, procedure_suivie, statut, motif_annulation
+        FROM sanctions
+        WHERE employee_id = ?
+    `, [employeeId]);
+
+    return rows.map(row => ({
+        date: toIsoDate(row.date_effet),
+        date_fin: toIsoDate(row.date_fin_mise_a_pied),
+        categorie: 'sanction',
+        type: row.type_sanction,
+        titre: `Sanction : ${row.type_sanction}${row.statut !== 'Active' ? ` (${row.statut.toLowerCase()})` : ''}`,
+        details: row,
+        source: { table: 'sanctions', id: row.id }
+    }));
+};
+
+const loadMedicalVisitEvents = async (employeeId) => {
+    const [rows] = await db.query(`
+        SELECT id, type_visite, date_visite, date_prochaine_visite, apte, restrictions
+        FROM medical_visits
+        WHERE employee_id = ?
+    `, [employeeId]);
+
+    return rows.map(row => ({
+        date: toIsoDate(row.date_visite),
+        date_fin: null,
+        categorie: 'visite_medicale',
+        type: row.type_visite,
+        titre: `Visite médicale (${row.type_visite}) : ${row.apte ? 'apte' : 'inapte'}`,
+        details: row,
+        source: { table: 'medical_visits', id: row.id }
+    }));
+};
+
+const loadAccidentEvents = async (employeeId) => {
+    const [rows] = await db.query(`
+        SELECT id, type_evenement, date_declaration, date_debut_arret, date_fin_prevue, duree_jours, statut_reglement
+        FROM work_accidents
+        WHERE employee_id = ?
+    `, [employeeId]);
+
+    return rows.map(row => ({
+        date: toIsoDate(row.date_debut_arret),
+        date_fin: toIsoDate(row.date_fin_prevue),
+        categorie: 'accident',
+        type: row.type_evenement,
+        titre: `${row.type_evenement} (${row.duree_jours} jour(s))`,
+        details: row,
+        source: { table: 'work_accidents', id: row.id }
+    }));
+};
+
+const loadLeaveEvents = async (employeeId) => {
+    const [rows] = await db.query(`
+        SELECT id, type_conge, date_debut, date_fin, nb_jours, statut_actuel
+        FROM leave_requests
+        WHERE employee_id = ?
+    `, [employeeId]);
+
+    return rows.map(row => ({
+        date: toIsoDate(row.date_debut),
+        date_fin: toIsoDate(row.date_fin),
+        categorie: 'conge',
+        type: row.type_conge,
+        titre: `Congé ${row.type_conge} (${row.nb_jours} jour(s)) : ${row.statut_actuel}`,
+        details: row,
+        source: { table: 'leave_requests', id: row.id }
+    }));
+};
+
+const loadExitEvents = async (employeeId, { includeMotif }) => {
+    const [rows] = await db.query(`
+        SELECT id, type_sortie, date_notification, preavis_jours, dernier_jour_travaille, motif, statut
+        FROM employee_exits
+        WHERE employee_id = ?
+    `, [employeeId]);
+
+    return rows.map(({ motif, ...row }) => ({
+        date: toIsoDate(row.dernier_jour_travaille),
+        date_fin: null,
+        categorie: 'sortie',
+        type: row.type_sortie,
+        titre: `Sortie des effectifs : ${row.type_sortie}${row.statut === 'En préavis' ? ' (préavis en cours)' : ''}`,
+        details: includeMotif ? { ...row, motif } : row,
+        source: { table: 'employee_exits', id: row.id }
+    }));
+};
+
+/**
+ * Parcours complet d'un employé : affectations, contrats et avenants, sanctions, visites médicales,
+ * accidents/arrêts, congés et sorties, fusionnés en un seul flux trié par date.
+ * @param {number} employeeId
+ * @param {{ categories?: string[], from?: string, to?: string, includeConfidential?: boolean }} options
+ *   - categories : sous-ensemble de TIMELINE_CATEGORIES (toutes par défaut)
+ *   - from / to  : bornes (YYYY-MM-DD) sur la date de l'événement
+ *   - includeConfidential : inclut sanctions, santé, salaires et motifs de sortie (rôles 'career:confidential')
+ */
+const getCareerTimeline = async (employeeId, { categories = TIMELINE_CATEGORIES, from = null, to = null, includeConfidential = false } = {}) => {
+    const loaders = {
+        affectation: () => loadAffectationEvents(employeeId),
+        contrat: () => loadContractEvents(employeeId, { includeSalary: includeConfidential }),
+        sanction: () => loadSanctionEvents(employeeId),
+        visite_medicale: () => loadMedicalVisitEvents(employeeId),
+        accident: () => loadAccidentEvents(employeeId),
+        conge: () => loadLeaveEvents(employeeId),
+        sortie: () => loadExitEvents(employeeId, { includeMotif: includeConfidential })
+    };
+
+    const selected = categories.filter(category => includeConfidential || !CONFIDENTIAL_CATEGORIES.includes(category));
+    const events = (await Promise.all(selected.map(category => loaders[category]()))).flat();
+
+    return events
+        .filter(event => (!from || event.date >= from) && (!to || event.date <= to))
+        .sort((a, b) => (a.date || '').localeCompare(b.date || '')
+            || TIMELINE_CATEGORIES.indexOf(a.categorie) - TIMELINE_CATEGORIES.indexOf(b.categorie)
+            || a.source.id - b.source.id);
+};
+
+/**
+ * Membres d'une équipe à une date donnée, reconstitués depuis employee_affectations.
+ * @param {number} teamId
+ * @param {string} date - YYYY-MM-DD
+ * @param {{ clause: string, params: any[] }} scope - Filtre de périmètre (buildScopeClause, alias 'e')
+ */
+const findTeamMembersAt = async (teamId, date, scope) => {
+    const [rows] = await db.query(`
+        SELECT
+            e.id AS employee_id, e.matricule, e.nom, e.prenom,
+            a.position_nouvelle AS position, a.fonction_nouvelle AS fonction,
+            a.date_debut AS affecte_depuis, a.date_fin AS affecte_jusqu_au, a.motif
+        FROM employee_affectations a
+        JOIN employees e ON a.employee_id = e.id
+        WHERE a.team_id_nouveau = ?
+          AND a.date_debut <= ? AND (a.date_fin IS NULL OR a.date_fin >= ?)
+          AND ${scope.clause}
+        ORDER BY e.nom, e.prenom
+    `, [teamId, date, date, ...scope.params]);
+
+    return rows;
+};
+
+module.exports = {
+    TIMELINE_CATEGORIES,
+    CONFIDENTIAL_CATEGORIES,
+    getAffectationHistory,
+    getCareerTimeline,
+    findTeamMembersAt
+};
@@ -0,0 +1,341 @@
+// Fichier: backend/services/contractService.js
+
+const db = require('../config/db');
+const employeeExitService = require('./employeeExitService');
+
+// Limites du Code du travail sénégalais pour les CDD (art. L.42 et L.43) :
+// durée totale de 2 ans renouvellement compris, un seul renouvellement, deux CDD au plus avec la même entreprise.
+// Au-delà, la relation de travail doit se poursuivre en CDI.
+const CDD_MAX_DURATION_MONTHS = parseInt(process.env.CDD_MAX_DURATION_MONTHS, 10) || 24;
+const CDD_MAX_RENEWALS = parseInt(process.env.CDD_MAX_RENEWALS, 10) || 1;
+const CDD_MAX_CONTRACTS = parseInt(process.env.CDD_MAX_CONTRACTS, 10) || 2;
+
+// Motifs de fin saisis par les RH ; 'Renouvellement', 'Conversion en CDI' et la rupture de l'essai sont posés par les routes dédiées.
+// Un motif de départ passe par la procédure de sortie (préavis, check-list, statut de l'employé).
+const TERMINATION_REASONS = [
+    ...employeeExitService.EXIT_TYPES.filter(type => type !== employeeExitService.TRIAL_TERMINATION),
+    'Remplacement'
+];
+
+const today = () => new Date().toISOString().split('T')[0];
+
+// Date SQL (objet Date mysql2 ou chaîne) → 'YYYY-MM-DD' pour les comparaisons
+const toIsoDate = (value) => {
+    if (!value) return null;
+    if (value instanceof Date) {
+        return `${value.getFullYear()}-${String(value.getMonth() + 1).padStart(2, '0')}-${String(value.getDate()).padStart(2, '0')}`;
+    }
+    return String(value).substring(0, 10);
+};
+
+const addDays = (isoDate, days) => {
+    const date = new Date(`${isoDate}T00:00:00Z`);
+    date.setUTCDate(date.getUTCDate() + days);
+    return date.toISOString().split('T')[0];
+};
+
+const addMonths = (isoDate, months) => {
+    const date = new Date(`${isoDate}T00:00:00Z`);
+    date.setUTCMonth(date.getUTCMonth() + months);
+    return date.toISOString().split('T')[0];
+};
+
+// Dernier jour autorisé pour une chaîne de CDD commencée à chainStart
+const cddMaxEndDate = (chainStart) => addDays(addMonths(chainStart, CDD_MAX_DURATION_MONTHS), -1);
+
+const CONTRACT_COLUMNS = `
+    c.id, c.employee_id, c.type_contrat, c.date_debut, c.date_fin_prevue, c.date_fin_reelle, c.position_id,
+    c.salaire_de_base, c.notes_rh, c.document_url, c.is_avenant, c.parent_contract_id, c.statut,
+    c.motif_fin, c.commentaire_fin, c.contrat_precedent_id, c.numero_renouvellement, c.terminated_at
+`;
+
+const findContractById = async (contractId, connection = db) => {
+    const [rows] = await connection.query(`SELECT ${CONTRACT_COLUMNS} FROM contracts c WHERE c.id = ?`, [contractId]);
+    return rows[0] || null;
+};
+
+/**
+ * Premier contrat d'une chaîne de CDD (renouvellements successifs via contrat_precedent_id).
+ */
+const findCddChainStart = async (connection, contract) => {
+    let current = contract;
+    while (current.contrat_precedent_id) {
+        const [rows] = await connection.query(
+            'SELECT id, type_contrat, date_debut, contrat_precedent_id FROM contracts WHERE id = ?',
+            [current.contrat_precedent_id]
+        );
+        if (rows.length === 0 || rows[0].type_contrat !== 'CDD') break;
+        current = rows[0];
+    }
+    return current;
+};
+
+/**
+ * Situation d'un CDD au regard des limites légales (renouvellements, durée totale, échéance).
+ */
+const getCddStatus = async (connection, contract) => {
+    const chainStart = await findCddChainStart(connection, contract);
+    const debutChaine = toIsoDate(chainStart.date_debut);
+    const echeance = toIsoDate(contract.date_fin_prevue);
+    const dateMax = cddMaxEndDate(debutChaine);
+    return {
+        debut_chaine: debutChaine,
+        numero_renouvellement: contract.numero_renouvellement,
+        renouvellements_restants: Math.max(CDD_MAX_RENEWALS - contract.numero_renouvellement, 0),
+        date_fin_maximale: dateMax,
+        echeance_depassee: contract.statut === 'Actif' && Boolean(echeance) && echeance < today(),
+        renouvellement_possible: contract.numero_renouvellement < CDD_MAX_RENEWALS && Boolean(echeance) && echeance < dateMax
+    };
+};
+
+/**
+ * Contrats d'un employé (le plus récent en premier), chaque contrat principal portant l'arbre de ses avenants.
+ * Un CDD actif porte en plus sa situation au regard des limites légales (cdd).
+ * @param {boolean} includeSalary - Salaires renvoyés uniquement aux rôles autorisés
+ */
+const listEmployeeContracts = async (employeeId, { includeSalary = true } = {}) => {
+    const [rows] = await db.query(`
+        SELECT ${CONTRACT_COLUMNS}
+        FROM contracts c
+        WHERE c.employee_id = ?
+        ORDER BY c.date_debut DESC, c.id DESC
+    `, [employeeId]);
+
+    const nodes = new Map(rows.map(row => {
+        const node = includeSalary ? { ...row } : (({ salaire_de_base, ...rest }) => rest)(row);
+        return [row.id, { ...node, avenants: [] }];
+    }));
+
+    const roots = [];
+    nodes.forEach(node => {
+        const parent = node.is_avenant && nodes.get(node.parent_contract_id);
+        if (parent) {
+            parent.avenants.push(node);
+        } else {
+            roots.push(node);
+        }
+    });
+
+    // Avenants dans l'ordre chronologique
+    nodes.forEach(node => node.avenants.reverse());
+
+    for (const contract of roots) {
+        if (contract.type_contrat === 'CDD' && contract.statut === 'Actif') {
+            contract.cdd = await getCddStatus(db, contract);
+        }
+    }
+    return roots;
+};
+
+/**
+ * Contrôle la création d'un nouveau CDD (hors renouvellement) : durée maximale et nombre de CDD
+ * déjà conclus depuis l'embauche. Renvoie { status, message } si la limite est atteinte.
+ */
+const checkNewCdd = async (connection, employeeId, { date_debut, date_fin_prevue }) => {
+    const start = toIsoDate(date_debut);
+    if (!date_fin_prevue) {
+        return { status: 400, message: 'Un CDD doit comporter une date de fin prévue.' };
+    }
+    if (toIsoDate(date_fin_prevue) > cddMaxEndDate(start)) {
+        return { status: 400, message: `La durée d'un CDD ne peut pas dépasser ${CDD_MAX_DURATION_MONTHS} mois (fin au plus tard le ${cddMaxEndDate(start)}).` };
+    }
+
+    const [rows] = await connection.query(`
+        SELECT COUNT(*) AS total
+        FROM contracts c
+        JOIN employees e ON c.employee_id = e.id
+        WHERE c.employee_id = ? AND c.type_contrat = 'CDD' AND c.is_avenant = FALSE AND c.numero_renouvellement = 0
+          AND (e.date_embauche IS NULL OR c.date_debut >= e.date_embauche)
+    `, [employeeId]);
+    if (rows[0].total >= CDD_MAX_CONTRACTS) {
+        return { status: 409, message: `Cet employé a déjà conclu ${rows[0].total} CDD depuis son embauche (maximum ${CDD_MAX_CONTRACTS}). La relation de travail doit se poursuivre en CDI.` };
+    }
+    return {};
+};
+
+// Contrat principal actif à faire évoluer (verrouillé pour la transaction)
+const loadActiveMainContract = async (connection, contractId, { cddOnly = false } = {}) => {
+    const [rows] = await connection.query(`SELECT ${CONTRACT_COLUMNS} FROM contracts c WHERE c.id = ? FOR UPDATE`, [contractId]);
+    const contract = rows[0];
+    if (!contract) {
+        return { status: 404, message: 'Contrat non trouvé.' };
+    }
+    if (contract.is_avenant) {
+        return { status: 400, message: `Un avenant suit son contrat principal : agissez sur le contrat n°${contract.parent_contract_id}.` };
+    }
+    if (contract.statut !== 'Actif') {
+        return { status: 409, message: 'Ce contrat n\'est plus actif.' };
+    }
+    if (cddOnly && contract.type_contrat !== 'CDD') {
+        return { status: 400, message: 'Cette opération ne concerne que les CDD.' };
+    }
+    return { contract };
+};
+
+// Clôture un contrat principal et ses avenants encore actifs
+const closeContract = async (connection, contract, { dateFin, motif, commentaire }, userId) => {
+    await connection.query(`
+        UPDATE contracts
+        SET statut = 'Terminé', date_fin_reelle = ?, motif_fin = ?, commentaire_fin = ?, terminated_by_user_id = ?, terminated_at = NOW()
+        WHERE id = ?
+    `, [dateFin, motif, commentaire || null, userId, contract.id]);
+    await connection.query(
+        'UPDATE contracts SET statut = \'Terminé\', date_fin_reelle = COALESCE(date_fin_reelle, ?) WHERE parent_contract_id = ? AND statut = \'Actif\'',
+        [dateFin, contract.id]
+    );
+};
+
+// Nouveau contrat principal succédant à un contrat (renouvellement ou conversion)
+const insertSuccessor = async (connection, previous, fields) => {
+    const [result] = await connection.query(`
+        INSERT INTO contracts (
+            employee_id, type_contrat, date_debut, date_fin_prevue, position_id, salaire_de_base, notes_rh, document_url,
+            is_avenant, parent_contract_id, contrat_precedent_id, numero_renouvellement
+        )
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, FALSE, NULL, ?, ?)
+    `, [
+        previous.employee_id, fields.type_contrat, fields.date_debut, fields.date_fin_prevue,
+        fields.position_id || previous.position_id,
+        fields.salaire_de_base !== undefined ? fields.salaire_de_base : previous.salaire_de_base,
+        fields.notes_rh || null, fields.document_url || null,
+        previous.id, fields.numero_renouvellement
+    ]);
+
+    await connection.query(
+        'UPDATE employees SET date_fin_contrat = ?, position_id = ? WHERE id = ?',
+        [fields.date_fin_prevue, fields.position_id || previous.position_id, previous.employee_id]
+    );
+    return result.insertId;
+};
+
+/**
+ * Met fin à un contrat principal dans la transaction de l'appelant.
+ * - Motif de départ (démission, fin de CDD, licenciement...) : la procédure de sortie est ouverte avec
+ *   date_fin comme dernier jour travaillé ; le contrat reste actif jusqu'à la finalisation de la sortie.
+ * - 'Remplacement' : le contrat est clos sans sortie (un nouveau contrat principal peut être enregistré).
+ * @param {object} value - { date_fin, motif_fin, commentaire?, date_notification?, preavis_jours? }
+ * Renvoie { status, message } en cas d'erreur, sinon { exitId, finalized, userId }.
+ */
+const terminateContract = async (connection, contractId, value, userId) => {
+    const loaded = await loadActiveMainContract(connection, contractId);
+    if (loaded.status) return loaded;
+    const contract = loaded.contract;
+
+    const dateFin = toIsoDate(value.date_fin);
+    if (dateFin < toIsoDate(contract.date_debut)) {
+        return { status: 400, message: 'La date de fin ne peut pas précéder le début du contrat.' };
+    }
+
+    if (!employeeExitService.EXIT_TYPES.includes(value.motif_fin)) {
+        await closeContract(connection, contract, { dateFin, motif: value.motif_fin, commentaire: value.commentaire }, userId);
+        await connection.query('UPDATE employees SET date_fin_contrat = ? WHERE id = ?', [dateFin, contract.employee_id]);
+        return { exitId: null, finalized: false, userId: null };
+    }
+
+    // Départ : le contrat reste actif pendant le préavis, la sortie le termine au dernier jour travaillé (finalizeExit)
+    const exit = await employeeExitService.startExit(connection, contract.employee_id, {
+        type_sortie: value.motif_fin,
+        date_notification: value.date_notification || today(),
+        preavis_jours: value.preavis_jours,
+        dernier_jour_travaille: dateFin,
+        motif: value.commentaire
+    }, userId);
+    if (exit.status) return exit;
+
+    await connection.query(
+        'UPDATE contracts SET commentaire_fin = ?, terminated_by_user_id = ?, terminated_at = NOW() WHERE id = ?',
+        [value.commentaire || null, userId, contract.id]
+    );
+
+    return { exitId: exit.exitId, finalized: exit.finalized, userId: exit.userId };
+};
+
+/**
+ * Renouvelle un CDD dans la transaction de l'appelant : le contrat en cours est clos à son échéance
+ * et un nouveau CDD commence le lendemain. Les limites légales (nombre de renouvellements, durée totale)
+ * sont contrôlées ; une fois atteintes, seule la conversion en CDI est possible.
+ * @param {object} value - { date_fin_prevue, salaire_de_base?, position_id?, notes_rh?, document_url? }
+ * Renvoie { status, message } en cas d'erreur, sinon { contractId, numeroRenouvellement }.
+ */
+const renewCdd = async (connection, contractId, value, userId) => {
+    const loaded = await loadActiveMainContract(connection, contractId, { cddOnly: true });
+    if (loaded.status) return loaded;
+    const contract = loaded.contract;
+
+    const echeance = toIsoDate(contract.date_fin_prevue);
+    if (!echeance) {
+        return { status: 400, message: 'Ce CDD n\'a pas de date de fin prévue : il ne peut pas être renouvelé.' };
+    }
+    if (echeance < today()) {
+        return { status: 409, message: `L'échéance du CDD (${echeance}) est dépassée et la relation de travail s'est poursuivie : le contrat doit être converti en CDI.` };
+    }
+
+    const numeroRenouvellement = contract.numero_renouvellement + 1;
+    if (numeroRenouvellement > CDD_MAX_RENEWALS) {
+        return { status: 409, message: `Un CDD ne peut pas être renouvelé plus de ${CDD_MAX_RENEWALS} fois : le contrat doit être converti en CDI.` };
+    }
+
+    const newStart = addDays(echeance, 1);
+    const newEnd = toIsoDate(value.date_fin_prevue);
+    if (newEnd < newStart) {
+        return { status: 400, message: `La nouvelle échéance doit être postérieure au ${echeance}.` };
+    }
+
+    const chainStart = await findCddChainStart(connection, contract);
+    const maxEnd = cddMaxEndDate(toIsoDate(chainStart.date_debut));
+    if (newEnd > maxEnd) {
+        return { status: 409, message: `La durée totale des CDD successifs ne peut pas dépasser ${CDD_MAX_DURATION_MONTHS} mois (fin au plus tard le ${maxEnd}). Au-delà, le contrat doit être converti en CDI.` };
+    }
+
+    await closeContract(connection, contract, { dateFin: echeance, motif: 'Renouvellement' }, userId);
+    const newContractId = await insertSuccessor(connection, contract, {
+        ...value,
+        type_contrat: 'CDD',
+        date_debut: newStart,
+        date_fin_prevue: newEnd,
+        numero_renouvellement: numeroRenouvellement
+    });
+
+    return { contractId: newContractId, numeroRenouvellement };
+};
+
+/**
+ * Convertit un CDD en CDI dans la transaction de l'appelant : le CDD est clos la veille de date_effet
+ * et un CDI commence à date_effet (ancienneté conservée : même date d'embauche).
+ * @param {object} value - { date_effet, salaire_de_base?, position_id?, notes_rh?, document_url? }
+ * Renvoie { status, message } en cas d'erreur, sinon { contractId }.
+ */
+const convertCddToCdi = async (connection, contractId, value, userId) => {
+    const loaded = await loadActiveMainContract(connection, contractId, { cddOnly: true });
+    if (loaded.status) return loaded;
+    const contract = loaded.contract;
+
+    const dateEffet = toIsoDate(value.date_effet);
+    if (dateEffet <= toIsoDate(contract.date_debut)) {
+        return { status: 400, message: 'La date d\'effet du CDI doit être postérieure au début du CDD.' };
+    }
+
+    await closeContract(connection, contract, { dateFin: addDays(dateEffet, -1), motif: 'Conversion en CDI', commentaire: value.notes_rh }, userId);
+    const newContractId = await insertSuccessor(connection, contract, {
+        ...value,
+        type_contrat: 'CDI',
+        date_debut: dateEffet,
+        date_fin_prevue: null,
+        numero_renouvellement: 0
+    });
+
+    return { contractId: newContractId };
+};
+
+module.exports = {
+    CDD_MAX_DURATION_MONTHS,
+    CDD_MAX_RENEWALS,
+    CDD_MAX_CONTRACTS,
+    TERMINATION_REASONS,
+    findContractById,
+    listEmployeeContracts,
+    checkNewCdd,
+    terminateContract,
+    renewCdd,
+    convertCddToCdi
+};
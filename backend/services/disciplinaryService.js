@@ -0,0 +1,401 @@
+// Fichier: backend/services/disciplinaryService.js
+
+const db = require('../config/db');
+const employeeExitService = require('./employeeExitService');
+const sanctionService = require('./sanctionService');
+const documentService = require('./documentService');
+
+// Étapes de la procédure disciplinaire, dans l'ordre obligatoire
+const STEPS = ['Rapport d\'incident', 'Convocation', 'Entretien', 'Explication écrite', 'Décision', 'Notification'];
+
+// Sanctions qui ne peuvent être prononcées qu'au terme d'une procédure disciplinaire
+const PROCEDURE_REQUIRED_TYPES = ['Blâme', 'Mise à pied', 'Rétrogradation', 'Licenciement'];
+
+// Délais de la procédure, en jours calendaires (configurables)
+const DELAYS = {
+    // Prescription : engagement des poursuites (convocation) après la connaissance des faits
+    prescription: parseInt(process.env.DISCIPLINARY_PRESCRIPTION_DAYS, 10) || 60,
+    // Délai minimum entre la remise de la convocation et l'entretien
+    minConvocation: parseInt(process.env.DISCIPLINARY_MIN_CONVOCATION_DAYS, 10) || 5,
+    // Délai laissé à l'employé pour fournir son explication écrite après l'entretien
+    explanation: parseInt(process.env.DISCIPLINARY_EXPLANATION_DAYS, 10) || 3,
+    // Décision : délai de réflexion minimum et délai maximum après l'entretien
+    minDecision: parseInt(process.env.DISCIPLINARY_MIN_DECISION_DAYS, 10) || 2,
+    maxDecision: parseInt(process.env.DISCIPLINARY_MAX_DECISION_DAYS, 10) || 30,
+    // Notification de la décision à l'employé
+    maxNotification: parseInt(process.env.DISCIPLINARY_MAX_NOTIFICATION_DAYS, 10) || 8
+};
+
+const today = () => new Date().toISOString().split('T')[0];
+
+// Date SQL (objet Date mysql2 ou chaîne) → 'YYYY-MM-DD' pour les comparaisons
+const toIsoDate = (value) => {
+    if (!value) return null;
+    if (value instanceof Date) {
+        return `${value.getFullYear()}-${String(value.getMonth() + 1).padStart(2, '0')}-${String(value.getDate()).padStart(2, '0')}`;
+    }
+    return String(value).substring(0, 10);
+};
+
+const addDays = (isoDate, days) => {
+    const date = new Date(`${isoDate}T00:00:00Z`);
+    date.setUTCDate(date.getUTCDate() + days);
+    return date.toISOString().split('T')[0];
+};
+
+const parseDecision = (value) => (typeof value === 'string' ? JSON.parse(value) : value);
+
+/**
+ * Bornes de date de l'étape suivante d'un dossier en cours : { etape, date_min, date_max } (null si le dossier est clos).
+ * @param {object} disciplinaryCase - Dossier (disciplinary_cases)
+ * @param {object} steps - Étapes déjà enregistrées, indexées par nom d'étape
+ */
+const nextStepWindow = (disciplinaryCase, steps) => {
+    if (disciplinaryCase.statut !== 'En cours') return null;
+    const etape = STEPS[STEPS.indexOf(disciplinaryCase.etape_courante) + 1];
+    const dateOf = (name) => toIsoDate(steps[name].date_etape);
+    const window = { etape, date_min: dateOf(disciplinaryCase.etape_courante), date_max: null };
+
+    switch (etape) {
+        case 'Convocation':
+            window.date_max = addDays(toIsoDate(disciplinaryCase.date_connaissance), DELAYS.prescription);
+            break;
+        case 'Entretien': {
+            // Pas avant la date fixée dans la convocation (elle-même au moins minConvocation jours après sa remise)
+            const minHearing = addDays(dateOf('Convocation'), DELAYS.minConvocation);
+            const plannedHearing = toIsoDate(steps.Convocation.date_entretien_prevue);
+            window.date_min = plannedHearing && plannedHearing > minHearing ? plannedHearing : minHearing;
+            break;
+        }
+        case 'Décision': {
+            const minDecision = addDays(dateOf('Entretien'), DELAYS.minDecision);
+            window.date_min = minDecision > window.date_min ? minDecision : window.date_min;
+            window.date_max = addDays(dateOf('Entretien'), DELAYS.maxDecision);
+            break;
+        }
+        case 'Notification':
+            window.date_max = addDays(dateOf('Décision'), DELAYS.maxNotification);
+            break;
+        default:
+            break;
+    }
+    return window;
+};
+
+/**
+ * Vérifie les délais légaux d'une étape. Renvoie un message d'erreur, ou null.
+ */
+const checkStepDelays = (disciplinaryCase, steps, value) => {
+    const date = toIsoDate(value.date_etape);
+    if (date > today()) {
+        return 'La date de l\'étape ne peut pas être dans le futur.';
+    }
+
+    if (value.etape === 'Entretien' && steps.Convocation && steps.Convocation.date_entretien_prevue) {
+        const plannedHearing = toIsoDate(steps.Convocation.date_entretien_prevue);
+        if (date < plannedHearing) {
+            return `L'entretien ne peut pas avoir lieu avant la date fixée dans la convocation (${plannedHearing}).`;
+        }
+    }
+
+    const window = nextStepWindow(disciplinaryCase, steps);
+    if (date < window.date_min) {
+        switch (value.etape) {
+            case 'Entretien':
+                return `L'entretien ne peut avoir lieu moins de ${DELAYS.minConvocation} jours après la convocation (au plus tôt le ${window.date_min}).`;
+            case 'Décision':
+                return `La décision ne peut être prise moins de ${DELAYS.minDecision} jours après l'entretien, ni avant l'explication écrite (au plus tôt le ${window.date_min}).`;
+            default:
+                return `L'étape "${value.etape}" ne peut pas précéder l'étape "${disciplinaryCase.etape_courante}" (${window.date_min}).`;
+        }
+    }
+    if (window.date_max && date > window.date_max) {
+        switch (value.etape) {
+            case 'Convocation':
+                return `Faits prescrits : la convocation devait être remise au plus tard le ${window.date_max} (${DELAYS.prescription} jours après la connaissance des faits).`;
+            case 'Décision':
+                return `La décision devait être prise au plus tard le ${window.date_max} (${DELAYS.maxDecision} jours après l'entretien).`;
+            default:
+                return `La décision devait être notifiée au plus tard le ${window.date_max} (${DELAYS.maxNotification} jours après la décision).`;
+        }
+    }
+
+    if (value.etape === 'Convocation') {
+        const minHearing = addDays(date, DELAYS.minConvocation);
+        if (toIsoDate(value.date_entretien_prevue) < minHearing) {
+            return `L'entretien doit être fixé au moins ${DELAYS.minConvocation} jours après la remise de la convocation (au plus tôt le ${minHearing}).`;
+        }
+    }
+    if (value.etape === 'Explication écrite' && !value.explication_fournie) {
+        const deadline = addDays(toIsoDate(steps.Entretien.date_etape), DELAYS.explanation);
+        if (date < deadline) {
+            return `Le délai de réponse de l'employé court jusqu'au ${deadline} : l'absence d'explication ne peut être constatée avant.`;
+        }
+    }
+    if (value.etape === 'Décision' && value.sanction && toIsoDate(value.sanction.date_effet) < date) {
+        return 'La date d\'effet de la sanction ne peut pas précéder la décision.';
+    }
+    if (value.etape === 'Notification') {
+        const decision = parseDecision(disciplinaryCase.sanction_decidee);
+        if (decision.date_effet < date) {
+            return `La sanction ne peut prendre effet (${decision.date_effet}) avant sa notification.`;
+        }
+    }
+    return null;
+};
+
+// Procédure suivie, inscrite sur la sanction (sanctions.procedure_suivie)
+const buildProcedureSummary = (caseId, steps) => {
+    const parts = [
+        `convocation le ${toIsoDate(steps.Convocation.date_etape)}`,
+        `entretien le ${toIsoDate(steps.Entretien.date_etape)}`,
+        steps['Explication écrite'].explication_fournie
+            ? `explication écrite le ${toIsoDate(steps['Explication écrite'].date_etape)}`
+            : 'sans explication écrite',
+        `décision le ${toIsoDate(steps.Décision.date_etape)}`,
+        `notification le ${toIsoDate(steps.Notification.date_etape)}`
+    ];
+    return `Procédure disciplinaire n°${caseId} : ${parts.join(', ')}`;
+};
+
+// Pièces jointes d'une étape : documents du dossier de l'employé
+const attachDocuments = async (connection, stepId, employeeId, documentIds = []) => {
+    if (documentIds.length === 0) return null;
+    const [documents] = await connection.query('SELECT id FROM documents WHERE id IN (?) AND employee_id = ?', [documentIds, employeeId]);
+    if (documents.length !== new Set(documentIds).size) {
+        return { status: 404, message: 'Pièce jointe (document_ids) non trouvée dans le dossier de cet employé.' };
+    }
+    await connection.query(
+        'INSERT INTO disciplinary_step_documents (step_id, document_id) VALUES ?',
+        [documents.map(document => [stepId, document.id])]
+    );
+    return null;
+};
+
+const insertStep = async (connection, caseId, value, userId) => {
+    const [result] = await connection.query(`
+        INSERT INTO disciplinary_case_steps (
+            case_id, etape, date_etape, date_entretien_prevue, compte_rendu, employe_present,
+            assiste_par, explication_fournie, commentaire, created_by_user_id
+        )
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `, [
+        caseId, value.etape, value.date_etape, value.date_entretien_prevue || null, value.compte_rendu || null,
+        value.employe_present === undefined ? null : value.employe_present, value.assiste_par || null,
+        value.explication_fournie === undefined ? null : value.explication_fournie, value.commentaire || null, userId
+    ]);
+    return result.insertId;
+};
+
+const loadSteps = async (connection, caseId) => {
+    const [rows] = await connection.query('SELECT * FROM disciplinary_case_steps WHERE case_id = ? ORDER BY date_etape, id', [caseId]);
+    return Object.fromEntries(rows.map(row => [row.etape, row]));
+};
+
+/**
+ * Ouvre un dossier disciplinaire avec le rapport d'incident, dans la transaction de l'appelant.
+ * @param {object} value - { employee_id, date_faits, date_connaissance, description, date_etape, commentaire?, document_ids? }
+ * Renvoie { status, message } en cas d'erreur, sinon { caseId, prochaine_etape }.
+ */
+const openCase = async (connection, value, userId) => {
+    const [empRows] = await connection.query('SELECT id, statut FROM employees WHERE id = ?', [value.employee_id]);
+    if (empRows.length === 0) {
+        return { status: 404, message: 'Employé non trouvé.' };
+    }
+    if (employeeExitService.ARCHIVED_STATUSES.includes(empRows[0].statut)) {
+        return { status: 409, message: 'Cet employé est sorti des effectifs.' };
+    }
+    if (toIsoDate(value.date_etape) > today()) {
+        return { status: 400, message: 'La date du rapport d\'incident ne peut pas être dans le futur.' };
+    }
+
+    const [result] = await connection.query(`
+        INSERT INTO disciplinary_cases (employee_id, date_faits, date_connaissance, description, created_by_user_id)
+        VALUES (?, ?, ?, ?, ?)
+    `, [value.employee_id, value.date_faits, value.date_connaissance, value.description, userId]);
+    const caseId = result.insertId;
+
+    const stepId = await insertStep(connection, caseId, { ...value, etape: 'Rapport d\'incident' }, userId);
+    const attachError = await attachDocuments(connection, stepId, value.employee_id, value.document_ids);
+    if (attachError) return attachError;
+
+    const steps = await loadSteps(connection, caseId);
+    const [cases] = await connection.query('SELECT * FROM disciplinary_cases WHERE id = ?', [caseId]);
+    return { caseId, prochaine_etape: nextStepWindow(cases[0], steps) };
+};
+
+/**
+ * Enregistre l'étape suivante d'un dossier, dans la transaction de l'appelant, après contrôle de l'ordre et des délais.
+ * - Décision : sanction retenue (ou classement sans suite, qui clôt le dossier)
+ * - Notification : enregistre la sanction (procedure_suivie renseignée à partir du dossier)
+ * Renvoie { status, message } en cas d'erreur, sinon { stepId, statut, sanction, prochaine_etape }
+ * (sanction : résultat de sanctionService.createSanction à la notification).
+ */
+const recordStep = async (connection, caseId, value, userId) => {
+    const [cases] = await connection.query('SELECT * FROM disciplinary_cases WHERE id = ? FOR UPDATE', [caseId]);
+    const disciplinaryCase = cases[0];
+    if (!disciplinaryCase) {
+        return { status: 404, message: 'Dossier disciplinaire non trouvé.' };
+    }
+    if (disciplinaryCase.statut !== 'En cours') {
+        return { status: 409, message: `Ce dossier est clos (${disciplinaryCase.statut.toLowerCase()}).` };
+    }
+    const expected = STEPS[STEPS.indexOf(disciplinaryCase.etape_courante) + 1];
+    if (value.etape !== expected) {
+        return { status: 409, message: `Étape attendue pour ce dossier : "${expected}".` };
+    }
+
+    const steps = await loadSteps(connection, caseId);
+    const delayError = checkStepDelays(disciplinaryCase, steps, value);
+    if (delayError) {
+        return { status: 400, message: delayError };
+    }
+
+    const stepId = await insertStep(connection, caseId, value, userId);
+    const attachError = await attachDocuments(connection, stepId, disciplinaryCase.employee_id, value.document_ids);
+    if (attachError) return attachError;
+
+    let statut = 'En cours';
+    let sanction = null;
+
+    if (value.etape === 'Décision' && value.decision === 'Classement sans suite') {
+        statut = 'Classé sans suite';
+        await connection.query(
+            'UPDATE disciplinary_cases SET etape_courante = ?, statut = ?, motif_classement = ?, closed_at = NOW() WHERE id = ?',
+            [value.etape, statut, value.commentaire || null, caseId]
+        );
+    } else if (value.etape === 'Décision') {
+        const decision = { ...value.sanction, date_effet: toIsoDate(value.sanction.date_effet) };
+        await connection.query(
+            'UPDATE disciplinary_cases SET etape_courante = ?, sanction_decidee = ? WHERE id = ?',
+            [value.etape, JSON.stringify(decision), caseId]
+        );
+    } else if (value.etape === 'Notification') {
+        const decision = parseDecision(disciplinaryCase.sanction_decidee);
+        const allSteps = { ...steps, Notification: { date_etape: value.date_etape } };
+        sanction = await sanctionService.createSanction(connection, {
+            employee_id: disciplinaryCase.employee_id,
+            type_sanction: decision.type_sanction,
+            date_constatation: toIsoDate(disciplinaryCase.date_connaissance),
+            date_effet: decision.date_effet,
+            jours_mise_a_pied: decision.jours_mise_a_pied || 0,
+            retrogradation: decision.retrogradation,
+            motif_detaille: decision.motif_detaille,
+            procedure_suivie: buildProcedureSummary(caseId, allSteps),
+            document_url: null,
+            disciplinary_case_id: caseId,
+            date_notification: toIsoDate(value.date_etape)
+        }, userId);
+        if (sanction.status) return sanction;
+
+        statut = 'Sanctionné';
+        await connection.query(
+            'UPDATE disciplinary_cases SET etape_courante = ?, statut = ?, sanction_id = ?, closed_at = NOW() WHERE id = ?',
+            [value.etape, statut, sanction.sanctionId, caseId]
+        );
+    } else {
+        await connection.query('UPDATE disciplinary_cases SET etape_courante = ? WHERE id = ?', [value.etape, caseId]);
+    }
+
+    const [updated] = await connection.query('SELECT * FROM disciplinary_cases WHERE id = ?', [caseId]);
+    return {
+        stepId,
+        statut,
+        sanction,
+        prochaine_etape: nextStepWindow(updated[0], await loadSteps(connection, caseId))
+    };
+};
+
+/**
+ * Classe sans suite un dossier en cours avant la décision (ex : faits non établis, délai dépassé).
+ * Renvoie { status, message } en cas d'erreur.
+ */
+const closeCase = async (connection, caseId, { motif }) => {
+    const [cases] = await connection.query('SELECT id, statut FROM disciplinary_cases WHERE id = ? FOR UPDATE', [caseId]);
+    if (cases.length === 0) {
+        return { status: 404, message: 'Dossier disciplinaire non trouvé.' };
+    }
+    if (cases[0].statut !== 'En cours') {
+        return { status: 409, message: `Ce dossier est déjà clos (${cases[0].statut.toLowerCase()}).` };
+    }
+    await connection.query(
+        'UPDATE disciplinary_cases SET statut = \'Classé sans suite\', motif_classement = ?, closed_at = NOW() WHERE id = ?',
+        [motif, caseId]
+    );
+    return {};
+};
+
+const findCaseEmployeeId = async (caseId) => {
+    const [rows] = await db.query('SELECT employee_id FROM disciplinary_cases WHERE id = ?', [caseId]);
+    return rows.length > 0 ? rows[0].employee_id : null;
+};
+
+/**
+ * Dossier complet : étapes (avec pièces jointes) et bornes de date de l'étape suivante.
+ */
+const getCase = async (caseId) => {
+    const [cases] = await db.query(`
+        SELECT c.*, e.matricule, e.nom, e.prenom
+        FROM disciplinary_cases c
+        JOIN employees e ON c.employee_id = e.id
+        WHERE c.id = ?
+    `, [caseId]);
+    if (cases.length === 0) return null;
+    const disciplinaryCase = cases[0];
+
+    const steps = await loadSteps(db, caseId);
+    const stepIds = Object.values(steps).map(step => step.id);
+    const [documents] = stepIds.length > 0
+        ? await db.query(`
+            SELECT sd.step_id, d.id, d.type_document, d.nom_fichier, d.date_enregistrement
+            FROM disciplinary_step_documents sd
+            JOIN documents d ON sd.document_id = d.id
+            WHERE sd.step_id IN (?)
+        `, [stepIds])
+        : [[]];
+
+    return {
+        ...disciplinaryCase,
+        sanction_decidee: parseDecision(disciplinaryCase.sanction_decidee),
+        etapes: STEPS.filter(name => steps[name]).map(name => ({
+            ...steps[name],
+            documents: documents
+                .filter(document => document.step_id === steps[name].id)
+                .map(({ step_id, ...document }) => ({ ...document, url: documentService.downloadUrl(document.id) }))
+        })),
+        prochaine_etape: nextStepWindow(disciplinaryCase, steps)
+    };
+};
+
+/**
+ * Dossiers dans le périmètre de l'utilisateur (alias 'e' pour buildScopeClause).
+ * @param {object} filters - { employee_id?, statut? }
+ */
+const listCases = async (scope, filters = {}) => {
+    const conditions = [scope.clause];
+    const params = [...scope.params];
+    if (filters.employee_id) { conditions.push('c.employee_id = ?'); params.push(filters.employee_id); }
+    if (filters.statut) { conditions.push('c.statut = ?'); params.push(filters.statut); }
+
+    const [rows] = await db.query(`
+        SELECT c.id, c.employee_id, e.matricule, e.nom, e.prenom, c.statut, c.etape_courante,
+               c.date_faits, c.date_connaissance, c.sanction_id, c.created_at, c.closed_at
+        FROM disciplinary_cases c
+        JOIN employees e ON c.employee_id = e.id
+        WHERE ${conditions.join(' AND ')}
+        ORDER BY c.statut = 'En cours' DESC, c.created_at DESC
+    `, params);
+    return rows;
+};
+
+module.exports = {
+    STEPS,
+    PROCEDURE_REQUIRED_TYPES,
+    DELAYS,
+    openCase,
+    recordStep,
+    closeCase,
+    findCaseEmployeeId,
+    getCase,
+    listCases
+};
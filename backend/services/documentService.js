@@ -0,0 +1,207 @@
+// Fichier: backend/services/documentService.js
+
+const db = require('../config/db');
+const storageService = require('./storageService');
+
+// Type de document des photos d'identité (une seule version courante par employé)
+const PHOTO_DOCUMENT_TYPE = 'Photo d\'identité';
+
+// Colonnes renvoyées par l'API (le chemin de stockage interne n'est pas exposé)
+const DOCUMENT_COLUMNS = `
+    d.id, d.employee_id, d.type_document, d.nom_fichier, d.date_enregistrement, d.date_expiration, d.statut_alerte,
+    d.stockage, d.mime_type, d.taille_octets, d.checksum, d.version, d.remplace_document_id, d.document_origine_id,
+    d.est_version_courante, d.created_by_user_id
+`;
+
+// URL de téléchargement d'un document stocké (à reporter dans les champs document_url)
+const downloadUrl = (documentId) => `/api/employee/documents/${documentId}/download`;
+
+const findDocumentById = async (documentId, connection = db) => {
+    const [rows] = await connection.query(`SELECT ${DOCUMENT_COLUMNS}, d.chemin_stockage FROM documents d WHERE d.id = ?`, [documentId]);
+    return rows[0] || null;
+};
+
+/**
+ * Pièce justificative désignée par document_id (contrat, sanction, visite médicale...) : le document doit
+ * appartenir au dossier de l'employé concerné et avoir été téléversé (les anciennes références à un chemin
+ * externe, sans fichier stocké, ne sont pas téléchargeables). Renvoie { url } (null sans document) ou { status, message }.
+ */
+const resolveDocumentReference = async (documentId, employeeId, connection = db) => {
+    if (!documentId) return { url: null };
+    const document = await findDocumentById(documentId, connection);
+    if (!document || document.employee_id !== Number(employeeId)) {
+        return { status: 400, message: `Document ${documentId} introuvable dans le dossier de cet employé (POST /api/employee/documents).` };
+    }
+    if (!document.stockage) {
+        return { status: 400, message: `Le document ${documentId} n'a pas de fichier stocké : téléversez-le via POST /api/employee/documents.` };
+    }
+    return { url: downloadUrl(document.id) };
+};
+
+/**
+ * Téléverse un document RH dans la transaction de l'appelant.
+ * - Le type MIME est vérifié sur le contenu ; le fichier est stocké une seule fois par empreinte SHA-256.
+ * - Un fichier identique à une version courante du même employé est refusé (doublon).
+ * - Avec remplace_document_id, le nouveau fichier devient la version suivante : l'ancienne version
+ *   est conservée mais n'est plus courante (ex : pièce d'identité ou certificat renouvelé).
+ * @param {{ buffer: Buffer, originalname: string }} file - Fichier reçu par uploadMiddleware
+ * @param {object} value - { employee_id, type_document?, date_expiration?, remplace_document_id? }
+ * Renvoie { status, message } en cas d'erreur métier, sinon { documentId, version }.
+ */
+const uploadDocument = async (connection, file, value, userId) => {
+    const [empRows] = await connection.query('SELECT id FROM employees WHERE id = ?', [value.employee_id]);
+    if (empRows.length === 0) {
+        return { status: 404, message: 'Employé non trouvé.' };
+    }
+
+    const detection = storageService.detectMimeType(file.buffer, file.originalname);
+    if (detection.status) return detection;
+
+    const checksum = storageService.computeChecksum(file.buffer);
+    const [duplicates] = await connection.query(
+        'SELECT id, type_document FROM documents WHERE employee_id = ? AND checksum = ? AND est_version_courante = TRUE',
+        [value.employee_id, checksum]
+    );
+    if (duplicates.length > 0) {
+        return { status: 409, message: `Ce fichier est déjà enregistré pour cet employé (document n°${duplicates[0].id}, ${duplicates[0].type_document}).`, documentId: duplicates[0].id };
+    }
+
+    // Version précédente éventuelle : même employé, version courante
+    let previous = null;
+    if (value.remplace_document_id) {
+        const [previousRows] = await connection.query(
+            'SELECT id, employee_id, type_document, version, document_origine_id, est_version_courante FROM documents WHERE id = ? FOR UPDATE',
+            [value.remplace_document_id]
+        );
+        previous = previousRows[0];
+        if (!previous || previous.employee_id !== value.employee_id) {
+            return { status: 404, message: 'Document à remplacer non trouvé pour cet employé.' };
+        }
+        if (!previous.est_version_courante) {
+            return { status: 409, message: 'Ce document a déjà été remplacé par une version plus récente.' };
+        }
+    }
+
+    const typeDocument = value.type_document || (previous && previous.type_document);
+    if (!typeDocument) {
+        return { status: 400, message: '"type_document" est requis pour un nouveau document.' };
+    }
+
+    const stored = await storageService.saveFile(file.buffer);
+
+    const [result] = await connection.query(`
+        INSERT INTO documents (
+            employee_id, type_document, nom_fichier, chemin_stockage,
+            date_enregistrement, date_expiration, statut_alerte, created_by_user_id,
+            stockage, checksum, mime_type, taille_octets, version, remplace_document_id, document_origine_id
+        )
+        VALUES (?, ?, ?, ?, CURDATE(), ?, 'OK', ?, ?, ?, ?, ?, ?, ?, ?)
+    `, [
+        value.employee_id, typeDocument, file.originalname, stored.cle,
+        value.date_expiration || null, userId,
+        stored.stockage, stored.checksum, detection.mimeType, stored.taille,
+        previous ? previous.version + 1 : 1,
+        previous ? previous.id : null,
+        previous ? (previous.document_origine_id || previous.id) : null
+    ]);
+
+    if (previous) {
+        await connection.query('UPDATE documents SET est_version_courante = FALSE WHERE id = ?', [previous.id]);
+    }
+
+    return { documentId: result.insertId, version: previous ? previous.version + 1 : 1 };
+};
+
+/**
+ * Remplace la photo d'identité d'un employé (nouvelle version du document photo courant)
+ * et met à jour employee_personal.photo_url. Renvoie le résultat de uploadDocument.
+ */
+const uploadEmployeePhoto = async (connection, employeeId, file, userId) => {
+    const [currentPhotos] = await connection.query(
+        'SELECT id FROM documents WHERE employee_id = ? AND type_document = ? AND est_version_courante = TRUE ORDER BY id DESC LIMIT 1',
+        [employeeId, PHOTO_DOCUMENT_TYPE]
+    );
+
+    const upload = await uploadDocument(connection, file, {
+        employee_id: Number(employeeId),
+        type_document: PHOTO_DOCUMENT_TYPE,
+        remplace_document_id: currentPhotos.length > 0 ? currentPhotos[0].id : null
+    }, userId);
+    if (upload.status) return upload;
+
+    await connection.query('UPDATE employee_personal SET photo_url = ? WHERE employee_id = ?', [`/api/employee/${employeeId}/photo`, employeeId]);
+    return upload;
+};
+
+// Photo d'identité courante d'un employé (null si aucune photo téléversée)
+const findEmployeePhoto = async (employeeId) => {
+    const [rows] = await db.query(
+        `SELECT ${DOCUMENT_COLUMNS}, d.chemin_stockage FROM documents d
+         WHERE d.employee_id = ? AND d.type_document = ? AND d.est_version_courante = TRUE AND d.stockage IS NOT NULL
+         ORDER BY d.id DESC LIMIT 1`,
+        [employeeId, PHOTO_DOCUMENT_TYPE]
+    );
+    return rows[0] || null;
+};
+
+/**
+ * Documents d'un employé : versions courantes uniquement, ou tout l'historique avec includeHistory.
+ */
+const listEmployeeDocuments = async (employeeId, { includeHistory = false } = {}) => {
+    const [rows] = await db.query(`
+        SELECT ${DOCUMENT_COLUMNS}
+        FROM documents d
+        WHERE d.employee_id = ? ${includeHistory ? '' : 'AND d.est_version_courante = TRUE'}
+        ORDER BY d.type_document, d.date_enregistrement DESC, d.version DESC
+    `, [employeeId]);
+    return rows;
+};
+
+/**
+ * Toutes les versions d'un document (de la plus récente à la plus ancienne), à partir de n'importe laquelle.
+ */
+const getDocumentVersions = async (document) => {
+    const originId = document.document_origine_id || document.id;
+    const [rows] = await db.query(`
+        SELECT ${DOCUMENT_COLUMNS}
+        FROM documents d
+        WHERE d.id = ? OR d.document_origine_id = ?
+        ORDER BY d.version DESC
+    `, [originId, originId]);
+    return rows;
+};
+
+/**
+ * Envoie le contenu d'un document stocké (flux). Renvoie false si le fichier est introuvable.
+ * @param {boolean} inline - Affichage dans le navigateur (photos) plutôt que téléchargement
+ */
+const streamDocument = async (res, document, { inline = false } = {}) => {
+    const stream = await storageService.openFile(document.stockage, document.chemin_stockage);
+    if (!stream) return false;
+
+    res.setHeader('Content-Type', document.mime_type);
+    res.setHeader('Content-Length', document.taille_octets);
+    res.setHeader('Content-Disposition', `${inline ? 'inline' : 'attachment'}; filename*=UTF-8''${encodeURIComponent(document.nom_fichier)}`);
+    res.status(200);
+
+    await new Promise((resolve, reject) => {
+        stream.on('error', reject);
+        res.on('finish', resolve);
+        res.on('close', resolve);
+        stream.pipe(res);
+    });
+    return true;
+};
+
+module.exports = {
+    PHOTO_DOCUMENT_TYPE,
+    downloadUrl,
+    resolveDocumentReference,
+    findDocumentById,
+    uploadDocument,
+    uploadEmployeePhoto,
+    findEmployeePhoto,
+    listEmployeeDocuments,
+    getDocumentVersions,
+    streamDocument
+};
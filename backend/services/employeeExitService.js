@@ -0,0 +1,332 @@
+// Fichier: backend/services/employeeExitService.js
+
+const db = require('../config/db');
+const tokenService = require('./tokenService');
+const structureService = require('./structureService');
+
+const TRIAL_TERMINATION = 'Rupture de la période d\'essai';
+const EXIT_TYPES = ['Démission', 'Fin de CDD', 'Retraite', 'Licenciement', 'Décès', 'Rupture conventionnelle', TRIAL_TERMINATION];
+
+// Statuts d'un employé sorti des effectifs (les anciens archivages sont tous en 'Licencié')
+const ARCHIVED_STATUSES = ['Licencié', 'Sorti'];
+
+// Check-list générée à chaque sortie
+const EXIT_CHECKLIST = [
+    { code: 'restitution_materiel', libelle: 'Restitution du matériel (badge, EPI, outillage, informatique)' },
+    { code: 'solde_tout_compte', libelle: 'Solde de tout compte' },
+    { code: 'certificat_travail', libelle: 'Certificat de travail' },
+    { code: 'desactivation_compte', libelle: 'Désactivation du compte utilisateur' }
+];
+
+const EXIT_TASK_STATUSES = ['À faire', 'Fait', 'Non applicable'];
+
+const today = () => new Date().toISOString().split('T')[0];
+
+// Date SQL (objet Date mysql2 ou chaîne) → 'YYYY-MM-DD' pour les comparaisons
+const toIsoDate = (value) => {
+    if (!value) return null;
+    if (value instanceof Date) {
+        return `${value.getFullYear()}-${String(value.getMonth() + 1).padStart(2, '0')}-${String(value.getDate()).padStart(2, '0')}`;
+    }
+    return String(value).substring(0, 10);
+};
+
+/**
+ * Enregistre la sortie d'un employé dans la transaction de l'appelant.
+ * - Le contrat actif (et ses avenants) et l'affectation en cours sont clôturés au dernier jour travaillé.
+ * - employees.date_sortie et date_fin_contrat reçoivent le dernier jour travaillé ; la check-list de sortie est générée.
+ * - Si le dernier jour travaillé est déjà passé, la sortie est finalisée immédiatement,
+ *   sinon l'employé reste actif pendant son préavis (finalisation par le planificateur).
+ * @param {object} value - { type_sortie, date_notification, preavis_jours, dernier_jour_travaille, motif }
+ * Renvoie { status, message } en cas d'erreur métier, sinon { exitId, finalized, userId }.
+ */
+const startExit = async (connection, employeeId, value, userId) => {
+    const [empRows] = await connection.query(
+        'SELECT id, statut, date_embauche, user_id FROM employees WHERE id = ? FOR UPDATE',
+        [employeeId]
+    );
+    const employee = empRows[0];
+    if (!employee) {
+        return { status: 404, message: 'Employé non trouvé.' };
+    }
+    if (ARCHIVED_STATUSES.includes(employee.statut)) {
+        return { status: 409, message: 'Cet employé est déjà sorti des effectifs.' };
+    }
+
+    const [pending] = await connection.query(
+        'SELECT id FROM employee_exits WHERE employee_id = ? AND statut = \'En préavis\'',
+        [employeeId]
+    );
+    if (pending.length > 0) {
+        return { status: 409, message: 'Une procédure de sortie est déjà en cours pour cet employé.' };
+    }
+
+    const lastDay = toIsoDate(value.dernier_jour_travaille);
+    if (employee.date_embauche && lastDay < toIsoDate(employee.date_embauche)) {
+        return { status: 400, message: 'Le dernier jour travaillé ne peut pas précéder la date d\'embauche.' };
+    }
+
+    // Contrat principal en cours (une fin de CDD suppose un CDD, une rupture d'essai une période d'essai en cours)
+    const [contracts] = await connection.query(
+        'SELECT id, type_contrat, essai_statut, essai_date_fin FROM contracts WHERE employee_id = ? AND statut = \'Actif\' AND is_avenant = FALSE',
+        [employeeId]
+    );
+    const contract = contracts[0] || null;
+    if (value.type_sortie === 'Fin de CDD' && (!contract || contract.type_contrat !== 'CDD')) {
+        return { status: 400, message: 'Une fin de CDD suppose un contrat CDD actif.' };
+    }
+    if (value.type_sortie === TRIAL_TERMINATION) {
+        if (!contract || contract.essai_statut !== 'En cours') {
+            return { status: 400, message: 'Une rupture de la période d\'essai suppose une période d\'essai en cours.' };
+        }
+        if (toIsoDate(value.date_notification) > toIsoDate(contract.essai_date_fin)) {
+            return { status: 400, message: `La période d'essai a pris fin le ${toIsoDate(contract.essai_date_fin)} : la rupture doit être notifiée avant cette date.` };
+        }
+    }
+
+    // 1. Clôture du contrat et de ses avenants, puis de l'affectation en cours
+    await connection.query(
+        'UPDATE contracts SET date_fin_reelle = ?, motif_fin = IF(is_avenant, motif_fin, ?) WHERE employee_id = ? AND statut = \'Actif\'',
+        [lastDay, value.type_sortie, employeeId]
+    );
+    await connection.query(
+        'UPDATE employee_affectations SET date_fin = ? WHERE employee_id = ? AND date_fin IS NULL',
+        [lastDay, employeeId]
+    );
+    await connection.query('UPDATE employees SET date_sortie = ?, date_fin_contrat = ? WHERE id = ?', [lastDay, lastDay, employeeId]);
+    if (value.type_sortie === TRIAL_TERMINATION) {
+        await connection.query(`
+            UPDATE contracts
+            SET essai_statut = 'Rompu', essai_decision_par_user_id = ?, essai_decision_at = NOW(), essai_commentaire = ?
+            WHERE id = ?
+        `, [userId, value.motif || null, contract.id]);
+    }
+
+    // 2. Procédure de sortie et check-list
+    const [result] = await connection.query(`
+        INSERT INTO employee_exits (
+            employee_id, type_sortie, date_notification, preavis_jours, dernier_jour_travaille,
+            date_embauche, contract_id, motif, created_by_user_id
+        )
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `, [
+        employeeId, value.type_sortie, value.date_notification, value.preavis_jours || null, lastDay,
+        employee.date_embauche, contract ? contract.id : null, value.motif || null, userId
+    ]);
+    const exitId = result.insertId;
+
+    await connection.query(
+        'INSERT INTO employee_exit_tasks (exit_id, code, libelle) VALUES ?',
+        [EXIT_CHECKLIST.map(task => [exitId, task.code, task.libelle])]
+    );
+
+    // 3. Dernier jour déjà passé : sortie effective immédiatement
+    if (lastDay < today()) {
+        const finalization = await finalizeExit(connection, exitId);
+        return { exitId, finalized: true, userId: finalization.userId };
+    }
+
+    return { exitId, finalized: false, userId: null };
+};
+
+/**
+ * Rend une sortie effective (dernier jour travaillé passé), dans la transaction de l'appelant :
+ * statut de l'employé ('Licencié' ou 'Sorti'), contrats terminés, compte utilisateur désactivé.
+ * Renvoie { userId } : compte désactivé dont l'appelant doit fermer les sessions après le commit.
+ */
+const finalizeExit = async (connection, exitId) => {
+    const [exits] = await connection.query(`
+        SELECT x.id, x.employee_id, x.type_sortie, e.user_id
+        FROM employee_exits x
+        JOIN employees e ON x.employee_id = e.id
+        WHERE x.id = ? AND x.statut = 'En préavis'
+        FOR UPDATE
+    `, [exitId]);
+    const exit = exits[0];
+    if (!exit) return { userId: null };
+
+    const statut = exit.type_sortie === 'Licenciement' ? 'Licencié' : 'Sorti';
+    await connection.query('UPDATE employees SET statut = ? WHERE id = ?', [statut, exit.employee_id]);
+    await connection.query(
+        'UPDATE contracts SET statut = \'Terminé\' WHERE employee_id = ? AND statut = \'Actif\'',
+        [exit.employee_id]
+    );
+
+    // Le lien employees.user_id est conservé (historique) : le compte est seulement désactivé
+    if (exit.user_id) {
+        await connection.query('UPDATE users SET statut = \'Désactivé\' WHERE id = ?', [exit.user_id]);
+    }
+    await connection.query(`
+        UPDATE employee_exit_tasks
+        SET statut = ?, commentaire = ?, done_at = NOW()
+        WHERE exit_id = ? AND code = 'desactivation_compte' AND statut = 'À faire'
+    `, exit.user_id
+        ? ['Fait', 'Désactivé automatiquement au terme du dernier jour travaillé.', exitId]
+        : ['Non applicable', 'Aucun compte utilisateur lié.', exitId]);
+
+    await connection.query(
+        'UPDATE employee_exits SET statut = \'Sorti\', finalized_at = NOW() WHERE id = ?',
+        [exitId]
+    );
+
+    return { userId: exit.user_id };
+};
+
+/**
+ * Finalise les sorties dont le dernier jour travaillé est passé (tâche quotidienne du planificateur).
+ * Chaque sortie est traitée dans sa propre transaction. Renvoie les IDs des sorties finalisées.
+ */
+const finalizeDueExits = async () => {
+    const [due] = await db.query(
+        'SELECT id FROM employee_exits WHERE statut = \'En préavis\' AND dernier_jour_travaille < CURDATE()'
+    );
+
+    const finalized = [];
+    for (const { id } of due) {
+        const connection = await db.getConnection();
+        try {
+            await connection.beginTransaction();
+            const { userId } = await finalizeExit(connection, id);
+            await connection.commit();
+            if (userId) await tokenService.revokeAllSessions(userId, 'Sortie des effectifs');
+            finalized.push(id);
+        } catch (err) {
+            await connection.rollback();
+            console.error(`Finalisation de la sortie ${id} impossible.`, err);
+        } finally {
+            connection.release();
+        }
+    }
+    return finalized;
+};
+
+/**
+ * Procédures de sortie d'un employé (la plus récente en premier), avec leur check-list.
+ */
+const findEmployeeExits = async (employeeId) => {
+    const [exits] = await db.query(`
+        SELECT x.*, u.email AS created_by
+        FROM employee_exits x
+        LEFT JOIN users u ON x.created_by_user_id = u.id
+        WHERE x.employee_id = ?
+        ORDER BY x.dernier_jour_travaille DESC, x.id DESC
+    `, [employeeId]);
+
+    if (exits.length > 0) {
+        const [tasks] = await db.query(`
+            SELECT id, exit_id, code, libelle, statut, commentaire, done_by_user_id, done_at
+            FROM employee_exit_tasks
+            WHERE exit_id IN (?)
+            ORDER BY id ASC
+        `, [exits.map(exit => exit.id)]);
+
+        exits.forEach(exit => {
+            exit.checklist = tasks.filter(task => task.exit_id === exit.id);
+            exit.checklist_complete = exit.checklist.every(task => task.statut !== 'À faire');
+        });
+    }
+
+    return exits;
+};
+
+/**
+ * Met à jour une tâche de la check-list de sortie d'un employé.
+ * Renvoie { status, message } en cas d'erreur, sinon { task }.
+ */
+const updateExitTask = async (employeeId, taskId, { statut, commentaire }, userId) => {
+    const [result] = await db.query(`
+        UPDATE employee_exit_tasks t
+        JOIN employee_exits x ON t.exit_id = x.id
+        SET t.statut = ?, t.commentaire = ?,
+            t.done_by_user_id = IF(? = 'À faire', NULL, ?),
+            t.done_at = IF(? = 'À faire', NULL, NOW())
+        WHERE t.id = ? AND x.employee_id = ?
+    `, [statut, commentaire || null, statut, userId, statut, taskId, employeeId]);
+
+    if (result.affectedRows === 0) {
+        return { status: 404, message: 'Tâche de sortie non trouvée pour cet employé.' };
+    }
+
+    const [rows] = await db.query('SELECT * FROM employee_exit_tasks WHERE id = ?', [taskId]);
+    return { task: rows[0] };
+};
+
+/**
+ * Réembauche d'un employé sorti, dans la transaction de l'appelant : le dossier est réactivé
+ * (même matricule, même historique) avec une nouvelle affectation 'Réembauche' et un nouveau contrat.
+ * Le compte utilisateur éventuel reste désactivé (réactivation via /api/admin/users/:id/enable).
+ * @param {object} value - { date_embauche, site_id?, department_id?, service_id?, team_id, position, fonction, contrat }
+ * Renvoie { status, message } en cas d'erreur métier, sinon { contractId }.
+ */
+const rehireEmployee = async (connection, employeeId, value, userId) => {
+    const [empRows] = await connection.query('SELECT * FROM employees WHERE id = ? FOR UPDATE', [employeeId]);
+    const employee = empRows[0];
+    if (!employee) {
+        return { status: 404, message: 'Employé non trouvé.' };
+    }
+    if (!ARCHIVED_STATUSES.includes(employee.statut)) {
+        return { status: 409, message: 'Seul un employé sorti des effectifs peut être réembauché.' };
+    }
+
+    const hireDate = toIsoDate(value.date_embauche);
+    if (employee.date_sortie && hireDate <= toIsoDate(employee.date_sortie)) {
+        return { status: 400, message: `La date de réembauche doit être postérieure à la dernière sortie (${toIsoDate(employee.date_sortie)}).` };
+    }
+
+    const resolution = await structureService.resolveAssignment(connection, value);
+    if (resolution.status) return resolution;
+    const { site_id, department_id, service_id, team_id } = resolution.assignment;
+
+    // 1. Nouveau contrat principal (les contrats précédents sont conservés)
+    const contrat = value.contrat;
+    const [contractResult] = await connection.query(`
+        INSERT INTO contracts (
+            employee_id, type_contrat, date_debut, date_fin_prevue, position_id,
+            salaire_de_base, notes_rh, document_url, is_avenant, parent_contract_id
+        )
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, FALSE, NULL)
+    `, [
+        employeeId, contrat.type_contrat, hireDate, contrat.date_fin_prevue || null, contrat.position_id,
+        contrat.salaire_de_base, contrat.notes_rh || null, contrat.document_url || null
+    ]);
+
+    // 2. Nouvelle ligne d'historique (les anciennes valeurs sont celles de la période précédente)
+    await connection.query(`
+        INSERT INTO employee_affectations (
+            employee_id, date_debut, motif, commentaire, created_by_user_id,
+            site_id_ancien, department_id_ancien, service_id_ancien, team_id_ancien, position_ancienne, fonction_ancienne,
+            site_id_nouveau, department_id_nouveau, service_id_nouveau, team_id_nouveau, position_nouvelle, fonction_nouvelle
+        )
+        VALUES (?, ?, 'Réembauche', ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `, [
+        employeeId, hireDate, value.commentaire || null, userId,
+        employee.site_id, employee.department_id, employee.service_id, employee.team_id, employee.position, employee.fonction,
+        site_id, department_id, service_id, team_id, value.position, value.fonction
+    ]);
+
+    // 3. Réactivation du dossier (la période précédente reste dans employee_exits)
+    await connection.query(`
+        UPDATE employees
+        SET statut = 'Actif', date_embauche = ?, date_sortie = NULL, date_fin_contrat = ?,
+            site_id = ?, department_id = ?, service_id = ?, team_id = ?,
+            position = ?, fonction = ?, position_id = ?
+        WHERE id = ?
+    `, [
+        hireDate, contrat.date_fin_prevue || null, site_id, department_id, service_id, team_id,
+        value.position, value.fonction, contrat.position_id, employeeId
+    ]);
+
+    return { contractId: contractResult.insertId };
+};
+
+module.exports = {
+    TRIAL_TERMINATION,
+    EXIT_TYPES,
+    ARCHIVED_STATUSES,
+    EXIT_TASK_STATUSES,
+    startExit,
+    finalizeDueExits,
+    findEmployeeExits,
+    updateExitTask,
+    rehireEmployee
+};
@@ -0,0 +1,292 @@
+// Fichier: backend/services/employeeImportService.js
+
+const path = require('path');
+const { Readable } = require('stream');
+const ExcelJS = require('exceljs');
+const db = require('../config/db');
+const employeeService = require('./employeeService');
+
+const MAX_ROWS = 2000;
+
+// En-têtes reconnus automatiquement (après normalisation : minuscules, sans accents, espaces → _)
+// Les codes de structure sont convertis en IDs par resolveStructureCodes.
+const COLUMN_ALIASES = {
+    matricule: 'matricule',
+    nom: 'nom',
+    prenom: 'prenom',
+    genre: 'genre',
+    sexe: 'genre',
+    date_naissance: 'date_naissance',
+    date_de_naissance: 'date_naissance',
+    date_embauche: 'date_embauche',
+    date_d_embauche: 'date_embauche',
+    code_site: 'code_site',
+    site: 'code_site',
+    code_interne: 'code_interne',
+    code_departement: 'code_interne',
+    departement: 'code_interne',
+    code_metier: 'code_metier',
+    code_service: 'code_metier',
+    service: 'code_metier',
+    equipe: 'nom_equipe',
+    nom_equipe: 'nom_equipe',
+    position: 'position',
+    poste: 'position',
+    fonction: 'fonction',
+    telephone: 'telephone_principal',
+    telephone_principal: 'telephone_principal',
+    contact_urgence_nom: 'contact_urgence_nom',
+    contact_urgence_telephone: 'contact_urgence_telephone'
+};
+
+// Champs cibles acceptés dans un mapping personnalisé
+const IMPORT_FIELDS = [...new Set(Object.values(COLUMN_ALIASES))];
+
+const normalizeHeader = (header) => String(header)
+    .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+    .trim().toLowerCase()
+    .replace(/[^a-z0-9]+/g, '_')
+    .replace(/^_|_$/g, '');
+
+// Valeur brute d'une cellule ExcelJS (dates au format ISO, formules → résultat, texte enrichi → texte)
+const cellValue = (value) => {
+    if (value === null || value === undefined) return undefined;
+    if (value instanceof Date) return value.toISOString().split('T')[0];
+    if (typeof value === 'object') {
+        if (value.result !== undefined) return cellValue(value.result);
+        if (value.richText) return value.richText.map(part => part.text).join('');
+        if (value.text !== undefined) return String(value.text);
+    }
+    const text = String(value).trim();
+    return text === '' ? undefined : text;
+};
+
+// Dates saisies au format français (JJ/MM/AAAA) converties en ISO
+const normalizeDate = (value) => {
+    const match = value && /^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})$/.exec(value);
+    return match ? `${match[3]}-${match[2].padStart(2, '0')}-${match[1].padStart(2, '0')}` : value;
+};
+
+const normalizeGenre = (value) => {
+    if (!value) return value;
+    const genres = { m: 'M', h: 'M', homme: 'M', masculin: 'M', f: 'F', femme: 'F', feminin: 'F', autre: 'Autre' };
+    return genres[normalizeHeader(value)] || value;
+};
+
+/**
+ * Lit la première feuille d'un fichier CSV (séparateur ; ou ,) ou XLSX.
+ * Renvoie { headers, rows } où rows = [{ ligne, values: { en-tête: valeur } }].
+ */
+const readSheet = async (buffer, fileName) => {
+    const workbook = new ExcelJS.Workbook();
+    let sheet;
+
+    if (path.extname(fileName).toLowerCase() === '.xlsx') {
+        await workbook.xlsx.load(buffer);
+        sheet = workbook.worksheets[0];
+    } else {
+        const content = buffer.toString('utf8').replace(/^\uFEFF/, ''); // BOM ajouté par Excel
+        const firstLine = content.split(/\r?\n/, 1)[0];
+        const delimiter = (firstLine.match(/;/g) || []).length >= (firstLine.match(/,/g) || []).length ? ';' : ',';
+        // map : aucune conversion automatique (les téléphones gardent leur 0 initial)
+        sheet = await workbook.csv.read(Readable.from([content]), { parserOptions: { delimiter }, map: value => value });
+    }
+
+    if (!sheet || sheet.rowCount === 0) {
+        return { headers: [], rows: [] };
+    }
+
+    const headers = [];
+    sheet.getRow(1).eachCell((cell, column) => { headers[column] = cellValue(cell.value); });
+
+    const rows = [];
+    sheet.eachRow((row, rowNumber) => {
+        if (rowNumber === 1) return;
+        const values = {};
+        row.eachCell((cell, column) => {
+            if (headers[column]) values[headers[column]] = cellValue(cell.value);
+        });
+        if (Object.values(values).some(value => value !== undefined)) {
+            rows.push({ ligne: rowNumber, values });
+        }
+    });
+
+    return { headers: headers.filter(Boolean), rows };
+};
+
+/**
+ * Associe chaque en-tête du fichier à un champ d'import.
+ * Le mapping personnalisé ({ "En-tête du fichier": "champ" }) est prioritaire sur les alias.
+ */
+const buildColumnMapping = (headers, customMapping = {}) => {
+    const mapping = {};
+    const ignored = [];
+    headers.forEach(header => {
+        const field = customMapping[header] || COLUMN_ALIASES[normalizeHeader(header)];
+        if (field) mapping[header] = field;
+        else ignored.push(header);
+    });
+    return { mapping, ignored };
+};
+
+// Charge les unités actives une seule fois pour résoudre les codes de tout le fichier
+const loadStructure = async (connection) => {
+    const [sites] = await connection.query('SELECT id, code_site FROM sites WHERE actif = TRUE');
+    const [departments] = await connection.query('SELECT id, code_interne, site_id FROM departments WHERE actif = TRUE');
+    const [services] = await connection.query('SELECT id, code_metier, department_id FROM services WHERE actif = TRUE');
+    const [teams] = await connection.query('SELECT id, nom, service_id FROM teams WHERE actif = TRUE');
+
+    const byCode = (rows, column) => new Map(rows.map(row => [String(row[column]).toLowerCase(), row]));
+    return {
+        sites: byCode(sites, 'code_site'),
+        departments: byCode(departments, 'code_interne'),
+        services: byCode(services, 'code_metier'),
+        teams: teams
+    };
+};
+
+/**
+ * Convertit les codes de structure d'une ligne en IDs.
+ * L'équipe est cherchée par nom, dans le service indiqué s'il est fourni (deux services peuvent avoir une équipe homonyme).
+ * Renvoie { ids, errors }.
+ */
+const resolveStructureCodes = (structure, row) => {
+    const ids = {};
+    const errors = [];
+
+    const lookups = [
+        { field: 'code_site', map: structure.sites, target: 'site_id', label: 'Site' },
+        { field: 'code_interne', map: structure.departments, target: 'department_id', label: 'Département' },
+        { field: 'code_metier', map: structure.services, target: 'service_id', label: 'Service' }
+    ];
+    lookups.forEach(({ field, map, target, label }) => {
+        if (!row[field]) return;
+        const unit = map.get(String(row[field]).toLowerCase());
+        if (unit) ids[target] = unit.id;
+        else errors.push(`${label} inconnu ou désactivé : "${row[field]}".`);
+    });
+
+    if (row.nom_equipe) {
+        const candidates = structure.teams.filter(team =>
+            team.nom.toLowerCase() === String(row.nom_equipe).toLowerCase() &&
+            (!ids.service_id || team.service_id === ids.service_id)
+        );
+        if (candidates.length === 1) ids.team_id = candidates[0].id;
+        else if (candidates.length === 0) errors.push(`Équipe inconnue ou désactivée : "${row.nom_equipe}"${ids.service_id ? ' dans ce service' : ''}.`);
+        else errors.push(`Équipe "${row.nom_equipe}" ambiguë (plusieurs services) : précisez le code_metier.`);
+    }
+
+    return { ids, errors };
+};
+
+/**
+ * Valide chaque ligne du fichier comme le ferait POST /api/employee, puis, hors dry run,
+ * crée toutes les lignes valides dans une seule transaction (les lignes en erreur sont ignorées).
+ * @param {{ buffer: Buffer, originalname: string }} file - Fichier reçu par uploadMiddleware
+ * @param {{ dryRun: boolean, mapping?: object }} options
+ * Renvoie { status, message } si le fichier est inexploitable, sinon le rapport ligne par ligne.
+ */
+const importEmployees = async (file, { dryRun, mapping: customMapping }, userId) => {
+    const { headers, rows } = await readSheet(file.buffer, file.originalname);
+    if (rows.length === 0) {
+        return { status: 400, message: 'Le fichier ne contient aucune ligne de données (la première ligne doit contenir les en-têtes).' };
+    }
+    if (rows.length > MAX_ROWS) {
+        return { status: 400, message: `Trop de lignes (${rows.length}). Maximum : ${MAX_ROWS} par import.` };
+    }
+
+    const { mapping, ignored } = buildColumnMapping(headers, customMapping);
+    const invalidTargets = Object.values(mapping).filter(field => !IMPORT_FIELDS.includes(field));
+    if (invalidTargets.length > 0) {
+        return { status: 400, message: `Champs de mapping inconnus : ${invalidTargets.join(', ')}. Champs acceptés : ${IMPORT_FIELDS.join(', ')}.` };
+    }
+
+    const connection = await db.getConnection();
+    await connection.beginTransaction();
+
+    try {
+        const structure = await loadStructure(connection);
+        const seenMatricules = new Set();
+        const report = [];
+
+        // 1. Validation de toutes les lignes (aucune écriture)
+        for (const { ligne, values } of rows) {
+            const row = {};
+            Object.entries(values).forEach(([header, value]) => {
+                if (mapping[header]) row[mapping[header]] = value;
+            });
+            row.date_naissance = normalizeDate(row.date_naissance);
+            row.date_embauche = normalizeDate(row.date_embauche);
+            row.genre = normalizeGenre(row.genre);
+
+            const { ids, errors } = resolveStructureCodes(structure, row);
+            const candidate = {
+                matricule: row.matricule, nom: row.nom, prenom: row.prenom, genre: row.genre,
+                date_naissance: row.date_naissance, date_embauche: row.date_embauche,
+                position: row.position, fonction: row.fonction,
+                telephone_principal: row.telephone_principal,
+                contact_urgence_nom: row.contact_urgence_nom,
+                contact_urgence_telephone: row.contact_urgence_telephone,
+                ...ids
+            };
+            Object.keys(candidate).forEach(key => candidate[key] === undefined && delete candidate[key]);
+
+            const { error, value } = employeeService.employeeCreationSchema.validate(candidate, { abortEarly: false });
+            if (error) errors.push(...error.details.map(detail => detail.message));
+
+            if (row.matricule) {
+                if (seenMatricules.has(row.matricule)) errors.push('Matricule en double dans le fichier.');
+                seenMatricules.add(row.matricule);
+            }
+
+            if (errors.length === 0) {
+                const check = await employeeService.checkEmployeeCreation(connection, value);
+                if (check.status) errors.push(check.message);
+            }
+
+            report.push({
+                ligne: ligne,
+                matricule: row.matricule || null,
+                statut: errors.length === 0 ? 'Valide' : 'Erreur',
+                erreurs: errors,
+                value: errors.length === 0 ? value : null
+            });
+        }
+
+        // 2. Création des lignes valides dans la même transaction
+        if (!dryRun) {
+            for (const line of report.filter(item => item.statut === 'Valide')) {
+                const creation = await employeeService.createEmployee(connection, line.value, userId);
+                if (creation.status) {
+                    // Ne devrait pas arriver (lignes déjà contrôlées) : on annule tout l'import
+                    throw new Error(`Ligne ${line.ligne} : ${creation.message}`);
+                }
+                line.statut = 'Créé';
+                line.employeeId = creation.employeeId;
+            }
+            await connection.commit();
+        } else {
+            await connection.rollback();
+        }
+
+        const validCount = report.filter(line => line.statut !== 'Erreur').length;
+        return {
+            dry_run: dryRun,
+            total_lignes: report.length,
+            lignes_valides: validCount,
+            lignes_en_erreur: report.length - validCount,
+            employes_crees: dryRun ? 0 : validCount,
+            colonnes: mapping,
+            colonnes_ignorees: ignored,
+            lignes: report.map(({ value, ...line }) => line)
+        };
+
+    } catch (err) {
+        await connection.rollback();
+        throw err;
+    } finally {
+        connection.release();
+    }
+};
+
+module.exports = { importEmployees, IMPORT_FIELDS };
@@ -0,0 +1,342 @@
+// Fichier: backend/services/employeeRecordService.js
+
+const db = require('../config/db');
+
+// Ayants droit, moyens de paiement, numéros d'identification et pièces d'identité du dossier employé.
+
+const DEPENDENT_LINKS = ['Conjoint', 'Enfant'];
+const PAYMENT_TYPES = ['Virement bancaire', 'Wave', 'Orange Money', 'Free Money'];
+const ID_DOCUMENT_TYPES = ['CNI', 'Passeport', 'Carte de séjour', 'Permis de conduire'];
+
+// Délai (jours) avant expiration à partir duquel une pièce d'identité est signalée
+const ID_EXPIRY_WARNING_DAYS = parseInt(process.env.ID_EXPIRY_WARNING_DAYS, 10) || 60;
+
+// Champs masqués pour les rôles sans 'employee-sensitive:read' (hors employé lui-même)
+const SENSITIVE_FIELDS = {
+    dependent: ['numero_acte'],
+    payment: ['numero_compte', 'cle_rib', 'iban', 'telephone'],
+    identity: ['nin', 'numero_ipres', 'numero_css'],
+    idDocument: ['numero']
+};
+
+// --- Règles de validation ---
+
+// Conversion des lettres d'un RIB en chiffres (table RIB : A/J = 1, B/K/S = 2, ... I/R/Z = 9)
+const ribDigits = (value) => value.toUpperCase().replace(/[A-Z]/g, letter => {
+    const code = letter.charCodeAt(0) - 65;
+    return String(letter >= 'S' ? code - 16 : (code % 9) + 1);
+});
+
+/**
+ * Vérifie la clé d'un RIB UEMOA (code banque 5 car. + code guichet 5 chiffres + compte 12 car. + clé 2 chiffres) :
+ * le nombre formé par les 24 caractères (lettres converties) doit être divisible par 97.
+ */
+const isValidRibKey = ({ code_banque, code_guichet, numero_compte, cle_rib }) => {
+    const rib = ribDigits(`${code_banque}${code_guichet}${numero_compte}${cle_rib}`);
+    return /^\d{24}$/.test(rib) && BigInt(rib) % 97n === 0n;
+};
+
+/**
+ * Vérifie un IBAN (ISO 13616) : pays + clé en fin de chaîne, lettres A = 10 ... Z = 35, reste modulo 97 égal à 1.
+ */
+const isValidIban = (iban) => {
+    const compact = iban.replace(/\s+/g, '').toUpperCase();
+    if (!/^[A-Z]{2}\d{2}[A-Z0-9]{10,30}$/.test(compact)) return false;
+    const rearranged = `${compact.substring(4)}${compact.substring(0, 4)}`
+        .replace(/[A-Z]/g, letter => String(letter.charCodeAt(0) - 55));
+    return BigInt(rearranged) % 97n === 1n;
+};
+
+// Numéro mobile sénégalais (mobile money) : 9 chiffres commençant par 70, 75, 76, 77 ou 78, indicatif +221 facultatif
+const normalizeSenegalMobile = (phone) => {
+    const compact = String(phone).replace(/[\s.-]/g, '').replace(/^(\+|00)221/, '');
+    return /^7[05678]\d{7}$/.test(compact) ? `+221${compact}` : null;
+};
+
+// --- Masquage ---
+
+// Conserve les 4 derniers caractères : "SN0120100100..." → "********1234"
+const maskValue = (value) => {
+    if (value === null || value === undefined || value === '') return value;
+    const text = String(value);
+    return text.length <= 4 ? '*'.repeat(text.length) : `${'*'.repeat(text.length - 4)}${text.slice(-4)}`;
+};
+
+/**
+ * Masque les champs sensibles d'une liste de lignes si showSensitive est faux.
+ * @param {string} kind - Clé de SENSITIVE_FIELDS
+ */
+const applyMasking = (rows, kind, showSensitive) => {
+    if (showSensitive) return rows;
+    return rows.map(row => {
+        const masked = { ...row };
+        SENSITIVE_FIELDS[kind].forEach(field => { masked[field] = maskValue(row[field]); });
+        return masked;
+    });
+};
+
+const employeeExists = async (employeeId) => {
+    const [rows] = await db.query('SELECT id FROM employees WHERE id = ?', [employeeId]);
+    return rows.length > 0;
+};
+
+// --- Ayants droit ---
+
+/**
+ * Ayants droit d'un employé (actifs, ou tous avec includeInactive) et synthèse pour la paie.
+ */
+const listDependents = async (employeeId, { includeInactive = false } = {}) => {
+    const [rows] = await db.query(`
+        SELECT id, employee_id, lien, nom, prenom, genre, date_naissance, date_mariage, numero_acte,
+               a_charge, scolarise, actif, date_fin, motif_fin
+        FROM employee_dependents
+        WHERE employee_id = ? ${includeInactive ? '' : 'AND actif = TRUE'}
+        ORDER BY lien DESC, date_naissance ASC
+    `, [employeeId]);
+
+    const active = rows.filter(row => row.actif);
+    return {
+        ayants_droit: rows,
+        synthese: {
+            conjoints: active.filter(row => row.lien === 'Conjoint').length,
+            enfants: active.filter(row => row.lien === 'Enfant').length,
+            enfants_a_charge: active.filter(row => row.lien === 'Enfant' && row.a_charge).length
+        }
+    };
+};
+
+const createDependent = async (employeeId, value, userId) => {
+    const [result] = await db.query(`
+        INSERT INTO employee_dependents (
+            employee_id, lien, nom, prenom, genre, date_naissance, date_mariage, numero_acte, a_charge, scolarise, created_by_user_id
+        )
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `, [
+        employeeId, value.lien, value.nom, value.prenom, value.genre || null, value.date_naissance || null,
+        value.date_mariage || null, value.numero_acte || null, value.a_charge, value.scolarise, userId
+    ]);
+    return result.insertId;
+};
+
+/**
+ * Met à jour un ayant droit (champs fournis uniquement). Renvoie false s'il n'appartient pas à l'employé.
+ * La fin de droit (actif = FALSE, date_fin, motif_fin) passe par cette même mise à jour.
+ */
+const updateDependent = async (employeeId, dependentId, value) => {
+    const fields = Object.keys(value);
+    const [result] = await db.query(
+        `UPDATE employee_dependents SET ${fields.map(field => `${field} = ?`).join(', ')} WHERE id = ? AND employee_id = ?`,
+        [...fields.map(field => value[field]), dependentId, employeeId]
+    );
+    return result.affectedRows > 0;
+};
+
+// --- Moyens de paiement ---
+
+const listPaymentMethods = async (employeeId, { includeInactive = false } = {}) => {
+    const [rows] = await db.query(`
+        SELECT id, employee_id, type_paiement, titulaire, banque, code_banque, code_guichet, numero_compte, cle_rib,
+               iban, telephone, est_principal, actif, created_at
+        FROM employee_payment_methods
+        WHERE employee_id = ? ${includeInactive ? '' : 'AND actif = TRUE'}
+        ORDER BY est_principal DESC, created_at DESC
+    `, [employeeId]);
+    return rows;
+};
+
+/**
+ * Ajoute un moyen de paiement dans la transaction de l'appelant.
+ * Le premier moyen actif devient principal ; un nouveau moyen principal remplace le précédent.
+ */
+const createPaymentMethod = async (connection, employeeId, value, userId) => {
+    const [active] = await connection.query(
+        'SELECT id FROM employee_payment_methods WHERE employee_id = ? AND actif = TRUE FOR UPDATE',
+        [employeeId]
+    );
+    const principal = value.est_principal || active.length === 0;
+    if (principal && active.length > 0) {
+        await connection.query(
+            'UPDATE employee_payment_methods SET est_principal = FALSE WHERE employee_id = ? AND est_principal = TRUE',
+            [employeeId]
+        );
+    }
+
+    const [result] = await connection.query(`
+        INSERT INTO employee_payment_methods (
+            employee_id, type_paiement, titulaire, banque, code_banque, code_guichet, numero_compte, cle_rib,
+            iban, telephone, est_principal, created_by_user_id
+        )
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `, [
+        employeeId, value.type_paiement, value.titulaire, value.banque || null,
+        value.code_banque || null, value.code_guichet || null, value.numero_compte || null, value.cle_rib || null,
+        value.iban || null, value.telephone || null, principal, userId
+    ]);
+    return result.insertId;
+};
+
+/**
+ * Désactive un moyen de paiement (conservé pour l'historique des virements), ou le désigne comme principal.
+ * Renvoie { status, message } en cas d'erreur.
+ */
+const updatePaymentMethodStatus = async (connection, employeeId, methodId, { actif, est_principal }) => {
+    const [rows] = await connection.query(
+        'SELECT id, actif FROM employee_payment_methods WHERE id = ? AND employee_id = ? FOR UPDATE',
+        [methodId, employeeId]
+    );
+    if (rows.length === 0) {
+        return { status: 404, message: 'Moyen de paiement non trouvé pour cet employé.' };
+    }
+    if (est_principal && (actif === false || !rows[0].actif)) {
+        return { status: 400, message: 'Un moyen de paiement désactivé ne peut pas être principal.' };
+    }
+
+    if (est_principal) {
+        await connection.query(
+            'UPDATE employee_payment_methods SET est_principal = FALSE WHERE employee_id = ? AND est_principal = TRUE',
+            [employeeId]
+        );
+        await connection.query('UPDATE employee_payment_methods SET est_principal = TRUE WHERE id = ?', [methodId]);
+    }
+    if (actif === false) {
+        await connection.query('UPDATE employee_payment_methods SET actif = FALSE, est_principal = FALSE WHERE id = ?', [methodId]);
+    }
+    return {};
+};
+
+// --- Numéros d'identification ---
+
+const getIdentity = async (employeeId) => {
+    const [rows] = await db.query(
+        'SELECT employee_id, nin, numero_ipres, numero_css, updated_at FROM employee_identity WHERE employee_id = ?',
+        [employeeId]
+    );
+    return rows[0] || { employee_id: Number(employeeId), nin: null, numero_ipres: null, numero_css: null, updated_at: null };
+};
+
+// Crée ou met à jour les numéros d'identification (champs fournis uniquement)
+const saveIdentity = async (connection, employeeId, value, userId) => {
+    const [rows] = await connection.query('SELECT id FROM employee_identity WHERE employee_id = ? FOR UPDATE', [employeeId]);
+    const fields = Object.keys(value);
+
+    if (rows.length > 0) {
+        await connection.query(
+            `UPDATE employee_identity SET ${fields.map(field => `${field} = ?`).join(', ')}, updated_by_user_id = ? WHERE id = ?`,
+            [...fields.map(field => value[field]), userId, rows[0].id]
+        );
+    } else {
+        await connection.query(
+            `INSERT INTO employee_identity (employee_id, ${fields.join(', ')}, updated_by_user_id) VALUES (?, ${fields.map(() => '?').join(', ')}, ?)`,
+            [employeeId, ...fields.map(field => value[field]), userId]
+        );
+    }
+};
+
+// --- Pièces d'identité ---
+
+/**
+ * Pièces d'identité d'un employé, avec leur état d'expiration ('Valide', 'Expire bientôt', 'Expirée').
+ */
+const listIdDocuments = async (employeeId, { includeInactive = false } = {}) => {
+    const [rows] = await db.query(`
+        SELECT id, employee_id, type_piece, numero, date_delivrance, date_expiration, lieu_delivrance, pays_delivrance,
+               document_id, actif, created_at,
+               CASE
+                   WHEN date_expiration IS NULL THEN 'Valide'
+                   WHEN date_expiration < CURDATE() THEN 'Expirée'
+                   WHEN date_expiration <= CURDATE() + INTERVAL ? DAY THEN 'Expire bientôt'
+                   ELSE 'Valide'
+               END AS etat
+        FROM employee_id_documents
+        WHERE employee_id = ? ${includeInactive ? '' : 'AND actif = TRUE'}
+        ORDER BY actif DESC, type_piece, date_delivrance DESC
+    `, [ID_EXPIRY_WARNING_DAYS, employeeId]);
+    return rows;
+};
+
+/**
+ * Enregistre une pièce d'identité dans la transaction de l'appelant.
+ * La pièce active du même type est désactivée (renouvellement) ; la copie numérisée doit appartenir à l'employé.
+ * Renvoie { status, message } en cas d'erreur, sinon { idDocumentId, replacedId }.
+ */
+const createIdDocument = async (connection, employeeId, value, userId) => {
+    if (value.document_id) {
+        const [documents] = await connection.query('SELECT id FROM documents WHERE id = ? AND employee_id = ?', [value.document_id, employeeId]);
+        if (documents.length === 0) {
+            return { status: 404, message: 'Copie numérisée (document_id) non trouvée pour cet employé.' };
+        }
+    }
+
+    const [previous] = await connection.query(
+        'SELECT id FROM employee_id_documents WHERE employee_id = ? AND type_piece = ? AND actif = TRUE FOR UPDATE',
+        [employeeId, value.type_piece]
+    );
+    if (previous.length > 0) {
+        await connection.query('UPDATE employee_id_documents SET actif = FALSE WHERE id IN (?)', [previous.map(row => row.id)]);
+    }
+
+    const [result] = await connection.query(`
+        INSERT INTO employee_id_documents (
+            employee_id, type_piece, numero, date_delivrance, date_expiration, lieu_delivrance, pays_delivrance,
+            document_id, created_by_user_id
+        )
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `, [
+        employeeId, value.type_piece, value.numero, value.date_delivrance, value.date_expiration || null,
+        value.lieu_delivrance || null, value.pays_delivrance || null, value.document_id || null, userId
+    ]);
+
+    return { idDocumentId: result.insertId, replacedId: previous.length > 0 ? previous[0].id : null };
+};
+
+/**
+ * Met à jour une pièce d'identité (copie numérisée, lieu, désactivation...).
+ * Renvoie { status, message } en cas d'erreur.
+ */
+const updateIdDocument = async (employeeId, idDocumentId, value) => {
+    const [rows] = await db.query(
+        'SELECT id, date_delivrance FROM employee_id_documents WHERE id = ? AND employee_id = ?',
+        [idDocumentId, employeeId]
+    );
+    if (rows.length === 0) {
+        return { status: 404, message: 'Pièce d\'identité non trouvée pour cet employé.' };
+    }
+    if (value.date_expiration && value.date_expiration <= rows[0].date_delivrance) {
+        return { status: 400, message: 'La date d\'expiration doit être postérieure à la date de délivrance.' };
+    }
+    if (value.document_id) {
+        const [documents] = await db.query('SELECT id FROM documents WHERE id = ? AND employee_id = ?', [value.document_id, employeeId]);
+        if (documents.length === 0) {
+            return { status: 404, message: 'Copie numérisée (document_id) non trouvée pour cet employé.' };
+        }
+    }
+
+    const fields = Object.keys(value);
+    await db.query(
+        `UPDATE employee_id_documents SET ${fields.map(field => `${field} = ?`).join(', ')} WHERE id = ?`,
+        [...fields.map(field => value[field]), idDocumentId]
+    );
+    return {};
+};
+
+module.exports = {
+    DEPENDENT_LINKS,
+    PAYMENT_TYPES,
+    ID_DOCUMENT_TYPES,
+    isValidRibKey,
+    isValidIban,
+    normalizeSenegalMobile,
+    applyMasking,
+    employeeExists,
+    listDependents,
+    createDependent,
+    updateDependent,
+    listPaymentMethods,
+    createPaymentMethod,
+    updatePaymentMethodStatus,
+    getIdentity,
+    saveIdentity,
+    listIdDocuments,
+    createIdDocument,
+    updateIdDocument
+};
@@ -0,0 +1,390 @@
+// Fichier: backend/services/employeeService.js
+
+const Joi = require('joi');
+const db = require('../config/db');
+const { ROLES } = require('../config/permissions');
+const structureService = require('./structureService');
+
+/**
+ * Lit la fiche complète d'un employé (employees + employee_personal + employee_contact).
+ * Utilisé par GET /api/employee/:id et par l'espace employé (/api/user/me).
+ * Renvoie null si l'employé n'existe pas.
+ */
+const findEmployeeById = async (employeeId, connection = db) => {
+    // Requête complexe joignant les trois tables de données de l'employé
+    const sql = `
+        SELECT 
+            e.*, 
+            ep.date_naissance, ep.genre, ep.nationalite, ep.situation_familiale,
+            ec.adresse_complete, ec.telephone_principal, ec.contact_urgence_nom, ec.contact_urgence_telephone
+        FROM employees e
+        LEFT JOIN employee_personal ep ON e.id = ep.employee_id
+        LEFT JOIN employee_contact ec ON e.id = ec.employee_id
+        WHERE e.id = ?
+    `;
+    const [rows] = await connection.query(sql, [employeeId]);
+    return rows[0] || null;
+};
+
+// Coordonnées que l'employé peut demander à modifier lui-même (validation RH obligatoire)
+const SELF_SERVICE_CONTACT_FIELDS = [
+    'adresse_complete', 'telephone_principal', 'telephone_whatsapp', 'email_personnel',
+    'contact_urgence_nom', 'contact_urgence_telephone'
+];
+
+// Schéma de validation pour la création initiale d'un employé (seulement les champs requis)
+// Partagé par POST /api/employee et l'import en masse
+const employeeCreationSchema = Joi.object({
+    // Données de base
+    matricule: Joi.string().max(50).required(), // Unique et obligatoire
+    nom: Joi.string().required(),
+    prenom: Joi.string().required(),
+    genre: Joi.string().valid('M', 'F', 'Autre').required(),
+    date_naissance: Joi.date().iso().required(),
+    date_embauche: Joi.date().iso().default(() => new Date().toISOString().split('T')[0]), // Début de l'affectation initiale
+    
+    // Affectation initiale (Doit être valide)
+    // Seule l'équipe est requise : service, département et site en sont déduits.
+    // S'ils sont fournis, ils doivent correspondre à la chaîne hiérarchique de l'équipe.
+    site_id: Joi.number().integer().min(1).optional(),
+    department_id: Joi.number().integer().min(1).optional(),
+    service_id: Joi.number().integer().min(1).optional(),
+    team_id: Joi.number().integer().min(1).required(),
+    position: Joi.string().max(255).required(), // Poste actuel
+    fonction: Joi.string().max(255).required(), // Fonction actuelle
+    
+    // Données contact d'urgence minimales
+    telephone_principal: Joi.string().max(50).required(),
+    contact_urgence_nom: Joi.string().max(255).required(),
+    contact_urgence_telephone: Joi.string().max(50).required(),
+
+    // L'ID utilisateur (user_id) est optionnel à la création
+    user_id: Joi.number().integer().optional().allow(null) 
+});
+
+/**
+ * Contrôles préalables à la création d'un employé (sans écriture) :
+ * unicité du matricule et chaîne hiérarchique (les niveaux supérieurs sont déduits de l'équipe).
+ * Renvoie { status, message } en cas d'erreur métier, sinon { assignment }.
+ */
+const checkEmployeeCreation = async (connection, value) => {
+    const [existing] = await connection.query('SELECT matricule FROM employees WHERE matricule = ?', [value.matricule]);
+    if (existing.length > 0) {
+        return { status: 409, message: 'Ce matricule existe déjà. Unicité requise.' };
+    }
+
+    return structureService.resolveAssignment(connection, value);
+};
+
+/**
+ * Crée un employé dans la transaction de l'appelant : employees, employee_personal,
+ * employee_contact et première ligne de employee_affectations ('Embauche initiale').
+ * @param {object} value - Données validées par employeeCreationSchema
+ * Renvoie { status, message } en cas d'erreur métier, sinon { employeeId }.
+ */
+const createEmployee = async (connection, value, userId) => {
+    const {
+        matricule, nom, prenom, genre, date_naissance, date_embauche, position, fonction,
+        telephone_principal, contact_urgence_nom, contact_urgence_telephone, user_id
+    } = value;
+
+    // 1. Matricule unique et chaîne hiérarchique (équipe → service → département → site)
+    const check = await checkEmployeeCreation(connection, value);
+    if (check.status) return check;
+    const { site_id, department_id, service_id, team_id } = check.assignment;
+
+    // 2. Insertion dans la table `employees`
+    const [empResult] = await connection.query(`
+        INSERT INTO employees (matricule, nom, prenom, date_embauche, site_id, department_id, service_id, team_id, position, fonction, user_id)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `, [matricule, nom, prenom, date_embauche, site_id, department_id, service_id, team_id, position, fonction, user_id]);
+
+    const employeeId = empResult.insertId;
+
+    // 3. Insertion dans la table `employee_personal`
+    await connection.query(`
+        INSERT INTO employee_personal (employee_id, date_naissance, genre)
+        VALUES (?, ?, ?)
+    `, [employeeId, date_naissance, genre]);
+
+    // 4. Insertion dans la table `employee_contact`
+    await connection.query(`
+        INSERT INTO employee_contact (employee_id, telephone_principal, contact_urgence_nom, contact_urgence_telephone)
+        VALUES (?, ?, ?, ?)
+    `, [employeeId, telephone_principal, contact_urgence_nom, contact_urgence_telephone]);
+
+    // 5. Insertion dans la table `employee_affectations` (Historique initial)
+    // L'affectation initiale sert de première ligne dans l'historique
+    await connection.query(`
+        INSERT INTO employee_affectations (
+            employee_id, date_debut, motif, created_by_user_id,
+            site_id_nouveau, department_id_nouveau, service_id_nouveau, team_id_nouveau, position_nouvelle, fonction_nouvelle
+        )
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `, [
+        employeeId, date_embauche, 'Embauche initiale', userId,
+        site_id, department_id, service_id, team_id, position, fonction
+    ]);
+
+    return { employeeId };
+};
+
+// Colonnes de tri autorisées pour l'annuaire (clé de l'API => expression SQL)
+const DIRECTORY_SORT_COLUMNS = {
+    matricule: 'e.matricule',
+    nom: 'e.nom',
+    prenom: 'e.prenom',
+    statut: 'e.statut',
+    position: 'e.position',
+    date_embauche: 'e.date_embauche',
+    site: 's.nom',
+    department: 'd.nom',
+    service: 'sv.nom',
+    team: 't.nom'
+};
+
+// Filtres et tri de l'annuaire, communs à la liste paginée (GET /api/employee) et aux exports
+const directoryFilterSchema = Joi.object({
+    search: Joi.string().max(100).optional(), // Matricule, nom ou prénom
+    site_id: Joi.number().integer().min(1).optional(),
+    department_id: Joi.number().integer().min(1).optional(),
+    service_id: Joi.number().integer().min(1).optional(),
+    team_id: Joi.number().integer().min(1).optional(),
+    statut: Joi.string().valid('Actif', 'Congé', 'Maladie', 'Suspendu', 'Licencié', 'Sorti').optional(),
+    include_archived: Joi.boolean().default(false), // Inclure les employés sortis des effectifs (sans filtre statut)
+    position: Joi.string().max(255).optional(),
+    type_contrat: Joi.string().valid('CDI', 'CDD', 'Stage', 'Consultant', 'Saisonnier', 'Apprentissage').optional(),
+    genre: Joi.string().valid('M', 'F', 'Autre').optional(),
+    date_embauche_debut: Joi.date().iso().optional(),
+    date_embauche_fin: Joi.date().iso().min(Joi.ref('date_embauche_debut')).optional(),
+    sort_by: Joi.string().valid(...Object.keys(DIRECTORY_SORT_COLUMNS)).default('nom'),
+    sort_order: Joi.string().valid('asc', 'desc').default('asc')
+});
+
+/**
+ * Construit la clause FROM/WHERE de l'annuaire (filtres de recherche + périmètre).
+ * Partagée par la liste paginée et les exports. Alias : e, ep, ec, s, d, sv, t et c (contrat principal actif).
+ * @param {object} filters - Filtres validés par directoryFilterSchema
+ * @param {{ clause: string, params: any[] }} scope - Restriction de périmètre (buildScopeClause, alias 'e')
+ * Renvoie { fromClause, params, orderClause }.
+ */
+const buildDirectoryQuery = (filters, scope) => {
+    const conditions = [scope.clause];
+    const params = [...scope.params];
+
+    // Filtres d'égalité sur l'affectation
+    ['site_id', 'department_id', 'service_id', 'team_id'].forEach(column => {
+        if (filters[column]) { conditions.push(`e.${column} = ?`); params.push(filters[column]); }
+    });
+
+    // Les employés archivés (Licencié, Sorti) ne sont listés que sur demande
+    if (filters.statut) {
+        conditions.push('e.statut = ?'); params.push(filters.statut);
+    } else if (!filters.include_archived) {
+        conditions.push('e.statut NOT IN (\'Licencié\', \'Sorti\')');
+    }
+
+    if (filters.position) { conditions.push('e.position LIKE ?'); params.push(`%${filters.position}%`); }
+    if (filters.genre) { conditions.push('ep.genre = ?'); params.push(filters.genre); }
+    if (filters.type_contrat) { conditions.push('c.type_contrat = ?'); params.push(filters.type_contrat); }
+    if (filters.date_embauche_debut) { conditions.push('e.date_embauche >= ?'); params.push(filters.date_embauche_debut); }
+    if (filters.date_embauche_fin) { conditions.push('e.date_embauche <= ?'); params.push(filters.date_embauche_fin); }
+
+    // Recherche texte sur matricule, nom et prénom (chaque mot doit correspondre à l'un des trois)
+    if (filters.search) {
+        filters.search.trim().split(/\s+/).forEach(word => {
+            conditions.push('(e.matricule LIKE ? OR e.nom LIKE ? OR e.prenom LIKE ?)');
+            params.push(`%${word}%`, `%${word}%`, `%${word}%`);
+        });
+    }
+
+    // Contrat principal actif (un seul par employé, voir POST /api/hr/contracts)
+    const fromClause = `
+        FROM employees e
+        LEFT JOIN employee_personal ep ON e.id = ep.employee_id
+        LEFT JOIN employee_contact ec ON e.id = ec.employee_id
+        LEFT JOIN sites s ON e.site_id = s.id
+        LEFT JOIN departments d ON e.department_id = d.id
+        LEFT JOIN services sv ON e.service_id = sv.id
+        LEFT JOIN teams t ON e.team_id = t.id
+        LEFT JOIN contracts c ON c.employee_id = e.id AND c.statut = 'Actif' AND c.is_avenant = FALSE
+        WHERE ${conditions.join(' AND ')}
+    `;
+
+    const sortOrder = filters.sort_order === 'desc' ? 'DESC' : 'ASC';
+    const orderClause = `ORDER BY ${DIRECTORY_SORT_COLUMNS[filters.sort_by] || 'e.nom'} ${sortOrder}, e.id ${sortOrder}`;
+
+    return { fromClause, params, orderClause };
+};
+
+/**
+ * Annuaire des employés : recherche, filtres, tri et pagination.
+ * Renvoie { total, employees }.
+ */
+const searchEmployees = async (filters, scope) => {
+    const { fromClause, params, orderClause } = buildDirectoryQuery(filters, scope);
+
+    const [countRows] = await db.query(`SELECT COUNT(DISTINCT e.id) AS total ${fromClause}`, params);
+
+    const [employees] = await db.query(`
+        SELECT
+            e.id, e.matricule, e.nom, e.prenom, e.statut, e.position, e.fonction, e.date_embauche, e.date_sortie, e.user_id,
+            ep.genre,
+            e.site_id, s.nom AS nom_site,
+            e.department_id, d.nom AS nom_departement,
+            e.service_id, sv.nom AS nom_service,
+            e.team_id, t.nom AS nom_equipe,
+            c.type_contrat
+        ${fromClause}
+        ${orderClause}
+        LIMIT ? OFFSET ?
+    `, [...params, filters.limit, filters.offset]);
+
+    return { total: Number(countRows[0].total), employees: employees };
+};
+
+// Colonnes exportables (clé de l'API => expression SQL sur les alias de buildDirectoryQuery)
+// restrictedTo : rôles seuls autorisés à exporter la colonne (données sensibles)
+const EXPORT_COLUMNS = {
+    // employees
+    matricule: { sql: 'e.matricule', label: 'Matricule' },
+    nom: { sql: 'e.nom', label: 'Nom' },
+    prenom: { sql: 'e.prenom', label: 'Prénom' },
+    statut: { sql: 'e.statut', label: 'Statut' },
+    position: { sql: 'e.position', label: 'Poste' },
+    fonction: { sql: 'e.fonction', label: 'Fonction' },
+    date_embauche: { sql: 'e.date_embauche', label: 'Date d\'embauche' },
+    date_sortie: { sql: 'e.date_sortie', label: 'Date de sortie' },
+    site: { sql: 's.nom', label: 'Site' },
+    departement: { sql: 'd.nom', label: 'Département' },
+    service: { sql: 'sv.nom', label: 'Service' },
+    equipe: { sql: 't.nom', label: 'Équipe' },
+    // employee_personal
+    date_naissance: { sql: 'ep.date_naissance', label: 'Date de naissance' },
+    lieu_naissance: { sql: 'ep.lieu_naissance', label: 'Lieu de naissance' },
+    nationalite: { sql: 'ep.nationalite', label: 'Nationalité' },
+    genre: { sql: 'ep.genre', label: 'Genre' },
+    situation_familiale: { sql: 'ep.situation_familiale', label: 'Situation familiale' },
+    nom_jeune_fille: { sql: 'ep.nom_jeune_fille', label: 'Nom de jeune fille' },
+    // employee_contact
+    adresse_complete: { sql: 'ec.adresse_complete', label: 'Adresse' },
+    telephone_principal: { sql: 'ec.telephone_principal', label: 'Téléphone' },
+    telephone_whatsapp: { sql: 'ec.telephone_whatsapp', label: 'WhatsApp' },
+    email_personnel: { sql: 'ec.email_personnel', label: 'Email personnel' },
+    contact_urgence_nom: { sql: 'ec.contact_urgence_nom', label: 'Contact d\'urgence' },
+    contact_urgence_telephone: { sql: 'ec.contact_urgence_telephone', label: 'Téléphone d\'urgence' },
+    // Contrat principal actif
+    type_contrat: { sql: 'c.type_contrat', label: 'Type de contrat' },
+    contrat_date_debut: { sql: 'c.date_debut', label: 'Début du contrat' },
+    contrat_date_fin_prevue: { sql: 'c.date_fin_prevue', label: 'Fin prévue du contrat' },
+    salaire_de_base: { sql: 'c.salaire_de_base', label: 'Salaire de base', restrictedTo: [ROLES.ADMIN, ROLES.RH] }
+};
+
+const MAX_EXPORT_ROWS = 10000;
+
+/**
+ * Export personnalisé : colonnes choisies, mêmes filtres que l'annuaire, sans pagination.
+ * @param {string[]} columnKeys - Clés de EXPORT_COLUMNS (déjà contrôlées par la route)
+ * Renvoie { columns: [{ key, label }], rows }, ou une erreur 413 au-delà de MAX_EXPORT_ROWS lignes
+ * (jamais d'export tronqué sans le signaler).
+ */
+const exportEmployees = async (filters, scope, columnKeys) => {
+    const { fromClause, params, orderClause } = buildDirectoryQuery(filters, scope);
+
+    const [rows] = await db.query(`
+        SELECT ${columnKeys.map(key => `${EXPORT_COLUMNS[key].sql} AS ${key}`).join(', ')}
+        ${fromClause}
+        ${orderClause}
+        LIMIT ?
+    `, [...params, MAX_EXPORT_ROWS + 1]);
+
+    if (rows.length > MAX_EXPORT_ROWS) {
+        return { status: 413, message: `L'export dépasse ${MAX_EXPORT_ROWS} lignes. Affinez les filtres (site, département, statut...).` };
+    }
+
+    return { columns: columnKeys.map(key => ({ key, label: EXPORT_COLUMNS[key].label })), rows };
+};
+
+// Colonnes du registre du personnel
+const REGISTRE_COLUMNS = [
+    { key: 'matricule', label: 'Matricule' },
+    { key: 'nom', label: 'Nom' },
+    { key: 'prenom', label: 'Prénom' },
+    { key: 'genre', label: 'Genre' },
+    { key: 'date_naissance', label: 'Date de naissance' },
+    { key: 'nationalite', label: 'Nationalité' },
+    { key: 'date_embauche', label: 'Date d\'embauche' },
+    { key: 'date_sortie', label: 'Date de sortie' },
+    { key: 'type_contrat', label: 'Type de contrat' },
+    { key: 'position', label: 'Poste' },
+    { key: 'fonction', label: 'Fonction' }
+];
+
+/**
+ * Registre du personnel : tous les employés, y compris les salariés sortis, par ordre d'embauche.
+ * Un employé réembauché a une ligne par période d'emploi : les périodes closes sont reprises de employee_exits
+ * (poste, fonction et site de la dernière affectation de la période, contrat principal clôturé), la période
+ * en cours de la fiche employé avec le type du dernier contrat principal (actif ou non).
+ */
+const findRegistreEntries = async (scope, { siteId = null } = {}) => {
+    const currentConditions = [scope.clause];
+    const currentParams = [...scope.params];
+    const pastConditions = [scope.clause, 'x.statut = \'Sorti\'', 'x.dernier_jour_travaille < e.date_embauche'];
+    const pastParams = [...scope.params];
+    if (siteId) {
+        currentConditions.push('e.site_id = ?');
+        currentParams.push(siteId);
+        pastConditions.push('a.site_id_nouveau = ?');
+        pastParams.push(siteId);
+    }
+
+    const [rows] = await db.query(`
+        SELECT
+            e.matricule, e.nom, e.prenom, ep.genre, ep.date_naissance, ep.nationalite,
+            x.date_embauche, x.dernier_jour_travaille AS date_sortie, c.type_contrat,
+            a.position_nouvelle AS position, a.fonction_nouvelle AS fonction
+        FROM employee_exits x
+        JOIN employees e ON x.employee_id = e.id
+        LEFT JOIN employee_personal ep ON e.id = ep.employee_id
+        LEFT JOIN contracts c ON x.contract_id = c.id
+        LEFT JOIN employee_affectations a ON a.id = (
+            SELECT a2.id FROM employee_affectations a2
+            WHERE a2.employee_id = e.id AND a2.date_debut <= x.dernier_jour_travaille
+            ORDER BY a2.date_debut DESC, a2.id DESC
+            LIMIT 1
+        )
+        WHERE ${pastConditions.join(' AND ')}
+
+        UNION ALL
+
+        SELECT
+            e.matricule, e.nom, e.prenom, ep.genre, ep.date_naissance, ep.nationalite,
+            e.date_embauche, e.date_sortie, c.type_contrat, e.position, e.fonction
+        FROM employees e
+        LEFT JOIN employee_personal ep ON e.id = ep.employee_id
+        LEFT JOIN contracts c ON c.id = (
+            SELECT c2.id FROM contracts c2
+            WHERE c2.employee_id = e.id AND c2.is_avenant = FALSE
+            ORDER BY c2.date_debut DESC, c2.id DESC
+            LIMIT 1
+        )
+        WHERE ${currentConditions.join(' AND ')}
+        ORDER BY date_embauche, matricule
+    `, [...pastParams, ...currentParams]);
+
+    return { columns: REGISTRE_COLUMNS, rows };
+};
+
+module.exports = {
+    employeeCreationSchema,
+    findEmployeeById,
+    checkEmployeeCreation,
+    createEmployee,
+    directoryFilterSchema,
+    searchEmployees,
+    exportEmployees,
+    findRegistreEntries,
+    DIRECTORY_SORT_COLUMNS,
+    EXPORT_COLUMNS,
+    SELF_SERVICE_CONTACT_FIELDS
+};
@@ -0,0 +1,132 @@
+// Fichier: backend/services/exportService.js
+
+const ExcelJS = require('exceljs');
+const PDFDocument = require('pdfkit');
+
+const EXPORT_FORMATS = ['csv', 'xlsx', 'pdf'];
+
+const CONTENT_TYPES = {
+    csv: 'text/csv; charset=utf-8',
+    xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    pdf: 'application/pdf'
+};
+
+// Dates au format français JJ/MM/AAAA (les colonnes DATE arrivent en objets Date depuis mysql2)
+const formatDate = (date) => `${String(date.getDate()).padStart(2, '0')}/${String(date.getMonth() + 1).padStart(2, '0')}/${date.getFullYear()}`;
+
+const formatText = (value) => {
+    if (value === null || value === undefined) return '';
+    if (value instanceof Date) return formatDate(value);
+    return String(value);
+};
+
+// Injection de formule : un texte commençant par = + - @, une tabulation ou un retour chariot serait interprété
+// comme une formule par le tableur ; il est préfixé d'une apostrophe (les nombres restent inchangés)
+const FORMULA_TRIGGER = /^[=+\-@\t\r]/;
+const PLAIN_NUMBER = /^[-+]?\d+(\.\d+)?$/;
+
+const neutralizeFormula = (text) => (FORMULA_TRIGGER.test(text) && !PLAIN_NUMBER.test(text) ? `'${text}` : text);
+
+// --- CSV : séparateur ; et BOM UTF-8 pour une ouverture directe dans Excel (paramètres régionaux français) ---
+
+const escapeCsv = (value) => {
+    const text = neutralizeFormula(formatText(value));
+    return /[";\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const buildCsv = ({ columns, rows }) => {
+    const lines = [
+        columns.map(column => escapeCsv(column.label)).join(';'),
+        ...rows.map(row => columns.map(column => escapeCsv(row[column.key])).join(';'))
+    ];
+    return Buffer.from(`\uFEFF${lines.join('\r\n')}\r\n`, 'utf8');
+};
+
+// --- XLSX : une feuille, en-têtes en gras, dates conservées en vraies dates ---
+
+const buildXlsx = async ({ title, columns, rows }) => {
+    const workbook = new ExcelJS.Workbook();
+    workbook.creator = 'SOGAS-RH';
+    workbook.created = new Date();
+
+    const sheet = workbook.addWorksheet(title.substring(0, 31)); // Limite Excel du nom de feuille
+    sheet.columns = columns.map(column => ({ header: column.label, key: column.key, width: Math.max(12, column.label.length + 2) }));
+    sheet.getRow(1).font = { bold: true };
+    sheet.views = [{ state: 'frozen', ySplit: 1 }];
+
+    rows.forEach(row => {
+        const added = sheet.addRow(columns.reduce((values, column) => {
+            const value = row[column.key];
+            return { ...values, [column.key]: typeof value === 'string' ? neutralizeFormula(value) : value };
+        }, {}));
+        columns.forEach((column, index) => {
+            if (row[column.key] instanceof Date) added.getCell(index + 1).numFmt = 'dd/mm/yyyy';
+        });
+    });
+
+    return Buffer.from(await workbook.xlsx.writeBuffer());
+};
+
+// --- PDF : tableau paginé en A4 paysage, en-tête répété sur chaque page ---
+
+const buildPdf = ({ title, columns, rows }) => new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: 'A4', layout: 'landscape', margin: 30 });
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    const left = doc.page.margins.left;
+    const tableWidth = doc.page.width - doc.page.margins.left - doc.page.margins.right;
+    const columnWidth = tableWidth / columns.length;
+    const bottom = doc.page.height - doc.page.margins.bottom;
+    const padding = 3;
+    const fontSize = columns.length > 10 ? 7 : 8;
+
+    const drawRow = (cells, bold) => {
+        doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(fontSize);
+        const height = Math.max(...cells.map(cell => doc.heightOfString(cell, { width: columnWidth - 2 * padding }))) + 2 * padding;
+
+        if (doc.y + height > bottom) {
+            doc.addPage();
+            if (!bold) drawRow(columns.map(column => column.label), true);
+            doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(fontSize);
+        }
+
+        const top = doc.y;
+        cells.forEach((cell, index) => {
+            const x = left + index * columnWidth;
+            doc.rect(x, top, columnWidth, height).stroke('#999999');
+            doc.fillColor('#000000').text(cell, x + padding, top + padding, { width: columnWidth - 2 * padding });
+        });
+        doc.x = left;
+        doc.y = top + height;
+    };
+
+    doc.font('Helvetica-Bold').fontSize(14).text(title);
+    doc.font('Helvetica').fontSize(9).text(`Édité le ${formatDate(new Date())} — ${rows.length} enregistrement(s)`);
+    doc.moveDown();
+
+    drawRow(columns.map(column => column.label), true);
+    rows.forEach(row => drawRow(columns.map(column => formatText(row[column.key])), false));
+
+    doc.end();
+});
+
+const BUILDERS = { csv: buildCsv, xlsx: buildXlsx, pdf: buildPdf };
+
+/**
+ * Génère le fichier d'export et l'envoie en pièce jointe.
+ * @param {object} res - Réponse Express
+ * @param {string} format - 'csv', 'xlsx' ou 'pdf'
+ * @param {{ fileName: string, title: string, columns: {key, label}[], rows: object[] }} data
+ *   fileName sans extension ; title utilisé pour la feuille XLSX et l'en-tête PDF.
+ */
+const sendExport = async (res, format, data) => {
+    const content = await BUILDERS[format](data);
+    res.setHeader('Content-Type', CONTENT_TYPES[format]);
+    res.setHeader('Content-Disposition', `attachment; filename="${data.fileName}.${format}"`);
+    res.status(200).send(content);
+};
+
+module.exports = { EXPORT_FORMATS, sendExport };
@@ -0,0 +1,160 @@
+// Fichier: backend/services/hierarchyService.js
+
+const db = require('../config/db');
+
+// Configuration de chaque niveau dirigeable de la structure
+const UNIT_TYPES = {
+    department: { table: 'departments', headColumn: 'responsable_id', employeeColumn: 'department_id', label: 'Département', role: 'Chef de département' },
+    service: { table: 'services', headColumn: 'responsable_id', employeeColumn: 'service_id', label: 'Service', role: 'Chef de service' },
+    team: { table: 'teams', headColumn: 'chef_equipe_id', employeeColumn: 'team_id', label: 'Équipe', role: 'Chef d\'équipe' }
+};
+
+/**
+ * Nomme le responsable d'une unité (département, service ou équipe).
+ * Le responsable doit être un employé ACTIF affecté à cette unité.
+ * L'ancienne nomination est clôturée la veille de date_debut dans unit_managers.
+ * Renvoie { status, message } en cas d'erreur métier, sinon { previousHeadId }.
+ */
+const assignUnitHead = async (connection, unitType, unitId, employeeId, { dateDebut, motif }, userId) => {
+    const config = UNIT_TYPES[unitType];
+
+    // 1. L'unité doit exister et être active
+    const [unitRows] = await connection.query(
+        `SELECT id, ${config.headColumn} AS head_id FROM ${config.table} WHERE id = ? AND actif = TRUE FOR UPDATE`,
+        [unitId]
+    );
+    if (unitRows.length === 0) {
+        return { status: 404, message: `${config.label} introuvable.` };
+    }
+    const previousHeadId = unitRows[0].head_id;
+
+    if (previousHeadId === employeeId) {
+        return { status: 409, message: 'Cet employé est déjà le responsable de cette unité.' };
+    }
+
+    // 2. Le responsable doit être un employé actif de l'unité
+    const [empRows] = await connection.query(
+        `SELECT id, statut, ${config.employeeColumn} AS unit_id FROM employees WHERE id = ?`,
+        [employeeId]
+    );
+    if (empRows.length === 0) {
+        return { status: 404, message: 'Employé non trouvé.' };
+    }
+    if (empRows[0].statut !== 'Actif') {
+        return { status: 400, message: 'Le responsable doit être un employé actif.' };
+    }
+    if (empRows[0].unit_id !== Number(unitId)) {
+        return { status: 400, message: `Le responsable doit être affecté à cette unité (${config.label.toLowerCase()}).` };
+    }
+
+    // 3. Historique : clôture de la nomination en cours, ouverture de la nouvelle
+    await closeCurrentMandate(connection, unitType, unitId, dateDebut);
+    await connection.query(`
+        INSERT INTO unit_managers (unit_type, unit_id, employee_id, date_debut, motif, created_by_user_id)
+        VALUES (?, ?, ?, ?, ?, ?)
+    `, [unitType, unitId, employeeId, dateDebut, motif || null, userId]);
+
+    // 4. Responsable actuel sur l'unité
+    await connection.query(`UPDATE ${config.table} SET ${config.headColumn} = ? WHERE id = ?`, [employeeId, unitId]);
+
+    return { previousHeadId: previousHeadId };
+};
+
+// Clôture le mandat en cours d'une unité la veille de la date donnée
+const closeCurrentMandate = async (connection, unitType, unitId, dateDebut) => {
+    await connection.query(`
+        UPDATE unit_managers
+        SET date_fin = GREATEST(date_debut, ? - INTERVAL 1 DAY)
+        WHERE unit_type = ? AND unit_id = ? AND date_fin IS NULL
+    `, [dateDebut, unitType, unitId]);
+};
+
+/**
+ * Retire le responsable d'une unité (poste vacant) et clôture son mandat.
+ * Renvoie { status, message } en cas d'erreur métier, sinon {}.
+ */
+const removeUnitHead = async (connection, unitType, unitId, { dateFin }) => {
+    const config = UNIT_TYPES[unitType];
+
+    const [unitRows] = await connection.query(
+        `SELECT id, ${config.headColumn} AS head_id FROM ${config.table} WHERE id = ? FOR UPDATE`,
+        [unitId]
+    );
+    if (unitRows.length === 0) {
+        return { status: 404, message: `${config.label} introuvable.` };
+    }
+    if (!unitRows[0].head_id) {
+        return { status: 404, message: 'Aucun responsable n\'est nommé pour cette unité.' };
+    }
+
+    // dateFin est le dernier jour du mandat
+    await connection.query(`
+        UPDATE unit_managers
+        SET date_fin = GREATEST(date_debut, ?)
+        WHERE unit_type = ? AND unit_id = ? AND date_fin IS NULL
+    `, [dateFin, unitType, unitId]);
+    await connection.query(`UPDATE ${config.table} SET ${config.headColumn} = NULL WHERE id = ?`, [unitId]);
+
+    return {};
+};
+
+// Historique des responsables d'une unité, du plus récent au plus ancien
+const getUnitHeadHistory = async (unitType, unitId) => {
+    const [rows] = await db.query(`
+        SELECT um.id, um.employee_id, e.matricule, e.nom, e.prenom, um.date_debut, um.date_fin, um.motif, um.created_at
+        FROM unit_managers um
+        JOIN employees e ON um.employee_id = e.id
+        WHERE um.unit_type = ? AND um.unit_id = ?
+        ORDER BY um.date_debut DESC, um.id DESC
+    `, [unitType, unitId]);
+    return rows;
+};
+
+/**
+ * Chaîne hiérarchique d'un employé : chef d'équipe, puis chef de service, puis chef de département.
+ * Un employé n'est jamais son propre approbateur (un chef d'équipe remonte à son chef de service).
+ * Chaque élément : { niveau, unit_type, unit_id, employee_id, user_id, matricule, nom, prenom }.
+ */
+const findApprovers = async (employeeId, connection = db) => {
+    const [rows] = await connection.query(`
+        SELECT
+            e.id,
+            t.id AS team_unit_id, ct.id AS team_employee_id, ct.user_id AS team_user_id, ct.matricule AS team_matricule, ct.nom AS team_nom, ct.prenom AS team_prenom,
+            sv.id AS service_unit_id, cs.id AS service_employee_id, cs.user_id AS service_user_id, cs.matricule AS service_matricule, cs.nom AS service_nom, cs.prenom AS service_prenom,
+            d.id AS department_unit_id, cd.id AS department_employee_id, cd.user_id AS department_user_id, cd.matricule AS department_matricule, cd.nom AS department_nom, cd.prenom AS department_prenom
+        FROM employees e
+        LEFT JOIN teams t ON e.team_id = t.id
+        LEFT JOIN employees ct ON t.chef_equipe_id = ct.id AND ct.statut = 'Actif'
+        LEFT JOIN services sv ON e.service_id = sv.id
+        LEFT JOIN employees cs ON sv.responsable_id = cs.id AND cs.statut = 'Actif'
+        LEFT JOIN departments d ON e.department_id = d.id
+        LEFT JOIN employees cd ON d.responsable_id = cd.id AND cd.statut = 'Actif'
+        WHERE e.id = ?
+    `, [employeeId]);
+
+    if (rows.length === 0) return null;
+    const row = rows[0];
+
+    return ['team', 'service', 'department']
+        .filter(level => row[`${level}_employee_id`] && row[`${level}_employee_id`] !== row.id)
+        .map(level => ({
+            niveau: UNIT_TYPES[level].role,
+            unit_type: level,
+            unit_id: row[`${level}_unit_id`],
+            employee_id: row[`${level}_employee_id`],
+            user_id: row[`${level}_user_id`],
+            matricule: row[`${level}_matricule`],
+            nom: row[`${level}_nom`],
+            prenom: row[`${level}_prenom`]
+        }))
+        // Un même responsable peut diriger plusieurs niveaux : on ne le garde qu'une fois
+        .filter((approver, index, list) => list.findIndex(other => other.employee_id === approver.employee_id) === index);
+};
+
+// Premier approbateur d'un employé (supérieur hiérarchique direct), ou null
+const findApprover = async (employeeId, connection = db) => {
+    const approvers = await findApprovers(employeeId, connection);
+    return approvers && approvers.length > 0 ? approvers[0] : null;
+};
+
+module.exports = { UNIT_TYPES, assignUnitHead, closeCurrentMandate, removeUnitHead, getUnitHeadHistory, findApprovers, findApprover };
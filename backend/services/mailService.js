@@ -0,0 +1,61 @@
+// Fichier: backend/services/mailService.js
+
+const fs = require('fs/promises');
+const path = require('path');
+
+// Transports disponibles. Le transport actif est choisi par MAIL_TRANSPORT (.env) :
+// - 'file'    : écrit chaque email en JSON dans MAIL_OUTBOX_DIR (par défaut, idéal en local)
+// - 'console' : affiche l'email dans la console du serveur
+// - 'smtp'    : envoi réel via nodemailer (SMTP_HOST, SMTP_PORT, SMTP_USER, SMTP_PASSWORD)
+// D'autres transports peuvent être ajoutés avec registerTransport().
+const transports = {
+    file: async (mail) => {
+        const outboxDir = process.env.MAIL_OUTBOX_DIR || path.join(__dirname, '..', 'storage', 'mails');
+        await fs.mkdir(outboxDir, { recursive: true });
+
+        const fileName = `${Date.now()}-${mail.to.replace(/[^a-zA-Z0-9@._-]/g, '_')}.json`;
+        await fs.writeFile(path.join(outboxDir, fileName), JSON.stringify(mail, null, 2), 'utf8');
+        return { transport: 'file', fichier: fileName };
+    },
+
+    console: async (mail) => {
+        console.log(`[MAIL] À: ${mail.to} | Objet: ${mail.subject}\n${mail.text}`);
+        return { transport: 'console' };
+    },
+
+    smtp: async (mail) => {
+        const nodemailer = require('nodemailer');
+        const transporter = nodemailer.createTransport({
+            host: process.env.SMTP_HOST,
+            port: parseInt(process.env.SMTP_PORT, 10) || 587,
+            secure: process.env.SMTP_SECURE === 'true',
+            auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASSWORD } : undefined
+        });
+        const info = await transporter.sendMail(mail);
+        return { transport: 'smtp', messageId: info.messageId };
+    }
+};
+
+// Permet de brancher un transport supplémentaire (ex: API d'un fournisseur d'emailing)
+const registerTransport = (name, sendFn) => {
+    transports[name] = sendFn;
+};
+
+/**
+ * Envoie un email via le transport configuré.
+ * @param {{ to: string, subject: string, text: string, html?: string }} mail
+ */
+const sendMail = async (mail) => {
+    const transportName = process.env.MAIL_TRANSPORT || 'file';
+    const transport = transports[transportName];
+    if (!transport) {
+        throw new Error(`Transport email inconnu : ${transportName}`);
+    }
+
+    return transport({
+        from: process.env.MAIL_FROM || 'SOGAS-RH <no-reply@sogas.sn>',
+        ...mail
+    });
+};
+
+module.exports = { sendMail, registerTransport };
@@ -0,0 +1,287 @@
+// Fichier: backend/services/occupationalHealthService.js
+
+const db = require('../config/db');
+const employeeExitService = require('./employeeExitService');
+
+// Médecine du travail : prochaine visite périodique selon le poste (medical_visit_rules), visite de reprise
+// après un arrêt (work_accidents), échéancier des visites et restrictions d'aptitude confrontées aux postes.
+
+const VISIT_TYPES = ['Embauche', 'Périodique', 'Reprise', 'A la demande'];
+
+const RESTRICTION_CODES = [
+    'Port de charges lourdes', 'Travail en hauteur', 'Travail de nuit', 'Station debout prolongée',
+    'Conduite d\'engins ou de véhicules', 'Exposition au bruit', 'Exposition aux produits chimiques',
+    'Exposition à la chaleur', 'Travail sur écran', 'Gestes répétitifs'
+];
+
+// Périodicité des visites lorsque ni le poste ni sa catégorie de risque n'ont de règle
+const DEFAULT_VISIT_INTERVAL_MONTHS = parseInt(process.env.MEDICAL_VISIT_INTERVAL_MONTHS, 10) || 12;
+
+// Un arrêt maladie d'au moins ce nombre de jours impose une visite de reprise (toujours pour un AT ou une MP)
+const RETURN_VISIT_SICK_LEAVE_DAYS = parseInt(process.env.MEDICAL_RETURN_SICK_LEAVE_DAYS, 10) || 21;
+
+// Délai de réalisation de la visite de reprise après la reprise du travail
+const RETURN_VISIT_DELAY_DAYS = parseInt(process.env.MEDICAL_RETURN_VISIT_DAYS, 10) || 8;
+
+// Horizon par défaut de la liste des visites à venir
+const UPCOMING_VISIT_DAYS = parseInt(process.env.MEDICAL_UPCOMING_VISIT_DAYS, 10) || 30;
+
+// Visites de l'échéancier réalisées par chaque type de visite
+const SCHEDULE_TYPES_FULFILLED = {
+    Embauche: ['Embauche', 'Périodique'],
+    Périodique: ['Embauche', 'Périodique'],
+    Reprise: ['Reprise'],
+    'A la demande': []
+};
+
+// Date SQL (objet Date mysql2 ou chaîne) → 'YYYY-MM-DD' pour les comparaisons
+const toIsoDate = (value) => {
+    if (!value) return null;
+    if (value instanceof Date) {
+        return `${value.getFullYear()}-${String(value.getMonth() + 1).padStart(2, '0')}-${String(value.getDate()).padStart(2, '0')}`;
+    }
+    return String(value).substring(0, 10);
+};
+
+const addDays = (isoDate, days) => {
+    const date = new Date(`${isoDate}T00:00:00Z`);
+    date.setUTCDate(date.getUTCDate() + days);
+    return date.toISOString().split('T')[0];
+};
+
+const addMonths = (isoDate, months) => {
+    const date = new Date(`${isoDate}T00:00:00Z`);
+    date.setUTCMonth(date.getUTCMonth() + months);
+    return date.toISOString().split('T')[0];
+};
+
+/**
+ * Périodicité des visites d'un employé : règle de son poste, sinon de la catégorie de risque du poste,
+ * sinon DEFAULT_VISIT_INTERVAL_MONTHS.
+ */
+const findVisitInterval = async (connection, employeeId) => {
+    const [rows] = await connection.query(`
+        SELECT r.periodicite_mois
+        FROM employees e
+        LEFT JOIN positions p ON e.position_id = p.id
+        JOIN medical_visit_rules r ON r.position_id = e.position_id
+            OR (r.position_id IS NULL AND r.categorie_risque = p.categorie_risque)
+        WHERE e.id = ?
+        ORDER BY r.position_id IS NULL
+        LIMIT 1
+    `, [employeeId]);
+    return rows.length > 0 ? rows[0].periodicite_mois : DEFAULT_VISIT_INTERVAL_MONTHS;
+};
+
+/**
+ * Restrictions d'aptitude en vigueur d'un employé incompatibles avec les contraintes d'un poste
+ * (par défaut son poste actuel). Renvoie [{ code, commentaire, date_fin }].
+ */
+const checkAssignment = async (employeeId, positionId = null, connection = db) => {
+    const [rows] = await connection.query(`
+        SELECT r.code, r.commentaire, r.date_fin
+        FROM medical_restrictions r
+        JOIN employees e ON r.employee_id = e.id
+        JOIN position_work_constraints pc ON pc.position_id = COALESCE(?, e.position_id) AND pc.code = r.code
+        WHERE r.employee_id = ? AND r.actif = TRUE AND (r.date_fin IS NULL OR r.date_fin >= CURDATE())
+        ORDER BY r.code
+    `, [positionId, employeeId]);
+    return rows;
+};
+
+/**
+ * Enregistre une visite médicale dans la transaction de l'appelant :
+ * - sans date_prochaine_visite, la prochaine visite périodique découle de la règle du poste
+ *   (aucune pour une visite 'A la demande') ;
+ * - les restrictions structurées remplacent celles de la visite précédente ;
+ * - les visites correspondantes de l'échéancier sont marquées réalisées, la prochaine échéance y est ajoutée.
+ * Une visite saisie a posteriori, antérieure à la dernière visite enregistrée, est seulement historisée :
+ * ses restrictions sont conservées inactives et l'échéancier n'est pas modifié.
+ * @param {object} value - { employee_id, type_visite, date_visite, date_prochaine_visite?, apte,
+ *   restrictions: [{ code, commentaire?, date_fin? }], document_url? }
+ * Renvoie { status, message } en cas d'erreur, sinon { visitId, dateProchaineVisite, isLatest, incompatibilites }.
+ */
+const recordVisit = async (connection, value, userId) => {
+    const [empRows] = await connection.query('SELECT id, statut FROM employees WHERE id = ? FOR UPDATE', [value.employee_id]);
+    if (empRows.length === 0) {
+        return { status: 404, message: 'Employé non trouvé.' };
+    }
+    if (employeeExitService.ARCHIVED_STATUSES.includes(empRows[0].statut)) {
+        return { status: 409, message: 'Cet employé est sorti des effectifs.' };
+    }
+
+    const dateVisite = toIsoDate(value.date_visite);
+    const [lastRows] = await connection.query(
+        'SELECT MAX(date_visite) AS derniere_visite FROM medical_visits WHERE employee_id = ?',
+        [value.employee_id]
+    );
+    const isLatest = !lastRows[0].derniere_visite || dateVisite >= toIsoDate(lastRows[0].derniere_visite);
+
+    let dateProchaineVisite = value.date_prochaine_visite ? toIsoDate(value.date_prochaine_visite) : null;
+    if (!dateProchaineVisite && value.type_visite !== 'A la demande') {
+        dateProchaineVisite = addMonths(dateVisite, await findVisitInterval(connection, value.employee_id));
+    }
+
+    // 1. Visite (résumé texte des restrictions pour l'affichage du parcours)
+    const restrictions = value.restrictions || [];
+    const [result] = await connection.query(`
+        INSERT INTO medical_visits (
+            employee_id, type_visite, date_visite, date_prochaine_visite, apte,
+            restrictions, document_url, created_by_user_id
+        )
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `, [
+        value.employee_id, value.type_visite, dateVisite, dateProchaineVisite, value.apte,
+        restrictions.length > 0 ? restrictions.map(restriction => restriction.code).join(', ') : null,
+        value.document_url || null, userId
+    ]);
+    const visitId = result.insertId;
+
+    // 2. Restrictions d'aptitude : la dernière visite remplace les précédentes
+    if (isLatest) {
+        await connection.query('UPDATE medical_restrictions SET actif = FALSE WHERE employee_id = ? AND actif = TRUE', [value.employee_id]);
+    }
+    if (restrictions.length > 0) {
+        await connection.query(
+            'INSERT INTO medical_restrictions (employee_id, medical_visit_id, code, commentaire, date_fin, actif) VALUES ?',
+            [restrictions.map(restriction => [
+                value.employee_id, visitId, restriction.code, restriction.commentaire || null,
+                restriction.date_fin ? toIsoDate(restriction.date_fin) : null, isLatest
+            ])]
+        );
+    }
+    if (!isLatest) {
+        return { visitId, dateProchaineVisite, isLatest, incompatibilites: [] };
+    }
+
+    // 3. Échéancier : visites réalisées, puis prochaine visite périodique (remplace l'échéance en cours)
+    const fulfilled = SCHEDULE_TYPES_FULFILLED[value.type_visite];
+    if (fulfilled.length > 0) {
+        await connection.query(
+            'UPDATE medical_visit_schedule SET statut = \'Réalisée\', medical_visit_id = ? WHERE employee_id = ? AND statut = \'À réaliser\' AND type_visite IN (?)',
+            [visitId, value.employee_id, fulfilled]
+        );
+    }
+    if (dateProchaineVisite) {
+        await connection.query(
+            'UPDATE medical_visit_schedule SET statut = \'Annulée\' WHERE employee_id = ? AND statut = \'À réaliser\' AND type_visite = \'Périodique\'',
+            [value.employee_id]
+        );
+        await connection.query(`
+            INSERT INTO medical_visit_schedule (employee_id, type_visite, date_echeance, origine, medical_visit_origine_id)
+            VALUES (?, 'Périodique', ?, 'Périodicité', ?)
+        `, [value.employee_id, dateProchaineVisite, visitId]);
+    }
+
+    return {
+        visitId,
+        dateProchaineVisite,
+        isLatest,
+        incompatibilites: await checkAssignment(value.employee_id, null, connection)
+    };
+};
+
+/**
+ * Inscrit à l'échéancier la visite de reprise imposée par un arrêt, dans la transaction de l'appelant :
+ * toujours après un accident du travail ou une maladie professionnelle, après un arrêt maladie
+ * d'au moins RETURN_VISIT_SICK_LEAVE_DAYS jours. Échéance : RETURN_VISIT_DELAY_DAYS jours après la reprise.
+ * @param {object} accident - { id, employee_id, type_evenement, date_fin_prevue, duree_jours }
+ * Renvoie la date d'échéance, ou null si aucune visite n'est requise.
+ */
+const scheduleReturnVisit = async (connection, accident) => {
+    const isSickLeave = accident.type_evenement === 'Arrêt maladie (MS)';
+    if (isSickLeave && accident.duree_jours < RETURN_VISIT_SICK_LEAVE_DAYS) return null;
+
+    const reprise = addDays(toIsoDate(accident.date_fin_prevue), 1);
+    const dateEcheance = addDays(reprise, RETURN_VISIT_DELAY_DAYS);
+    await connection.query(`
+        INSERT INTO medical_visit_schedule (employee_id, type_visite, date_echeance, origine, work_accident_id)
+        VALUES (?, 'Reprise', ?, 'Arrêt de travail', ?)
+    `, [accident.employee_id, dateEcheance, accident.id]);
+    return dateEcheance;
+};
+
+/**
+ * Visites à réaliser en retard et à venir (dans les horizonJours jours), par site,
+ * pour les employés en poste dans le périmètre de l'utilisateur (alias 'e' pour buildScopeClause).
+ */
+const listDueVisits = async (scope, { siteId = null, horizonJours = UPCOMING_VISIT_DAYS } = {}) => {
+    const conditions = [
+        'v.statut = \'À réaliser\'',
+        'v.date_echeance <= CURDATE() + INTERVAL ? DAY',
+        'e.statut NOT IN (?)',
+        scope.clause
+    ];
+    const params = [horizonJours, employeeExitService.ARCHIVED_STATUSES, ...scope.params];
+    if (siteId) { conditions.push('e.site_id = ?'); params.push(siteId); }
+
+    const [rows] = await db.query(`
+        SELECT
+            v.id, v.type_visite, v.date_echeance, v.origine, v.work_accident_id,
+            DATEDIFF(v.date_echeance, CURDATE()) AS jours_restants,
+            e.id AS employee_id, e.matricule, e.nom, e.prenom, e.position, e.fonction,
+            e.site_id, s.nom AS nom_site
+        FROM medical_visit_schedule v
+        JOIN employees e ON v.employee_id = e.id
+        LEFT JOIN sites s ON e.site_id = s.id
+        WHERE ${conditions.join(' AND ')}
+        ORDER BY s.nom, v.date_echeance, e.nom
+    `, params);
+
+    const sites = new Map();
+    rows.forEach(({ site_id, nom_site, ...visit }) => {
+        if (!sites.has(site_id)) sites.set(site_id, { site_id, nom_site, en_retard: [], a_venir: [] });
+        sites.get(site_id)[visit.jours_restants < 0 ? 'en_retard' : 'a_venir'].push(visit);
+    });
+    return [...sites.values()];
+};
+
+/**
+ * Employés en poste dont les restrictions d'aptitude en vigueur sont incompatibles avec leur poste actuel,
+ * dans le périmètre de l'utilisateur (alias 'e' pour buildScopeClause ; null : sans restriction de périmètre).
+ * employeeIds limite la recherche aux employés d'une opération (ex : réorganisation, dans sa transaction).
+ */
+const listRestrictionConflicts = async (scope, { siteId = null, employeeIds = null, connection = db } = {}) => {
+    const conditions = [
+        'r.actif = TRUE',
+        '(r.date_fin IS NULL OR r.date_fin >= CURDATE())',
+        'e.statut NOT IN (?)'
+    ];
+    const params = [employeeExitService.ARCHIVED_STATUSES];
+    if (scope) { conditions.push(scope.clause); params.push(...scope.params); }
+    if (siteId) { conditions.push('e.site_id = ?'); params.push(siteId); }
+    if (employeeIds) {
+        if (employeeIds.length === 0) return [];
+        conditions.push('e.id IN (?)');
+        params.push(employeeIds);
+    }
+
+    const [rows] = await connection.query(`
+        SELECT
+            e.id AS employee_id, e.matricule, e.nom, e.prenom, e.position, e.fonction, e.position_id, e.site_id,
+            r.code, r.date_fin
+        FROM medical_restrictions r
+        JOIN employees e ON r.employee_id = e.id
+        JOIN position_work_constraints pc ON pc.position_id = e.position_id AND pc.code = r.code
+        WHERE ${conditions.join(' AND ')}
+        ORDER BY e.nom, e.prenom, r.code
+    `, params);
+
+    const employees = new Map();
+    rows.forEach(({ code, date_fin, ...employee }) => {
+        if (!employees.has(employee.employee_id)) employees.set(employee.employee_id, { ...employee, incompatibilites: [] });
+        employees.get(employee.employee_id).incompatibilites.push({ code, date_fin });
+    });
+    return [...employees.values()];
+};
+
+module.exports = {
+    VISIT_TYPES,
+    RESTRICTION_CODES,
+    UPCOMING_VISIT_DAYS,
+    recordVisit,
+    scheduleReturnVisit,
+    checkAssignment,
+    listDueVisits,
+    listRestrictionConflicts
+};
@@ -0,0 +1,277 @@
+// Fichier: backend/services/organisationService.js
+
+const db = require('../config/db');
+
+// Résumé d'un employé responsable (chef de département, chef d'équipe...)
+const toManager = (row, prefix) => (row[`${prefix}_id`]
+    ? { id: row[`${prefix}_id`], matricule: row[`${prefix}_matricule`], nom: row[`${prefix}_nom`], prenom: row[`${prefix}_prenom`] }
+    : null);
+
+/**
+ * Compte les effectifs par unité.
+ * - Sans date : employés non archivés (statut hors 'Licencié' / 'Sorti') selon leur affectation actuelle.
+ * - Avec asOf : affectations en vigueur à cette date, reconstruites depuis employee_affectations.
+ * Renvoie { site: Map, department: Map, service: Map, team: Map } (id => effectif).
+ */
+const countHeadcounts = async (asOf) => {
+    const sql = asOf
+        ? `
+            SELECT a.site_id_nouveau AS site_id, a.department_id_nouveau AS department_id,
+                   a.service_id_nouveau AS service_id, a.team_id_nouveau AS team_id,
+                   COUNT(DISTINCT a.employee_id) AS effectif
+            FROM employee_affectations a
+            WHERE a.date_debut <= ? AND (a.date_fin IS NULL OR a.date_fin >= ?)
+            GROUP BY a.site_id_nouveau, a.department_id_nouveau, a.service_id_nouveau, a.team_id_nouveau
+        `
+        : `
+            SELECT site_id, department_id, service_id, team_id, COUNT(*) AS effectif
+            FROM employees
+            WHERE statut NOT IN ('Licencié', 'Sorti')
+            GROUP BY site_id, department_id, service_id, team_id
+        `;
+    const [rows] = await db.query(sql, asOf ? [asOf, asOf] : []);
+
+    const counts = { site: new Map(), department: new Map(), service: new Map(), team: new Map() };
+    rows.forEach(row => {
+        Object.keys(counts).forEach(level => {
+            const id = row[`${level}_id`];
+            if (id) counts[level].set(id, (counts[level].get(id) || 0) + Number(row.effectif));
+        });
+    });
+    return counts;
+};
+
+// Unités de structure : niveau et colonne de rattachement au parent
+const UNIT_TABLES = {
+    sites: { level: 'site', parentColumn: null },
+    departments: { level: 'department', parentColumn: 'site_id' },
+    services: { level: 'service', parentColumn: 'department_id' },
+    teams: { level: 'team', parentColumn: 'service_id' }
+};
+
+// Colonnes d'unité restaurées depuis les images « avant » du journal d'audit
+const HISTORIZED_COLUMNS = [
+    'nom', 'actif', 'site_id', 'department_id', 'service_id',
+    'code_site', 'adresse', 'code_interne', 'budget_alloue', 'code_metier', 'specialite'
+];
+
+const parseChanges = (value) => (typeof value === 'string' ? JSON.parse(value) : value || {});
+
+/**
+ * Date (YYYY-MM-DD) de la première entrée du journal d'audit, null s'il est vide.
+ * Les changements de structure antérieurs ne sont pas historisés.
+ */
+const findJournalStart = async () => {
+    const [rows] = await db.query("SELECT DATE_FORMAT(MIN(created_at), '%Y-%m-%d') AS journal_start FROM audit_logs");
+    return rows[0].journal_start || null;
+};
+
+/**
+ * Ramène les unités actuelles ({ sites, departments, services, teams }) à leur état à une date, en annulant
+ * du plus récent au plus ancien les changements journalisés après cette date :
+ * - création : l'unité n'existait pas encore, elle est retirée ;
+ * - modification : rattachement, état actif, nom... reprennent leur valeur « avant » ;
+ * - suppression : l'unité est restituée depuis son image « avant ».
+ * Les listes sont modifiées en place.
+ */
+const rewindUnits = async (units, asOf) => {
+    const [changes] = await db.query(`
+        SELECT table_name, entity_id, action, changements
+        FROM audit_logs
+        WHERE table_name IN ('sites', 'departments', 'services', 'teams')
+          AND entity_id IS NOT NULL
+          AND created_at >= ? + INTERVAL 1 DAY
+        ORDER BY created_at DESC, id DESC
+    `, [asOf]);
+
+    const byId = {};
+    Object.keys(UNIT_TABLES).forEach(table => {
+        byId[table] = new Map(units[table].map(unit => [unit.id, unit]));
+    });
+
+    changes.forEach(change => {
+        const rows = byId[change.table_name];
+        const id = Number(change.entity_id);
+        const changed = parseChanges(change.changements);
+
+        if (change.action === 'Création') {
+            rows.delete(id);
+            return;
+        }
+        if (change.action === 'Suppression') {
+            rows.set(id, HISTORIZED_COLUMNS.reduce((unit, column) => ({ ...unit, [column]: null }), { id: id }));
+        }
+        const unit = rows.get(id);
+        if (!unit) return;
+        HISTORIZED_COLUMNS.forEach(column => {
+            if (changed[column]) unit[column] = changed[column].avant;
+        });
+    });
+
+    Object.keys(UNIT_TABLES).forEach(table => {
+        const { parentColumn } = UNIT_TABLES[table];
+        units[table] = [...byId[table].values()]
+            .map(unit => (parentColumn && unit[parentColumn] !== null ? { ...unit, [parentColumn]: Number(unit[parentColumn]) } : unit))
+            .sort((a, b) => String(a.nom).localeCompare(String(b.nom)));
+    });
+};
+
+/**
+ * Responsables en fonction à une date, reconstitués depuis l'historique des nominations (unit_managers).
+ * Renvoie { department: Map, service: Map, team: Map } (id => ligne au format de toManager(row, 'responsable')).
+ */
+const findManagersAsOf = async (asOf) => {
+    const [rows] = await db.query(`
+        SELECT um.unit_type, um.unit_id,
+               r.id AS responsable_id, r.matricule AS responsable_matricule, r.nom AS responsable_nom, r.prenom AS responsable_prenom
+        FROM unit_managers um
+        JOIN employees r ON um.employee_id = r.id
+        WHERE um.date_debut <= ? AND (um.date_fin IS NULL OR um.date_fin >= ?)
+        ORDER BY um.date_debut
+    `, [asOf, asOf]);
+
+    const managers = { department: new Map(), service: new Map(), team: new Map() };
+    rows.forEach(row => managers[row.unit_type].set(row.unit_id, row)); // Le mandat le plus récent l'emporte
+    return managers;
+};
+
+/**
+ * Construit l'arbre organisationnel site → département → service → équipe,
+ * avec effectif, responsable et budget alloué pour chaque nœud.
+ * @param {{ siteId?: number, asOf?: string }} options
+ *   - siteId : limite l'arbre à un seul site
+ *   - asOf   : date (YYYY-MM-DD) à laquelle reconstituer l'arbre : unités et rattachements (journal d'audit),
+ *              effectifs (historique des affectations) et responsables (historique des nominations) ; les unités
+ *              désactivées depuis sont incluses si elles étaient actives ou avaient un effectif à cette date.
+ * Renvoie { sites, avertissement } ; avertissement est renseigné si la date précède le début du journal d'audit
+ * (les changements de structure antérieurs ne sont pas reconstitués).
+ */
+const buildOrganisationTree = async ({ siteId = null, asOf = null } = {}) => {
+    let managersAsOf = null;
+    let avertissement = null;
+    if (asOf) {
+        const journalStart = await findJournalStart();
+        if (!journalStart || asOf < journalStart) {
+            avertissement = journalStart
+                ? `Le journal d'audit commence le ${journalStart} : les changements de structure antérieurs ne sont pas reconstitués.`
+                : 'Le journal d\'audit est vide : la structure actuelle est affichée avec les effectifs et responsables à la date demandée.';
+        }
+        managersAsOf = await findManagersAsOf(asOf);
+    }
+    // Responsable d'une unité : en fonction à la date demandée, sinon responsable actuel
+    const managerOf = (unit, level, prefix) => (managersAsOf
+        ? toManager(managersAsOf[level].get(unit.id) || {}, 'responsable')
+        : toManager(unit, prefix));
+
+    // À une date passée, toutes les unités sont chargées : le site est filtré après reconstitution des rattachements
+    const siteFilter = siteId && !asOf ? 'AND s.id = ?' : '';
+    const siteParams = siteId && !asOf ? [siteId] : [];
+
+    const [sites] = await db.query(`
+        SELECT s.id, s.nom, s.code_site, s.adresse, s.actif
+        FROM sites s
+        WHERE 1 = 1 ${siteFilter}
+        ORDER BY s.nom
+    `, siteParams);
+
+    const [departments] = await db.query(`
+        SELECT
+            d.id, d.nom, d.code_interne, d.site_id, d.budget_alloue, d.actif,
+            r.id AS responsable_id, r.matricule AS responsable_matricule, r.nom AS responsable_nom, r.prenom AS responsable_prenom
+        FROM departments d
+        JOIN sites s ON d.site_id = s.id
+        LEFT JOIN employees r ON d.responsable_id = r.id
+        WHERE 1 = 1 ${siteFilter}
+        ORDER BY d.nom
+    `, siteParams);
+
+    const [services] = await db.query(`
+        SELECT
+            sv.id, sv.nom, sv.code_metier, sv.department_id, sv.actif,
+            r.id AS responsable_id, r.matricule AS responsable_matricule, r.nom AS responsable_nom, r.prenom AS responsable_prenom
+        FROM services sv
+        JOIN departments d ON sv.department_id = d.id
+        JOIN sites s ON d.site_id = s.id
+        LEFT JOIN employees r ON sv.responsable_id = r.id
+        WHERE 1 = 1 ${siteFilter}
+        ORDER BY sv.nom
+    `, siteParams);
+
+    const [teams] = await db.query(`
+        SELECT
+            t.id, t.nom, t.specialite, t.service_id, t.actif,
+            c.id AS chef_id, c.matricule AS chef_matricule, c.nom AS chef_nom, c.prenom AS chef_prenom
+        FROM teams t
+        JOIN services sv ON t.service_id = sv.id
+        JOIN departments d ON sv.department_id = d.id
+        JOIN sites s ON d.site_id = s.id
+        LEFT JOIN employees c ON t.chef_equipe_id = c.id
+        WHERE 1 = 1 ${siteFilter}
+        ORDER BY t.nom
+    `, siteParams);
+
+    const units = { sites, departments, services, teams };
+    if (asOf) {
+        await rewindUnits(units, asOf);
+        if (siteId) units.sites = units.sites.filter(site => site.id === siteId);
+    }
+
+    const counts = await countHeadcounts(asOf);
+
+    // Une unité est affichée si elle est active, ou si elle avait un effectif à la date demandée
+    const isVisible = (unit, level) => unit.actif || (asOf && counts[level].has(unit.id));
+
+    const teamNodes = units.teams.filter(team => isVisible(team, 'team')).map(team => ({
+        id: team.id,
+        type: 'team',
+        nom: team.nom,
+        specialite: team.specialite,
+        service_id: team.service_id,
+        actif: !!team.actif,
+        chef_equipe: managerOf(team, 'team', 'chef'),
+        effectif: counts.team.get(team.id) || 0
+    }));
+
+    const serviceNodes = units.services.filter(service => isVisible(service, 'service')).map(service => ({
+        id: service.id,
+        type: 'service',
+        nom: service.nom,
+        code_metier: service.code_metier,
+        department_id: service.department_id,
+        actif: !!service.actif,
+        responsable: managerOf(service, 'service', 'responsable'),
+        effectif: counts.service.get(service.id) || 0,
+        teams: teamNodes.filter(team => team.service_id === service.id)
+    }));
+
+    const departmentNodes = units.departments.filter(department => isVisible(department, 'department')).map(department => ({
+        id: department.id,
+        type: 'department',
+        nom: department.nom,
+        code_interne: department.code_interne,
+        site_id: department.site_id,
+        actif: !!department.actif,
+        budget_alloue: department.budget_alloue !== null ? Number(department.budget_alloue) : null,
+        responsable: managerOf(department, 'department', 'responsable'),
+        effectif: counts.department.get(department.id) || 0,
+        services: serviceNodes.filter(service => service.department_id === department.id)
+    }));
+
+    const siteNodes = units.sites.filter(site => isVisible(site, 'site')).map(site => ({
+        id: site.id,
+        type: 'site',
+        nom: site.nom,
+        code_site: site.code_site,
+        adresse: site.adresse,
+        actif: !!site.actif,
+        effectif: counts.site.get(site.id) || 0,
+        budget_alloue: departmentNodes
+            .filter(department => department.site_id === site.id)
+            .reduce((total, department) => total + (department.budget_alloue || 0), 0),
+        departments: departmentNodes.filter(department => department.site_id === site.id)
+    }));
+
+    return { sites: siteNodes, avertissement: avertissement };
+};
+
+module.exports = { buildOrganisationTree };
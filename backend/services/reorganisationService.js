@@ -0,0 +1,165 @@
+// Fichier: backend/services/reorganisationService.js
+
+const structureService = require('./structureService');
+const hierarchyService = require('./hierarchyService');
+
+// Unités réorganisables : colonne parent et unités enfants à rattacher lors d'une fusion
+const UNITS = {
+    department: { table: 'departments', column: 'department_id', parentColumn: 'site_id', childTable: 'services', childColumn: 'department_id', label: 'Département' },
+    service: { table: 'services', column: 'service_id', parentColumn: 'department_id', childTable: 'teams', childColumn: 'service_id', label: 'Service' },
+    team: { table: 'teams', column: 'team_id', parentColumn: 'service_id', childTable: null, childColumn: null, label: 'Équipe' }
+};
+
+const ASSIGNMENT_FIELDS = ['site_id', 'department_id', 'service_id', 'team_id', 'position', 'fonction'];
+
+const pickAssignment = (row) => ASSIGNMENT_FIELDS.reduce((assignment, field) => ({ ...assignment, [field]: row[field] }), {});
+
+/**
+ * Prépare une réorganisation sans rien écrire (sert aussi d'aperçu pour le mode dry_run).
+ * - 'Déplacement' : l'unité passe sous le parent targetId ; ses employés reçoivent la chaîne du nouveau parent.
+ * - 'Fusion'      : l'unité est absorbée par targetId (même type) ; ses employés et ses unités enfants y sont rattachés.
+ * Renvoie { status, message } en cas d'erreur métier, sinon { plan }.
+ */
+const planReorganisation = async (connection, { operation, unitType, unitId, targetId }) => {
+    const config = UNITS[unitType];
+
+    const [unitRows] = await connection.query(
+        `SELECT id, nom, ${config.parentColumn} AS parent_id FROM ${config.table} WHERE id = ? AND actif = TRUE FOR UPDATE`,
+        [unitId]
+    );
+    if (unitRows.length === 0) {
+        return { status: 404, message: `${config.label} introuvable.` };
+    }
+    const unit = unitRows[0];
+
+    if (operation === 'Déplacement' && unit.parent_id === targetId) {
+        return { status: 409, message: 'L\'unité est déjà rattachée à ce parent.' };
+    }
+    if (operation === 'Fusion' && unit.id === targetId) {
+        return { status: 400, message: 'Une unité ne peut pas être fusionnée avec elle-même.' };
+    }
+
+    // Chaîne hiérarchique de la destination (doit exister et être active)
+    const resolution = await structureService.resolveAssignment(connection, {
+        [operation === 'Déplacement' ? config.parentColumn : config.column]: targetId
+    });
+    if (resolution.status) return resolution;
+
+    // Niveaux d'affectation modifiés pour chaque employé concerné (les niveaux inférieurs sont conservés)
+    const changes = {};
+    Object.entries(resolution.assignment)
+        .filter(([, value]) => value !== null)
+        .forEach(([column, value]) => { changes[column] = value; });
+
+    const [employees] = await connection.query(`
+        SELECT id, matricule, nom, prenom, ${ASSIGNMENT_FIELDS.join(', ')}
+        FROM employees
+        WHERE ${config.column} = ? AND statut NOT IN ('Licencié', 'Sorti')
+        ORDER BY nom, prenom
+        FOR UPDATE
+    `, [unitId]);
+
+    let childUnits = [];
+    if (operation === 'Fusion' && config.childTable) {
+        [childUnits] = await connection.query(
+            `SELECT id, nom FROM ${config.childTable} WHERE ${config.childColumn} = ? AND actif = TRUE ORDER BY nom`,
+            [unitId]
+        );
+    }
+
+    return {
+        plan: {
+            operation: operation,
+            unit_type: unitType,
+            unit: { id: unit.id, nom: unit.nom },
+            ancien_parent_id: unit.parent_id,
+            cible_id: targetId,
+            changements: changes,
+            unites_rattachees: childUnits,
+            employes: employees.map(employee => ({
+                employee_id: employee.id,
+                matricule: employee.matricule,
+                nom: employee.nom,
+                prenom: employee.prenom,
+                ancien: pickAssignment(employee),
+                nouveau: { ...pickAssignment(employee), ...changes }
+            }))
+        }
+    };
+};
+
+/**
+ * Applique une réorganisation préparée par planReorganisation (dans la transaction de l'appelant) :
+ * 1. journalise l'opération dans `reorganisations` ;
+ * 2. modifie la structure (nouveau parent, ou rattachement des enfants et désactivation de l'unité absorbée) ;
+ * 3. clôture la veille de date_effet l'affectation de chaque employé concerné et ouvre la nouvelle avec le motif commun.
+ * Renvoie l'id de la réorganisation.
+ */
+const applyReorganisation = async (connection, plan, { dateEffet, motif, commentaire }, userId) => {
+    const config = UNITS[plan.unit_type];
+
+    const [result] = await connection.query(`
+        INSERT INTO reorganisations (
+            type_operation, unit_type, unit_id, ancien_parent_id, cible_id,
+            date_effet, motif, commentaire, nombre_employes, created_by_user_id
+        )
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `, [
+        plan.operation, plan.unit_type, plan.unit.id, plan.operation === 'Déplacement' ? plan.ancien_parent_id : null, plan.cible_id,
+        dateEffet, motif, commentaire || null, plan.employes.length, userId
+    ]);
+    const reorganisationId = result.insertId;
+
+    // 1. Structure
+    if (plan.operation === 'Déplacement') {
+        await connection.query(`UPDATE ${config.table} SET ${config.parentColumn} = ? WHERE id = ?`, [plan.cible_id, plan.unit.id]);
+    } else {
+        if (config.childTable) {
+            await connection.query(`UPDATE ${config.childTable} SET ${config.childColumn} = ? WHERE ${config.childColumn} = ?`, [plan.cible_id, plan.unit.id]);
+        }
+
+        // Le responsable de l'unité absorbée perd son mandat
+        await hierarchyService.closeCurrentMandate(connection, plan.unit_type, plan.unit.id, dateEffet);
+        await connection.query(
+            `UPDATE ${config.table} SET ${hierarchyService.UNIT_TYPES[plan.unit_type].headColumn} = NULL, actif = FALSE WHERE id = ?`,
+            [plan.unit.id]
+        );
+    }
+
+    if (plan.employes.length === 0) return reorganisationId;
+
+    // 2. Historique des affectations (même motif pour tous les employés)
+    const employeeIds = plan.employes.map(employee => employee.employee_id);
+
+    await connection.query(`
+        UPDATE employee_affectations
+        SET date_fin = GREATEST(date_debut, ? - INTERVAL 1 DAY), commentaire = CONCAT('Affectation terminée suite à: ', ?)
+        WHERE employee_id IN (?) AND date_fin IS NULL
+    `, [dateEffet, motif, employeeIds]);
+
+    await connection.query(`
+        INSERT INTO employee_affectations (
+            employee_id, date_debut, motif, commentaire, created_by_user_id, reorganisation_id,
+            site_id_ancien, department_id_ancien, service_id_ancien, team_id_ancien, position_ancienne, fonction_ancienne,
+            site_id_nouveau, department_id_nouveau, service_id_nouveau, team_id_nouveau, position_nouvelle, fonction_nouvelle
+        )
+        VALUES ?
+    `, [plan.employes.map(employee => [
+        employee.employee_id, dateEffet, motif, commentaire || null, userId, reorganisationId,
+        employee.ancien.site_id, employee.ancien.department_id, employee.ancien.service_id, employee.ancien.team_id,
+        employee.ancien.position, employee.ancien.fonction,
+        employee.nouveau.site_id, employee.nouveau.department_id, employee.nouveau.service_id, employee.nouveau.team_id,
+        employee.nouveau.position, employee.nouveau.fonction
+    ])]);
+
+    // 3. Affectation actuelle des employés
+    const columns = Object.keys(plan.changements);
+    await connection.query(
+        `UPDATE employees SET ${columns.map(column => `${column} = ?`).join(', ')} WHERE id IN (?)`,
+        [...columns.map(column => plan.changements[column]), employeeIds]
+    );
+
+    return reorganisationId;
+};
+
+module.exports = { UNITS, planReorganisation, applyReorganisation };
@@ -0,0 +1,520 @@
+// Fichier: backend/services/sanctionService.js
+
+const db = require('../config/db');
+const employeeExitService = require('./employeeExitService');
+const occupationalHealthService = require('./occupationalHealthService');
+
+// Sanctions disciplinaires et leurs effets :
+// - Mise à pied : employé 'Suspendu' de date_effet à date_fin_mise_a_pied (pointage bloqué), retenue sur salaire,
+//   retour automatique au statut antérieur (Actif, Congé, Maladie) à l'issue (planificateur)
+// - Rétrogradation : nouveau poste à date_effet (historique d'affectation + avenant au contrat)
+// - Licenciement : procédure de sortie (dernier jour travaillé = date_effet)
+
+const SANCTION_TYPES = ['Avertissement oral', 'Avertissement écrit', 'Blâme', 'Mise à pied', 'Rétrogradation', 'Licenciement'];
+const SANCTION_STATUSES = ['Active', 'Retirée', 'Annulée'];
+
+// Sanctions dont l'effet est appliqué à date_effet
+const DEFERRED_EFFECT_TYPES = ['Mise à pied', 'Rétrogradation'];
+
+// Au-delà de ce délai après sa date d'effet, une sanction n'est plus prise en compte pour le cumul (amnistie)
+const SANCTION_AMNESTY_MONTHS = parseInt(process.env.SANCTION_AMNESTY_MONTHS, 10) || 36;
+
+// Base de calcul de la retenue journalière de mise à pied (salaire mensuel / 30)
+const PAY_DAYS_PER_MONTH = 30;
+
+const today = () => new Date().toISOString().split('T')[0];
+
+// Date SQL (objet Date mysql2 ou chaîne) → 'YYYY-MM-DD' pour les comparaisons
+const toIsoDate = (value) => {
+    if (!value) return null;
+    if (value instanceof Date) {
+        return `${value.getFullYear()}-${String(value.getMonth() + 1).padStart(2, '0')}-${String(value.getDate()).padStart(2, '0')}`;
+    }
+    return String(value).substring(0, 10);
+};
+
+const addDays = (isoDate, days) => {
+    const date = new Date(`${isoDate}T00:00:00Z`);
+    date.setUTCDate(date.getUTCDate() + days);
+    return date.toISOString().split('T')[0];
+};
+
+/**
+ * Retenues d'une mise à pied de `days` jours calendaires à compter de `start`, réparties par mois de paie.
+ * Renvoie [{ periode: 'YYYY-MM', jours, montant }].
+ */
+const computeSuspensionDeductions = (start, days, monthlySalary) => {
+    const dailyRate = Number(monthlySalary || 0) / PAY_DAYS_PER_MONTH;
+    const byMonth = new Map();
+    for (let offset = 0; offset < days; offset++) {
+        const periode = addDays(start, offset).substring(0, 7);
+        byMonth.set(periode, (byMonth.get(periode) || 0) + 1);
+    }
+    return [...byMonth.entries()].map(([periode, jours]) => ({
+        periode,
+        jours,
+        montant: Math.round(jours * dailyRate * 100) / 100
+    }));
+};
+
+// Salaire de base en vigueur (contrat ou avenant actif le plus récent)
+const findCurrentSalary = async (connection, employeeId) => {
+    const [rows] = await connection.query(`
+        SELECT salaire_de_base FROM contracts
+        WHERE employee_id = ? AND statut = 'Actif'
+        ORDER BY date_debut DESC, id DESC
+        LIMIT 1
+    `, [employeeId]);
+    return rows.length > 0 ? rows[0].salaire_de_base : null;
+};
+
+// --- Application des effets ---
+
+const startSuspension = async (connection, sanction) => {
+    const start = toIsoDate(sanction.date_effet);
+    const end = toIsoDate(sanction.date_fin_mise_a_pied);
+
+    const salary = await findCurrentSalary(connection, sanction.employee_id);
+    const deductions = computeSuspensionDeductions(start, sanction.jours_mise_a_pied, salary);
+    if (deductions.length > 0) {
+        await connection.query(
+            'INSERT INTO payroll_deductions (employee_id, sanction_id, periode, type_retenue, jours, montant) VALUES ?',
+            [deductions.map(item => [sanction.employee_id, sanction.id, item.periode, 'Mise à pied', item.jours, item.montant])]
+        );
+    }
+
+    // Mise à pied déjà terminée (saisie a posteriori) : seule la retenue est enregistrée
+    if (end < today()) {
+        await connection.query('UPDATE sanctions SET effet_statut = \'Appliqué\' WHERE id = ?', [sanction.id]);
+        return;
+    }
+
+    // Statut en vigueur (Actif, Congé, Maladie) conservé pour être rétabli à la fin de la mise à pied
+    const [empRows] = await connection.query('SELECT statut FROM employees WHERE id = ? FOR UPDATE', [sanction.employee_id]);
+    const previousStatut = empRows[0].statut;
+    if (!employeeExitService.ARCHIVED_STATUSES.includes(previousStatut) && previousStatut !== 'Suspendu') {
+        await connection.query('UPDATE employees SET statut = \'Suspendu\' WHERE id = ?', [sanction.employee_id]);
+        await connection.query('UPDATE sanctions SET statut_avant_mise_a_pied = ? WHERE id = ?', [previousStatut, sanction.id]);
+    }
+    await connection.query('UPDATE sanctions SET effet_statut = \'En cours\' WHERE id = ?', [sanction.id]);
+};
+
+// Fin de la suspension : retour au statut d'avant la mise à pied
+const restoreStatut = (connection, sanction) => connection.query(
+    'UPDATE employees SET statut = ? WHERE id = ? AND statut = \'Suspendu\'',
+    [sanction.statut_avant_mise_a_pied || 'Actif', sanction.employee_id]
+);
+
+const endSuspension = async (connection, sanction) => {
+    await restoreStatut(connection, sanction);
+    await connection.query('UPDATE sanctions SET effet_statut = \'Appliqué\' WHERE id = ?', [sanction.id]);
+};
+
+/**
+ * Changement de poste dans l'historique d'affectation (mêmes unités) et sur la fiche employé.
+ * Si l'affectation en cours commence à dateEffet (ex : rétrogradation annulée le jour même), elle est remplacée
+ * sur place : la clôturer la veille donnerait une date de fin antérieure à sa date de début.
+ */
+const changePosition = async (connection, employee, { dateEffet, position, fonction, positionId, motif, commentaire }, userId) => {
+    const [sameDay] = await connection.query(
+        'SELECT id FROM employee_affectations WHERE employee_id = ? AND date_fin IS NULL AND date_debut >= ?',
+        [employee.id, dateEffet]
+    );
+    if (sameDay.length > 0) {
+        await connection.query(`
+            UPDATE employee_affectations
+            SET position_nouvelle = ?, fonction_nouvelle = ?, motif = ?, commentaire = ?, created_by_user_id = ?
+            WHERE id = ?
+        `, [position, fonction, motif, commentaire, userId, sameDay[0].id]);
+        await connection.query(
+            'UPDATE employees SET position = ?, fonction = ?, position_id = ? WHERE id = ?',
+            [position, fonction, positionId, employee.id]
+        );
+        return;
+    }
+
+    await connection.query(
+        'UPDATE employee_affectations SET date_fin = ? WHERE employee_id = ? AND date_fin IS NULL',
+        [addDays(dateEffet, -1), employee.id]
+    );
+    await connection.query(`
+        INSERT INTO employee_affectations (
+            employee_id, date_debut, motif, commentaire, created_by_user_id,
+            site_id_ancien, department_id_ancien, service_id_ancien, team_id_ancien, position_ancienne, fonction_ancienne,
+            site_id_nouveau, department_id_nouveau, service_id_nouveau, team_id_nouveau, position_nouvelle, fonction_nouvelle
+        )
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `, [
+        employee.id, dateEffet, motif, commentaire, userId,
+        employee.site_id, employee.department_id, employee.service_id, employee.team_id, employee.position, employee.fonction,
+        employee.site_id, employee.department_id, employee.service_id, employee.team_id, position, fonction
+    ]);
+    await connection.query(
+        'UPDATE employees SET position = ?, fonction = ?, position_id = ? WHERE id = ?',
+        [position, fonction, positionId, employee.id]
+    );
+};
+
+/**
+ * Rétrogradation : nouveau poste et avenant au contrat principal actif (nouvelle classification et salaire).
+ * Renvoie { status, message } si aucun contrat principal n'est actif, sinon { incompatibilites }
+ * (restrictions d'aptitude de l'employé incompatibles avec le nouveau poste).
+ */
+const applyDemotion = async (connection, sanction, userId) => {
+    const [contracts] = await connection.query(
+        'SELECT id, type_contrat, date_fin_prevue, salaire_de_base FROM contracts WHERE employee_id = ? AND statut = \'Actif\' AND is_avenant = FALSE',
+        [sanction.employee_id]
+    );
+    if (contracts.length === 0) {
+        return { status: 409, message: 'Rétrogradation impossible : aucun contrat principal actif pour cet employé.' };
+    }
+    const contract = contracts[0];
+
+    const [empRows] = await connection.query('SELECT * FROM employees WHERE id = ? FOR UPDATE', [sanction.employee_id]);
+    const employee = empRows[0];
+    const dateEffet = toIsoDate(sanction.date_effet);
+
+    const [avenant] = await connection.query(`
+        INSERT INTO contracts (
+            employee_id, type_contrat, date_debut, date_fin_prevue, position_id,
+            salaire_de_base, notes_rh, document_url, is_avenant, parent_contract_id
+        )
+        VALUES (?, ?, ?, ?, ?, ?, ?, NULL, TRUE, ?)
+    `, [
+        sanction.employee_id, contract.type_contrat, dateEffet, contract.date_fin_prevue, sanction.retro_position_id,
+        sanction.retro_salaire_de_base !== null ? sanction.retro_salaire_de_base : contract.salaire_de_base,
+        `Avenant de rétrogradation (sanction n°${sanction.id})`, contract.id
+    ]);
+
+    await changePosition(connection, employee, {
+        dateEffet,
+        position: sanction.retro_position,
+        fonction: sanction.retro_fonction,
+        positionId: sanction.retro_position_id,
+        motif: 'Rétrogradation',
+        commentaire: `Sanction disciplinaire n°${sanction.id}`
+    }, userId);
+
+    await connection.query(`
+        UPDATE sanctions
+        SET effet_statut = 'Appliqué', avenant_contract_id = ?, ancien_position = ?, ancien_fonction = ?, ancien_position_id = ?
+        WHERE id = ?
+    `, [avenant.insertId, employee.position, employee.fonction, employee.position_id, sanction.id]);
+    return { incompatibilites: await occupationalHealthService.checkAssignment(sanction.employee_id, null, connection) };
+};
+
+/**
+ * Applique l'effet d'une sanction arrivée à sa date d'effet, dans la transaction de l'appelant.
+ * Renvoie { status, message } en cas d'erreur.
+ */
+const applySanctionEffect = async (connection, sanction, userId) => {
+    if (sanction.type_sanction === 'Mise à pied') {
+        await startSuspension(connection, sanction);
+        return {};
+    }
+    if (sanction.type_sanction === 'Rétrogradation') {
+        return applyDemotion(connection, sanction, userId);
+    }
+    return {};
+};
+
+const loadSanction = async (connection, sanctionId) => {
+    const [rows] = await connection.query('SELECT * FROM sanctions WHERE id = ? FOR UPDATE', [sanctionId]);
+    return rows[0] || null;
+};
+
+/**
+ * Enregistre une sanction dans la transaction de l'appelant et applique son effet s'il est dû.
+ * @param {object} value - Champs de la sanction ; retrogradation: { position, fonction, position_id, salaire_de_base? } ;
+ *   disciplinary_case_id et date_notification pour une sanction issue d'une procédure disciplinaire
+ * Renvoie { status, message } en cas d'erreur, sinon { sanctionId, effetStatut, exitId, userId, incompatibilites }
+ * (rétrogradation : restrictions d'aptitude incompatibles avec le nouveau poste).
+ */
+const createSanction = async (connection, value, userId) => {
+    const [empRows] = await connection.query('SELECT id, statut FROM employees WHERE id = ?', [value.employee_id]);
+    if (empRows.length === 0) {
+        return { status: 404, message: 'Employé non trouvé.' };
+    }
+    if (employeeExitService.ARCHIVED_STATUSES.includes(empRows[0].statut)) {
+        return { status: 409, message: 'Cet employé est sorti des effectifs.' };
+    }
+
+    const dateEffet = toIsoDate(value.date_effet);
+    const isSuspension = value.type_sanction === 'Mise à pied';
+    const retro = value.type_sanction === 'Rétrogradation' ? value.retrogradation : null;
+
+    if (isSuspension) {
+        const [overlaps] = await connection.query(`
+            SELECT date_effet, date_fin_mise_a_pied FROM sanctions
+            WHERE employee_id = ? AND type_sanction = 'Mise à pied' AND statut = 'Active'
+              AND date_effet <= ? AND date_fin_mise_a_pied >= ?
+            LIMIT 1
+        `, [value.employee_id, addDays(dateEffet, value.jours_mise_a_pied - 1), dateEffet]);
+        const overlap = overlaps[0];
+        if (overlap) {
+            return { status: 409, message: `Une mise à pied est déjà prévue ou en cours du ${toIsoDate(overlap.date_effet)} au ${toIsoDate(overlap.date_fin_mise_a_pied)}.` };
+        }
+    }
+
+    const [result] = await connection.query(`
+        INSERT INTO sanctions (
+            employee_id, type_sanction, date_constatation, date_effet,
+            jours_mise_a_pied, motif_detaille, procedure_suivie, document_url, created_by_user_id, disciplinary_case_id,
+            effet_statut, date_fin_mise_a_pied, retro_position, retro_fonction, retro_position_id, retro_salaire_de_base
+        )
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `, [
+        value.employee_id, value.type_sanction, value.date_constatation, value.date_effet,
+        value.jours_mise_a_pied, value.motif_detaille, value.procedure_suivie, value.document_url, userId,
+        value.disciplinary_case_id || null,
+        DEFERRED_EFFECT_TYPES.includes(value.type_sanction) ? 'À appliquer' : 'Appliqué',
+        isSuspension ? addDays(dateEffet, value.jours_mise_a_pied - 1) : null,
+        retro ? retro.position : null, retro ? retro.fonction : null, retro ? retro.position_id : null,
+        retro && retro.salaire_de_base !== undefined ? retro.salaire_de_base : null
+    ]);
+    const sanctionId = result.insertId;
+
+    // Licenciement : procédure de sortie, l'employé reste en poste jusqu'à la date d'effet
+    if (value.type_sanction === 'Licenciement') {
+        const exit = await employeeExitService.startExit(connection, value.employee_id, {
+            type_sortie: 'Licenciement',
+            date_notification: value.date_notification || (dateEffet < today() ? dateEffet : today()),
+            preavis_jours: null,
+            dernier_jour_travaille: dateEffet,
+            motif: value.motif_detaille
+        }, userId);
+        if (exit.status) return exit;
+        return { sanctionId, effetStatut: 'Appliqué', exitId: exit.exitId, userId: exit.userId, incompatibilites: [] };
+    }
+
+    // Effet différé déjà dû (date d'effet passée ou aujourd'hui)
+    let effetStatut = DEFERRED_EFFECT_TYPES.includes(value.type_sanction) ? 'À appliquer' : 'Appliqué';
+    if (effetStatut === 'À appliquer' && dateEffet <= today()) {
+        const sanction = await loadSanction(connection, sanctionId);
+        const applied = await applySanctionEffect(connection, sanction, userId);
+        if (applied.status) return applied;
+        effetStatut = (await loadSanction(connection, sanctionId)).effet_statut;
+    }
+
+    const incompatibilites = retro && retro.position_id
+        ? await occupationalHealthService.checkAssignment(value.employee_id, retro.position_id, connection)
+        : [];
+    return { sanctionId, effetStatut, exitId: null, userId: null, incompatibilites };
+};
+
+/**
+ * Applique les effets arrivés à échéance (tâche quotidienne du planificateur) :
+ * début des mises à pied et rétrogradations à leur date d'effet, retour au statut antérieur à la fin des mises à pied.
+ * Chaque sanction est traitée dans sa propre transaction. Renvoie les IDs des sanctions traitées.
+ */
+const applyDueSanctionEffects = async () => {
+    const [due] = await db.query(`
+        SELECT id FROM sanctions
+        WHERE statut = 'Active'
+          AND ((effet_statut = 'À appliquer' AND date_effet <= CURDATE())
+            OR (effet_statut = 'En cours' AND date_fin_mise_a_pied < CURDATE()))
+        ORDER BY date_effet, id
+    `);
+
+    const processed = [];
+    for (const { id } of due) {
+        const connection = await db.getConnection();
+        try {
+            await connection.beginTransaction();
+            const sanction = await loadSanction(connection, id);
+            const result = sanction.effet_statut === 'En cours'
+                ? (await endSuspension(connection, sanction), {})
+                : await applySanctionEffect(connection, sanction, null);
+            if (result.status) {
+                await connection.rollback();
+                console.error(`Sanction ${id} : ${result.message}`);
+                continue;
+            }
+            await connection.commit();
+            processed.push(id);
+            if (result.incompatibilites && result.incompatibilites.length > 0) {
+                console.warn(`Sanction ${id} : nouveau poste incompatible avec les restrictions d'aptitude (${result.incompatibilites.map(item => item.code).join(', ')}).`);
+            }
+        } catch (err) {
+            await connection.rollback();
+            console.error(`Application de la sanction ${id} impossible.`, err);
+        } finally {
+            connection.release();
+        }
+    }
+    return processed;
+};
+
+// --- Retrait et annulation ---
+
+/**
+ * Retire une sanction avant qu'elle ait pris effet (mise à pied ou rétrogradation à venir,
+ * ou sanction sans effet dont la date d'effet n'est pas atteinte).
+ * Renvoie { status, message } en cas d'erreur.
+ */
+const withdrawSanction = async (connection, sanctionId, { motif }, userId) => {
+    const sanction = await loadSanction(connection, sanctionId);
+    if (!sanction) {
+        return { status: 404, message: 'Sanction non trouvée.' };
+    }
+    if (sanction.statut !== 'Active') {
+        return { status: 409, message: `Cette sanction est déjà ${sanction.statut.toLowerCase()}.` };
+    }
+    if (sanction.type_sanction === 'Licenciement') {
+        return { status: 409, message: 'Un licenciement ne peut pas être retiré : la procédure de sortie est déjà ouverte.' };
+    }
+    const pending = DEFERRED_EFFECT_TYPES.includes(sanction.type_sanction)
+        ? sanction.effet_statut === 'À appliquer'
+        : toIsoDate(sanction.date_effet) > today();
+    if (!pending) {
+        return { status: 409, message: 'Cette sanction a déjà pris effet : elle ne peut être qu\'annulée.' };
+    }
+
+    await connection.query(
+        'UPDATE sanctions SET statut = \'Retirée\', motif_annulation = ?, annulee_par_user_id = ?, annulee_at = NOW() WHERE id = ?',
+        [motif, userId, sanctionId]
+    );
+    return {};
+};
+
+/**
+ * Annule une sanction ayant pris effet et en annule les effets : fin de la suspension et annulation des retenues
+ * (mise à pied), retour au poste précédent et fin de l'avenant (rétrogradation).
+ * Un licenciement ne s'annule pas ainsi (réintégration : POST /api/employee/:id/rehire).
+ * Renvoie { status, message } en cas d'erreur, sinon { incompatibilites } (restrictions d'aptitude
+ * incompatibles avec le poste retrouvé après une rétrogradation annulée).
+ */
+const annulSanction = async (connection, sanctionId, { motif }, userId) => {
+    const sanction = await loadSanction(connection, sanctionId);
+    if (!sanction) {
+        return { status: 404, message: 'Sanction non trouvée.' };
+    }
+    if (sanction.statut !== 'Active') {
+        return { status: 409, message: `Cette sanction est déjà ${sanction.statut.toLowerCase()}.` };
+    }
+    if (sanction.type_sanction === 'Licenciement') {
+        return { status: 409, message: 'Un licenciement ne peut pas être annulé ici : la réintégration passe par une réembauche (POST /api/employee/:id/rehire).' };
+    }
+
+    if (sanction.type_sanction === 'Mise à pied') {
+        if (sanction.effet_statut === 'En cours') {
+            await restoreStatut(connection, sanction);
+        }
+        await connection.query('UPDATE payroll_deductions SET statut = \'Annulée\' WHERE sanction_id = ?', [sanction.id]);
+    }
+
+    let incompatibilites = [];
+    if (sanction.type_sanction === 'Rétrogradation' && sanction.effet_statut === 'Appliqué') {
+        const [empRows] = await connection.query('SELECT * FROM employees WHERE id = ? FOR UPDATE', [sanction.employee_id]);
+        await changePosition(connection, empRows[0], {
+            dateEffet: today(),
+            position: sanction.ancien_position,
+            fonction: sanction.ancien_fonction,
+            positionId: sanction.ancien_position_id,
+            motif: 'Annulation de sanction',
+            commentaire: `Annulation de la rétrogradation (sanction n°${sanction.id})`
+        }, userId);
+        if (sanction.avenant_contract_id) {
+            // Avenant annulé le jour de sa prise d'effet : il se termine à sa date de début, pas la veille
+            await connection.query(`
+                UPDATE contracts
+                SET statut = 'Terminé', date_fin_reelle = GREATEST(date_debut, ?), commentaire_fin = ?, terminated_by_user_id = ?, terminated_at = NOW()
+                WHERE id = ? AND statut = 'Actif'
+            `, [addDays(today(), -1), `Annulation de la sanction n°${sanction.id}`, userId, sanction.avenant_contract_id]);
+        }
+        incompatibilites = await occupationalHealthService.checkAssignment(sanction.employee_id, null, connection);
+    }
+
+    await connection.query(
+        'UPDATE sanctions SET statut = \'Annulée\', motif_annulation = ?, annulee_par_user_id = ?, annulee_at = NOW() WHERE id = ?',
+        [motif, userId, sanctionId]
+    );
+    return { incompatibilites };
+};
+
+// --- Consultation ---
+
+/**
+ * Mise à pied active (prévue ou en cours) couvrant une date, ou null (dates au format 'YYYY-MM-DD').
+ */
+const findActiveSuspension = async (employeeId, date, connection = db) => {
+    const [rows] = await connection.query(`
+        SELECT id, date_effet, date_fin_mise_a_pied, effet_statut
+        FROM sanctions
+        WHERE employee_id = ? AND type_sanction = 'Mise à pied' AND statut = 'Active'
+          AND ? BETWEEN date_effet AND date_fin_mise_a_pied
+        LIMIT 1
+    `, [employeeId, toIsoDate(date)]);
+    if (rows.length === 0) return null;
+    return {
+        ...rows[0],
+        date_effet: toIsoDate(rows[0].date_effet),
+        date_fin_mise_a_pied: toIsoDate(rows[0].date_fin_mise_a_pied)
+    };
+};
+
+/**
+ * Sanctions dans le périmètre de l'utilisateur, avec leur prise en compte pour le cumul
+ * (sanction active dont la date d'effet date de moins de SANCTION_AMNESTY_MONTHS mois).
+ * @param {{ clause: string, params: Array }} scope - Périmètre (buildScopeClause, alias 'e')
+ * @param {object} filters - { employee_id?, type_sanction?, statut?, pris_en_compte? }
+ */
+const listSanctions = async (scope, filters = {}) => {
+    const conditions = [scope.clause];
+    const params = [SANCTION_AMNESTY_MONTHS, ...scope.params];
+    if (filters.employee_id) { conditions.push('s.employee_id = ?'); params.push(filters.employee_id); }
+    if (filters.type_sanction) { conditions.push('s.type_sanction = ?'); params.push(filters.type_sanction); }
+    if (filters.statut) { conditions.push('s.statut = ?'); params.push(filters.statut); }
+
+    const [rows] = await db.query(`
+        SELECT
+            s.id, s.employee_id, e.matricule, e.nom, e.prenom,
+            s.type_sanction, s.date_constatation, s.date_effet, s.jours_mise_a_pied, s.date_fin_mise_a_pied,
+            s.motif_detaille, s.procedure_suivie, s.document_url, s.statut, s.effet_statut,
+            s.retro_position, s.retro_fonction, s.avenant_contract_id,
+            s.motif_annulation, s.annulee_at, s.created_at,
+            DATE_ADD(s.date_effet, INTERVAL ? MONTH) AS date_amnistie
+        FROM sanctions s
+        JOIN employees e ON s.employee_id = e.id
+        WHERE ${conditions.join(' AND ')}
+        ORDER BY s.date_effet DESC, s.id DESC
+    `, params);
+
+    const currentDate = today();
+    const sanctions = rows.map(row => ({
+        ...row,
+        pris_en_compte_cumul: row.statut === 'Active' && toIsoDate(row.date_amnistie) > currentDate
+    }));
+
+    if (filters.pris_en_compte === undefined) return sanctions;
+    return sanctions.filter(sanction => sanction.pris_en_compte_cumul === filters.pris_en_compte);
+};
+
+/**
+ * Retenues sur salaire d'un mois de paie (mises à pied), dans le périmètre de l'utilisateur.
+ */
+const listPayrollDeductions = async (scope, periode) => {
+    const [rows] = await db.query(`
+        SELECT p.id, p.employee_id, e.matricule, e.nom, e.prenom, p.sanction_id, p.periode, p.type_retenue,
+               p.jours, p.montant, p.statut, p.created_at
+        FROM payroll_deductions p
+        JOIN employees e ON p.employee_id = e.id
+        WHERE p.periode = ? AND ${scope.clause}
+        ORDER BY e.nom, e.prenom, p.id
+    `, [periode, ...scope.params]);
+    return rows;
+};
+
+module.exports = {
+    SANCTION_TYPES,
+    SANCTION_STATUSES,
+    SANCTION_AMNESTY_MONTHS,
+    computeSuspensionDeductions,
+    createSanction,
+    applyDueSanctionEffects,
+    withdrawSanction,
+    annulSanction,
+    findActiveSuspension,
+    listSanctions,
+    listPayrollDeductions
+};
@@ -0,0 +1,101 @@
+// Fichier: backend/services/storageService.js
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Backends de stockage des fichiers. Le backend actif est choisi par STORAGE_BACKEND (.env) :
+// - 'local' : disque du serveur, dans STORAGE_DIR (par défaut backend/storage/files)
+// D'autres backends (S3, partage réseau...) peuvent être ajoutés avec registerBackend().
+// Les fichiers sont adressés par leur empreinte SHA-256 : un même contenu n'est stocké qu'une fois.
+const backends = {
+    local: {
+        root: () => process.env.STORAGE_DIR || path.join(__dirname, '..', 'storage', 'files'),
+
+        save: async function (key, buffer) {
+            const filePath = path.join(this.root(), key);
+            await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+            await fs.promises.writeFile(filePath, buffer, { flag: 'wx' }).catch(err => {
+                if (err.code !== 'EEXIST') throw err; // Contenu identique déjà présent
+            });
+        },
+
+        exists: async function (key) {
+            return fs.promises.access(path.join(this.root(), key)).then(() => true, () => false);
+        },
+
+        createReadStream: function (key) {
+            return fs.createReadStream(path.join(this.root(), key));
+        }
+    }
+};
+
+// Permet de brancher un backend supplémentaire : { save(key, buffer), exists(key), createReadStream(key) }
+const registerBackend = (name, backend) => {
+    backends[name] = backend;
+};
+
+const getBackend = (name) => {
+    const backend = backends[name];
+    if (!backend) {
+        throw new Error(`Backend de stockage inconnu : ${name}`);
+    }
+    return backend;
+};
+
+const activeBackendName = () => process.env.STORAGE_BACKEND || 'local';
+
+// Types de fichiers acceptés, reconnus par leur signature (le type annoncé par le navigateur n'est pas fiable)
+const FILE_SIGNATURES = [
+    { mimeType: 'application/pdf', extensions: ['.pdf'], matches: buffer => buffer.subarray(0, 5).toString('latin1') === '%PDF-' },
+    { mimeType: 'image/png', extensions: ['.png'], matches: buffer => buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) },
+    { mimeType: 'image/jpeg', extensions: ['.jpg', '.jpeg'], matches: buffer => buffer.subarray(0, 3).equals(Buffer.from([0xff, 0xd8, 0xff])) }
+];
+
+/**
+ * Détermine le type MIME réel d'un fichier et vérifie qu'il correspond à son extension.
+ * Renvoie { status, message } si le contenu est refusé, sinon { mimeType }.
+ */
+const detectMimeType = (buffer, fileName) => {
+    const signature = FILE_SIGNATURES.find(candidate => candidate.matches(buffer));
+    if (!signature) {
+        return { status: 400, message: 'Contenu de fichier non reconnu (PDF, PNG ou JPEG attendu).' };
+    }
+    if (!signature.extensions.includes(path.extname(fileName).toLowerCase())) {
+        return { status: 400, message: `Le contenu du fichier (${signature.mimeType}) ne correspond pas à son extension.` };
+    }
+    return { mimeType: signature.mimeType };
+};
+
+const computeChecksum = (buffer) => crypto.createHash('sha256').update(buffer).digest('hex');
+
+// Clé de stockage dérivée de l'empreinte (sous-dossier sur 2 caractères pour limiter la taille des répertoires)
+const keyForChecksum = (checksum) => `${checksum.substring(0, 2)}/${checksum}`;
+
+/**
+ * Enregistre un contenu sur le backend actif (sans réécriture si l'empreinte existe déjà).
+ * Renvoie { stockage, cle, checksum, taille }.
+ */
+const saveFile = async (buffer) => {
+    const checksum = computeChecksum(buffer);
+    const key = keyForChecksum(checksum);
+    const backendName = activeBackendName();
+    const backend = getBackend(backendName);
+
+    if (!(await backend.exists(key))) {
+        await backend.save(key, buffer);
+    }
+
+    return { stockage: backendName, cle: key, checksum: checksum, taille: buffer.length };
+};
+
+/**
+ * Ouvre un fichier stocké en lecture (flux), ou null s'il est absent du backend.
+ */
+const openFile = async (backendName, key) => {
+    const backend = getBackend(backendName);
+    if (!(await backend.exists(key))) return null;
+    return backend.createReadStream(key);
+};
+
+module.exports = { registerBackend, detectMimeType, computeChecksum, saveFile, openFile };
@@ -0,0 +1,140 @@
+// Fichier: backend/services/structureService.js
+
+const db = require('../config/db');
+
+// Chaîne hiérarchique : chaque niveau dépend du niveau parent (équipe → service → département → site)
+const LEVELS = [
+    { column: 'team_id', table: 'teams', alias: 't', parentColumn: 'service_id', label: 'L\'équipe', parentLabel: 'service' },
+    { column: 'service_id', table: 'services', alias: 'sv', parentColumn: 'department_id', label: 'Le service', parentLabel: 'département' },
+    { column: 'department_id', table: 'departments', alias: 'd', parentColumn: 'site_id', label: 'Le département', parentLabel: 'site' },
+    { column: 'site_id', table: 'sites', alias: 's', parentColumn: null, label: 'Le site', parentLabel: null }
+];
+
+/**
+ * Résout une affectation complète à partir du niveau le plus bas fourni.
+ * - Les niveaux supérieurs sont déduits automatiquement (ex : team_id seul suffit).
+ * - Les niveaux supérieurs fournis explicitement doivent correspondre à la chaîne réelle.
+ * - Toutes les unités de la chaîne doivent exister et être actives.
+ * Renvoie { status, message } en cas d'erreur, sinon { assignment: { site_id, department_id, service_id, team_id } }.
+ */
+const resolveAssignment = async (connection, values) => {
+    const startIndex = LEVELS.findIndex(level => values[level.column]);
+    if (startIndex === -1) {
+        return { status: 400, message: 'Aucune affectation fournie (site, département, service ou équipe).' };
+    }
+
+    // Remontée de la chaîne depuis le niveau le plus bas
+    const chain = LEVELS.slice(startIndex);
+    const [rows] = await connection.query(`
+        SELECT ${chain.map(level => `${level.alias}.id AS ${level.column}, ${level.alias}.actif AS ${level.alias}_actif`).join(', ')}
+        FROM ${chain[0].table} ${chain[0].alias}
+        ${chain.slice(1).map((level, index) => `LEFT JOIN ${level.table} ${level.alias} ON ${chain[index].alias}.${chain[index].parentColumn} = ${level.alias}.id`).join('\n        ')}
+        WHERE ${chain[0].alias}.id = ?
+    `, [values[chain[0].column]]);
+
+    if (rows.length === 0) {
+        return { status: 400, message: `${chain[0].label} ${values[chain[0].column]} n'existe pas.` };
+    }
+    const row = rows[0];
+
+    for (const [index, level] of chain.entries()) {
+        if (row[level.column] === null) {
+            return { status: 400, message: `Affectation incohérente : ${chain[index - 1].label.toLowerCase()} ${row[chain[index - 1].column]} n'est rattaché(e) à aucun ${chain[index - 1].parentLabel} existant.` };
+        }
+        if (!row[`${level.alias}_actif`]) {
+            return { status: 400, message: `${level.label} ${row[level.column]} est désactivé(e) : aucune nouvelle affectation possible.` };
+        }
+
+        // Le parent fourni doit être celui de la chaîne réelle
+        const parent = chain[index + 1];
+        if (parent && values[parent.column] && values[parent.column] !== row[parent.column]) {
+            return {
+                status: 400,
+                message: `Affectation incohérente : ${level.label.toLowerCase()} ${row[level.column]} dépend du ${level.parentLabel} ${row[parent.column]}, et non du ${level.parentLabel} ${values[parent.column]}.`
+            };
+        }
+    }
+
+    const assignment = {};
+    LEVELS.forEach(level => { assignment[level.column] = row[level.column] !== undefined ? row[level.column] : null; });
+    return { assignment };
+};
+
+// Décrit les incohérences d'une ligne issue de inconsistencyQuery (colonnes `<alias>_ref_id` / `<alias>_ref_parent`)
+const describeAnomalies = (row) => LEVELS
+    .filter(level => level.parentColumn && row[level.column])
+    .map(level => {
+        if (row[`${level.alias}_ref_id`] === null) {
+            return `${level.label} ${row[level.column]} n'existe pas.`;
+        }
+        if (row[`${level.alias}_ref_parent`] !== row[level.parentColumn]) {
+            return `${level.label} ${row[level.column]} dépend du ${level.parentLabel} ${row[`${level.alias}_ref_parent`]}, et non du ${level.parentLabel} ${row[level.parentColumn] === null ? '(vide)' : row[level.parentColumn]}.`;
+        }
+        return null;
+    })
+    .filter(Boolean);
+
+/**
+ * Construit la requête de détection des affectations incohérentes.
+ * @param {string} fromSql   - Clause FROM ; l'employé concerné doit être aliasé `emp`
+ * @param {string} alias     - Alias de la table portant les colonnes d'affectation
+ * @param {string} suffix    - Suffixe des colonnes d'affectation ('' ou '_nouveau')
+ * @param {string} selectSql - Colonnes propres à la table à renvoyer
+ * @param {string} filterSql - Condition supplémentaire (ex : exclusion des archivés)
+ */
+const inconsistencyQuery = (fromSql, alias, suffix, selectSql, filterSql) => {
+    const checkedLevels = LEVELS.filter(level => level.parentColumn);
+    const col = (column) => `${alias}.${column}${suffix}`;
+
+    return `
+        SELECT
+            ${selectSql},
+            ${LEVELS.map(level => `${col(level.column)} AS ${level.column}`).join(', ')},
+            ${checkedLevels.map(level => `${level.alias}.id AS ${level.alias}_ref_id, ${level.alias}.${level.parentColumn} AS ${level.alias}_ref_parent`).join(', ')}
+        FROM ${fromSql}
+        ${checkedLevels.map(level => `LEFT JOIN ${level.table} ${level.alias} ON ${col(level.column)} = ${level.alias}.id`).join('\n        ')}
+        WHERE (
+            ${checkedLevels.map(level => `(${col(level.column)} IS NOT NULL AND (${level.alias}.id IS NULL OR NOT (${level.alias}.${level.parentColumn} <=> ${col(level.parentColumn)})))`).join('\n            OR ')}
+        ) ${filterSql}
+    `;
+};
+
+/**
+ * Rapport des affectations incohérentes (équipe hors de son service, service hors de son département...).
+ * - employees : affectation actuelle des employés (archivés exclus sauf includeArchived)
+ * - affectations : lignes de l'historique employee_affectations (valeurs "_nouveau")
+ */
+const findInconsistentAssignments = async ({ includeArchived = false } = {}) => {
+    const archiveFilter = includeArchived ? '' : 'AND emp.statut NOT IN (\'Licencié\', \'Sorti\')';
+
+    const [employeeRows] = await db.query(`
+        ${inconsistencyQuery('employees emp', 'emp', '', 'emp.id AS employee_id, emp.matricule, emp.nom, emp.prenom, emp.statut', archiveFilter)}
+        ORDER BY emp.nom, emp.prenom
+    `);
+
+    const [affectationRows] = await db.query(`
+        ${inconsistencyQuery(
+            'employee_affectations a JOIN employees emp ON a.employee_id = emp.id', 'a', '_nouveau',
+            'a.id AS affectation_id, a.employee_id, emp.matricule, emp.nom, emp.prenom, emp.statut, a.date_debut, a.date_fin, a.motif',
+            archiveFilter
+        )}
+        ORDER BY emp.nom, emp.prenom, a.date_debut
+    `);
+
+    // Remplace les colonnes techniques de jointure par la liste lisible des anomalies
+    const toReport = (row) => {
+        const report = { ...row, anomalies: describeAnomalies(row) };
+        LEVELS.filter(level => level.parentColumn).forEach(level => {
+            delete report[`${level.alias}_ref_id`];
+            delete report[`${level.alias}_ref_parent`];
+        });
+        return report;
+    };
+
+    return {
+        employees: employeeRows.map(toReport),
+        affectations: affectationRows.map(toReport)
+    };
+};
+
+module.exports = { resolveAssignment, findInconsistentAssignments };
@@ -0,0 +1,230 @@
+// Fichier: backend/services/tokenService.js
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const db = require('../config/db');
+
+// Durées de vie configurables (.env), avec des valeurs par défaut prudentes
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) || 7;
+
+// Noms des cookies httpOnly
+const ACCESS_COOKIE = 'access_token';
+const REFRESH_COOKIE = 'refresh_token';
+
+// Empreinte SHA-256 d'un refresh token (seule valeur stockée en base)
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const generateRefreshToken = () => crypto.randomBytes(48).toString('hex');
+
+// Jeton d'accès court, rattaché à la session (sid) pour permettre sa révocation
+const signAccessToken = (user, sessionId) => jwt.sign(
+    { id: user.id, email: user.email, role: user.role, sid: sessionId },
+    process.env.JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL }
+);
+
+/**
+ * Ouvre une nouvelle session pour l'utilisateur et renvoie la paire de jetons.
+ */
+const createSession = async (user, req) => {
+    const refreshToken = generateRefreshToken();
+
+    const [result] = await db.query(`
+        INSERT INTO user_sessions (user_id, refresh_token_hash, expires_at, ip_address, user_agent)
+        VALUES (?, ?, NOW() + INTERVAL ? DAY, ?, ?)
+    `, [user.id, hashToken(refreshToken), REFRESH_TOKEN_TTL_DAYS, req.ip || null, (req.headers['user-agent'] || '').substring(0, 255)]);
+
+    return {
+        sessionId: result.insertId,
+        accessToken: signAccessToken(user, result.insertId),
+        refreshToken: refreshToken
+    };
+};
+
+/**
+ * Consomme un refresh token et en émet un nouveau (rotation).
+ * Si un jeton déjà consommé est présenté à nouveau, la session est considérée
+ * comme compromise et révoquée.
+ * Renvoie null si le jeton est invalide, expiré ou révoqué.
+ */
+const rotateSession = async (refreshToken) => {
+    const tokenHash = hashToken(refreshToken);
+
+    // 1. Détection de réutilisation d'un jeton déjà consommé
+    const [reused] = await db.query(
+        'SELECT id FROM user_sessions WHERE refresh_token_hash_precedent = ? AND revoked_at IS NULL',
+        [tokenHash]
+    );
+    if (reused.length > 0) {
+        await revokeSession(reused[0].id, 'Réutilisation du refresh token');
+        return null;
+    }
+
+    // 2. Recherche de la session active
+    const [rows] = await db.query(`
+        SELECT s.id, s.user_id, u.email, u.role
+        FROM user_sessions s
+        JOIN users u ON s.user_id = u.id
+        WHERE s.refresh_token_hash = ? AND s.revoked_at IS NULL AND s.expires_at > NOW() AND u.statut = 'Actif'
+    `, [tokenHash]);
+    const session = rows[0];
+    if (!session) {
+        return null;
+    }
+
+    // 3. Rotation : le nouveau jeton remplace l'ancien, qui est conservé pour la détection de réutilisation.
+    //    La condition sur l'ancien hash rend la rotation atomique : si deux rafraîchissements concurrents
+    //    présentent le même jeton, seul le premier aboutit ; le second est traité comme une réutilisation.
+    const newRefreshToken = generateRefreshToken();
+    const [result] = await db.query(`
+        UPDATE user_sessions
+        SET refresh_token_hash_precedent = refresh_token_hash, refresh_token_hash = ?,
+            expires_at = NOW() + INTERVAL ? DAY, last_used_at = NOW()
+        WHERE id = ? AND refresh_token_hash = ? AND revoked_at IS NULL
+    `, [hashToken(newRefreshToken), REFRESH_TOKEN_TTL_DAYS, session.id, tokenHash]);
+    if (result.affectedRows !== 1) {
+        await revokeSession(session.id, 'Réutilisation du refresh token');
+        return null;
+    }
+
+    const user = { id: session.user_id, email: session.email, role: session.role };
+    return {
+        sessionId: session.id,
+        user: user,
+        accessToken: signAccessToken(user, session.id),
+        refreshToken: newRefreshToken
+    };
+};
+
+// Révoque une session précise (déconnexion d'un appareil)
+const revokeSession = async (sessionId, motif = 'Déconnexion') => {
+    const [result] = await db.query(
+        'UPDATE user_sessions SET revoked_at = NOW(), motif_revocation = ? WHERE id = ? AND revoked_at IS NULL',
+        [motif, sessionId]
+    );
+    return result.affectedRows;
+};
+
+// Révoque toutes les sessions d'un utilisateur (déconnexion de tous les appareils)
+const revokeAllSessions = async (userId, motif = 'Déconnexion de toutes les sessions') => {
+    const [result] = await db.query(
+        'UPDATE user_sessions SET revoked_at = NOW(), motif_revocation = ? WHERE user_id = ? AND revoked_at IS NULL',
+        [motif, userId]
+    );
+    return result.affectedRows;
+};
+
+// Révoque les sessions des utilisateurs d'un rôle qui n'ont pas activé la double authentification
+// (2FA rendue obligatoire pour ce rôle : reconnexion avec enrôlement)
+const revokeRoleSessionsWithoutMfa = async (role, motif = 'Double authentification obligatoire') => {
+    const [result] = await db.query(`
+        UPDATE user_sessions SET revoked_at = NOW(), motif_revocation = ?
+        WHERE revoked_at IS NULL AND user_id IN (SELECT id FROM users WHERE role = ? AND totp_enabled = FALSE)
+    `, [motif, role]);
+    return result.affectedRows;
+};
+
+// Retrouve la session correspondant à un refresh token (sans rotation)
+const findSessionByRefreshToken = async (refreshToken) => {
+    const [rows] = await db.query(
+        'SELECT id, user_id FROM user_sessions WHERE refresh_token_hash = ? AND revoked_at IS NULL',
+        [hashToken(refreshToken)]
+    );
+    return rows[0] || null;
+};
+
+/**
+ * Vérifie qu'un jeton d'accès décodé est toujours valable côté serveur :
+ * compte non désactivé, session non révoquée et jeton émis après le dernier changement de mot de passe.
+ */
+const isAccessTokenRevoked = async (decodedToken) => {
+    const [rows] = await db.query(`
+        SELECT u.password_changed_at, u.statut, s.id AS session_id, s.revoked_at
+        FROM users u
+        LEFT JOIN user_sessions s ON s.id = ? AND s.user_id = u.id
+        WHERE u.id = ?
+    `, [decodedToken.sid || null, decodedToken.id]);
+
+    const row = rows[0];
+    if (!row) return true; // Utilisateur supprimé
+    if (row.statut === 'Désactivé') return true;
+
+    if (decodedToken.sid && (!row.session_id || row.revoked_at)) return true;
+
+    if (row.password_changed_at) {
+        const changedAtSeconds = Math.floor(new Date(row.password_changed_at).getTime() / 1000);
+        if (decodedToken.iat < changedAtSeconds) return true;
+    }
+
+    return false;
+};
+
+// Dépose les jetons dans des cookies httpOnly (le refresh token n'est envoyé qu'aux routes d'authentification)
+const setAuthCookies = (res, tokens) => {
+    const secure = process.env.NODE_ENV === 'production';
+    res.cookie(ACCESS_COOKIE, tokens.accessToken, { httpOnly: true, secure, sameSite: 'strict', path: '/' });
+    res.cookie(REFRESH_COOKIE, tokens.refreshToken, {
+        httpOnly: true, secure, sameSite: 'strict', path: '/api/auth',
+        maxAge: REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000
+    });
+};
+
+const clearAuthCookies = (res) => {
+    res.clearCookie(ACCESS_COOKIE, { path: '/' });
+    res.clearCookie(REFRESH_COOKIE, { path: '/api/auth' });
+};
+
+// Construit la réponse d'authentification : cookies httpOnly ou jetons dans le corps
+// (extra : champs supplémentaires à renvoyer, ex. codes de secours)
+const sendTokens = (res, status, message, tokens, user, useCookies, extra = {}) => {
+    if (useCookies) {
+        setAuthCookies(res, tokens);
+        return res.status(status).json({ message: message, user: user, ...extra });
+    }
+    res.status(status).json({
+        message: message,
+        token: tokens.accessToken,
+        refreshToken: tokens.refreshToken,
+        user: user,
+        ...extra
+    });
+};
+
+/**
+ * Jeton de challenge (5 minutes) émis entre la vérification du mot de passe et celle du second facteur.
+ * purpose : 'mfa' (code à saisir) ou 'mfa-enrollment' (2FA obligatoire mais pas encore configurée).
+ * Ce jeton ne donne accès à aucune route protégée (rejeté par authMiddleware).
+ */
+const signChallengeToken = (user, purpose, useCookies) => jwt.sign(
+    { id: user.id, purpose: purpose, use_cookies: !!useCookies },
+    process.env.JWT_SECRET,
+    { expiresIn: '5m' }
+);
+
+// Renvoie le contenu du jeton de challenge, ou null s'il est invalide, expiré ou d'un autre type
+const verifyChallengeToken = (token, purpose) => {
+    try {
+        const decoded = jwt.verify(token, process.env.JWT_SECRET);
+        return decoded.purpose === purpose ? decoded : null;
+    } catch (err) {
+        return null;
+    }
+};
+
+module.exports = {
+    ACCESS_COOKIE,
+    REFRESH_COOKIE,
+    createSession,
+    rotateSession,
+    revokeSession,
+    revokeAllSessions,
+    revokeRoleSessionsWithoutMfa,
+    findSessionByRefreshToken,
+    isAccessTokenRevoked,
+    setAuthCookies,
+    clearAuthCookies,
+    sendTokens,
+    signChallengeToken,
+    verifyChallengeToken
+};
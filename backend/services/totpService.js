@@ -0,0 +1,183 @@
+// Fichier: backend/services/totpService.js
+
+const crypto = require('crypto');
+const db = require('../config/db');
+
+// Paramètres TOTP standards (compatibles Google Authenticator, Microsoft Authenticator, FreeOTP...)
+const TOTP_DIGITS = 6;
+const TOTP_PERIOD = 30; // secondes
+const TOTP_WINDOW = 1;  // Tolérance d'un pas avant/après (décalage d'horloge)
+const ISSUER = 'SOGAS-RH';
+const BACKUP_CODES_COUNT = 10;
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+// --- Encodage Base32 (RFC 4648), format attendu par les applications d'authentification ---
+
+const base32Encode = (buffer) => {
+    let bits = 0;
+    let value = 0;
+    let output = '';
+    for (const byte of buffer) {
+        value = (value << 8) | byte;
+        bits += 8;
+        while (bits >= 5) {
+            output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+    }
+    if (bits > 0) {
+        output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    }
+    return output;
+};
+
+const base32Decode = (input) => {
+    const cleaned = input.replace(/=+$/, '').toUpperCase();
+    let bits = 0;
+    let value = 0;
+    const bytes = [];
+    for (const char of cleaned) {
+        const index = BASE32_ALPHABET.indexOf(char);
+        if (index === -1) throw new Error('Secret TOTP invalide.');
+        value = (value << 5) | index;
+        bits += 5;
+        if (bits >= 8) {
+            bytes.push((value >>> (bits - 8)) & 255);
+            bits -= 8;
+        }
+    }
+    return Buffer.from(bytes);
+};
+
+// --- Chiffrement du secret au repos (clé dérivée de MFA_ENCRYPTION_KEY ou JWT_SECRET) ---
+
+const getEncryptionKey = () => crypto.createHash('sha256')
+    .update(process.env.MFA_ENCRYPTION_KEY || process.env.JWT_SECRET)
+    .digest();
+
+const encryptSecret = (secret) => {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', getEncryptionKey(), iv);
+    const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+    return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('base64')).join('.');
+};
+
+const decryptSecret = (payload) => {
+    const [iv, tag, encrypted] = payload.split('.').map(part => Buffer.from(part, 'base64'));
+    const decipher = crypto.createDecipheriv('aes-256-gcm', getEncryptionKey(), iv);
+    decipher.setAuthTag(tag);
+    return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+};
+
+// --- Algorithme HOTP / TOTP (RFC 4226 / RFC 6238) ---
+
+const generateHotp = (secret, counter) => {
+    const counterBuffer = Buffer.alloc(8);
+    counterBuffer.writeBigUInt64BE(BigInt(counter));
+
+    const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counterBuffer).digest();
+    const offset = hmac[hmac.length - 1] & 0x0f;
+    const binary = ((hmac[offset] & 0x7f) << 24) | (hmac[offset + 1] << 16) | (hmac[offset + 2] << 8) | hmac[offset + 3];
+
+    return String(binary % Math.pow(10, TOTP_DIGITS)).padStart(TOTP_DIGITS, '0');
+};
+
+const currentStep = () => Math.floor(Date.now() / 1000 / TOTP_PERIOD);
+
+/**
+ * Vérifie un code TOTP. Renvoie le pas de temps correspondant, ou null si le code est invalide.
+ * Un pas déjà utilisé (lastStep) est refusé pour empêcher le rejeu d'un code intercepté.
+ */
+const verifyTotp = (secret, code, lastStep = null) => {
+    const step = currentStep();
+    for (let delta = -TOTP_WINDOW; delta <= TOTP_WINDOW; delta++) {
+        const candidate = step + delta;
+        if (lastStep !== null && candidate <= lastStep) continue;
+
+        const expected = generateHotp(secret, candidate);
+        if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(code.padStart(TOTP_DIGITS, '0').slice(-TOTP_DIGITS)))) {
+            return candidate;
+        }
+    }
+    return null;
+};
+
+const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+// URI otpauth:// à transformer en QR code par le front-end
+const buildProvisioningUri = (email, secret) => {
+    const label = encodeURIComponent(`${ISSUER}:${email}`);
+    return `otpauth://totp/${label}?secret=${secret}&issuer=${encodeURIComponent(ISSUER)}&algorithm=SHA1&digits=${TOTP_DIGITS}&period=${TOTP_PERIOD}`;
+};
+
+// --- Codes de secours ---
+
+const hashBackupCode = (code) => crypto.createHash('sha256').update(code.replace(/-/g, '').toLowerCase()).digest('hex');
+
+/**
+ * Génère un nouveau jeu de codes de secours (les anciens sont supprimés).
+ * Renvoie les codes en clair : ils ne sont affichés qu'une seule fois.
+ */
+const regenerateBackupCodes = async (connection, userId) => {
+    const codes = Array.from({ length: BACKUP_CODES_COUNT }, () => {
+        const raw = crypto.randomBytes(4).toString('hex');
+        return `${raw.slice(0, 4)}-${raw.slice(4)}`;
+    });
+
+    await connection.query('DELETE FROM user_backup_codes WHERE user_id = ?', [userId]);
+    await connection.query(
+        'INSERT INTO user_backup_codes (user_id, code_hash) VALUES ?',
+        [codes.map(code => [userId, hashBackupCode(code)])]
+    );
+
+    return codes;
+};
+
+// Consomme un code de secours. Renvoie true si le code était valide et inutilisé.
+const consumeBackupCode = async (userId, code) => {
+    const [result] = await db.query(
+        'UPDATE user_backup_codes SET used_at = NOW() WHERE user_id = ? AND code_hash = ? AND used_at IS NULL LIMIT 1',
+        [userId, hashBackupCode(code)]
+    );
+    return result.affectedRows > 0;
+};
+
+/**
+ * Vérifie le second facteur d'un utilisateur : code TOTP ou code de secours.
+ * Met à jour le dernier pas de temps utilisé en cas de succès TOTP. La mise à jour est conditionnelle :
+ * deux requêtes concurrentes avec le même code ne peuvent pas l'utiliser toutes les deux.
+ */
+const verifySecondFactor = async (user, { code, backup_code }) => {
+    if (backup_code) {
+        return consumeBackupCode(user.id, backup_code);
+    }
+
+    if (!code || !user.totp_secret) return false;
+
+    const step = verifyTotp(decryptSecret(user.totp_secret), code, user.totp_last_step);
+    if (step === null) return false;
+
+    const [result] = await db.query(
+        'UPDATE users SET totp_last_step = ? WHERE id = ? AND (totp_last_step IS NULL OR totp_last_step < ?)',
+        [step, user.id, step]
+    );
+    return result.affectedRows === 1;
+};
+
+// Indique si la double authentification est obligatoire pour un rôle (table mfa_role_policies)
+const isMfaRequiredForRole = async (role) => {
+    const [rows] = await db.query('SELECT obligatoire FROM mfa_role_policies WHERE role = ?', [role]);
+    return rows.length > 0 && !!rows[0].obligatoire;
+};
+
+module.exports = {
+    generateSecret,
+    encryptSecret,
+    decryptSecret,
+    verifyTotp,
+    buildProvisioningUri,
+    regenerateBackupCodes,
+    verifySecondFactor,
+    isMfaRequiredForRole
+};
@@ -0,0 +1,338 @@
+// Fichier: backend/services/trialPeriodService.js
+
+const db = require('../config/db');
+const hierarchyService = require('./hierarchyService');
+const contractService = require('./contractService');
+const { TRIAL_TERMINATION } = require('./employeeExitService');
+
+// Période d'essai des contrats principaux : durée par défaut selon la catégorie du poste (trial_period_rules),
+// renouvellement unique, confirmation ou rupture par le responsable avant l'échéance.
+
+const TRIAL_ALERT_TYPE = 'Fin de période d\'essai';
+
+// Nombre de jours avant l'échéance à partir duquel le responsable est alerté
+const TRIAL_ALERT_DAYS = parseInt(process.env.TRIAL_ALERT_DAYS, 10) || 15;
+
+// Délai de prévenance maximal : le dernier jour travaillé d'une rupture d'essai ne peut dépasser
+// l'échéance de l'essai que de ce nombre de jours
+const TRIAL_TERMINATION_NOTICE_DAYS = parseInt(process.env.TRIAL_TERMINATION_NOTICE_DAYS, 10) || 8;
+
+// Contrats sans période d'essai
+const TRIAL_EXCLUDED_CONTRACT_TYPES = ['Stage', 'Consultant'];
+
+const today = () => new Date().toISOString().split('T')[0];
+
+// Date SQL (objet Date mysql2 ou chaîne) → 'YYYY-MM-DD' pour les comparaisons
+const toIsoDate = (value) => {
+    if (!value) return null;
+    if (value instanceof Date) {
+        return `${value.getFullYear()}-${String(value.getMonth() + 1).padStart(2, '0')}-${String(value.getDate()).padStart(2, '0')}`;
+    }
+    return String(value).substring(0, 10);
+};
+
+const addDays = (isoDate, days) => {
+    const date = new Date(`${isoDate}T00:00:00Z`);
+    date.setUTCDate(date.getUTCDate() + days);
+    return date.toISOString().split('T')[0];
+};
+
+const daysBetween = (from, to) => Math.round((new Date(`${to}T00:00:00Z`) - new Date(`${from}T00:00:00Z`)) / (24 * 60 * 60 * 1000));
+
+// Dernier jour d'essai pour une règle { duree, unite } à compter de start
+const computeTrialEnd = (start, rule) => {
+    if (rule.unite === 'Jour') return addDays(start, rule.duree - 1);
+    const date = new Date(`${start}T00:00:00Z`);
+    date.setUTCMonth(date.getUTCMonth() + rule.duree);
+    return addDays(date.toISOString().split('T')[0], -1);
+};
+
+/**
+ * Règle d'essai applicable à un poste et un type de contrat (règle spécifique au type, sinon règle générale),
+ * ou null si la catégorie du poste n'est pas renseignée.
+ */
+const findTrialRule = async (connection, positionId, typeContrat) => {
+    const [rows] = await connection.query(`
+        SELECT r.categorie_professionnelle, r.type_contrat, r.duree, r.unite, r.renouvelable
+        FROM positions p
+        JOIN trial_period_rules r ON r.categorie_professionnelle = p.categorie_professionnelle
+            AND (r.type_contrat = ? OR r.type_contrat IS NULL)
+        WHERE p.id = ?
+        ORDER BY r.type_contrat IS NULL
+        LIMIT 1
+    `, [typeContrat, positionId]);
+    return rows[0] || null;
+};
+
+/**
+ * Ouvre la période d'essai d'un nouveau contrat principal, dans la transaction de l'appelant.
+ * Sans essai_date_fin, l'échéance découle de la règle de la catégorie du poste ; une échéance saisie
+ * ne peut pas dépasser cette durée. Aucun essai si sans_periode_essai, pour les stages/consultants,
+ * ou si aucune règle ne s'applique et qu'aucune échéance n'est saisie.
+ * @param {object} contract - { id, type_contrat, position_id, date_debut, date_fin_prevue }
+ * @param {object} options - { essai_date_fin?, sans_periode_essai? }
+ * Renvoie { status, message } en cas d'erreur, sinon { essaiDateFin } (null sans période d'essai).
+ */
+const openTrialPeriod = async (connection, contract, options = {}) => {
+    if (options.sans_periode_essai || TRIAL_EXCLUDED_CONTRACT_TYPES.includes(contract.type_contrat)) {
+        return { essaiDateFin: null };
+    }
+
+    const start = toIsoDate(contract.date_debut);
+    const rule = await findTrialRule(connection, contract.position_id, contract.type_contrat);
+    const maxEnd = rule ? computeTrialEnd(start, rule) : null;
+
+    let end = options.essai_date_fin ? toIsoDate(options.essai_date_fin) : maxEnd;
+    if (!end) return { essaiDateFin: null };
+
+    if (end < start) {
+        return { status: 400, message: 'La fin de la période d\'essai ne peut pas précéder le début du contrat.' };
+    }
+    if (maxEnd && end > maxEnd) {
+        return { status: 400, message: `La période d'essai ne peut pas dépasser ${rule.duree} ${rule.unite === 'Jour' ? 'jour(s)' : 'mois'} pour la catégorie ${rule.categorie_professionnelle} (fin au plus tard le ${maxEnd}).` };
+    }
+    // L'essai d'un CDD ne peut pas dépasser le terme du contrat
+    const contractEnd = toIsoDate(contract.date_fin_prevue);
+    if (contractEnd && end > contractEnd) end = contractEnd;
+
+    await connection.query(`
+        UPDATE contracts
+        SET essai_date_debut = ?, essai_date_fin = ?, essai_date_fin_initiale = ?, essai_statut = 'En cours'
+        WHERE id = ?
+    `, [start, end, end, contract.id]);
+
+    return { essaiDateFin: end };
+};
+
+// Contrat principal actif dont la période d'essai est en cours (verrouillé pour la transaction)
+const loadTrialContract = async (connection, contractId) => {
+    const [rows] = await connection.query(`
+        SELECT id, employee_id, type_contrat, position_id, date_fin_prevue, statut, is_avenant,
+               essai_date_debut, essai_date_fin, essai_date_fin_initiale, essai_renouvele, essai_statut
+        FROM contracts
+        WHERE id = ?
+        FOR UPDATE
+    `, [contractId]);
+    const contract = rows[0];
+    if (!contract || contract.is_avenant) {
+        return { status: 404, message: 'Contrat principal non trouvé.' };
+    }
+    if (contract.statut !== 'Actif' || contract.essai_statut !== 'En cours') {
+        return { status: 409, message: contract.essai_statut
+            ? `La période d'essai de ce contrat n'est plus en cours (${contract.essai_statut}).`
+            : 'Ce contrat ne comporte pas de période d\'essai.' };
+    }
+    return { contract };
+};
+
+// Les alertes de fin d'essai encore ouvertes sont closes dès qu'une décision est prise
+const closeTrialAlerts = async (connection, employeeId) => {
+    await connection.query(
+        'UPDATE alerts SET statut = \'Fermé\' WHERE type_alerte = ? AND employee_id = ? AND statut <> \'Fermé\'',
+        [TRIAL_ALERT_TYPE, employeeId]
+    );
+};
+
+/**
+ * Confirme l'embauche à l'issue (ou avant la fin) de la période d'essai.
+ * Renvoie { status, message } en cas d'erreur.
+ */
+const confirmTrial = async (connection, contractId, { commentaire }, userId) => {
+    const loaded = await loadTrialContract(connection, contractId);
+    if (loaded.status) return loaded;
+
+    await connection.query(`
+        UPDATE contracts
+        SET essai_statut = 'Confirmé', essai_decision_par_user_id = ?, essai_decision_at = NOW(), essai_commentaire = ?
+        WHERE id = ?
+    `, [userId, commentaire || null, contractId]);
+    await closeTrialAlerts(connection, loaded.contract.employee_id);
+    return {};
+};
+
+/**
+ * Renouvelle une fois la période d'essai, avant son échéance, pour une durée au plus égale à la durée initiale.
+ * Sans essai_date_fin, l'essai est prolongé de la durée initiale.
+ * Renvoie { status, message } en cas d'erreur, sinon { essaiDateFin }.
+ */
+const renewTrial = async (connection, contractId, { essai_date_fin, commentaire }, userId) => {
+    const loaded = await loadTrialContract(connection, contractId);
+    if (loaded.status) return loaded;
+    const contract = loaded.contract;
+
+    if (contract.essai_renouvele) {
+        return { status: 409, message: 'La période d\'essai a déjà été renouvelée une fois.' };
+    }
+    const rule = await findTrialRule(connection, contract.position_id, contract.type_contrat);
+    if (rule && !rule.renouvelable) {
+        return { status: 409, message: `La période d'essai n'est pas renouvelable pour un ${contract.type_contrat} de la catégorie ${rule.categorie_professionnelle}.` };
+    }
+
+    const currentEnd = toIsoDate(contract.essai_date_fin);
+    if (currentEnd < today()) {
+        return { status: 409, message: `La période d'essai a pris fin le ${currentEnd} : elle ne peut plus être renouvelée.` };
+    }
+
+    const initialDays = daysBetween(toIsoDate(contract.essai_date_debut), toIsoDate(contract.essai_date_fin_initiale)) + 1;
+    const maxEnd = addDays(currentEnd, initialDays);
+    const newEnd = essai_date_fin ? toIsoDate(essai_date_fin) : maxEnd;
+    if (newEnd <= currentEnd) {
+        return { status: 400, message: `La nouvelle échéance doit être postérieure au ${currentEnd}.` };
+    }
+    if (newEnd > maxEnd) {
+        return { status: 400, message: `Le renouvellement ne peut pas dépasser la durée initiale de l'essai (${initialDays} jours, fin au plus tard le ${maxEnd}).` };
+    }
+    const contractEnd = toIsoDate(contract.date_fin_prevue);
+    if (contractEnd && newEnd > contractEnd) {
+        return { status: 400, message: `La période d'essai ne peut pas dépasser le terme du contrat (${contractEnd}).` };
+    }
+
+    await connection.query(`
+        UPDATE contracts
+        SET essai_date_fin = ?, essai_renouvele = TRUE, essai_decision_par_user_id = ?, essai_decision_at = NOW(), essai_commentaire = ?
+        WHERE id = ?
+    `, [newEnd, userId, commentaire || null, contractId]);
+    await closeTrialAlerts(connection, contract.employee_id);
+
+    return { essaiDateFin: newEnd };
+};
+
+/**
+ * Met fin au contrat pendant la période d'essai : la procédure de sortie est ouverte avec date_fin comme
+ * dernier jour travaillé (au plus TRIAL_TERMINATION_NOTICE_DAYS jours après l'échéance de l'essai) ;
+ * le contrat est terminé à la finalisation de la sortie.
+ * Renvoie { status, message } en cas d'erreur, sinon le résultat de contractService.terminateContract.
+ */
+const endTrial = async (connection, contractId, { date_fin, commentaire }, userId) => {
+    const loaded = await loadTrialContract(connection, contractId);
+    if (loaded.status) return loaded;
+
+    const lastDay = date_fin ? toIsoDate(date_fin) : today();
+    if (lastDay < today()) {
+        return { status: 400, message: 'La rupture de la période d\'essai ne peut pas être rétroactive.' };
+    }
+    const maxLastDay = addDays(toIsoDate(loaded.contract.essai_date_fin), TRIAL_TERMINATION_NOTICE_DAYS);
+    if (lastDay > maxLastDay) {
+        return { status: 400, message: `Le dernier jour travaillé ne peut pas dépasser le ${maxLastDay} (${TRIAL_TERMINATION_NOTICE_DAYS} jours après la fin de la période d'essai).` };
+    }
+
+    const termination = await contractService.terminateContract(connection, contractId, {
+        date_fin: lastDay,
+        motif_fin: TRIAL_TERMINATION,
+        commentaire: commentaire,
+        date_notification: today(),
+        preavis_jours: 0
+    }, userId);
+    if (termination.status) return termination;
+
+    await closeTrialAlerts(connection, loaded.contract.employee_id);
+    return termination;
+};
+
+/**
+ * Périodes d'essai en cours (échéance la plus proche en premier), regroupées par site.
+ * @param {{ clause: string, params: Array }} scope - Périmètre de l'utilisateur (buildScopeClause, alias 'e')
+ * @param {object} filters - { siteId?, echeanceAvant? }
+ */
+const listTrialsInProgress = async (scope, { siteId = null, echeanceAvant = null } = {}) => {
+    const conditions = ['c.essai_statut = \'En cours\'', 'c.statut = \'Actif\'', 'c.is_avenant = FALSE', scope.clause];
+    const params = [...scope.params];
+    if (siteId) { conditions.push('e.site_id = ?'); params.push(siteId); }
+    if (echeanceAvant) { conditions.push('c.essai_date_fin <= ?'); params.push(echeanceAvant); }
+
+    const [rows] = await db.query(`
+        SELECT
+            c.id AS contract_id, c.type_contrat, c.essai_date_debut, c.essai_date_fin, c.essai_date_fin_initiale, c.essai_renouvele,
+            DATEDIFF(c.essai_date_fin, CURDATE()) AS jours_restants,
+            e.id AS employee_id, e.matricule, e.nom, e.prenom, e.position, e.fonction,
+            e.site_id, s.nom AS nom_site
+        FROM contracts c
+        JOIN employees e ON c.employee_id = e.id
+        LEFT JOIN sites s ON e.site_id = s.id
+        WHERE ${conditions.join(' AND ')}
+        ORDER BY s.nom, c.essai_date_fin, e.nom
+    `, params);
+
+    const sites = new Map();
+    rows.forEach(({ site_id, nom_site, ...trial }) => {
+        if (!sites.has(site_id)) sites.set(site_id, { site_id, nom_site, essais: [] });
+        sites.get(site_id).essais.push({ ...trial, echeance_proche: trial.jours_restants <= TRIAL_ALERT_DAYS });
+    });
+    return [...sites.values()];
+};
+
+/**
+ * Crée une alerte pour chaque période d'essai arrivant à échéance dans les TRIAL_ALERT_DAYS jours
+ * (tâche quotidienne du planificateur). L'alerte est assignée au responsable hiérarchique (chef de service
+ * ou de département), à défaut non assignée. Une alerte ouverte pour la même échéance n'est pas dupliquée.
+ * Renvoie la liste des alertes créées.
+ */
+const createTrialEndAlerts = async () => {
+    const [trials] = await db.query(`
+        SELECT c.id AS contract_id, c.essai_date_fin, e.id AS employee_id, e.matricule, e.nom, e.prenom
+        FROM contracts c
+        JOIN employees e ON c.employee_id = e.id
+        WHERE c.essai_statut = 'En cours' AND c.statut = 'Actif' AND c.is_avenant = FALSE
+          AND c.essai_date_fin BETWEEN CURDATE() AND CURDATE() + INTERVAL ? DAY
+    `, [TRIAL_ALERT_DAYS]);
+
+    const created = [];
+    for (const trial of trials) {
+        const [openAlerts] = await db.query(
+            'SELECT id FROM alerts WHERE type_alerte = ? AND employee_id = ? AND date_echeance = ? AND statut <> \'Fermé\'',
+            [TRIAL_ALERT_TYPE, trial.employee_id, trial.essai_date_fin]
+        );
+        if (openAlerts.length > 0) continue;
+
+        const approvers = await hierarchyService.findApprovers(trial.employee_id) || [];
+        const manager = approvers.find(approver => approver.unit_type !== 'team') || null;
+
+        const message = `Période d'essai de ${trial.prenom} ${trial.nom} (${trial.matricule}) : échéance le ${toIsoDate(trial.essai_date_fin)}. `
+            + `Confirmer l'embauche (POST /api/hr/contracts/${trial.contract_id}/trial/confirm), renouveler l'essai ou y mettre fin avant cette date.`;
+
+        const [result] = await db.query(`
+            INSERT INTO alerts (type_alerte, message_detaille, employee_id, date_echeance, gravite, statut, assignee_user_id)
+            VALUES (?, ?, ?, ?, 'Haute', 'Ouvert', ?)
+        `, [TRIAL_ALERT_TYPE, message, trial.employee_id, trial.essai_date_fin, manager ? manager.user_id : null]);
+
+        created.push({ alertId: result.insertId, contract_id: trial.contract_id, employee_id: trial.employee_id, assignee_user_id: manager ? manager.user_id : null });
+    }
+    return created;
+};
+
+/**
+ * Confirme tacitement les périodes d'essai échues sans rupture notifiée (tâche quotidienne du planificateur).
+ * Renvoie les IDs des contrats confirmés.
+ */
+const confirmLapsedTrials = async () => {
+    const [lapsed] = await db.query(`
+        SELECT id, employee_id FROM contracts
+        WHERE essai_statut = 'En cours' AND statut = 'Actif' AND essai_date_fin < CURDATE()
+    `);
+    if (lapsed.length === 0) return [];
+
+    await db.query(`
+        UPDATE contracts
+        SET essai_statut = 'Confirmé', essai_decision_at = NOW(),
+            essai_commentaire = 'Confirmation tacite : aucune rupture notifiée avant l''échéance.'
+        WHERE id IN (?)
+    `, [lapsed.map(contract => contract.id)]);
+    await db.query(
+        'UPDATE alerts SET statut = \'Fermé\' WHERE type_alerte = ? AND employee_id IN (?) AND statut <> \'Fermé\'',
+        [TRIAL_ALERT_TYPE, lapsed.map(contract => contract.employee_id)]
+    );
+
+    return lapsed.map(contract => contract.id);
+};
+
+module.exports = {
+    TRIAL_ALERT_TYPE,
+    TRIAL_ALERT_DAYS,
+    openTrialPeriod,
+    confirmTrial,
+    renewTrial,
+    endTrial,
+    listTrialsInProgress,
+    createTrialEndAlerts,
+    confirmLapsedTrials
+};
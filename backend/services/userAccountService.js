@@ -0,0 +1,159 @@
+// Fichier: backend/services/userAccountService.js
+
+const crypto = require('crypto');
+const bcrypt = require('bcrypt');
+const Joi = require('joi');
+const { sendMail } = require('./mailService');
+
+const SALT_ROUNDS = 10;
+
+// Durées de validité des jetons à usage unique (en heures)
+const TOKEN_TTL_HOURS = {
+    'Invitation': 72,
+    'Réinitialisation': 1
+};
+
+// Règle commune de mot de passe (création, invitation, réinitialisation, changement)
+const passwordRule = Joi.string().min(8).max(128)
+    .pattern(/[A-Za-z]/, 'lettre')
+    .pattern(/[0-9]/, 'chiffre');
+
+const hashPassword = (password) => bcrypt.hash(password, SALT_ROUNDS);
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Mot de passe aléatoire inutilisable, en attendant que l'invité choisisse le sien
+const randomPassword = () => crypto.randomBytes(32).toString('hex');
+
+const buildLink = (pathName, token) => `${process.env.APP_URL || 'http://localhost:3000'}${pathName}?token=${token}`;
+
+/**
+ * Crée un jeton à usage unique (invitation ou réinitialisation) et renvoie sa valeur en clair.
+ * Les jetons précédents du même type encore valides pour cet utilisateur sont invalidés.
+ */
+const createOneTimeToken = async (connection, userId, type, createdByUserId = null) => {
+    const token = crypto.randomBytes(32).toString('hex');
+
+    await connection.query(
+        'UPDATE user_tokens SET used_at = NOW() WHERE user_id = ? AND type = ? AND used_at IS NULL',
+        [userId, type]
+    );
+    await connection.query(`
+        INSERT INTO user_tokens (user_id, type, token_hash, expires_at, created_by_user_id)
+        VALUES (?, ?, ?, NOW() + INTERVAL ? HOUR, ?)
+    `, [userId, type, hashToken(token), TOKEN_TTL_HOURS[type], createdByUserId]);
+
+    return token;
+};
+
+/**
+ * Consomme un jeton à usage unique. Renvoie l'ID utilisateur, ou null si le jeton
+ * est inconnu, expiré ou déjà utilisé.
+ */
+const consumeOneTimeToken = async (connection, token, type) => {
+    const [rows] = await connection.query(`
+        SELECT id, user_id FROM user_tokens
+        WHERE token_hash = ? AND type = ? AND used_at IS NULL AND expires_at > NOW()
+        FOR UPDATE
+    `, [hashToken(token), type]);
+
+    if (rows.length === 0) return null;
+
+    await connection.query('UPDATE user_tokens SET used_at = NOW() WHERE id = ?', [rows[0].id]);
+    return rows[0].user_id;
+};
+
+// Envoie l'email d'invitation contenant le lien d'activation du compte
+const sendInvitationMail = (email, token) => sendMail({
+    to: email,
+    subject: 'SOGAS-RH : activation de votre compte',
+    text: `Bonjour,\n\nUn compte SOGAS-RH a été créé pour vous. Choisissez votre mot de passe via le lien suivant (valable ${TOKEN_TTL_HOURS['Invitation']} heures) :\n${buildLink('/activation', token)}\n`
+});
+
+/**
+ * Envoie l'invitation après le commit du compte : un échec d'envoi est consigné mais ne fait pas échouer
+ * la création (l'invitation peut être renvoyée). Renvoie true si l'email est parti.
+ */
+const deliverInvitationMail = async (email, token) => {
+    try {
+        await sendInvitationMail(email, token);
+        return true;
+    } catch (err) {
+        console.error(`Envoi de l'invitation à ${email} impossible.`, err);
+        return false;
+    }
+};
+
+// Envoie l'email de réinitialisation du mot de passe
+const sendResetMail = (email, token) => sendMail({
+    to: email,
+    subject: 'SOGAS-RH : réinitialisation de votre mot de passe',
+    text: `Bonjour,\n\nUne réinitialisation de votre mot de passe a été demandée. Utilisez le lien suivant (valable ${TOKEN_TTL_HOURS['Réinitialisation']} heure) :\n${buildLink('/reinitialisation', token)}\n\nSi vous n'êtes pas à l'origine de cette demande, ignorez ce message.`
+});
+
+/**
+ * Crée un compte utilisateur en statut 'Invité' et renvoie { userId, token }.
+ * L'appelant gère la transaction et l'envoi de l'email (après commit).
+ */
+const createInvitedUser = async (connection, { email, role }, createdByUserId) => {
+    const [result] = await connection.query(`
+        INSERT INTO users (email, password, role, statut, created_by_user_id)
+        VALUES (?, ?, ?, 'Invité', ?)
+    `, [email, await hashPassword(randomPassword()), role, createdByUserId]);
+
+    const token = await createOneTimeToken(connection, result.insertId, 'Invitation', createdByUserId);
+    return { userId: result.insertId, token: token };
+};
+
+/**
+ * Crée un compte utilisateur à partir d'une fiche employé existante et lie `employees.user_id`.
+ * L'email utilisé est celui fourni, sinon `employee_contact.email_personnel`.
+ * Renvoie { status, message } en cas d'erreur métier, sinon { userId, email, token }.
+ */
+const createUserFromEmployee = async (connection, employeeId, { email, role }, createdByUserId) => {
+    const [empRows] = await connection.query(`
+        SELECT e.id, e.user_id, e.statut, ec.email_personnel
+        FROM employees e
+        LEFT JOIN employee_contact ec ON e.id = ec.employee_id
+        WHERE e.id = ?
+        FOR UPDATE
+    `, [employeeId]);
+
+    const employee = empRows[0];
+    if (!employee) {
+        return { status: 404, message: 'Employé non trouvé.' };
+    }
+    if (employee.user_id) {
+        return { status: 409, message: 'Cet employé est déjà lié à un compte utilisateur.' };
+    }
+    if (['Licencié', 'Sorti'].includes(employee.statut)) {
+        return { status: 400, message: 'Impossible de créer un compte pour un employé archivé.' };
+    }
+
+    const accountEmail = email || employee.email_personnel;
+    if (!accountEmail) {
+        return { status: 400, message: 'Aucun email fourni et aucun email personnel enregistré pour cet employé.' };
+    }
+
+    const [existing] = await connection.query('SELECT id FROM users WHERE email = ?', [accountEmail]);
+    if (existing.length > 0) {
+        return { status: 409, message: 'Un compte utilisateur existe déjà avec cet email.' };
+    }
+
+    const { userId, token } = await createInvitedUser(connection, { email: accountEmail, role }, createdByUserId);
+    await connection.query('UPDATE employees SET user_id = ? WHERE id = ?', [userId, employeeId]);
+
+    return { userId: userId, email: accountEmail, token: token };
+};
+
+module.exports = {
+    passwordRule,
+    hashPassword,
+    createOneTimeToken,
+    consumeOneTimeToken,
+    createInvitedUser,
+    createUserFromEmployee,
+    sendInvitationMail,
+    deliverInvitationMail,
+    sendResetMail
+};